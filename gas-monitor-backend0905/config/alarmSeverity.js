@@ -0,0 +1,52 @@
+/**
+ * Alarm severity levels, most severe first. Alarms from the EventHub listener
+ * carry only an alarm code, so severity is derived from the code unless the
+ * alarm document has its own Severity field.
+ */
+
+const ALARM_SEVERITIES = ['critical', 'warning', 'info'];
+
+const ALARM_CODE_SEVERITY = {
+  IO_ALR_100: 'critical', // High temperature
+  IO_ALR_101: 'warning',  // Low temperature
+  IO_ALR_103: 'warning',  // High humidity
+  IO_ALR_104: 'warning',  // Low humidity
+  IO_ALR_105: 'info',     // Oil level at 50%
+  IO_ALR_106: 'warning',  // Oil level at 30%
+  IO_ALR_107: 'critical', // Oil level at 10%
+  IO_ALR_108: 'critical', // Oil tank empty
+  IO_ALR_109: 'info',     // Oil tank refilled
+  IO_ALR_COMM_LOSS: 'critical', // No telemetry within the device's offline interval
+  IO_ALR_CAL_OVERDUE: 'warning', // Sensor calibration past its due date
+  IO_ALR_BUMP_OVERDUE: 'warning' // Sensor bump test past its due date
+};
+
+// Unknown codes are treated as warnings so they are not hidden
+const DEFAULT_SEVERITY = 'warning';
+
+/**
+ * Severity of an alarm document or Redis alarm message
+ * @param {Object} alarm
+ * @returns {string}
+ */
+const getAlarmSeverity = (alarm) => {
+  const explicit = String(alarm.Severity || alarm.severity || '').toLowerCase();
+  if (ALARM_SEVERITIES.includes(explicit)) return explicit;
+  return ALARM_CODE_SEVERITY[alarm.AlarmCode || alarm.alarmCode] || DEFAULT_SEVERITY;
+};
+
+/**
+ * The most severe of a list of severities
+ * @param {string[]} severities
+ * @returns {string|null} - null when the list is empty
+ */
+const worstSeverity = (severities) => {
+  return ALARM_SEVERITIES.find(level => severities.includes(level)) || null;
+};
+
+module.exports = {
+  ALARM_SEVERITIES,
+  ALARM_CODE_SEVERITY,
+  getAlarmSeverity,
+  worstSeverity
+};
@@ -0,0 +1,49 @@
+/**
+ * Device lifecycle states and the transitions allowed between them. Only
+ * devices in service raise alarms; alarms from devices in any other state are
+ * suppressed. Devices that existed before lifecycle tracking are in service.
+ */
+
+const LIFECYCLE_STATES = ['planned', 'installed', 'commissioning', 'in_service', 'under_maintenance', 'decommissioned'];
+
+const DEFAULT_LIFECYCLE_STATE = 'in_service';
+
+const LIFECYCLE_LABELS = {
+  planned: 'Planned',
+  installed: 'Installed',
+  commissioning: 'Commissioning',
+  in_service: 'In service',
+  under_maintenance: 'Under maintenance',
+  decommissioned: 'Decommissioned'
+};
+
+// state -> states it may move to. Decommissioned is final.
+const LIFECYCLE_TRANSITIONS = {
+  planned: ['installed', 'decommissioned'],
+  installed: ['commissioning', 'decommissioned'],
+  commissioning: ['in_service', 'installed', 'decommissioned'],
+  in_service: ['under_maintenance', 'decommissioned'],
+  under_maintenance: ['in_service', 'commissioning', 'decommissioned'],
+  decommissioned: []
+};
+
+// States a device may be created in
+const INITIAL_LIFECYCLE_STATES = ['planned', 'installed', 'commissioning', 'in_service'];
+
+// Used until an admin configures the checklist
+const DEFAULT_COMMISSIONING_CHECKLIST = [
+  { key: 'mounted', label: 'Mounted at the planned location', required: true },
+  { key: 'wiring', label: 'Power and wiring checked', required: true },
+  { key: 'telemetry', label: 'Reporting telemetry to IoT Hub', required: true },
+  { key: 'bump-test', label: 'Bump test passed', required: true },
+  { key: 'thresholds', label: 'Alarm thresholds reviewed', required: false }
+];
+
+module.exports = {
+  LIFECYCLE_STATES,
+  DEFAULT_LIFECYCLE_STATE,
+  LIFECYCLE_LABELS,
+  LIFECYCLE_TRANSITIONS,
+  INITIAL_LIFECYCLE_STATES,
+  DEFAULT_COMMISSIONING_CHECKLIST
+};
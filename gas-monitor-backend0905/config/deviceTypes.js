@@ -0,0 +1,43 @@
+/**
+ * Built-in device types. They are created in the device type catalog on
+ * startup if missing; after that the catalog copy is authoritative, so admins
+ * can tune ranges and defaults without a redeploy.
+ *
+ * Each metric lists the telemetry document fields its reading may be stored
+ * in (sourceFields), first match wins. The first field is the one new
+ * telemetry records are written to.
+ *
+ * Gas sensors have to be calibrated and bump tested on a schedule. Their
+ * intervals here are starting points; sites tune them in the catalog.
+ */
+
+const DEFAULT_DEVICE_TYPE_KEY = 'environment-monitor';
+
+const BUILT_IN_DEVICE_TYPES = [
+  {
+    key: 'environment-monitor',
+    name: 'Environment Monitor',
+    description: 'Temperature, humidity and oil tank level monitor',
+    metrics: [
+      { key: 'temperature', label: 'Temperature', unit: '°C', min: -40, max: 125, precision: 1, defaultThreshold: 35, defaultTolerance: 0.5, sourceFields: ['Temperature', 'temperature'] },
+      { key: 'humidity', label: 'Humidity', unit: '%', min: 0, max: 100, precision: 1, defaultThreshold: 70, defaultTolerance: 2, sourceFields: ['Humidity', 'humidity'] },
+      { key: 'oilLevel', label: 'Oil Level', unit: '%', min: 0, max: 100, precision: 1, defaultThreshold: 15, defaultTolerance: 1, sourceFields: ['OilLevel', 'oilLevel'] }
+    ]
+  },
+  {
+    key: 'gas-detector',
+    name: 'Gas Detector',
+    description: 'Four-gas detector for oxygen, carbon monoxide, hydrogen sulfide and combustible gas',
+    metrics: [
+      { key: 'o2', label: 'Oxygen (O2)', unit: '%', min: 0, max: 25, precision: 1, defaultThreshold: 19.5, defaultTolerance: 0.2, sourceFields: ['O2', 'o2'], calibrationIntervalDays: 180, bumpTestIntervalDays: 30 },
+      { key: 'co', label: 'Carbon Monoxide (CO)', unit: 'ppm', min: 0, max: 1000, precision: 0, defaultThreshold: 35, defaultTolerance: 2, sourceFields: ['CO', 'co'], calibrationIntervalDays: 180, bumpTestIntervalDays: 30 },
+      { key: 'h2s', label: 'Hydrogen Sulfide (H2S)', unit: 'ppm', min: 0, max: 100, precision: 1, defaultThreshold: 10, defaultTolerance: 0.5, sourceFields: ['H2S', 'h2s'], calibrationIntervalDays: 180, bumpTestIntervalDays: 30 },
+      { key: 'lel', label: 'Combustible Gas (LEL)', unit: '%', min: 0, max: 100, precision: 0, defaultThreshold: 10, defaultTolerance: 1, sourceFields: ['LEL', 'lel'], calibrationIntervalDays: 180, bumpTestIntervalDays: 30 }
+    ]
+  }
+];
+
+module.exports = {
+  DEFAULT_DEVICE_TYPE_KEY,
+  BUILT_IN_DEVICE_TYPES
+};
@@ -0,0 +1,88 @@
+/**
+ * Role definitions and the permissions granted to each role.
+ * Permissions not listed here (e.g. 'users:manage') are admin-only.
+ * Admins can see every plant; every other role is limited to the plants
+ * listed on the user document.
+ */
+
+const ROLES = ['admin', 'engineer', 'operator', 'viewer'];
+
+const DEFAULT_ROLE = 'viewer';
+
+// Role of accounts created before roles existed, which have none stored. Those
+// accounts could change plants, devices and thresholds, so they keep that access.
+const LEGACY_USER_ROLE = ROLES.includes(process.env.LEGACY_USER_ROLE) ? process.env.LEGACY_USER_ROLE : 'engineer';
+
+// Roles that must enroll in two-factor authentication when an admin turns on the requirement
+const TWO_FACTOR_ENFORCED_ROLES = ['admin', 'engineer'];
+
+const PERMISSIONS = {
+  admin: ['*'],
+  engineer: [
+    'plants:read',
+    'plants:update',
+    'devices:read',
+    'devices:write',
+    'telemetry:read',
+    'thresholds:write',
+    'commands:send',
+    'alarms:read',
+    'alarms:acknowledge',
+    'notifications:read',
+    'azure:register',
+    'audit:read',
+    'maintenance:read',
+    'maintenance:write',
+    'workorders:update'
+  ],
+  operator: [
+    'plants:read',
+    'devices:read',
+    'telemetry:read',
+    'commands:send',
+    'alarms:read',
+    'alarms:acknowledge',
+    'notifications:read',
+    'maintenance:read',
+    'workorders:update'
+  ],
+  viewer: [
+    'plants:read',
+    'devices:read',
+    'telemetry:read',
+    'alarms:read',
+    'notifications:read',
+    'maintenance:read'
+  ]
+};
+
+// Permissions that can be granted to API keys. Keys never get write access to configuration.
+const API_KEY_SCOPES = [
+  'plants:read',
+  'devices:read',
+  'telemetry:read',
+  'alarms:read',
+  'alarms:acknowledge',
+  'notifications:read'
+];
+
+/**
+ * Check whether a role has been granted a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission key, e.g. 'devices:write'
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const granted = PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  LEGACY_USER_ROLE,
+  TWO_FACTOR_ENFORCED_ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission
+};
@@ -2,9 +2,39 @@ const Alarm = require('../models/alarmModel'); // Model pointing to oxygen_monit
 const Device = require('../models/Device');
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
+const { getAccessiblePlantNames } = require('../middleware/accessMiddleware');
+const { getSubtreeDevices } = require('../services/siteHierarchyService');
+const { deviceQueryFromParams } = require('../services/deviceFilterService');
+const { outOfServiceAlarmFilter } = require('../services/deviceLifecycleService');
+const { maintenanceAlarmFilter } = require('../services/maintenanceService');
 
 console.log("🔄 Alarm controller initialized");
 
+// Restrict an alarm query to the plants the requesting user can access.
+// Alarms written by the event pipeline only carry the plant name.
+// Alarms suppressed because their device was out of service or under
+// maintenance are left out, including ones the pipeline wrote before they could be marked.
+const scopeAlarmQuery = async (user, query = {}) => {
+  const [plantNames, outOfService, maintenance] = await Promise.all([
+    getAccessiblePlantNames(user),
+    outOfServiceAlarmFilter(),
+    maintenanceAlarmFilter()
+  ]);
+  const conditions = [{ Suppressed: { $ne: true } }];
+  if (outOfService) conditions.push(outOfService);
+  if (maintenance) conditions.push(maintenance);
+  if (plantNames !== null) {
+    conditions.unshift({
+      $or: [
+        { PlantName: { $in: plantNames } },
+        { plantName: { $in: plantNames } }
+      ]
+    });
+  }
+  if (Object.keys(query).length > 0) conditions.unshift(query);
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
 // Get all alarms
 exports.getAllAlarms = async (req, res) => {
   try {
@@ -21,13 +51,16 @@ exports.getAllAlarms = async (req, res) => {
     // Access the alarms collection directly
     const alarmsCollection = telemetryDB.collection('alarms');
     
+    // Only include alarms from plants this user can access
+    const query = await scopeAlarmQuery(req.user);
+    
     // Count total alarms for logging
-    const totalCount = await alarmsCollection.countDocuments({});
+    const totalCount = await alarmsCollection.countDocuments(query);
     console.log(`📊 Total alarms in MongoDB: ${totalCount}`);
     
     // Fetch alarms with direct MongoDB query
     // Using the native MongoDB driver for more reliable querying
-    const alarms = await alarmsCollection.find({})
+    const alarms = await alarmsCollection.find(query)
       .sort({ CreatedTimestamp: -1 })
       .limit(100) // Limit to most recent 100 for performance
       .toArray();
@@ -54,7 +87,7 @@ exports.getAllAlarms = async (req, res) => {
         console.log(`🔄 Trying alternative collection: ${alternativeCollectionName}`);
         
         const alternativeCollection = telemetryDB.collection(alternativeCollectionName);
-        const alternativeAlarms = await alternativeCollection.find({})
+        const alternativeAlarms = await alternativeCollection.find(query)
           .sort({ CreatedTimestamp: -1 })
           .limit(100)
           .toArray();
@@ -121,7 +154,7 @@ exports.getAlarmsByDevice = async (req, res) => {
     
     // Construct query to match the device ID in multiple fields
     // This handles different field naming conventions in the actual data
-    const query = {
+    const query = await scopeAlarmQuery(req.user, {
       $or: [
         { DeviceId: deviceId }, // Number format
         { DeviceId: Number(deviceId) }, // Try as number if it's a string with numbers
@@ -131,7 +164,7 @@ exports.getAlarmsByDevice = async (req, res) => {
         { deviceName: { $regex: deviceId, $options: 'i' } },
         { DeviceData: { $regex: deviceId, $options: 'i' } } // Search inside JSON string DeviceData
       ]
-    };
+    });
     
     // Count matching alarms for this device
     const matchCount = await alarmsCollection.countDocuments(query);
@@ -190,11 +223,11 @@ exports.getAlarmsByDevice = async (req, res) => {
 // Get alarms by plant name and device name (new endpoint)
 exports.getAlarmsByPlantAndDevice = async (req, res) => {
   try {
-    const { plantName, deviceName } = req.query;
+    const { plantName, deviceName, siteNodeId, presetId } = req.query;
     
-    if (!plantName) {
+    if (!plantName && !presetId) {
       return res.status(400).json({ 
-        message: 'Plant name is required as a query parameter',
+        message: 'Plant name or presetId is required as a query parameter',
         alarms: []
       });
     }
@@ -215,18 +248,17 @@ exports.getAlarmsByPlantAndDevice = async (req, res) => {
     // Access the alarms collection directly
     const alarmsCollection = telemetryDB.collection('alarms');
     
-    // Escape special regex characters in plant and device names
-    const escapedPlantName = plantName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    
-    // Build query object with required plantName match (case-insensitive with more flexible matching)
-    const query = {
-      $or: [
+    // Build query object with the plantName match (case-insensitive with more flexible matching)
+    const query = {};
+    if (plantName) {
+      // Escape special regex characters in plant and device names
+      const escapedPlantName = plantName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
         { PlantName: { $regex: escapedPlantName, $options: 'i' } },
         { plantName: { $regex: escapedPlantName, $options: 'i' } }
-      ]
-    };
-    
-    console.log(`Using plant name regex match: ${escapedPlantName}`);
+      ];
+      console.log(`Using plant name regex match: ${escapedPlantName}`);
+    }
     
     // Add deviceName to query if provided (case-insensitive with more flexible matching)
     if (deviceName) {
@@ -240,12 +272,40 @@ exports.getAlarmsByPlantAndDevice = async (req, res) => {
       }];
     }
     
+    // Roll up alarms from every device in a building, area or zone
+    if (siteNodeId) {
+      if (!mongoose.Types.ObjectId.isValid(siteNodeId)) {
+        return res.status(400).json({ message: 'Invalid siteNodeId', alarms: [] });
+      }
+      const nodeDevices = await getSubtreeDevices(siteNodeId);
+      query.$and = [...(query.$and || []), { DeviceName: { $in: nodeDevices.map(device => device.deviceName) } }];
+    }
+    
+    // Only alarms from the devices a saved filter preset matches
+    if (presetId) {
+      const { error, status, query: deviceQuery } = await deviceQueryFromParams({ presetId }, req.user);
+      if (error) {
+        return res.status(status).json({ message: error, alarms: [] });
+      }
+      const presetDevices = await Device.find(deviceQuery).select('deviceName').lean();
+      const deviceNames = presetDevices.map(device => device.deviceName);
+      query.$and = [...(query.$and || []), {
+        $or: [
+          { DeviceName: { $in: deviceNames } },
+          { deviceName: { $in: deviceNames } }
+        ]
+      }];
+    }
+    
+    // Never return alarms outside the user's plants, whatever plant name was requested
+    const scopedQuery = await scopeAlarmQuery(req.user, query);
+    
     // Count matching alarms for this query
-    const matchCount = await alarmsCollection.countDocuments(query);
+    const matchCount = await alarmsCollection.countDocuments(scopedQuery);
     console.log(`📊 Found ${matchCount} alarms matching query: ${JSON.stringify(query)}`);
     
     // Fetch alarms with direct MongoDB query
-    const alarms = await alarmsCollection.find(query)
+    const alarms = await alarmsCollection.find(scopedQuery)
       .sort({ CreatedTimestamp: -1 })
       .limit(100) // Limit to most recent 100 for performance
       .toArray();
@@ -314,12 +374,12 @@ exports.getUnreadAlarmsCount = async (req, res) => {
     const alarmsCollection = telemetryDB.collection('alarms');
     
     // Count unread alarms
-    const count = await alarmsCollection.countDocuments({ IsRead: false });
+    const count = await alarmsCollection.countDocuments(await scopeAlarmQuery(req.user, { IsRead: false }));
     console.log(`✅ Found ${count} unread alarms`);
     
     // If no unread alarms found via IsRead, try isRead (lowercase) as well
     if (count === 0) {
-      const lowercaseCount = await alarmsCollection.countDocuments({ isRead: false });
+      const lowercaseCount = await alarmsCollection.countDocuments(await scopeAlarmQuery(req.user, { isRead: false }));
       console.log(`🔍 Checked with lowercase field name: found ${lowercaseCount} unread alarms`);
       
       if (lowercaseCount > 0) {
@@ -367,7 +427,7 @@ exports.markAlarmAsRead = async (req, res) => {
     }
     
     // Create a query that will match either an ObjectId or a string ID
-    const query = objectId ? { _id: objectId } : { _id: alarmId };
+    const query = await scopeAlarmQuery(req.user, objectId ? { _id: objectId } : { _id: alarmId });
     
     // First attempt with IsRead (uppercase)
     const result = await alarmsCollection.updateOne(
@@ -380,8 +440,9 @@ exports.markAlarmAsRead = async (req, res) => {
       console.log('🔍 Alarm not found with primary ID, trying alternative approaches...');
       
       // Try querying by AlarmId field
+      const altQuery = await scopeAlarmQuery(req.user, { AlarmId: alarmId });
       const altResult = await alarmsCollection.updateOne(
-        { AlarmId: alarmId },
+        altQuery,
         { $set: { IsRead: true, isRead: true } } // Update both field variants
       );
       
@@ -390,7 +451,7 @@ exports.markAlarmAsRead = async (req, res) => {
       }
       
       // Find and return the updated alarm
-      const updatedAlarmDoc = await alarmsCollection.findOne({ AlarmId: alarmId });
+      const updatedAlarmDoc = await alarmsCollection.findOne(altQuery);
       if (updatedAlarmDoc) {
         console.log(`✅ Successfully marked alarm as read (via AlarmId)`);
         const normalizedAlarm = normalizeAlarmObject(updatedAlarmDoc);
@@ -431,12 +492,12 @@ exports.markAllAlarmsAsRead = async (req, res) => {
     const alarmsCollection = telemetryDB.collection('alarms');
     
     // Get a count of unread alarms before the update
-    const unreadCount = await alarmsCollection.countDocuments({ IsRead: false });
+    const unreadCount = await alarmsCollection.countDocuments(await scopeAlarmQuery(req.user, { IsRead: false }));
     console.log(`📄 Found ${unreadCount} unread alarms to mark as read`);
     
     // Mark all alarms as read - try both casing versions for maximum compatibility
     const result = await alarmsCollection.updateMany(
-      { $or: [{ IsRead: false }, { isRead: false }] },
+      await scopeAlarmQuery(req.user, { $or: [{ IsRead: false }, { isRead: false }] }),
       { $set: { IsRead: true, isRead: true } } // Update both field variants
     );
     
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/apiKeyModel');
+const Plant = require('../models/plant');
+const { API_KEY_SCOPES } = require('../config/roles');
+const { createApiKey, revokeApiKey } = require('../services/apiKeyService');
+const { recordAudit } = require('../services/auditService');
+
+// List API keys (never includes the key hash)
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .select('-keyHash')
+      .populate('plants', 'plantName')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(apiKeys);
+  } catch (err) {
+    console.error('Get API Keys Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching API keys' });
+  }
+};
+
+// Scopes a key can be given
+exports.getApiKeyScopes = (req, res) => {
+  res.json(API_KEY_SCOPES);
+};
+
+// Create an API key - the plain key is only in this response
+exports.createApiKey = async (req, res) => {
+  const { name, scopes, plants = [], expiresAt } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ message: 'Name and at least one scope are required' });
+  }
+  const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    return res.status(400).json({ message: `Unknown scopes: ${invalidScopes.join(', ')}` });
+  }
+  if (!Array.isArray(plants) || plants.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({ message: 'plants must be an array of plant IDs' });
+  }
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return res.status(400).json({ message: 'expiresAt must be a valid date' });
+  }
+
+  try {
+    const plantCount = await Plant.countDocuments({ _id: { $in: plants } });
+    if (plantCount !== new Set(plants.map(String)).size) {
+      return res.status(400).json({ message: 'One or more plants do not exist' });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes,
+      plants,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    }, req.user.userId);
+
+    await recordAudit(req, {
+      action: 'apikey.create',
+      targetType: 'apikey',
+      targetId: apiKey._id,
+      targetName: apiKey.name,
+      after: { name: apiKey.name, scopes: apiKey.scopes, plants: apiKey.plants, expiresAt: apiKey.expiresAt }
+    });
+
+    const created = apiKey.toObject();
+    delete created.keyHash;
+    res.status(201).json({ ...created, key });
+  } catch (err) {
+    console.error('Create API Key Error:', err.message);
+    res.status(500).json({ message: 'Server error while creating API key' });
+  }
+};
+
+// Revoke an API key - it stops working immediately
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id, req.user.userId);
+    if (!apiKey) return res.status(404).json({ message: 'API key not found or already revoked' });
+
+    await recordAudit(req, {
+      action: 'apikey.revoke',
+      targetType: 'apikey',
+      targetId: apiKey._id,
+      targetName: apiKey.name,
+      after: { revokedAt: apiKey.revokedAt }
+    });
+
+    res.json({ message: `API key "${apiKey.name}" revoked` });
+  } catch (err) {
+    console.error('Revoke API Key Error:', err.message);
+    res.status(500).json({ message: 'Server error while revoking API key' });
+  }
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+const { getPlantScope, canAccessPlant, resolveDevice } = require('../middleware/accessMiddleware');
+
+// Query the audit log with optional filters and pagination
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { plantId, deviceId, userId, action, targetType, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const query = {};
+
+    if (plantId) {
+      if (!canAccessPlant(req.user, plantId)) {
+        return res.status(403).json({ message: 'You do not have access to this plant' });
+      }
+      query.plantId = plantId;
+    } else {
+      // Non-admins only see entries for their own plants
+      const scope = getPlantScope(req.user);
+      if (scope !== null) query.plantId = { $in: scope };
+    }
+
+    if (deviceId) {
+      // Accept a device _id or name; entries for deleted devices still match by name
+      const device = await resolveDevice(deviceId);
+      query.$or = device
+        ? [{ deviceId: device._id }, { deviceName: device.deviceName }]
+        : [{ deviceName: deviceId }];
+    }
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+      query['actor.userId'] = userId;
+    }
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({ entries, total, page, limit });
+  } catch (err) {
+    console.error('Get Audit Logs Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching audit log' });
+  }
+};
@@ -1,17 +1,34 @@
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
- 
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      userId: user._id,
-      email: user.email,
-      name: user.name
-    }, 
-    process.env.JWT_SECRET, 
-    { expiresIn: '30d' }
-  );
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/sessionService');
+const {
+  hashOneTimeToken,
+  issueVerificationEmail,
+  issuePasswordReset
+} = require('../services/accountService');
+const { createChallengeToken } = require('../services/twoFactorService');
+const { isTwoFactorRequiredFor } = require('../services/settingsService');
+const {
+  checkLoginAllowed,
+  describeThrottle,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../services/loginThrottleService');
+const { recordAudit } = require('../services/auditService');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+ 
+// Close live sockets that belong to revoked sessions
+const disconnectSockets = (req, room) => {
+  const io = req.app.get('io');
+  if (io) io.in(room).disconnectSockets(true);
 };
  
 // Register Controller
@@ -27,17 +44,29 @@ exports.registerUser = async (req, res) => {
     if (existingUser) return res.status(400).json({ message: 'User already exists' });
  
     const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, email, password: hashedPassword });
+    // Self-registered accounts always start with the default role; admins come from ADMIN_EMAIL or npm run promote-admin
+    const user = await User.create({
+      name,
+      email,
+      password: hashedPassword,
+      emailVerified: false
+    });
  
-    const token = generateToken(user);
+    // The account can't sign in until the emailed link is opened
+    try {
+      await issueVerificationEmail(user);
+    } catch (mailErr) {
+      console.error('Verification email error:', mailErr.message);
+    }
  
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
+      message: 'User registered successfully. Check your email to verify your account.',
       user: {
         _id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        plants: user.plants
       }
     });
   } catch (err) {
@@ -55,25 +84,273 @@ exports.loginUser = async (req, res) => {
   }
  
   try {
+    const throttle = await checkLoginAllowed(req.ip, email);
+    if (!throttle.allowed) {
+      return res.set('Retry-After', String(throttle.retryAfter)).status(429).json(describeThrottle(throttle));
+    }
+    if (throttle.delayMs > 0) await sleep(throttle.delayMs);
+ 
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ message: 'Invalid email or password' });
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isMatch) {
+      const { locked } = await recordFailedLogin(req.ip, email, { accountExists: !!user });
+      if (locked && user) {
+        await recordAudit(req, {
+          action: 'user.lock',
+          targetType: 'user',
+          targetId: user._id,
+          targetName: user.email
+        });
+      }
+      return res.status(400).json({ message: 'Invalid email or password' });
+    }
+    await clearFailedLogins(email);
+ 
+    if (user.isActive === false) {
+      return res.status(403).json({ message: 'This account has been deactivated', code: 'ACCOUNT_DEACTIVATED' });
+    }
  
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: 'Invalid email or password' });
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        message: 'A password reset is required. Use the link sent to your email or request a new one.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
  
-    const token = generateToken(user);
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+ 
+    // Enrolled users finish logging in at /login/2fa with a code from their authenticator app
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user, 'login')
+      });
+    }
+ 
+    // Roles that must use 2FA have to enroll before they get a session
+    if (await isTwoFactorRequiredFor(user.role)) {
+      return res.status(200).json({
+        message: 'Two-factor authentication must be set up before you can log in',
+        twoFactorSetupRequired: true,
+        challengeToken: createChallengeToken(user, 'setup')
+      });
+    }
+ 
+    const { token, refreshToken } = await createSession(user, req);
  
     res.status(200).json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         _id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        plants: user.plants
       }
     });
   } catch (err) {
     console.error('Login Error:', err.message);
     res.status(500).json({ message: 'Server error during login' });
   }
-};
\ No newline at end of file
+};
+ 
+// Refresh Controller - exchanges a refresh token for a new token pair
+exports.refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+ 
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+ 
+  try {
+    const tokens = await rotateRefreshToken(refreshToken, (userId) => User.findOne({ _id: userId, isActive: { $ne: false } }));
+    if (!tokens) return res.status(401).json({ message: 'Invalid or expired refresh token' });
+ 
+    res.status(200).json(tokens);
+  } catch (err) {
+    console.error('Refresh Error:', err.message);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+};
+ 
+// Logout Controller - ends the current session
+exports.logoutUser = async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.sid, 'logout');
+      disconnectSockets(req, `session:${req.user.sid}`);
+    }
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout Error:', err.message);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+ 
+// Logout All Controller - ends every session of the current user
+exports.logoutAllSessions = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.userId, 'logout all');
+    disconnectSockets(req, `user:${req.user.userId}`);
+    res.status(200).json({ message: 'Signed out of all sessions', count });
+  } catch (err) {
+    console.error('Logout All Error:', err.message);
+    res.status(500).json({ message: 'Server error while signing out sessions' });
+  }
+};
+ 
+// List sessions - own sessions, or any user's sessions for admins (?userId=)
+exports.getSessions = async (req, res) => {
+  try {
+    if (!req.user.userId) {
+      return res.status(403).json({ message: 'Only user accounts have sessions' });
+    }
+    const userId = req.query.userId || req.user.userId;
+    if (userId.toString() !== req.user.userId.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You do not have permission to view these sessions' });
+    }
+
+    const sessions = await listSessions(userId);
+    res.status(200).json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === String(req.user.sid)
+    })));
+  } catch (err) {
+    console.error('Get Sessions Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+};
+ 
+// Revoke a session - users may revoke their own, admins may revoke anyone's
+exports.revokeSessionById = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId);
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+ 
+    if (session.userId.toString() !== req.user.userId.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You do not have permission to revoke this session' });
+    }
+ 
+    const reason = req.user.role === 'admin' && session.userId.toString() !== req.user.userId.toString()
+      ? 'revoked by admin'
+      : 'revoked by user';
+    await revokeSession(session._id, reason);
+    disconnectSockets(req, `session:${session._id}`);
+    res.status(200).json({ message: 'Session revoked' });
+  } catch (err) {
+    console.error('Revoke Session Error:', err.message);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+};
+ 
+// Verify Email Controller - confirms the address with the token from the verification link
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.body;
+ 
+  if (!token) {
+    return res.status(400).json({ message: 'Verification token is required' });
+  }
+ 
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashOneTimeToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+    if (!user) return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+ 
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+ 
+    res.status(200).json({ message: 'Email verified successfully. You can now log in.' });
+  } catch (err) {
+    console.error('Verify Email Error:', err.message);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+};
+ 
+// Resend Verification Controller - the response never reveals whether the account exists
+exports.resendVerification = async (req, res) => {
+  const { email } = req.body;
+ 
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+ 
+  try {
+    const user = await User.findOne({ email });
+    if (user && user.emailVerified === false) {
+      await issueVerificationEmail(user);
+    }
+    res.status(200).json({ message: 'If that account is awaiting verification, a new link has been sent.' });
+  } catch (err) {
+    console.error('Resend Verification Error:', err.message);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+};
+ 
+// Forgot Password Controller - mails a time-limited reset link
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+ 
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+ 
+  try {
+    const user = await User.findOne({ email });
+    if (user) {
+      await issuePasswordReset(user);
+    }
+    res.status(200).json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (err) {
+    console.error('Forgot Password Error:', err.message);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+};
+ 
+// Reset Password Controller - sets a new password and signs out every existing session
+exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+ 
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Token and new password are required' });
+  }
+ 
+  try {
+    const user = await User.findOne({
+      passwordResetTokenHash: hashOneTimeToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+ 
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    // Receiving the reset email proves ownership of the address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerificationTokenHash = undefined;
+      user.emailVerificationExpires = undefined;
+    }
+    await user.save();
+ 
+    await revokeAllSessions(user._id, 'password reset');
+    disconnectSockets(req, `user:${user._id}`);
+ 
+    res.status(200).json({ message: 'Password has been reset. You can now log in.' });
+  } catch (err) {
+    console.error('Reset Password Error:', err.message);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+};
@@ -1,9 +1,27 @@
 const getNotificationModel = require('../models/notificationModel');
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
+const { getPlantScope, getAccessiblePlantNames } = require('../middleware/accessMiddleware');
 
 console.log("🔄 Notification controller initialized");
 
+// Restrict a notification query to the user's plants. Notifications that are
+// not tied to any plant (system-wide messages) stay visible to everyone.
+const scopeNotificationQuery = async (user, query = {}) => {
+  const plantIds = getPlantScope(user);
+  if (plantIds === null) return query;
+  const plantNames = await getAccessiblePlantNames(user);
+
+  const plantFilter = {
+    $or: [
+      { PlantId: { $in: plantIds } },
+      { PlantName: { $in: plantNames } },
+      { PlantId: { $in: [null, ''] }, PlantName: { $in: [null, ''] }, Audience: { $ne: 'admin' } }
+    ]
+  };
+  return Object.keys(query).length > 0 ? { $and: [query, plantFilter] } : plantFilter;
+};
+
 // Get all notifications
 exports.getAllNotifications = async (req, res) => {
   try {
@@ -30,13 +48,14 @@ exports.getAllNotifications = async (req, res) => {
     if (type) query.Type = type;
     if (deviceId) query.DeviceId = deviceId;
     if (plantId) query.PlantId = plantId;
+    const scopedQuery = await scopeNotificationQuery(req.user, query);
     
     // Count total notifications for logging
-    const totalCount = await notificationsCollection.countDocuments(query);
+    const totalCount = await notificationsCollection.countDocuments(scopedQuery);
     console.log(`📊 Total matching notifications in MongoDB: ${totalCount}`);
     
     // Fetch notifications with direct MongoDB query
-    const notifications = await notificationsCollection.find(query)
+    const notifications = await notificationsCollection.find(scopedQuery)
       .sort({ CreatedTimestamp: -1 })
       .limit(100) // Limit to most recent 100 for performance
       .toArray();
@@ -86,9 +105,9 @@ exports.getNotificationsByDevice = async (req, res) => {
     
     const notificationsCollection = telemetryDB.collection('notifications');
     
-    const notifications = await notificationsCollection.find({
-      DeviceId: deviceId
-    })
+    const notifications = await notificationsCollection.find(
+      await scopeNotificationQuery(req.user, { DeviceId: deviceId })
+    )
     .sort({ CreatedTimestamp: -1 })
     .limit(100)
     .toArray();
@@ -124,7 +143,7 @@ exports.getUnreadNotificationsCount = async (req, res) => {
     const query = { IsRead: false }; // Base condition: unread notifications
     if (type) query.Type = type;
     
-    const count = await notificationsCollection.countDocuments(query);
+    const count = await notificationsCollection.countDocuments(await scopeNotificationQuery(req.user, query));
     
     console.log(`✅ Successfully fetched unread notifications count: ${count}`);
     res.status(200).json({ count });
@@ -160,7 +179,7 @@ exports.markNotificationAsRead = async (req, res) => {
     }
     
     // Create a query that will match either an ObjectId or a string ID
-    const query = objectId ? { _id: objectId } : { _id: notificationId };
+    const query = await scopeNotificationQuery(req.user, objectId ? { _id: objectId } : { _id: notificationId });
     
     // First attempt with IsRead (uppercase)
     const result = await notificationsCollection.updateOne(
@@ -173,8 +192,9 @@ exports.markNotificationAsRead = async (req, res) => {
       console.log('🔍 Notification not found with primary ID, trying alternative approaches...');
       
       // Try querying by NotificationId field
+      const altQuery = await scopeNotificationQuery(req.user, { NotificationId: notificationId });
       const altResult = await notificationsCollection.updateOne(
-        { NotificationId: notificationId },
+        altQuery,
         { $set: { IsRead: true, isRead: true } } // Update both field variants
       );
       
@@ -183,7 +203,7 @@ exports.markNotificationAsRead = async (req, res) => {
       }
       
       // Find and return the updated notification
-      const updatedNotificationDoc = await notificationsCollection.findOne({ NotificationId: notificationId });
+      const updatedNotificationDoc = await notificationsCollection.findOne(altQuery);
       if (updatedNotificationDoc) {
         console.log(`✅ Successfully marked notification as read (via NotificationId)`);
         const normalizedNotification = normalizeNotificationObject(updatedNotificationDoc);
@@ -225,8 +245,9 @@ exports.markAllNotificationsAsRead = async (req, res) => {
     const notificationsCollection = telemetryDB.collection('notifications');
     
     // Build the query based on provided filters
-    const query = { $or: [{ IsRead: false }, { isRead: false }] };
-    if (type) query.Type = type;
+    const unreadQuery = { $or: [{ IsRead: false }, { isRead: false }] };
+    if (type) unreadQuery.Type = type;
+    const query = await scopeNotificationQuery(req.user, unreadQuery);
     
     // Get a count of unread notifications before the update
     const unreadCount = await notificationsCollection.countDocuments(query);
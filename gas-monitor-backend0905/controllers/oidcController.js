@@ -0,0 +1,204 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const { createSession } = require('../services/sessionService');
+const { isTwoFactorRequiredFor } = require('../services/settingsService');
+const { recordAudit } = require('../services/auditService');
+const {
+  isOidcEnabled,
+  getPublicConfig,
+  mapGroupsToRole,
+  roleForNewUser,
+  roleForExistingUser,
+  createAuthorizationUrl,
+  consumeAuthorizationState,
+  completeAuthorization,
+  createLoginCode,
+  redeemLoginCode,
+  frontendCallbackUrl,
+  frontendErrorUrl
+} = require('../services/oidcService');
+
+// Ties the IdP callback to the browser that started the login
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+};
+
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';').map(part => part.trim().split('='));
+  const match = cookies.find(([key]) => key === name);
+  return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+};
+
+// Find the user linked to this IdP account, or a local account with the same email
+const findOrCreateSsoUser = async (identity) => {
+  const mappedRole = mapGroupsToRole(identity.groups);
+
+  let user = await User.findOne({ oidcIssuer: identity.issuer, oidcSubject: identity.subject });
+  if (!user) {
+    // An unverified address could belong to someone else, so it may neither claim nor create an account
+    if (!identity.emailVerified) {
+      return { error: 'Your identity provider did not share a verified email address' };
+    }
+    user = await User.findOne({ email: identity.email });
+  }
+
+  if (!user) {
+    const role = roleForNewUser(mappedRole);
+    if (!role) return { error: 'Your account is not in a group that has access to this application' };
+
+    // SSO users never sign in with a password; this one is random and unknown
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    user = await User.create({
+      name: identity.name,
+      email: identity.email,
+      password,
+      role,
+      emailVerified: true,
+      authProvider: 'oidc',
+      oidcIssuer: identity.issuer,
+      oidcSubject: identity.subject
+    });
+    console.log(`👤 Created SSO user ${user.email} with role ${role}`);
+    return { user, created: true };
+  }
+
+  if (user.isActive === false) {
+    return { error: 'This account has been deactivated' };
+  }
+
+  if (user.oidcSubject && (user.oidcSubject !== identity.subject || user.oidcIssuer !== identity.issuer)) {
+    return { error: 'This email address is already linked to a different sign-on account' };
+  }
+
+  // The IdP is the source of truth for roles once its groups are mapped
+  const role = roleForExistingUser(mappedRole, user.role);
+  if (!role) return { error: 'Your account is not in a group that has access to this application' };
+
+  const before = { role: user.role };
+  if (!user.oidcSubject) {
+    user.oidcIssuer = identity.issuer;
+    user.oidcSubject = identity.subject;
+  }
+  user.role = role;
+  await user.save();
+
+  return { user, roleChange: before.role !== user.role ? before : null };
+};
+
+// Whether the login button should be shown
+exports.getOidcConfig = (req, res) => {
+  res.json(getPublicConfig());
+};
+
+// Redirect the browser to the identity provider
+exports.startOidcLogin = async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ message: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, state } = await createAuthorizationUrl();
+    res.cookie(STATE_COOKIE, state, { ...STATE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
+  } catch (err) {
+    console.error('OIDC Start Error:', err.message);
+    res.redirect(frontendErrorUrl('Single sign-on is unavailable right now'));
+  }
+};
+
+// The identity provider redirects back here with an authorization code
+exports.oidcCallback = async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  if (error) {
+    return res.redirect(frontendErrorUrl(errorDescription || 'Sign-in was cancelled at the identity provider'));
+  }
+
+  try {
+    if (!code || !state || readCookie(req, STATE_COOKIE) !== state) {
+      return res.redirect(frontendErrorUrl('Sign-in request did not match, please try again'));
+    }
+    const loginState = await consumeAuthorizationState(state);
+    if (!loginState) {
+      return res.redirect(frontendErrorUrl('Sign-in request has expired, please try again'));
+    }
+
+    const identity = await completeAuthorization(code, loginState);
+    if (!identity.email) {
+      return res.redirect(frontendErrorUrl('Your identity provider did not share an email address'));
+    }
+
+    const { user, created, roleChange, error: loginError } = await findOrCreateSsoUser(identity);
+    if (loginError) {
+      console.warn(`⛔ SSO login refused for ${identity.email}: ${loginError}`);
+      return res.redirect(frontendErrorUrl(loginError));
+    }
+
+    // The user is authenticated from here on, so audit entries name them as the actor
+    req.user = { userId: user._id, email: user.email, name: user.name, role: user.role };
+    if (created) {
+      await recordAudit(req, {
+        action: 'user.create',
+        targetType: 'user',
+        targetId: user._id,
+        targetName: user.email,
+        after: { name: user.name, email: user.email, role: user.role, authProvider: 'oidc', groups: identity.groups }
+      });
+    } else if (roleChange) {
+      await recordAudit(req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: user._id,
+        targetName: user.email,
+        before: roleChange,
+        after: { role: user.role, groups: identity.groups }
+      });
+    }
+    await recordAudit(req, {
+      action: 'user.sso_login',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email
+    });
+
+    // Second factors are the identity provider's job for SSO logins, and only count when it reports one
+    if (!identity.twoFactor && await isTwoFactorRequiredFor(user.role)) {
+      console.warn(`⛔ SSO login refused for ${identity.email}: no second factor reported by the IdP`);
+      return res.redirect(frontendErrorUrl('Your role requires two-factor authentication. Sign in to your identity provider with a second factor.'));
+    }
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: identity.twoFactor });
+    const loginCode = await createLoginCode({
+      token,
+      refreshToken,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        plants: user.plants
+      }
+    });
+    res.redirect(frontendCallbackUrl(loginCode));
+  } catch (err) {
+    console.error('OIDC Callback Error:', err.response?.data || err.message);
+    res.redirect(frontendErrorUrl('Single sign-on failed, please try again'));
+  }
+};
+
+// The frontend swaps the one-time code from the callback URL for its tokens
+exports.exchangeOidcLoginCode = async (req, res) => {
+  try {
+    const result = await redeemLoginCode(req.body.code);
+    if (!result) return res.status(400).json({ message: 'Sign-in code is invalid or has expired' });
+    res.status(200).json({ message: 'Login successful', ...result });
+  } catch (err) {
+    console.error('OIDC Exchange Error:', err.message);
+    res.status(500).json({ message: 'Server error during single sign-on' });
+  }
+};
@@ -0,0 +1,81 @@
+const { EDITABLE_SETTINGS, getSettings, updateSettings } = require('../services/settingsService');
+const { recordAudit } = require('../services/auditService');
+
+const snapshotSettings = (settings) => EDITABLE_SETTINGS.reduce((snapshot, field) => {
+  snapshot[field] = settings[field];
+  return snapshot;
+}, {});
+
+// Checklist items need a label; keys are derived from it when missing and must be unique.
+// Returns the cleaned checklist, or an error message.
+const normalizeChecklist = (checklist) => {
+  if (!Array.isArray(checklist)) return { error: 'commissioningChecklist must be a list' };
+  const items = [];
+  for (const item of checklist) {
+    const label = typeof item?.label === 'string' ? item.label.trim() : '';
+    if (!label) return { error: 'Every checklist item needs a label' };
+    const key = (item.key || label).toString().trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (items.some(existing => existing.key === key)) return { error: `Checklist item "${label}" appears twice` };
+    items.push({ key, label, required: item.required !== false });
+  }
+  return { items };
+};
+
+// Get installation-wide settings
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await getSettings();
+    res.json(settings);
+  } catch (err) {
+    console.error('Get Settings Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching settings' });
+  }
+};
+
+// Update installation-wide settings
+exports.updateSettings = async (req, res) => {
+  if (req.body.twoFactorRequired !== undefined && typeof req.body.twoFactorRequired !== 'boolean') {
+    return res.status(400).json({ message: 'twoFactorRequired must be true or false' });
+  }
+  const { archiveRetentionDays } = req.body;
+  if (archiveRetentionDays !== undefined && (!Number.isInteger(archiveRetentionDays) || archiveRetentionDays < 1)) {
+    return res.status(400).json({ message: 'archiveRetentionDays must be a whole number of at least 1' });
+  }
+  for (const field of ['heartbeatStaleMinutes', 'heartbeatOfflineMinutes', 'calibrationDueSoonDays']) {
+    if (req.body[field] !== undefined && (!Number.isInteger(req.body[field]) || req.body[field] < 1)) {
+      return res.status(400).json({ message: `${field} must be a whole number of at least 1` });
+    }
+  }
+
+  if (req.body.commissioningChecklist !== undefined) {
+    const { error, items } = normalizeChecklist(req.body.commissioningChecklist);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    req.body.commissioningChecklist = items;
+  }
+
+  try {
+    const before = await getSettings();
+    const staleMinutes = req.body.heartbeatStaleMinutes ?? before.heartbeatStaleMinutes;
+    const offlineMinutes = req.body.heartbeatOfflineMinutes ?? before.heartbeatOfflineMinutes;
+    if (offlineMinutes <= staleMinutes) {
+      return res.status(400).json({ message: 'heartbeatOfflineMinutes must be greater than heartbeatStaleMinutes' });
+    }
+    const settings = await updateSettings(req.body, req.user.userId);
+
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'setting',
+      targetId: settings._id,
+      targetName: settings.key,
+      before: snapshotSettings(before),
+      after: snapshotSettings(settings)
+    });
+
+    res.json(settings);
+  } catch (err) {
+    console.error('Update Settings Error:', err.message);
+    res.status(500).json({ message: 'Server error while updating settings' });
+  }
+};
@@ -0,0 +1,223 @@
+const User = require('../models/userModel');
+const { createSession, markSessionTwoFactorVerified } = require('../services/sessionService');
+const { isTwoFactorRequiredFor } = require('../services/settingsService');
+const { recordAudit } = require('../services/auditService');
+const {
+  createEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  verifyChallengeToken
+} = require('../services/twoFactorService');
+const {
+  checkLoginAllowed,
+  describeThrottle,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../services/loginThrottleService');
+
+// Login step 2 - exchanges the challenge token and a TOTP or recovery code for a session
+exports.loginWithTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Challenge token and an authentication code are required' });
+  }
+
+  try {
+    const challenge = verifyChallengeToken(challengeToken, 'login');
+    if (!challenge) return res.status(401).json({ message: 'Login attempt has expired, please log in again' });
+
+    const user = await User.findById(challenge.userId);
+    if (!user || user.isActive === false || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Login attempt is no longer valid, please log in again' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttle = await checkLoginAllowed(req.ip, user.email);
+    if (!throttle.allowed) {
+      return res.set('Retry-After', String(throttle.retryAfter)).status(429).json(describeThrottle(throttle));
+    }
+
+    const { valid } = await verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) {
+      const { locked } = await recordFailedLogin(req.ip, user.email);
+      if (locked) {
+        await recordAudit(req, {
+          action: 'user.lock',
+          targetType: 'user',
+          targetId: user._id,
+          targetName: user.email
+        });
+      }
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await clearFailedLogins(user.email);
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+
+    res.status(200).json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.recoveryCodeHashes.length,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        plants: user.plants
+      }
+    });
+  } catch (err) {
+    console.error('2FA Login Error:', err.message);
+    res.status(500).json({ message: 'Server error during two-factor login' });
+  }
+};
+
+// 2FA status for the current user
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({
+      enabled: Boolean(user.twoFactorEnabled),
+      required: await isTwoFactorRequiredFor(user.role),
+      recoveryCodesRemaining: (user.recoveryCodeHashes || []).length
+    });
+  } catch (err) {
+    console.error('2FA Status Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching two-factor status' });
+  }
+};
+
+// Start enrollment - returns the secret and a QR code for an authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await createEnrollment(user);
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error('2FA Setup Error:', err.message);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+};
+
+// Finish enrollment - confirms the first code and returns recovery codes (shown only once)
+exports.enableTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Authentication code is required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || user.isActive === false) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    if (!(await verifyTotp(user, code, { pending: true }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.recoveryCodeHashes = hashes;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.2fa_enable',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email,
+      after: { twoFactorEnabled: true }
+    });
+
+    // Users enrolling from the login screen get their session now
+    if (req.viaChallenge) {
+      const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+      return res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes, token, refreshToken });
+    }
+
+    // The code just entered proves the second factor for the current session too
+    if (req.user.sid) await markSessionTwoFactorVerified(req.user.sid);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+  } catch (err) {
+    console.error('2FA Enable Error:', err.message);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+};
+
+// Turn 2FA off - needs a valid code, and is refused when the user's role requires 2FA
+exports.disableTwoFactor = async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorRequiredFor(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode })).valid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.recoveryCodeHashes = [];
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.2fa_disable',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email,
+      after: { twoFactorEnabled: false }
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA Disable Error:', err.message);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+};
+
+// Replace all recovery codes - needs a current TOTP code
+exports.regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await verifyTotp(user, code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.recoveryCodeHashes = hashes;
+    await user.save();
+
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error('Recovery Codes Error:', err.message);
+    res.status(500).json({ message: 'Server error while generating recovery codes' });
+  }
+};
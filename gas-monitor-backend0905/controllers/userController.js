@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const Plant = require('../models/plant');
+const { ROLES } = require('../config/roles');
+const { revokeAllSessions } = require('../services/sessionService');
+const { issuePasswordReset } = require('../services/accountService');
+const { recordAudit } = require('../services/auditService');
+const { getLockedUntil, unlockAccount } = require('../services/loginThrottleService');
+
+// Fields that never leave the server
+const PRIVATE_FIELDS = '-password -emailVerificationTokenHash -passwordResetTokenHash -twoFactorSecret -twoFactorPendingSecret -recoveryCodeHashes';
+
+// Drop the user's live sockets; clients reconnect and rejoin rooms for their new scope
+const disconnectUserSockets = (req, userId) => {
+  const io = req.app.get('io');
+  if (io) io.in(`user:${userId}`).disconnectSockets(true);
+};
+
+const isSelf = (req, userId) => req.user.userId.toString() === userId.toString();
+
+// Validate plant IDs and make sure every plant exists
+const validatePlants = async (plants) => {
+  if (!Array.isArray(plants)) return 'plants must be an array of plant IDs';
+  if (plants.some(id => !mongoose.Types.ObjectId.isValid(id))) return 'plants contains an invalid plant ID';
+  const count = await Plant.countDocuments({ _id: { $in: plants } });
+  if (count !== new Set(plants.map(String)).size) return 'One or more plants do not exist';
+  return null;
+};
+
+// List users
+exports.getUsers = async (req, res) => {
+  try {
+    const { role, isActive, search } = req.query;
+    const query = {};
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true' ? { $ne: false } : false;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(query)
+      .select(PRIVATE_FIELDS)
+      .populate('plants', 'plantName')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    // Lockouts live in Redis, not on the user document
+    const lockedUntil = await Promise.all(users.map(user => getLockedUntil(user.email)));
+    res.json(users.map((user, i) => ({ ...user, lockedUntil: lockedUntil[i] })));
+  } catch (err) {
+    console.error('Get Users Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+};
+
+// Get a single user
+exports.getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select(PRIVATE_FIELDS)
+      .populate('plants', 'plantName');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    console.error('Get User Error:', err.message);
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+};
+
+// Create a user - the new user sets their own password from the emailed reset link
+exports.createUser = async (req, res) => {
+  const { name, email, role, plants = [] } = req.body;
+
+  if (!name || !email) {
+    return res.status(400).json({ message: 'Name and email are required' });
+  }
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const plantError = await validatePlants(plants);
+    if (plantError) return res.status(400).json({ message: plantError });
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) return res.status(400).json({ message: 'User already exists' });
+
+    // Random password nobody knows; it is replaced through the reset link
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role,
+      plants,
+      passwordResetRequired: true
+    });
+
+    try {
+      await issuePasswordReset(user);
+    } catch (mailErr) {
+      console.error('Invitation email error:', mailErr.message);
+    }
+
+    const created = await User.findById(user._id).select(PRIVATE_FIELDS).populate('plants', 'plantName');
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email,
+      after: { name: user.name, email: user.email, role: user.role, plants: user.plants }
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('Create User Error:', err.message);
+    res.status(500).json({ message: 'Server error while creating user' });
+  }
+};
+
+// Update name, role and plant assignments
+exports.updateUser = async (req, res) => {
+  const { name, role, plants } = req.body;
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (role !== undefined && isSelf(req, req.params.id) && role !== 'admin') {
+    return res.status(400).json({ message: 'You cannot remove your own admin role' });
+  }
+
+  try {
+    if (plants !== undefined) {
+      const plantError = await validatePlants(plants);
+      if (plantError) return res.status(400).json({ message: plantError });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const before = { name: user.name, role: user.role, plants: user.plants.map(String) };
+    const scopeChanged = (role !== undefined && role !== user.role) ||
+      (plants !== undefined && plants.map(String).sort().join() !== user.plants.map(String).sort().join());
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (plants !== undefined) user.plants = plants;
+    await user.save();
+
+    if (scopeChanged) disconnectUserSockets(req, user._id);
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email,
+      before,
+      after: { name: user.name, role: user.role, plants: user.plants.map(String) }
+    });
+
+    const updated = await User.findById(user._id).select(PRIVATE_FIELDS).populate('plants', 'plantName');
+    res.json(updated);
+  } catch (err) {
+    console.error('Update User Error:', err.message);
+    res.status(500).json({ message: 'Server error while updating user' });
+  }
+};
+
+// Deactivate a user and end all of their sessions
+exports.deactivateUser = async (req, res) => {
+  if (isSelf(req, req.params.id)) {
+    return res.status(400).json({ message: 'You cannot deactivate your own account' });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true })
+      .select(PRIVATE_FIELDS);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    await revokeAllSessions(user._id, 'account deactivated');
+    disconnectUserSockets(req, user._id);
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email,
+      after: { isActive: false }
+    });
+    res.json(user);
+  } catch (err) {
+    console.error('Deactivate User Error:', err.message);
+    res.status(500).json({ message: 'Server error while deactivating user' });
+  }
+};
+
+// Reactivate a user
+exports.reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { isActive: true }, { new: true })
+      .select(PRIVATE_FIELDS);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email,
+      after: { isActive: true }
+    });
+    res.json(user);
+  } catch (err) {
+    console.error('Reactivate User Error:', err.message);
+    res.status(500).json({ message: 'Server error while reactivating user' });
+  }
+};
+
+// Force a password reset - signs the user out and blocks login until they set a new password
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    user.passwordResetRequired = true;
+    await issuePasswordReset(user);
+
+    await revokeAllSessions(user._id, 'password reset forced by admin');
+    disconnectUserSockets(req, user._id);
+    await recordAudit(req, {
+      action: 'user.force_password_reset',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email
+    });
+    res.json({ message: `Password reset link sent to ${user.email}` });
+  } catch (err) {
+    console.error('Force Password Reset Error:', err.message);
+    res.status(500).json({ message: 'Server error while forcing password reset' });
+  }
+};
+
+// Lift a login lockout before it expires
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const wasLocked = await unlockAccount(user.email);
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email
+    });
+    res.json({
+      message: wasLocked ? `${user.email} has been unlocked` : `${user.email} was not locked`
+    });
+  } catch (err) {
+    console.error('Unlock User Error:', err.message);
+    res.status(500).json({ message: 'Server error while unlocking user' });
+  }
+};
+
+// Reset 2FA for a user who lost their authenticator and recovery codes
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.recoveryCodeHashes = [];
+    await user.save();
+
+    await revokeAllSessions(user._id, '2FA reset by admin');
+    disconnectUserSockets(req, user._id);
+    await recordAudit(req, {
+      action: 'user.2fa_reset',
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.email,
+      after: { twoFactorEnabled: false }
+    });
+    res.json({ message: `Two-factor authentication reset for ${user.email}` });
+  } catch (err) {
+    console.error('Reset 2FA Error:', err.message);
+    res.status(500).json({ message: 'Server error while resetting two-factor authentication' });
+  }
+};
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Plant = require('../models/plant');
+const Device = require('../models/Device');
+const { hasPermission } = require('../config/roles');
+
+/**
+ * Check whether the authenticated user or API key holds a permission
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+const userHasPermission = (user, permission) => {
+    if (user.isApiKey) return (user.scopes || []).includes(permission);
+    return hasPermission(user.role, permission);
+};
+
+/**
+ * Require the authenticated user to hold at least one of the given permissions.
+ * Must run after authMiddleware.
+ * @param {...string} permissions - Permission keys from config/roles.js
+ */
+const authorize = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Authorization denied, no token provided' });
+    }
+
+    const allowed = permissions.some(permission => userHasPermission(req.user, permission));
+    if (!allowed) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+
+    next();
+};
+
+/**
+ * Get the plant IDs a user may access
+ * @param {Object} user - req.user
+ * @returns {Array<string>|null} - null means every plant (admin)
+ */
+const getPlantScope = (user) => {
+    if (!user) return [];
+    if (user.role === 'admin') return null;
+    // API keys without a plant list may read every plant
+    if (user.isApiKey && (user.plants || []).length === 0) return null;
+    return (user.plants || []).map(id => id.toString());
+};
+
+/**
+ * Check whether a user may access a single plant
+ * @param {Object} user - req.user
+ * @param {string|ObjectId} plantId - Plant ID
+ * @returns {boolean}
+ */
+const canAccessPlant = (user, plantId) => {
+    const scope = getPlantScope(user);
+    if (scope === null) return true;
+    if (!plantId) return false;
+    return scope.includes(plantId.toString());
+};
+
+/**
+ * Get the names of the plants a user may access. Alarms and notifications
+ * written by the event pipeline only carry the plant name.
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<string>|null>} - null means every plant (admin)
+ */
+const getAccessiblePlantNames = async (user) => {
+    const scope = getPlantScope(user);
+    if (scope === null) return null;
+    if (scope.length === 0) return [];
+
+    const plants = await Plant.find({ _id: { $in: scope } }).select('plantName');
+    return plants.map(plant => plant.plantName);
+};
+
+/**
+ * Find a device by MongoDB ID or by device name
+ * @param {string} deviceRef - Device _id or deviceName
+ * @returns {Promise<Object|null>}
+ */
+const resolveDevice = async (deviceRef) => {
+    if (!deviceRef) return null;
+    if (mongoose.Types.ObjectId.isValid(deviceRef) && /^[0-9a-fA-F]{24}$/.test(deviceRef)) {
+        const device = await Device.findById(deviceRef);
+        if (device) return device;
+    }
+    return Device.findOne({ deviceName: deviceRef });
+};
+
+/**
+ * Require access to the plant a request targets
+ * @param {Function} getPlantId - (req) => plantId (may return a promise)
+ */
+const requirePlantAccess = (getPlantId) => async (req, res, next) => {
+    try {
+        const plantId = await getPlantId(req);
+        if (!canAccessPlant(req.user, plantId)) {
+            return res.status(403).json({ message: 'You do not have access to this plant' });
+        }
+        next();
+    } catch (err) {
+        console.error('Plant access check error:', err.message);
+        res.status(500).json({ message: 'Server error while checking plant access' });
+    }
+};
+
+/**
+ * Require access to the plant of the device named in a route parameter.
+ * The resolved device is attached as req.device. Devices that are not
+ * registered in MongoDB are only visible to admins.
+ * @param {string} [param='deviceId'] - Route parameter holding the device _id or name
+ */
+const requireDeviceAccess = (param = 'deviceId') => async (req, res, next) => {
+    try {
+        const device = await resolveDevice(req.params[param]);
+        req.device = device;
+
+        if (!device) {
+            if (getPlantScope(req.user) === null) return next();
+            return res.status(403).json({ message: 'You do not have access to this device' });
+        }
+
+        if (!canAccessPlant(req.user, device.plantId)) {
+            return res.status(403).json({ message: 'You do not have access to this device' });
+        }
+        next();
+    } catch (err) {
+        console.error('Device access check error:', err.message);
+        res.status(500).json({ message: 'Server error while checking device access' });
+    }
+};
+
+module.exports = {
+    authorize,
+    userHasPermission,
+    getPlantScope,
+    canAccessPlant,
+    getAccessiblePlantNames,
+    resolveDevice,
+    requirePlantAccess,
+    requireDeviceAccess
+};
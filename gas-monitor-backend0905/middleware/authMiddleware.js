@@ -1,8 +1,30 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const { isSessionActive } = require('../services/sessionService');
+const { authenticateApiKey } = require('../services/apiKeyService');
+ 
+// Scripts authenticate with an API key instead of a user token
+const authenticateWithApiKey = async (req, res, next) => {
+    const apiKey = await authenticateApiKey(req.headers['x-api-key'], req.ip);
+    if (!apiKey) {
+        return res.status(401).json({ message: 'Invalid or revoked API key' });
+    }
+    req.user = {
+        apiKeyId: apiKey._id.toString(),
+        name: `API key: ${apiKey.name}`,
+        role: 'api-key',
+        isApiKey: true,
+        scopes: apiKey.scopes,
+        plants: (apiKey.plants || []).map(id => id.toString())
+    };
+    next();
+};
  
 module.exports = async (req, res, next) => {
     try {
+        if (req.headers['x-api-key']) {
+            return await authenticateWithApiKey(req, res, next);
+        }
         // Get token from header
         const authHeader = req.headers.authorization;
         // Check if token exists
@@ -13,8 +35,24 @@ module.exports = async (req, res, next) => {
         const token = authHeader.split(' ')[1];
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Reject tokens whose session was logged out or revoked by an admin
+        if (!(await isSessionActive(decoded))) {
+            return res.status(401).json({ message: 'Session has been revoked' });
+        }
+        // Load the current role and plant assignments so changes apply without re-login
+        const user = await User.findById(decoded.userId).select('role plants isActive');
+        if (!user) {
+            return res.status(401).json({ message: 'User no longer exists' });
+        }
+        if (user.isActive === false) {
+            return res.status(401).json({ message: 'Account has been deactivated' });
+        }
         // Add user from payload to request
-        req.user = decoded;
+        req.user = {
+            ...decoded,
+            role: user.role,
+            plants: (user.plants || []).map(id => id.toString())
+        };
         next();
     } catch (err) {
         console.error('Auth middleware error:', err.message);
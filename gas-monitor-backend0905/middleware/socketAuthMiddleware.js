@@ -0,0 +1,100 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const { isSessionActive } = require('../services/sessionService');
+const { getPlantScope, canAccessPlant } = require('./accessMiddleware');
+const { resolveDeviceEntry } = require('../services/deviceRegistryService');
+
+/**
+ * Socket.IO middleware that authenticates a connection with the same JWT
+ * the REST API uses. The client sends it as `auth.token` in the handshake.
+ */
+const socketAuthMiddleware = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+        if (!token) {
+            return next(new Error('Authentication required'));
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Reject tokens whose session was logged out or revoked by an admin
+        if (!(await isSessionActive(decoded))) {
+            return next(new Error('Session has been revoked'));
+        }
+        const user = await User.findById(decoded.userId).select('role plants isActive');
+        if (!user || user.isActive === false) {
+            return next(new Error('Authentication failed'));
+        }
+
+        socket.user = {
+            ...decoded,
+            role: user.role,
+            plants: (user.plants || []).map(id => id.toString())
+        };
+        next();
+    } catch (err) {
+        console.error('Socket auth error:', err.message);
+        next(new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Authentication failed'));
+    }
+};
+
+/**
+ * Rooms that receive alarms for a plant. Admins sit in `alarms:all`,
+ * everyone else in one `alarms:plant:<id>` room per assigned plant.
+ * @param {string|ObjectId} [plantId] - Plant the alarm belongs to
+ * @returns {Array<string>}
+ */
+const alarmRoomsForPlant = (plantId) => {
+    return plantId ? ['alarms:all', `alarms:plant:${plantId}`] : ['alarms:all'];
+};
+
+/**
+ * Join the alarm rooms the socket's user is entitled to
+ * @param {Object} socket - Authenticated Socket.IO socket
+ */
+const joinAlarmRooms = (socket) => {
+    const scope = getPlantScope(socket.user);
+    if (scope === null) {
+        socket.join('alarms:all');
+        return;
+    }
+    scope.forEach(plantId => socket.join(`alarms:plant:${plantId}`));
+};
+
+/**
+ * Check whether the socket's user may subscribe to a device
+ * @param {Object} socket - Authenticated Socket.IO socket
+ * @param {string} deviceRef - Device _id or deviceName
+ * @returns {Promise<{allowed: boolean, room: string|null}>}
+ */
+const authorizeDeviceSubscription = async (socket, deviceRef) => {
+    if (!deviceRef) return { allowed: false, room: null };
+
+    const device = await resolveDeviceEntry(deviceRef);
+    if (!device) {
+        // Unregistered devices are only visible to admins
+        const allowed = getPlantScope(socket.user) === null;
+        return { allowed, room: allowed ? `device:${deviceRef}` : null };
+    }
+
+    // Telemetry is published under the device name, so always join that room
+    const allowed = canAccessPlant(socket.user, device.plantId);
+    return { allowed, room: allowed ? `device:${device.deviceName}` : null };
+};
+
+/**
+ * Check whether the socket's user may subscribe to a plant
+ * @param {Object} socket - Authenticated Socket.IO socket
+ * @param {string} plantId - Plant ID
+ * @returns {boolean}
+ */
+const authorizePlantSubscription = (socket, plantId) => {
+    return Boolean(plantId) && canAccessPlant(socket.user, plantId);
+};
+
+module.exports = {
+    socketAuthMiddleware,
+    alarmRoomsForPlant,
+    joinAlarmRooms,
+    authorizeDeviceSubscription,
+    authorizePlantSubscription
+};
@@ -0,0 +1,41 @@
+const authMiddleware = require('./authMiddleware');
+const { verifyChallengeToken } = require('../services/twoFactorService');
+
+/**
+ * Authenticate a 2FA enrollment request. Logged-in users send their access
+ * token as usual; users whose role requires 2FA before they can log in send
+ * the 'setup' challenge token from the login response instead.
+ */
+const enrollmentAuth = (req, res, next) => {
+    const { challengeToken } = req.body || {};
+    if (!challengeToken) {
+        return authMiddleware(req, res, next);
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, 'setup');
+    if (!decoded) {
+        return res.status(401).json({ message: 'Setup link has expired, please log in again' });
+    }
+    req.user = { userId: decoded.userId };
+    req.viaChallenge = true;
+    next();
+};
+
+/**
+ * Require the current session to have passed a second factor.
+ * Must run after authMiddleware.
+ */
+const requireTwoFactorSession = (req, res, next) => {
+    if (!req.user || !req.user.mfa) {
+        return res.status(403).json({
+            message: 'This action requires two-factor authentication. Enable 2FA and log in again.',
+            code: 'TWO_FACTOR_REQUIRED'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    enrollmentAuth,
+    requireTwoFactorSession
+};
@@ -1,15 +1,83 @@
 const mongoose = require('mongoose');
 const { getTestDB } = require('../config/db');
+const { registryChangePlugin } = require('./registryChangePlugin');
+const archivablePlugin = require('./archivablePlugin');
+const { LIFECYCLE_STATES, DEFAULT_LIFECYCLE_STATE } = require('../config/deviceLifecycle');
+
+// MAC IDs are compared without separators or case, so 00:1A:2B.. and 001a2b.. collide
+const normaliseMac = (mac) => String(mac || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// A commissioning checklist item, copied from the settings when commissioning starts
+const checklistItemSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: { type: String, required: true },
+  required: { type: Boolean, default: true },
+  done: { type: Boolean, default: false },
+  doneBy: { type: String, default: null },
+  doneAt: { type: Date, default: null },
+  note: { type: String, default: '' }
+}, { _id: false });
 
 const deviceSchema = new mongoose.Schema({
   deviceName: { type: String, required: true },
   serialNumber: { type: String, required: true },
   macId: { type: String, required: true },
+  // macId normalised, kept in step with it so duplicate MAC IDs are found through the index
+  macKey: { type: String, default: null, index: true },
   commissionedDate: { type: Date, required: true },
   plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
   parentDeviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', default: null }, // 
+  // Building, area or zone the device is installed in (must belong to the same plant)
+  siteNodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'SiteNode', default: null },
+  // Catalog entry defining the device's metrics; devices without one use the default type
+  deviceTypeId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeviceType', default: null },
+  // Overrides of the installation-wide heartbeat intervals (minutes); null uses the setting
+  heartbeat: {
+    staleAfterMinutes: { type: Number, min: 1, default: null },
+    offlineAfterMinutes: { type: Number, min: 1, default: null }
+  },
+  // IoT Hub identity, managed by the provisioning flow. Keys are never stored here.
+  provisioning: {
+    state: { type: String, enum: ['unprovisioned', 'pending', 'provisioned', 'failed'], default: 'unprovisioned' },
+    hubDeviceId: { type: String, default: null },
+    provisionedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    updatedAt: { type: Date, default: null }
+  },
+  // Lifecycle state, changed through the lifecycle endpoint only; history is in DeviceLifecycleEvent
+  lifecycle: {
+    state: { type: String, enum: LIFECYCLE_STATES, default: DEFAULT_LIFECYCLE_STATE },
+    changedAt: { type: Date, default: null },
+    checklist: [checklistItemSchema]
+  },
+  // Firmware version the device last reported in its telemetry
+  firmware: {
+    version: { type: String, default: null },
+    reportedAt: { type: Date, default: null }
+  },
+  // Free-form key/value labels
+  tags: { type: Map, of: String, default: {} },
+  // Values of the custom attributes defined for devices (AttributeDefinition), by key
+  attributes: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} }
+});
+
+deviceSchema.pre('validate', function (next) {
+  if (this.isModified('macId') || !this.macKey) this.macKey = normaliseMac(this.macId);
+  next();
 });
 
+deviceSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+  const update = this.getUpdate() || {};
+  const macId = update.$set && update.$set.macId !== undefined ? update.$set.macId : update.macId;
+  if (macId !== undefined) this.set('macKey', normaliseMac(macId));
+  next();
+});
+
+deviceSchema.statics.normaliseMac = normaliseMac;
+
+deviceSchema.plugin(archivablePlugin);
+deviceSchema.plugin(registryChangePlugin, { modelName: 'Device' });
+
 // Create a model using the test database connection
 const testDB = getTestDB();
 
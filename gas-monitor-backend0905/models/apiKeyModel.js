@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// A named key for scripts and integrations. Only a hash of the key is stored;
+// the plain key is shown once when it is created.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },              // First characters of the key, to tell keys apart
+  scopes: [{ type: String }],                            // Permission keys from config/roles.js API_KEY_SCOPES
+  // Plants the key may read; empty means every plant
+  plants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plant' }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('ApiKey', apiKeySchema) : mongoose.model('ApiKey', apiKeySchema);
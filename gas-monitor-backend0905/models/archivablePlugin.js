@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Soft delete for plants and devices. Archived documents stay in the
+ * collection until the purge job removes them, but every find and count
+ * skips them unless the query itself filters on archivedAt.
+ * @param {mongoose.Schema} schema
+ */
+const archivablePlugin = (schema) => {
+  schema.add({
+    archivedAt: { type: Date, default: null },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // The plant or device whose archival took this document with it; restoring that one restores this too
+    archivedWith: { type: mongoose.Schema.Types.ObjectId, default: null }
+  });
+  schema.index({ archivedAt: 1 });
+
+  function hideArchived() {
+    if (this.getFilter().archivedAt === undefined) {
+      this.where({ archivedAt: null });
+    }
+  }
+
+  schema.pre(/^find/, hideArchived);
+  schema.pre(['countDocuments', 'updateOne', 'updateMany'], hideArchived);
+};
+
+module.exports = archivablePlugin;
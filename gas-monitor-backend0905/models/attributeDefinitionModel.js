@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'date', 'enum'];
+
+// What an attribute can be set on
+const ATTRIBUTE_TARGETS = ['device', 'plant'];
+
+// A typed custom attribute devices or plants can carry. Values live in the
+// attributes map of the device or plant, under the definition's key.
+const attributeDefinitionSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true, match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Attribute keys must start with a letter and contain only letters, digits and underscores'] },
+  label: { type: String, required: true, trim: true },
+  type: { type: String, enum: ATTRIBUTE_TYPES, required: true },
+  // Allowed values of enum attributes
+  options: [{ type: String, trim: true }],
+  appliesTo: { type: String, enum: ATTRIBUTE_TARGETS, required: true },
+  description: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+attributeDefinitionSchema.pre('validate', function (next) {
+  if (this.type === 'enum' && this.options.length === 0) this.invalidate('options', 'Enum attributes need at least one option');
+  next();
+});
+
+attributeDefinitionSchema.index({ appliesTo: 1, key: 1 }, { unique: true });
+
+attributeDefinitionSchema.statics.TYPES = ATTRIBUTE_TYPES;
+attributeDefinitionSchema.statics.TARGETS = ATTRIBUTE_TARGETS;
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('AttributeDefinition', attributeDefinitionSchema) : mongoose.model('AttributeDefinition', attributeDefinitionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Append-only record of who changed what. Entries are never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    email: String,
+    name: String,
+    role: String,
+    apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }
+  },
+  action: { type: String, required: true, index: true }, // e.g. 'threshold.update', 'plant.delete'
+  targetType: { type: String, required: true },          // 'threshold', 'tolerance', 'device', 'plant', 'user'
+  targetId: { type: String },
+  targetName: { type: String },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', index: true },
+  plantName: { type: String },
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', index: true },
+  deviceName: { type: String, index: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  ipAddress: { type: String },
+  timestamp: { type: Date, default: Date.now, index: true }
+}, { minimize: false });
+
+const rejectChange = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+// Block every update and delete path Mongoose offers
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  auditLogSchema.pre(op, { document: false, query: true }, rejectChange);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('AuditLog', auditLogSchema) : mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+const RECORD_KINDS = ['calibration', 'bump_test'];
+const RECORD_RESULTS = ['pass', 'fail'];
+
+// A calibration or bump test of one sensor of a device. sensor is a metric key
+// of the device's type. A bump test only checks the sensor responds, so it has
+// no as-left value.
+const calibrationRecordSchema = new mongoose.Schema({
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+  deviceName: { type: String, required: true },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', default: null },
+  sensor: { type: String, required: true },
+  kind: { type: String, enum: RECORD_KINDS, required: true },
+  performedAt: { type: Date, required: true },
+  technician: { type: String, required: true, trim: true },
+  referenceGas: {
+    name: { type: String, required: true, trim: true },
+    concentration: { type: Number, required: true, min: 0 },
+    unit: { type: String, default: '' },
+    // Cylinder lot or certificate number, for traceability
+    lotNumber: { type: String, default: '', trim: true },
+    expiresAt: { type: Date, default: null }
+  },
+  asFound: { type: Number, required: true },
+  asLeft: { type: Number, default: null },
+  result: { type: String, enum: RECORD_RESULTS, required: true },
+  notes: { type: String, default: '' },
+  recordedBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+calibrationRecordSchema.index({ deviceId: 1, sensor: 1, kind: 1, performedAt: -1 });
+
+calibrationRecordSchema.statics.KINDS = RECORD_KINDS;
+calibrationRecordSchema.statics.RESULTS = RECORD_RESULTS;
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('CalibrationRecord', calibrationRecordSchema) : mongoose.model('CalibrationRecord', calibrationRecordSchema);
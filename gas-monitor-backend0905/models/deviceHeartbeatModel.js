@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Last time a device reported and the connectivity status derived from it.
+// Kept apart from Device so frequent last-seen writes don't invalidate the device registry.
+const deviceHeartbeatSchema = new mongoose.Schema({
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true, unique: true },
+  deviceName: { type: String, required: true },
+  lastSeenAt: { type: Date, default: null },
+  status: { type: String, enum: ['unknown', 'online', 'stale', 'offline'], default: 'unknown' },
+  statusChangedAt: { type: Date, default: Date.now },
+  // Hours the device has been online, for runtime-based maintenance plans
+  runtimeHours: { type: Number, default: 0 }
+});
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('DeviceHeartbeat', deviceHeartbeatSchema) : mongoose.model('DeviceHeartbeat', deviceHeartbeatSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+const { LIFECYCLE_STATES } = require('../config/deviceLifecycle');
+
+// One lifecycle state change of a device. fromState is null for the state a device was created in.
+const deviceLifecycleEventSchema = new mongoose.Schema({
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+  deviceName: { type: String, required: true },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', default: null },
+  fromState: { type: String, enum: [...LIFECYCLE_STATES, null], default: null },
+  toState: { type: String, enum: LIFECYCLE_STATES, required: true },
+  note: { type: String, default: '' },
+  changedBy: { type: String, default: null },
+  changedAt: { type: Date, default: Date.now }
+});
+
+deviceLifecycleEventSchema.index({ deviceId: 1, changedAt: -1 });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('DeviceLifecycleEvent', deviceLifecycleEventSchema) : mongoose.model('DeviceLifecycleEvent', deviceLifecycleEventSchema);
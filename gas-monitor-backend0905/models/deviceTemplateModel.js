@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// Where devices cloned from a template may sit in the gateway tree:
+// 'optional' - top level or under any device, 'none' - top level only,
+// 'required' - under a device chosen when cloning, 'fixed' - under parentDeviceId
+const PARENT_MODES = ['optional', 'none', 'required', 'fixed'];
+
+const metricSettingSchema = (field) => new mongoose.Schema({
+  type: { type: String, required: true },
+  [field]: { type: Number, required: true }
+}, { _id: false });
+
+// Settings shared by a batch of similar devices, used to clone new devices
+const deviceTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  description: { type: String, default: '' },
+  // Cloned devices are named <namePrefix>-<number>, numbered on from the highest existing one in any plant
+  namePrefix: { type: String, required: true, trim: true },
+  numberDigits: { type: Number, default: 2, min: 1, max: 6 },
+  deviceTypeId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeviceType', default: null },
+  // Plant used when none is chosen while cloning; set from the parent for 'fixed' parents
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', default: null },
+  // Initial Threshold and Tolerance values of each cloned device, by metric key
+  thresholds: [metricSettingSchema('threshold')],
+  tolerances: [metricSettingSchema('tolerance')],
+  tags: { type: Map, of: String, default: {} },
+  parentRule: {
+    mode: { type: String, enum: PARENT_MODES, default: 'optional' },
+    parentDeviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', default: null },
+    // Parents chosen while cloning must be of this type, when set
+    parentDeviceTypeId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeviceType', default: null }
+  },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+deviceTemplateSchema.pre('validate', function (next) {
+  if (this.parentRule.mode === 'fixed' && !this.parentRule.parentDeviceId) {
+    this.invalidate('parentRule.parentDeviceId', 'Templates with a fixed parent need a parent device');
+  }
+  next();
+});
+
+deviceTemplateSchema.statics.PARENT_MODES = PARENT_MODES;
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('DeviceTemplate', deviceTemplateSchema) : mongoose.model('DeviceTemplate', deviceTemplateSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+const { registryChangePlugin } = require('./registryChangePlugin');
+
+// One measured quantity of a device type. key is the field name the API uses
+// for the reading; sourceFields are the telemetry document fields it is read from.
+const metricSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true, match: [/^[a-zA-Z][a-zA-Z0-9]*$/, 'Metric keys must start with a letter and contain only letters and digits'] },
+  label: { type: String, required: true, trim: true },
+  unit: { type: String, default: '' },
+  min: { type: Number, default: null },
+  max: { type: Number, default: null },
+  // Decimal places readings are rounded to
+  precision: { type: Number, default: 1, min: 0, max: 6 },
+  defaultThreshold: { type: Number, required: true },
+  defaultTolerance: { type: Number, required: true, min: 0 },
+  sourceFields: [{ type: String, trim: true }],
+  // Days between calibrations and bump tests of the sensor; null when it is not tracked
+  calibrationIntervalDays: { type: Number, default: null, min: 1 },
+  bumpTestIntervalDays: { type: Number, default: null, min: 1 }
+}, { _id: false });
+
+const deviceTypeSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true, lowercase: true, match: [/^[a-z0-9-]+$/, 'Keys may only contain lowercase letters, digits and dashes'] },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  // Shipped with the application; can be edited but not deleted
+  builtIn: { type: Boolean, default: false },
+  metrics: {
+    type: [metricSchema],
+    validate: [
+      { validator: (metrics) => metrics.length > 0, message: 'A device type needs at least one metric' },
+      {
+        validator: (metrics) => new Set(metrics.map(metric => metric.key)).size === metrics.length,
+        message: 'Metric keys must be unique within a device type'
+      },
+      {
+        validator: (metrics) => metrics.every(metric => metric.min === null || metric.max === null || metric.min < metric.max),
+        message: 'A metric minimum must be below its maximum'
+      }
+    ]
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+deviceTypeSchema.plugin(registryChangePlugin, { modelName: 'DeviceType' });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('DeviceType', deviceTypeSchema) : mongoose.model('DeviceType', deviceTypeSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// A saved device filter, in the query form GET /api/devices takes:
+// { plantId, deviceTypeId, lifecycleState, tags, attributes, plantTags, plantAttributes }.
+// Presets are private to their owner unless shared.
+const filterPresetSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  ownerName: { type: String, default: null },
+  shared: { type: Boolean, default: false },
+  filter: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+filterPresetSchema.index({ ownerId: 1 });
+filterPresetSchema.index({ shared: 1 });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('FilterPreset', filterPresetSchema) : mongoose.model('FilterPreset', filterPresetSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// A firmware image devices can be updated to. The image itself is kept in
+// the document; it is only loaded when a device downloads it.
+const firmwareArtifactSchema = new mongoose.Schema({
+  version: { type: String, required: true, trim: true },
+  // Device type the image is built for; null means any type
+  deviceTypeId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeviceType', default: null },
+  fileName: { type: String, required: true },
+  size: { type: Number, required: true },
+  sha256: { type: String, required: true },
+  notes: { type: String, default: '' },
+  data: { type: Buffer, required: true, select: false },
+  // Secret part of the download URL sent to devices, which cannot log in
+  downloadToken: { type: String, required: true, unique: true, select: false },
+  uploadedBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+firmwareArtifactSchema.index({ version: 1, deviceTypeId: 1 }, { unique: true });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('FirmwareArtifact', firmwareArtifactSchema) : mongoose.model('FirmwareArtifact', firmwareArtifactSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed', 'cancelled'];
+const TARGET_STATUSES = ['pending', 'sent', 'succeeded', 'failed', 'skipped'];
+
+// One device of a campaign and how its update went
+const campaignTargetSchema = new mongoose.Schema({
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+  deviceName: { type: String, required: true },
+  // Batch the device is updated in, counted from 1
+  batch: { type: Number, required: true },
+  status: { type: String, enum: TARGET_STATUSES, default: 'pending' },
+  previousVersion: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  error: { type: String, default: null }
+}, { _id: false });
+
+// A staged over-the-air rollout of one artifact to the devices of a plant
+// and/or device type. Batches are sent one after the other; the campaign
+// pauses itself when more devices fail than maxFailures allows.
+const firmwareCampaignSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  artifactId: { type: mongoose.Schema.Types.ObjectId, ref: 'FirmwareArtifact', required: true },
+  version: { type: String, required: true },
+  target: {
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', default: null },
+    deviceTypeId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeviceType', default: null }
+  },
+  batchSize: { type: Number, required: true, min: 1 },
+  maxFailures: { type: Number, default: 0, min: 0 },
+  // A device that has not reported the new version by then counts as failed
+  timeoutMinutes: { type: Number, default: 30, min: 1 },
+  status: { type: String, enum: CAMPAIGN_STATUSES, default: 'draft' },
+  currentBatch: { type: Number, default: 0 },
+  pauseReason: { type: String, default: null },
+  devices: [campaignTargetSchema],
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+});
+
+firmwareCampaignSchema.index({ status: 1 });
+firmwareCampaignSchema.index({ 'devices.deviceId': 1 });
+
+firmwareCampaignSchema.statics.STATUSES = CAMPAIGN_STATUSES;
+firmwareCampaignSchema.statics.TARGET_STATUSES = TARGET_STATUSES;
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('FirmwareCampaign', firmwareCampaignSchema) : mongoose.model('FirmwareCampaign', firmwareCampaignSchema);
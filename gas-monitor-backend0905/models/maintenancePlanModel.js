@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+const RECURRENCE_TYPES = ['calendar', 'runtime'];
+
+// Preventive maintenance of a plant, or of one device when deviceId is set.
+// Calendar plans generate a work order every intervalDays from nextDueAt;
+// runtime plans (devices only) every intervalHours of device runtime.
+const maintenancePlanSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', default: null },
+  recurrence: {
+    type: { type: String, enum: RECURRENCE_TYPES, required: true },
+    intervalDays: { type: Number, default: null, min: 1 },
+    intervalHours: { type: Number, default: null, min: 1 }
+  },
+  // Calendar plans: when the next work order is generated
+  nextDueAt: { type: Date, default: null },
+  // Runtime plans: device runtime when the last work order was generated
+  runtimeHoursAtLastOrder: { type: Number, default: 0 },
+  // Who generated work orders are assigned to
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  active: { type: Boolean, default: true },
+  lastGeneratedAt: { type: Date, default: null },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+maintenancePlanSchema.pre('validate', function (next) {
+  const { type, intervalDays, intervalHours } = this.recurrence;
+  if (type === 'calendar' && !intervalDays) this.invalidate('recurrence.intervalDays', 'Calendar plans need intervalDays');
+  if (type === 'runtime' && !intervalHours) this.invalidate('recurrence.intervalHours', 'Runtime plans need intervalHours');
+  if (type === 'runtime' && !this.deviceId) this.invalidate('deviceId', 'Runtime plans need a device');
+  next();
+});
+
+maintenancePlanSchema.index({ plantId: 1 });
+
+maintenancePlanSchema.statics.RECURRENCE_TYPES = RECURRENCE_TYPES;
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('MaintenancePlan', maintenancePlanSchema) : mongoose.model('MaintenancePlan', maintenancePlanSchema);
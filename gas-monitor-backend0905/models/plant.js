@@ -1,13 +1,25 @@
 const mongoose = require('mongoose');
 const { getTestDB } = require('../config/db');
+const { registryChangePlugin } = require('./registryChangePlugin');
+const archivablePlugin = require('./archivablePlugin');
 
 const plantSchema = new mongoose.Schema({
     plantName: { type: String, required: true },
     location: { type: String, required: true },
     capacity: { type: Number, required: true },
-    isActive: { type: Boolean, default: true }
+    // Map position; plants without coordinates are left off the dashboard map
+    latitude: { type: Number, min: -90, max: 90 },
+    longitude: { type: Number, min: -180, max: 180 },
+    isActive: { type: Boolean, default: true },
+    // Free-form key/value labels
+    tags: { type: Map, of: String, default: {} },
+    // Values of the custom attributes defined for plants (AttributeDefinition), by key
+    attributes: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} }
 });
 
+plantSchema.plugin(archivablePlugin);
+plantSchema.plugin(registryChangePlugin, { modelName: 'Plant' });
+
 // Create a model using the test database connection
 const testDB = getTestDB();
 
@@ -0,0 +1,28 @@
+const { EventEmitter } = require('events');
+
+// Emits 'change' with the model name whenever a device, plant, site node or device type is written
+const registryChanges = new EventEmitter();
+
+const WRITE_HOOKS = [
+  'save',
+  'insertMany',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Let the device registry and device type caches know when one of the
+ * models they are built from changes, so they never serve stale data.
+ * @param {mongoose.Schema} schema
+ * @param {{ modelName: string }} options
+ */
+const registryChangePlugin = (schema, { modelName }) => {
+  schema.post(WRITE_HOOKS, () => registryChanges.emit('change', modelName));
+};
+
+module.exports = { registryChangePlugin, registryChanges };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+// A login session backed by a rotating refresh token. Only a hash of the
+// current refresh token is stored; each refresh replaces it. The replaced
+// one is kept for a short grace period so concurrent refreshes don't clash.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  previousRefreshTokenHash: { type: String, default: null },
+  rotatedAt: { type: Date, default: null },
+  userAgent: { type: String, default: '' },
+  ipAddress: { type: String, default: '' },
+  // True when the login passed a TOTP or recovery code check
+  twoFactorVerified: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null }
+});
+
+// Let MongoDB clean up sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('Session', sessionSchema) : mongoose.model('Session', sessionSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+const { registryChangePlugin } = require('./registryChangePlugin');
+
+// Node types, from the top of a site down. A node's parent must be a higher level.
+const SITE_NODE_TYPES = ['building', 'area', 'zone'];
+
+// A building, area or zone inside a plant. Nodes without a parent sit directly
+// under the plant. ancestors holds every node above this one (root first) so a
+// whole subtree can be found with one query.
+const siteNodeSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: SITE_NODE_TYPES, required: true },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'SiteNode', default: null },
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SiteNode' }],
+  description: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+siteNodeSchema.index({ plantId: 1, parentId: 1 });
+siteNodeSchema.index({ ancestors: 1 });
+
+siteNodeSchema.statics.TYPES = SITE_NODE_TYPES;
+
+siteNodeSchema.plugin(registryChangePlugin, { modelName: 'SiteNode' });
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('SiteNode', siteNodeSchema) : mongoose.model('SiteNode', siteNodeSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+const { DEFAULT_COMMISSIONING_CHECKLIST } = require('../config/deviceLifecycle');
+
+// Installation-wide settings managed by admins. There is a single document with key 'system'.
+const systemSettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, default: 'system' },
+  // Require admins and engineers to use two-factor authentication
+  twoFactorRequired: { type: Boolean, default: false },
+  // Days an archived plant or device is kept (and can be restored) before it is purged
+  archiveRetentionDays: { type: Number, default: 30, min: 1 },
+  // Minutes without telemetry before a device is shown as stale, then offline
+  // with a communication-loss alarm. Devices can override both.
+  heartbeatStaleMinutes: { type: Number, default: 5, min: 1 },
+  heartbeatOfflineMinutes: { type: Number, default: 15, min: 1 },
+  // Days before a calibration or bump test falls due that it is shown as due soon
+  calibrationDueSoonDays: { type: Number, default: 14, min: 1 },
+  // Items to tick off before a commissioning device can go into service
+  commissioningChecklist: {
+    type: [{
+      _id: false,
+      key: { type: String, required: true },
+      label: { type: String, required: true },
+      required: { type: Boolean, default: true }
+    }],
+    default: () => DEFAULT_COMMISSIONING_CHECKLIST.map(item => ({ ...item }))
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('SystemSetting', systemSettingSchema) : mongoose.model('SystemSetting', systemSettingSchema);
@@ -1,23 +1,13 @@
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
 
+// Metric fields (Temperature, O2, CO, ...) depend on the device type, so they
+// are not declared here; see config/deviceTypes.js and the device type catalog
 const telemetrySchema = new mongoose.Schema({
   DeviceName: {
     type: String,
     required: true,
   },
-  Temperature: {
-    type: Number,
-    default: 0,
-  },
-  Humidity: {
-    type: Number,
-    default: 0,
-  },
-  OilLevel: {
-    type: Number,
-    default: 0,
-  },
   OpenAlerts: {
     type: Number,
     default: 0,
@@ -33,7 +23,7 @@ const telemetrySchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
-});
+}, { strict: false });
 
 // Ensure indexes for faster queries
 telemetrySchema.index({ DeviceName: 1, Timestamp: -1 });
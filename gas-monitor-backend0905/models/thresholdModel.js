@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Alarm threshold per device and metric type
+const thresholdSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  type: { type: String, required: true },
+  threshold: { type: Number, required: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Create a compound index for fast lookups
+thresholdSchema.index({ deviceId: 1, type: 1 }, { unique: true });
+
+// Initialize the threshold model with the main database
+module.exports = mongoose.model('Threshold', thresholdSchema);
@@ -1,6 +1,7 @@
 //usermodel is 
 const mongoose = require('mongoose');
 const { getTestDB } = require('../config/db');
+const { ROLES, DEFAULT_ROLE, LEGACY_USER_ROLE } = require('../config/roles');
  
 const userSchema = new mongoose.Schema({
 
@@ -34,6 +35,96 @@ const userSchema = new mongoose.Schema({
 
   },
 
+  // Accounts created before roles existed have no value and are loaded with LEGACY_USER_ROLE
+  role: {
+
+    type: String,
+
+    enum: ROLES,
+
+    default: function () {
+
+      return this.isNew ? DEFAULT_ROLE : LEGACY_USER_ROLE;
+
+    }
+
+  },
+
+  // Plants this user may access (ignored for admins, who can access all plants)
+  plants: [{
+
+    type: mongoose.Schema.Types.ObjectId,
+
+    ref: 'Plant'
+
+  }],
+
+  // Deactivated users can't sign in; their sessions are revoked when an admin deactivates them
+  isActive: {
+
+    type: Boolean,
+
+    default: true
+
+  },
+
+  // Set by an admin to force a new password before the next login
+  passwordResetRequired: {
+
+    type: Boolean,
+
+    default: false
+
+  },
+
+  // TOTP two-factor authentication. The pending secret is held until the first code is confirmed.
+  twoFactorEnabled: {
+
+    type: Boolean,
+
+    default: false
+
+  },
+
+  twoFactorSecret: String,
+
+  twoFactorPendingSecret: String,
+
+  // TOTP time step of the last accepted code; codes from it or earlier steps are refused
+  twoFactorLastStep: Number,
+
+  recoveryCodeHashes: [String],
+
+  // Accounts created before email verification existed have no value and are treated as verified
+  emailVerified: {
+
+    type: Boolean
+
+  },
+
+  emailVerificationTokenHash: String,
+
+  emailVerificationExpires: Date,
+
+  passwordResetTokenHash: String,
+
+  passwordResetExpires: Date,
+
+  // Users created by single sign-on are linked to their identity provider account
+  authProvider: {
+
+    type: String,
+
+    enum: ['local', 'oidc'],
+
+    default: 'local'
+
+  },
+
+  oidcIssuer: String,
+
+  oidcSubject: String,
+
   createdAt: {
 
     type: Date,
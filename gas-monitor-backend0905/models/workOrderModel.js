@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { getTestDB } = require('../config/db');
+
+const WORK_ORDER_STATUSES = ['open', 'in_progress', 'completed', 'cancelled'];
+
+// Statuses of work orders still to be done
+const UNFINISHED_STATUSES = ['open', 'in_progress'];
+
+const workOrderNoteSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  by: { type: String, default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A maintenance job on a plant, or on one device when deviceId is set.
+// planId is null for work orders created by hand.
+const workOrderSchema = new mongoose.Schema({
+  planId: { type: mongoose.Schema.Types.ObjectId, ref: 'MaintenancePlan', default: null },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plant', required: true },
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', default: null },
+  deviceName: { type: String, default: null },
+  status: { type: String, enum: WORK_ORDER_STATUSES, default: 'open' },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  assignedToName: { type: String, default: null },
+  dueAt: { type: Date, default: null },
+  notes: [workOrderNoteSchema],
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  completionNotes: { type: String, default: '' },
+  completedBy: { type: String, default: null },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+workOrderSchema.index({ plantId: 1, status: 1 });
+workOrderSchema.index({ deviceId: 1, status: 1 });
+workOrderSchema.index({ planId: 1, status: 1 });
+
+workOrderSchema.statics.STATUSES = WORK_ORDER_STATUSES;
+workOrderSchema.statics.UNFINISHED_STATUSES = UNFINISHED_STATUSES;
+
+// Create a model using the test database connection
+const testDB = getTestDB();
+
+// If testDB is available, use it; otherwise, fall back to the default connection
+module.exports = testDB ? testDB.model('WorkOrder', workOrderSchema) : mongoose.model('WorkOrder', workOrderSchema);
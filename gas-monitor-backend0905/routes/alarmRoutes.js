@@ -1,23 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const alarmController = require('../controllers/alarmController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+
+// All alarm routes require a logged-in user; results are scoped to the user's plants
+router.use(authMiddleware);
 
 // Get all alarms
-router.get('/', alarmController.getAllAlarms);
+router.get('/', authorize('alarms:read'), alarmController.getAllAlarms);
 
-// Get alarms by plant name and device name (query parameters)
-router.get('/filter', alarmController.getAlarmsByPlantAndDevice);
+// Get alarms by plant name and device name (query parameters); siteNodeId rolls up a building, area or zone,
+// presetId limits them to the devices a saved filter preset matches
+router.get('/filter', authorize('alarms:read'), alarmController.getAlarmsByPlantAndDevice);
 
 // Get alarms by device ID
-router.get('/device/:deviceId', alarmController.getAlarmsByDevice);
+router.get('/device/:deviceId', authorize('alarms:read'), alarmController.getAlarmsByDevice);
 
 // Get unread alarms count
-router.get('/unread/count', alarmController.getUnreadAlarmsCount);
+router.get('/unread/count', authorize('alarms:read'), alarmController.getUnreadAlarmsCount);
 
 // Mark alarm as read
-router.put('/:alarmId/read', alarmController.markAlarmAsRead);
+router.put('/:alarmId/read', authorize('alarms:acknowledge'), alarmController.markAlarmAsRead);
 
 // Mark all alarms as read
-router.put('/read/all', alarmController.markAllAlarmsAsRead);
+router.put('/read/all', authorize('alarms:acknowledge'), alarmController.markAllAlarmsAsRead);
 
 module.exports = router;
\ No newline at end of file
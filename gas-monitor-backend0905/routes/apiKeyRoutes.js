@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+
+// API key management is limited to admins
+router.use(authMiddleware, authorize('apikeys:manage'));
+
+// List keys
+router.get('/', apiKeyController.getApiKeys);
+
+// Scopes that can be granted to a key
+router.get('/scopes', apiKeyController.getApiKeyScopes);
+
+// Create a key; the response holds the only copy of the plain key
+router.post('/', apiKeyController.createApiKey);
+
+// Revoke a key
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const AttributeDefinition = require('../models/attributeDefinitionModel');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+const { recordAudit } = require('../services/auditService');
+const { removeAttributeValues } = require('../services/customFieldService');
+
+// All attribute routes require a logged-in user
+router.use(authMiddleware);
+
+// Load the attribute definition named by :id
+const loadDefinition = async (req, res, next) => {
+  try {
+    const definition = await AttributeDefinition.findById(req.params.id);
+    if (!definition) {
+      return res.status(404).json({ message: 'Attribute not found' });
+    }
+    req.definition = definition;
+    next();
+  } catch (error) {
+    console.error('Error loading attribute:', error);
+    res.status(400).json({ message: 'Invalid attribute ID' });
+  }
+};
+
+const attributeAuditFields = (definition) => ({
+  targetType: 'attribute',
+  targetId: definition._id,
+  targetName: `${definition.appliesTo}.${definition.key}`
+});
+
+// Validation and duplicate key errors are the caller's fault; report them as such
+const sendSaveError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join('; ') });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'An attribute with this key already exists' });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// GET attribute definitions (optionally only those of appliesTo=device|plant)
+router.get('/', authorize('devices:read'), async (req, res) => {
+  try {
+    const filter = req.query.appliesTo ? { appliesTo: req.query.appliesTo } : {};
+    res.json(await AttributeDefinition.find(filter).sort({ appliesTo: 1, label: 1 }));
+  } catch (error) {
+    console.error('Error fetching attributes:', error);
+    res.status(500).json({ message: 'Server error while fetching attributes' });
+  }
+});
+
+// POST - Define a device or plant attribute (admin only)
+router.post('/', authorize('attributes:manage'), async (req, res) => {
+  try {
+    const { key, label, type, options = [], appliesTo, description = '' } = req.body;
+    const definition = await AttributeDefinition.create({ key, label, type, options, appliesTo, description });
+    await recordAudit(req, { action: 'attribute.create', ...attributeAuditFields(definition), after: definition });
+    res.status(201).json(definition);
+  } catch (error) {
+    sendSaveError(res, error, 'Error adding attribute');
+  }
+});
+
+// PUT - Edit an attribute's label, description or options. Key, type and target never change,
+// so stored values stay valid.
+router.put('/:id', authorize('attributes:manage'), loadDefinition, async (req, res) => {
+  try {
+    const definition = req.definition;
+    const before = definition.toObject();
+    const { label, description, options } = req.body;
+
+    if (label !== undefined) definition.label = label;
+    if (description !== undefined) definition.description = description;
+    if (options !== undefined) definition.options = options;
+    definition.updatedAt = new Date();
+    await definition.save();
+
+    await recordAudit(req, { action: 'attribute.update', ...attributeAuditFields(definition), before, after: definition });
+    res.json(definition);
+  } catch (error) {
+    sendSaveError(res, error, 'Error updating attribute');
+  }
+});
+
+// DELETE - Remove an attribute together with its values on every device or plant
+router.delete('/:id', authorize('attributes:manage'), loadDefinition, async (req, res) => {
+  try {
+    const definition = req.definition;
+    await AttributeDefinition.deleteOne({ _id: definition._id });
+    const cleared = await removeAttributeValues(definition);
+    await recordAudit(req, { action: 'attribute.delete', ...attributeAuditFields(definition), before: definition });
+    res.json({ message: `Attribute ${definition.label} deleted; removed from ${cleared} ${definition.appliesTo}(s)` });
+  } catch (error) {
+    console.error('Error deleting attribute:', error);
+    res.status(500).json({ message: 'Server error while deleting attribute' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+
+// The audit log is read-only over the API; entries are written by the routes that make changes
+router.use(authMiddleware, authorize('audit:read'));
+
+// Query audit entries (optional ?plantId=, ?deviceId=, ?userId=, ?action=, ?targetType=, ?from=, ?to=, ?page=, ?limit=)
+router.get('/', auditController.getAuditLogs);
+
+module.exports = router;
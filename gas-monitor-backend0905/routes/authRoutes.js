@@ -1,6 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser } = require('../controllers/authController');
+const {
+  registerUser,
+  loginUser,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  revokeSessionById,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+const {
+  loginWithTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  getOidcConfig,
+  startOidcLogin,
+  oidcCallback,
+  exchangeOidcLoginCode
+} = require('../controllers/oidcController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { enrollmentAuth } = require('../middleware/twoFactorMiddleware');
+
+// Sessions and 2FA belong to user accounts; API keys have neither
+const requireUserAccount = (req, res, next) => {
+  if (req.user.isApiKey || !req.user.userId) {
+    return res.status(403).json({ message: 'API keys cannot manage sessions or two-factor authentication' });
+  }
+  next();
+};
  
 // Registration route
 router.post('/register', registerUser);
@@ -8,4 +44,61 @@ router.post('/register', registerUser);
 // Login route
 router.post('/login', loginUser);
  
+// Second login step for users with 2FA - TOTP or recovery code
+router.post('/login/2fa', loginWithTwoFactor);
+ 
+// Current user's 2FA status
+router.get('/2fa/status', authMiddleware, requireUserAccount, getTwoFactorStatus);
+ 
+// Start 2FA enrollment (access token, or the setup challenge token from login)
+router.post('/2fa/setup', enrollmentAuth, requireUserAccount, setupTwoFactor);
+ 
+// Confirm the first code and turn 2FA on
+router.post('/2fa/enable', enrollmentAuth, requireUserAccount, enableTwoFactor);
+ 
+// Turn 2FA off
+router.post('/2fa/disable', authMiddleware, requireUserAccount, disableTwoFactor);
+ 
+// Replace recovery codes
+router.post('/2fa/recovery-codes', authMiddleware, requireUserAccount, regenerateRecoveryCodes);
+ 
+// Whether single sign-on is configured (drives the login page button)
+router.get('/oidc/config', getOidcConfig);
+ 
+// Redirect to the identity provider
+router.get('/oidc/login', startOidcLogin);
+ 
+// Identity provider redirect target
+router.get('/oidc/callback', oidcCallback);
+ 
+// Swap the one-time code from the SSO redirect for tokens
+router.post('/oidc/exchange', exchangeOidcLoginCode);
+ 
+// Confirm an email address with the token from the verification link
+router.post('/verify-email', verifyEmail);
+ 
+// Send a new verification link
+router.post('/resend-verification', resendVerification);
+ 
+// Email a password reset link
+router.post('/forgot-password', forgotPassword);
+ 
+// Set a new password with the token from the reset link
+router.post('/reset-password', resetPassword);
+ 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', refreshToken);
+ 
+// End the current session
+router.post('/logout', authMiddleware, requireUserAccount, logoutUser);
+ 
+// Sign out of every session for the current user
+router.post('/logout-all', authMiddleware, requireUserAccount, logoutAllSessions);
+ 
+// List active sessions (admins may pass ?userId= to see another user's sessions)
+router.get('/sessions', authMiddleware, requireUserAccount, getSessions);
+ 
+// Revoke one session, e.g. a lost tablet
+router.delete('/sessions/:sessionId', authMiddleware, requireUserAccount, revokeSessionById);
+ 
 module.exports = router;
\ No newline at end of file
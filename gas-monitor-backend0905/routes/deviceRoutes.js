@@ -1,42 +1,322 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const SiteNode = require('../models/siteNodeModel');
+const DeviceType = require('../models/deviceTypeModel');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize, getPlantScope, canAccessPlant } = require('../middleware/accessMiddleware');
+const { recordAudit, deviceAuditFields } = require('../services/auditService');
+const { getSettings } = require('../services/settingsService');
+const {
+  EXPORT_FORMATS,
+  parseSpreadsheet,
+  validateRows,
+  buildReport,
+  createDevices,
+  exportDevices
+} = require('../services/deviceSpreadsheetService');
+const { provisionNewDevice, provisionExistingDevice } = require('../services/provisioningService');
+const { getConnectivity } = require('../services/heartbeatService');
+const {
+  lifecycleStateOf,
+  allowedTransitions,
+  initialLifecycle,
+  recordLifecycleEvent,
+  transitionDevice,
+  updateChecklistItem,
+  getLifecycleHistory
+} = require('../services/deviceLifecycleService');
+const { getDeviceCalibration, recordCalibration } = require('../services/calibrationService');
+const { prepareCustomFields } = require('../services/customFieldService');
+const { deviceQueryFromParams } = require('../services/deviceFilterService');
+const { validateParent, getPlantTopology } = require('../services/deviceTopologyService');
+const {
+  withoutArchiveFields,
+  getDeviceDependencies,
+  archiveDevice,
+  restoreDevice,
+  purgeDate
+} = require('../services/archiveService');
+
+// All device routes require a logged-in user
+router.use(authMiddleware);
+
+// Load the device named by :id and make sure the user can access its plant
+const loadAccessibleDevice = async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    if (!canAccessPlant(req.user, device.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this device' });
+    }
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Error loading device:', error);
+    res.status(400).json({ message: 'Invalid device ID' });
+  }
+};
+ 
+// A device can only sit in a building, area or zone of its own plant
+const validateSiteNode = async (siteNodeId, plantId) => {
+  if (!siteNodeId) return null;
+  const node = await SiteNode.findById(siteNodeId).select('plantId');
+  if (!node) return 'Site node not found';
+  if (node.plantId.toString() !== String(plantId)) return 'Site node belongs to a different plant';
+  return null;
+};
+ 
+// The device type must exist in the catalog (null means the default type)
+const validateDeviceType = async (deviceTypeId) => {
+  if (!deviceTypeId) return null;
+  if (!mongoose.Types.ObjectId.isValid(deviceTypeId) || !(await DeviceType.exists({ _id: deviceTypeId }))) {
+    return 'Device type not found';
+  }
+  return null;
+};
  
-// ✅ GET all devices (optionally filter by plantId)
-router.get('/', async (req, res) => {
+// Per-device heartbeat overrides; the offline interval must be the longer one
+const validateHeartbeat = (heartbeat) => {
+  if (!heartbeat) return null;
+  const { staleAfterMinutes, offlineAfterMinutes } = heartbeat;
+  for (const value of [staleAfterMinutes, offlineAfterMinutes]) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+      return 'Heartbeat intervals must be whole numbers of minutes, at least 1';
+    }
+  }
+  if (staleAfterMinutes && offlineAfterMinutes && offlineAfterMinutes <= staleAfterMinutes) {
+    return 'The offline interval must be longer than the stale interval';
+  }
+  return null;
+};
+ 
+// Devices as JSON with their heartbeat connectivity ({ status, lastSeenAt, staleAfterMinutes, offlineAfterMinutes })
+const withConnectivity = async (devices) => {
+  const connectivity = await getConnectivity(devices);
+  return devices.map(device => ({ ...device.toObject({ flattenMaps: true }), connectivity: connectivity.get(device._id.toString()) }));
+};
+ 
+// Archive, provisioning and lifecycle fields only change through their own endpoints; macKey follows macId
+const withoutManagedFields = (body) => {
+  const clean = withoutArchiveFields(body);
+  delete clean.provisioning;
+  delete clean.firmware;
+  delete clean.lifecycle;
+  delete clean.lifecycleState;
+  delete clean.macKey;
+  return clean;
+};
+
+const changedByOf = (user) => user.email || user.name || null;
+
+// Fields of a device about to be created, including its initial lifecycle state (body.lifecycleState)
+// @returns {Promise<{ error?: string, data?: Object }>}
+const newDeviceData = async (body) => {
+  const { error, lifecycle } = await initialLifecycle(body.lifecycleState || undefined);
+  if (error) return { error };
+  return { data: { ...withoutManagedFields(body), lifecycle } };
+};
+
+// Lifecycle of a device as the API returns it
+const lifecycleView = async (device) => {
+  const state = lifecycleStateOf(device);
+  return {
+    state,
+    changedAt: device.lifecycle?.changedAt || null,
+    checklist: device.lifecycle?.checklist || [],
+    allowedTransitions: allowedTransitions(state),
+    history: await getLifecycleHistory(device._id)
+  };
+};
+ 
+// Plant access and references of a device about to be created
+// @returns {Promise<{ status: number, message: string }|null>}
+const checkNewDevice = async (req) => {
+  if (!canAccessPlant(req.user, req.body.plantId)) {
+    return { status: 403, message: 'You do not have access to this plant' };
+  }
+  // Archived plants don't take new devices
+  if (!(await Plant.exists({ _id: req.body.plantId }))) {
+    return { status: 404, message: 'Plant not found' };
+  }
+  const referenceError = await validateSiteNode(req.body.siteNodeId, req.body.plantId)
+    || await validateParent(null, req.body.parentDeviceId, req.body.plantId)
+    || await validateDeviceType(req.body.deviceTypeId)
+    || validateHeartbeat(req.body.heartbeat)
+    || await prepareCustomFields('device', req.body);
+  return referenceError ? { status: 400, message: referenceError } : null;
+};
+ 
+// ✅ GET all devices. Optional filters: plantId, deviceTypeId, lifecycleState (comma-separated),
+// tags[key]=value ('*' for any value), attributes[key]=value or attributes[key][gte|gt|lte|lt|ne]=value,
+// plantTags[...] and plantAttributes[...] on the device's plant, and presetId for a saved filter
+router.get('/', authorize('devices:read'), async (req, res) => {
   try {
-    const { plantId } = req.query;
-    const devices = plantId
-      ? await Device.find({ plantId })
-      : await Device.find();
-    res.json(devices);
+    const { error, status, query } = await deviceQueryFromParams(req.query, req.user);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    const devices = await Device.find(query);
+    res.json(await withConnectivity(devices));
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
  
+// GET archived devices (optionally filter by plantId) with the date each will be purged
+router.get('/archived', authorize('devices:read'), async (req, res) => {
+  try {
+    const { plantId } = req.query;
+    if (plantId && !canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    const scope = getPlantScope(req.user);
+    const plantFilter = plantId ? { plantId } : (scope === null ? {} : { plantId: { $in: scope } });
+    const [devices, { archiveRetentionDays }] = await Promise.all([
+      Device.find({ ...plantFilter, archivedAt: { $ne: null } }).sort({ archivedAt: -1 }).lean(),
+      getSettings()
+    ]);
+    res.json(devices.map(device => ({ ...device, purgeAt: purgeDate(device.archivedAt, archiveRetentionDays) })));
+  } catch (error) {
+    console.error('Error fetching archived devices:', error);
+    res.status(500).json({ message: 'Server error while fetching archived devices' });
+  }
+});
+ 
 // ✅ GET parent devices for a site
-router.get('/parents', async (req, res) => {
+router.get('/parents', authorize('devices:read'), async (req, res) => {
   try {
     const { plantId } = req.query;
     if (!plantId) {
       return res.status(400).json({ message: 'Missing plantId in query' });
     }
+    if (!canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
  
     const parentDevices = await Device.find({ plantId, parentDeviceId: null }); // 👈 only top-level devices
-    res.json(parentDevices);
+    res.json(await withConnectivity(parentDevices));
   } catch (error) {
     console.error('Error fetching parent devices:', error);
     res.status(500).json({ message: 'Server error while fetching parent devices' });
   }
 });
  
+// GET a plant's device trees (gateways and the devices behind them) with each device's
+// own connectivity and its effective status, offline when a gateway above it is offline
+router.get('/topology', authorize('devices:read'), async (req, res) => {
+  try {
+    const { plantId } = req.query;
+    if (!plantId || !mongoose.Types.ObjectId.isValid(plantId)) {
+      return res.status(400).json({ message: 'A valid plantId is required' });
+    }
+    if (!canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    const plant = await Plant.findById(plantId);
+    if (!plant) {
+      return res.status(404).json({ message: 'Plant not found' });
+    }
+    res.json(await getPlantTopology(plant));
+  } catch (error) {
+    console.error('Error building device topology:', error);
+    res.status(500).json({ message: 'Server error while building device topology' });
+  }
+});
+ 
+// GET the device list as CSV or XLSX (optionally filter by plantId), parents before their children
+router.get('/export', authorize('devices:read'), async (req, res) => {
+  try {
+    const { plantId, format = 'csv' } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: 'Format must be csv or xlsx' });
+    }
+    if (plantId && !canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    const scope = getPlantScope(req.user);
+    const filter = plantId ? { plantId } : (scope === null ? {} : { plantId: { $in: scope } });
+    const file = await exportDevices(filter, format);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="devices-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+    res.send(Buffer.from(file));
+  } catch (error) {
+    console.error('Error exporting devices:', error);
+    res.status(500).json({ message: 'Server error while exporting devices' });
+  }
+});
+ 
+// POST - Import devices from a CSV or XLSX file sent as the request body.
+// ?dryRun=true only validates; otherwise nothing is created unless every row is valid.
+// ?plantId= is used for rows that leave the plant column empty, ?lifecycleState= for rows
+// that leave the lifecycle state empty (default in service).
+router.post('/import', authorize('devices:write'), express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  try {
+    const { plantId, lifecycleState, dryRun } = req.query;
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Upload a CSV or XLSX file' });
+    }
+    if (plantId && !canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseSpreadsheet(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read the file: ${error.message}` });
+    }
+
+    const results = await validateRows(parsed.rows, {
+      plantScope: getPlantScope(req.user),
+      defaultPlantId: plantId,
+      defaultLifecycleState: lifecycleState
+    });
+    const report = buildReport(results, parsed.unknownColumns);
+    if (dryRun === 'true') {
+      return res.json({ ...report, dryRun: true });
+    }
+    if (report.invalidRows > 0 || report.totalRows === 0) {
+      return res.status(422).json({ ...report, message: report.totalRows === 0 ? 'The file has no devices' : 'Fix the rows with errors before importing' });
+    }
+
+    const created = await createDevices(results, { changedBy: changedByOf(req.user) });
+    await recordAudit(req, {
+      action: 'device.import',
+      targetType: 'device',
+      targetName: `${created.length} device(s)`,
+      after: { devices: created.map(device => ({ _id: device._id, deviceName: device.deviceName, serialNumber: device.serialNumber, plantId: device.plantId })) }
+    });
+    res.status(201).json({ ...report, created: created.length, message: `${created.length} device(s) imported` });
+  } catch (error) {
+    console.error('Error importing devices:', error);
+    res.status(500).json({ message: 'Server error while importing devices' });
+  }
+});
+ 
 // ✅ NEW: Get child devices for a parent
-router.get('/:parentId/children', async (req, res) => {
+router.get('/:parentId/children', authorize('devices:read'), async (req, res) => {
   try {
     const { parentId } = req.params;
-    const children = await Device.find({ parentDeviceId: parentId });
-    res.json(children);
+    if (!mongoose.Types.ObjectId.isValid(parentId)) {
+      return res.status(400).json({ message: 'Invalid device ID' });
+    }
+    const parent = await Device.findById(parentId);
+    if (!parent) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    if (!canAccessPlant(req.user, parent.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this device' });
+    }
+    // Children normally share the parent's plant, but never hand out another plant's devices
+    const scope = getPlantScope(req.user);
+    const children = await Device.find({ parentDeviceId: parentId, ...(scope !== null && { plantId: { $in: scope } }) });
+    res.json(await withConnectivity(children));
   } catch (error) {
     console.error('Error fetching child devices:', error);
     res.status(500).json({ message: 'Server error while fetching child devices' });
@@ -44,10 +324,27 @@ router.get('/:parentId/children', async (req, res) => {
 });
  
 // ✅ POST - Add a new device (parentDeviceId can be null or device _id)
-router.post('/', async (req, res) => {
+router.post('/', authorize('devices:write'), async (req, res) => {
   try {
-    const newDevice = new Device(req.body);
+    const problem = await checkNewDevice(req);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message });
+    }
+    const { error, data } = await newDeviceData(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const newDevice = new Device(data);
     await newDevice.save();
+    await recordLifecycleEvent(newDevice, null, newDevice.lifecycle.state, { note: 'Device added', changedBy: changedByOf(req.user) });
+    await recordAudit(req, {
+      action: 'device.create',
+      targetType: 'device',
+      targetId: newDevice._id,
+      targetName: newDevice.deviceName,
+      ...deviceAuditFields(newDevice),
+      after: newDevice
+    });
     res.status(201).json(newDevice);
   } catch (error) {
     console.error('Error adding device:', error);
@@ -55,10 +352,112 @@ router.post('/', async (req, res) => {
   }
 });
  
+// POST - Create a device together with its IoT Hub identity. The connection
+// credentials are in this response only; they are not stored.
+router.post('/provision', authorize('devices:write'), authorize('azure:register'), async (req, res) => {
+  try {
+    const problem = await checkNewDevice(req);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message });
+    }
+    const prepared = await newDeviceData(req.body);
+    if (prepared.error) {
+      return res.status(400).json({ message: prepared.error });
+    }
+    const { error, status, device, credentials } = await provisionNewDevice(prepared.data);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordLifecycleEvent(device, null, device.lifecycle.state, { note: 'Device added', changedBy: changedByOf(req.user) });
+    await recordAudit(req, {
+      action: 'device.provision',
+      targetType: 'device',
+      targetId: device._id,
+      targetName: device.deviceName,
+      ...deviceAuditFields(device),
+      after: device
+    });
+    res.status(201).json({ device, credentials });
+  } catch (error) {
+    console.error('Error provisioning device:', error);
+    res.status(400).json({ message: 'Error provisioning device' });
+  }
+});
+ 
+// POST - Register the IoT Hub identity of an existing, unprovisioned device
+router.post('/:id/provision', authorize('devices:write'), authorize('azure:register'), loadAccessibleDevice, async (req, res) => {
+  try {
+    const { error, status, credentials } = await provisionExistingDevice(req.device);
+    if (error) {
+      return res.status(status).json({ message: error, device: req.device });
+    }
+    await recordAudit(req, {
+      action: 'device.provision',
+      targetType: 'device',
+      targetId: req.device._id,
+      targetName: req.device.deviceName,
+      ...deviceAuditFields(req.device),
+      after: req.device
+    });
+    res.json({ device: req.device, credentials });
+  } catch (error) {
+    console.error('Error provisioning device:', error);
+    res.status(500).json({ message: 'Server error while provisioning device' });
+  }
+});
+ 
 // ✅ PUT - Edit a device
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('devices:write'), loadAccessibleDevice, async (req, res) => {
   try {
-    const updatedDevice = await Device.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    // Moving a device to another plant requires access to the target plant too
+    if (req.body.plantId && !canAccessPlant(req.user, req.body.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    // A device moved to another plant leaves its old site node and parent device unless new ones are given
+    const plantChanged = req.body.plantId && String(req.body.plantId) !== req.device.plantId.toString();
+    if (plantChanged && req.body.siteNodeId === undefined) {
+      req.body.siteNodeId = null;
+    }
+    if (plantChanged && req.body.parentDeviceId === undefined) {
+      req.body.parentDeviceId = null;
+    }
+    // Its child devices cannot follow it, and must not end up with a parent in another plant
+    if (plantChanged && await Device.exists({ parentDeviceId: req.device._id })) {
+      return res.status(400).json({ message: 'Move or detach the child devices of this device before moving it to another plant' });
+    }
+    if (req.body.siteNodeId !== undefined) {
+      const siteNodeError = await validateSiteNode(req.body.siteNodeId, req.body.plantId || req.device.plantId);
+      if (siteNodeError) {
+        return res.status(400).json({ message: siteNodeError });
+      }
+    }
+    if (req.body.parentDeviceId !== undefined) {
+      const parentError = await validateParent(req.device._id, req.body.parentDeviceId, req.body.plantId || req.device.plantId);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+    const deviceTypeError = await validateDeviceType(req.body.deviceTypeId)
+      || validateHeartbeat(req.body.heartbeat)
+      || await prepareCustomFields('device', req.body);
+    if (deviceTypeError) {
+      return res.status(400).json({ message: deviceTypeError });
+    }
+    // The hub identity is named after the device; a rename would cut it off from its telemetry
+    const renamed = req.body.deviceName !== undefined && req.body.deviceName !== req.device.deviceName;
+    if (renamed && req.device.provisioning?.state === 'provisioned') {
+      return res.status(400).json({ message: 'Provisioned devices cannot be renamed' });
+    }
+    const updatedDevice = await Device.findByIdAndUpdate(req.params.id, withoutManagedFields(req.body), { new: true });
+    await recordAudit(req, {
+      action: 'device.update',
+      targetType: 'device',
+      targetId: updatedDevice._id,
+      targetName: updatedDevice.deviceName,
+      ...deviceAuditFields(updatedDevice),
+      before: req.device,
+      after: updatedDevice
+    });
     res.json(updatedDevice);
   } catch (error) {
     console.error('Error updating device:', error);
@@ -66,14 +465,159 @@ router.put('/:id', async (req, res) => {
   }
 });
  
-// ✅ DELETE - Remove a device
-router.delete('/:id', async (req, res) => {
+// GET the lifecycle state, commissioning checklist, allowed transitions and history of a device
+router.get('/:id/lifecycle', authorize('devices:read'), loadAccessibleDevice, async (req, res) => {
+  try {
+    res.json(await lifecycleView(req.device));
+  } catch (error) {
+    console.error('Error fetching device lifecycle:', error);
+    res.status(500).json({ message: 'Server error while fetching device lifecycle' });
+  }
+});
+ 
+// POST - Move a device to another lifecycle state ({ state, note })
+router.post('/:id/lifecycle', authorize('devices:write'), loadAccessibleDevice, async (req, res) => {
   try {
-    await Device.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Device deleted' });
+    const fromState = lifecycleStateOf(req.device);
+    const { state, note = '' } = req.body;
+    const { error, status, device } = await transitionDevice(req.device, state, { note, changedBy: changedByOf(req.user) });
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: 'device.lifecycle',
+      targetType: 'device',
+      targetId: device._id,
+      targetName: device.deviceName,
+      ...deviceAuditFields(device),
+      before: { state: fromState },
+      after: { state: device.lifecycle.state, note }
+    });
+    res.json(await lifecycleView(device));
+  } catch (error) {
+    console.error('Error changing device lifecycle state:', error);
+    res.status(500).json({ message: 'Server error while changing lifecycle state' });
+  }
+});
+ 
+// PUT - Tick or untick a commissioning checklist item ({ done, note })
+router.put('/:id/lifecycle/checklist/:key', authorize('devices:write'), loadAccessibleDevice, async (req, res) => {
+  try {
+    const { done, note } = req.body;
+    const { error, status, device } = await updateChecklistItem(req.device, req.params.key, { done, note, changedBy: changedByOf(req.user) });
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: 'device.checklist',
+      targetType: 'device',
+      targetId: device._id,
+      targetName: device.deviceName,
+      ...deviceAuditFields(device),
+      after: { item: req.params.key, done, note }
+    });
+    res.json(await lifecycleView(device));
+  } catch (error) {
+    console.error('Error updating commissioning checklist:', error);
+    res.status(500).json({ message: 'Server error while updating the checklist' });
+  }
+});
+ 
+// GET calibration and bump-test records of a device with the due dates of its sensors
+router.get('/:id/calibrations', authorize('devices:read'), loadAccessibleDevice, async (req, res) => {
+  try {
+    res.json(await getDeviceCalibration(req.device));
+  } catch (error) {
+    console.error('Error fetching device calibrations:', error);
+    res.status(500).json({ message: 'Server error while fetching calibrations' });
+  }
+});
+ 
+// POST - Enter a calibration or bump-test record
+router.post('/:id/calibrations', authorize('devices:write'), loadAccessibleDevice, async (req, res) => {
+  try {
+    const { error, status, record } = await recordCalibration(req.device, req.body, changedByOf(req.user));
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: 'device.calibration',
+      targetType: 'device',
+      targetId: req.device._id,
+      targetName: req.device.deviceName,
+      ...deviceAuditFields(req.device),
+      after: record.toObject()
+    });
+    res.status(201).json(record);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join('; ') });
+    }
+    console.error('Error recording calibration:', error);
+    res.status(500).json({ message: 'Server error while recording calibration' });
+  }
+});
+ 
+// GET what archiving a device would take with it
+router.get('/:id/dependencies', authorize('devices:read'), loadAccessibleDevice, async (req, res) => {
+  try {
+    res.json(await getDeviceDependencies(req.device));
+  } catch (error) {
+    console.error('Error fetching device dependencies:', error);
+    res.status(500).json({ message: 'Server error while fetching device dependencies' });
+  }
+});
+ 
+// ✅ DELETE - Archive a device and its child devices (restorable until purged)
+router.delete('/:id', authorize('devices:write'), loadAccessibleDevice, async (req, res) => {
+  try {
+    const archivedCount = await archiveDevice(req.device, req.user.userId);
+    await recordAudit(req, {
+      action: 'device.archive',
+      targetType: 'device',
+      targetId: req.device._id,
+      targetName: req.device.deviceName,
+      ...deviceAuditFields(req.device),
+      before: req.device,
+      after: { archivedChildDevices: archivedCount - 1 }
+    });
+    const { archiveRetentionDays } = await getSettings();
+    res.json({
+      message: archivedCount > 1 ? `Device archived with ${archivedCount - 1} child device(s)` : 'Device archived',
+      purgeAt: purgeDate(new Date(), archiveRetentionDays)
+    });
+  } catch (error) {
+    console.error('Error archiving device:', error);
+    res.status(500).json({ message: 'Error archiving device' });
+  }
+});
+ 
+// POST - Restore an archived device and the child devices archived with it
+router.post('/:id/restore', authorize('devices:write'), async (req, res) => {
+  try {
+    const device = await Device.findOne({ _id: req.params.id, archivedAt: { $ne: null } });
+    if (!device) {
+      return res.status(404).json({ message: 'Archived device not found' });
+    }
+    if (!canAccessPlant(req.user, device.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this device' });
+    }
+    const { error, restored } = await restoreDevice(device);
+    if (error) {
+      return res.status(409).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: 'device.restore',
+      targetType: 'device',
+      targetId: device._id,
+      targetName: device.deviceName,
+      ...deviceAuditFields(device),
+      after: { restoredDevices: restored }
+    });
+    res.json({ message: restored > 1 ? `Device restored with ${restored - 1} child device(s)` : 'Device restored' });
   } catch (error) {
-    console.error('Error deleting device:', error);
-    res.status(500).json({ message: 'Error deleting device' });
+    console.error('Error restoring device:', error);
+    res.status(500).json({ message: 'Error restoring device' });
   }
 });
  
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const DeviceTemplate = require('../models/deviceTemplateModel');
+const Device = require('../models/Device');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize, getPlantScope, canAccessPlant } = require('../middleware/accessMiddleware');
+const { recordAudit } = require('../services/auditService');
+const {
+  MAX_CLONE_COUNT,
+  applyTemplateChanges,
+  nextDeviceNames,
+  cloneDevices,
+  templateFromDevice
+} = require('../services/deviceTemplateService');
+
+// All device template routes require a logged-in user
+router.use(authMiddleware);
+
+// Load the template named by :id; templates tied to a plant are only visible to its users
+const loadTemplate = async (req, res, next) => {
+  try {
+    const template = await DeviceTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Device template not found' });
+    }
+    if (template.plantId && !canAccessPlant(req.user, template.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this device template' });
+    }
+    req.template = template;
+    next();
+  } catch (error) {
+    console.error('Error loading device template:', error);
+    res.status(400).json({ message: 'Invalid device template ID' });
+  }
+};
+
+const templateAuditFields = (template) => ({
+  targetType: 'device-template',
+  targetId: template._id,
+  targetName: template.name,
+  plantId: template.plantId || undefined
+});
+
+// Validation and duplicate name errors are the caller's fault; report them as such
+const sendSaveError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join('; ') });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A device template with this name already exists' });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// GET the templates the user can use: plant-independent ones and those of their plants
+router.get('/', authorize('devices:read'), async (req, res) => {
+  try {
+    const scope = getPlantScope(req.user);
+    const query = scope === null ? {} : { $or: [{ plantId: null }, { plantId: { $in: scope } }] };
+    res.json(await DeviceTemplate.find(query).sort({ name: 1 }));
+  } catch (error) {
+    console.error('Error fetching device templates:', error);
+    res.status(500).json({ message: 'Server error while fetching device templates' });
+  }
+});
+
+// GET an unsaved template filled in from an existing device's type, thresholds, tolerances, tags and parent
+router.get('/from-device/:deviceId', authorize('devices:read'), async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.deviceId);
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    if (!canAccessPlant(req.user, device.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this device' });
+    }
+    res.json(await templateFromDevice(device));
+  } catch (error) {
+    console.error('Error building template from device:', error);
+    res.status(400).json({ message: 'Invalid device ID' });
+  }
+});
+
+// POST - Add a template
+router.post('/', authorize('devices:write'), authorize('thresholds:write'), async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.namePrefix) {
+      return res.status(400).json({ message: 'Name and name prefix are required' });
+    }
+    const template = new DeviceTemplate({ createdBy: req.user.email || req.user.name || null });
+    const problem = await applyTemplateChanges(template, req.body, req.user);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.error });
+    }
+    await template.save();
+    await recordAudit(req, { action: 'deviceTemplate.create', ...templateAuditFields(template), after: template });
+    res.status(201).json(template);
+  } catch (error) {
+    sendSaveError(res, error, 'Error adding device template');
+  }
+});
+
+// PUT - Edit a template. Devices already cloned from it keep their settings.
+router.put('/:id', authorize('devices:write'), authorize('thresholds:write'), loadTemplate, async (req, res) => {
+  try {
+    const template = req.template;
+    const before = template.toObject({ flattenMaps: true });
+    const problem = await applyTemplateChanges(template, req.body, req.user);
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.error });
+    }
+    template.updatedAt = new Date();
+    await template.save();
+    await recordAudit(req, { action: 'deviceTemplate.update', ...templateAuditFields(template), before, after: template });
+    res.json(template);
+  } catch (error) {
+    sendSaveError(res, error, 'Error updating device template');
+  }
+});
+
+// DELETE a template
+router.delete('/:id', authorize('devices:write'), loadTemplate, async (req, res) => {
+  try {
+    await req.template.deleteOne();
+    await recordAudit(req, { action: 'deviceTemplate.delete', ...templateAuditFields(req.template), before: req.template });
+    res.json({ message: `Device template ${req.template.name} deleted` });
+  } catch (error) {
+    console.error('Error deleting device template:', error);
+    res.status(500).json({ message: 'Server error while deleting device template' });
+  }
+});
+
+// GET the names the next ?count devices cloned would get (optional ?namePrefix)
+router.get('/:id/next-names', authorize('devices:read'), loadTemplate, async (req, res) => {
+  try {
+    const count = parseInt(req.query.count, 10) || 1;
+    if (count < 1 || count > MAX_CLONE_COUNT) {
+      return res.status(400).json({ message: `Count must be between 1 and ${MAX_CLONE_COUNT}` });
+    }
+    const prefix = String(req.query.namePrefix || req.template.namePrefix).trim();
+    res.json(await nextDeviceNames(prefix, req.template.numberDigits, count));
+  } catch (error) {
+    console.error('Error numbering cloned devices:', error);
+    res.status(500).json({ message: 'Server error while numbering devices' });
+  }
+});
+
+// POST - Create devices from a template:
+// { units: [{ serialNumber, macId }], plantId, parentDeviceId, namePrefix, commissionedDate, lifecycleState }.
+// One device per unit, auto-numbered, with the template's thresholds and tolerances.
+router.post('/:id/clone', authorize('devices:write'), authorize('thresholds:write'), loadTemplate, async (req, res) => {
+  try {
+    const { error, status, devices } = await cloneDevices(req.template, req.body, req.user);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: 'device.clone',
+      targetType: 'device',
+      targetName: `${devices.length} device(s) from ${req.template.name}`,
+      plantId: devices[0].plantId,
+      after: {
+        templateId: req.template._id,
+        devices: devices.map(device => ({ _id: device._id, deviceName: device.deviceName, serialNumber: device.serialNumber }))
+      }
+    });
+    res.status(201).json({ devices, message: `${devices.length} device(s) created` });
+  } catch (error) {
+    console.error('Error cloning devices:', error);
+    res.status(500).json({ message: 'Server error while cloning devices' });
+  }
+});
+
+module.exports = router;
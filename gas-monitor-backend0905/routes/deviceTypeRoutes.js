@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const DeviceType = require('../models/deviceTypeModel');
+const Device = require('../models/Device');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+const { recordAudit } = require('../services/auditService');
+
+// All device type routes require a logged-in user
+router.use(authMiddleware);
+
+// Load the device type named by :id
+const loadDeviceType = async (req, res, next) => {
+  try {
+    const deviceType = await DeviceType.findById(req.params.id);
+    if (!deviceType) {
+      return res.status(404).json({ message: 'Device type not found' });
+    }
+    req.deviceType = deviceType;
+    next();
+  } catch (error) {
+    console.error('Error loading device type:', error);
+    res.status(400).json({ message: 'Invalid device type ID' });
+  }
+};
+
+const typeAuditFields = (deviceType) => ({
+  targetType: 'device-type',
+  targetId: deviceType._id,
+  targetName: deviceType.name
+});
+
+// Validation and duplicate key errors are the caller's fault; report them as such
+const sendSaveError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join('; ') });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A device type with this key already exists' });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// GET the device type catalog
+router.get('/', authorize('devices:read'), async (req, res) => {
+  try {
+    const deviceTypes = await DeviceType.find().sort({ name: 1 });
+    res.json(deviceTypes);
+  } catch (error) {
+    console.error('Error fetching device types:', error);
+    res.status(500).json({ message: 'Server error while fetching device types' });
+  }
+});
+
+// GET a single device type
+router.get('/:id', authorize('devices:read'), loadDeviceType, (req, res) => {
+  res.json(req.deviceType);
+});
+
+// POST - Add a device type (admin only)
+router.post('/', authorize('deviceTypes:manage'), async (req, res) => {
+  try {
+    const { key, name, description = '', metrics = [] } = req.body;
+    if (!key || !name) {
+      return res.status(400).json({ message: 'Key and name are required' });
+    }
+    const deviceType = await DeviceType.create({ key, name, description, metrics, builtIn: false });
+    await recordAudit(req, { action: 'deviceType.create', ...typeAuditFields(deviceType), after: deviceType });
+    res.status(201).json(deviceType);
+  } catch (error) {
+    sendSaveError(res, error, 'Error adding device type');
+  }
+});
+
+// PUT - Edit a device type's name, description or metrics. The key never changes.
+router.put('/:id', authorize('deviceTypes:manage'), loadDeviceType, async (req, res) => {
+  try {
+    const deviceType = req.deviceType;
+    const before = deviceType.toObject();
+    const { name, description, metrics } = req.body;
+
+    if (name !== undefined) deviceType.name = name;
+    if (description !== undefined) deviceType.description = description;
+    if (metrics !== undefined) deviceType.metrics = metrics;
+    deviceType.updatedAt = new Date();
+    await deviceType.save();
+
+    await recordAudit(req, { action: 'deviceType.update', ...typeAuditFields(deviceType), before, after: deviceType });
+    res.json(deviceType);
+  } catch (error) {
+    sendSaveError(res, error, 'Error updating device type');
+  }
+});
+
+// DELETE - Remove a device type that no device uses. Built-in types stay.
+router.delete('/:id', authorize('deviceTypes:manage'), loadDeviceType, async (req, res) => {
+  try {
+    const deviceType = req.deviceType;
+    if (deviceType.builtIn) {
+      return res.status(400).json({ message: 'Built-in device types cannot be deleted' });
+    }
+    const inUse = await Device.countDocuments({ deviceTypeId: deviceType._id });
+    if (inUse > 0) {
+      return res.status(409).json({ message: `${inUse} device(s) still use this type` });
+    }
+
+    await DeviceType.deleteOne({ _id: deviceType._id });
+    await recordAudit(req, { action: 'deviceType.delete', ...typeAuditFields(deviceType), before: deviceType });
+    res.json({ message: 'Device type deleted' });
+  } catch (error) {
+    console.error('Error deleting device type:', error);
+    res.status(500).json({ message: 'Server error while deleting device type' });
+  }
+});
+
+module.exports = router;
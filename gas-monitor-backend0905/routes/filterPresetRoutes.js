@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const FilterPreset = require('../models/filterPresetModel');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+const { getPresets, savePreset } = require('../services/deviceFilterService');
+
+// All filter preset routes require a logged-in user
+router.use(authMiddleware);
+
+// Presets belong to a user account; API keys can only use shared ones through presetId
+const requireUserAccount = (req, res, next) => {
+  if (req.user.isApiKey) {
+    return res.status(403).json({ message: 'API keys cannot manage filter presets' });
+  }
+  next();
+};
+
+// Load the preset named by :id; only its owner (or an admin) may change it
+const loadOwnPreset = async (req, res, next) => {
+  try {
+    const preset = await FilterPreset.findById(req.params.id);
+    if (!preset) {
+      return res.status(404).json({ message: 'Filter preset not found' });
+    }
+    if (preset.ownerId.toString() !== String(req.user.userId) && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only the owner can change this filter preset' });
+    }
+    req.preset = preset;
+    next();
+  } catch (error) {
+    console.error('Error loading filter preset:', error);
+    res.status(400).json({ message: 'Invalid filter preset ID' });
+  }
+};
+
+const sendSaveError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join('; ') });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// GET the presets the user can use: their own and shared ones
+router.get('/', authorize('devices:read'), requireUserAccount, async (req, res) => {
+  try {
+    res.json(await getPresets(req.user));
+  } catch (error) {
+    console.error('Error fetching filter presets:', error);
+    res.status(500).json({ message: 'Server error while fetching filter presets' });
+  }
+});
+
+// POST - Save a filter preset ({ name, filter, shared })
+router.post('/', authorize('devices:read'), requireUserAccount, async (req, res) => {
+  try {
+    const { error, status, preset } = await savePreset(null, req.body, req.user);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.status(201).json(preset);
+  } catch (error) {
+    sendSaveError(res, error, 'Error saving filter preset');
+  }
+});
+
+// PUT - Rename, change the filter of, or share / unshare a preset
+router.put('/:id', authorize('devices:read'), requireUserAccount, loadOwnPreset, async (req, res) => {
+  try {
+    const { error, status, preset } = await savePreset(req.preset, req.body, req.user);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.json(preset);
+  } catch (error) {
+    sendSaveError(res, error, 'Error updating filter preset');
+  }
+});
+
+// DELETE a preset
+router.delete('/:id', authorize('devices:read'), requireUserAccount, loadOwnPreset, async (req, res) => {
+  try {
+    await req.preset.deleteOne();
+    res.json({ message: `Filter preset ${req.preset.name} deleted` });
+  } catch (error) {
+    console.error('Error deleting filter preset:', error);
+    res.status(500).json({ message: 'Server error while deleting filter preset' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const FirmwareArtifact = require('../models/firmwareArtifactModel');
+const FirmwareCampaign = require('../models/firmwareCampaignModel');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+const { recordAudit } = require('../services/auditService');
+const {
+  MAX_ARTIFACT_BYTES,
+  toArtifactJson,
+  storeArtifact,
+  deleteArtifact,
+  createCampaign,
+  campaignProgress,
+  startCampaign,
+  pauseCampaign,
+  cancelCampaign
+} = require('../services/firmwareService');
+
+// GET - Firmware image download for devices. Devices cannot log in, so the
+// unguessable token in the URL they were sent is the only credential.
+router.get('/download/:token', async (req, res) => {
+  try {
+    const artifact = await FirmwareArtifact.findOne({ downloadToken: req.params.token }).select('+data');
+    if (!artifact) {
+      return res.status(404).json({ message: 'Firmware not found' });
+    }
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${artifact.fileName}"`,
+      'Content-Length': artifact.size,
+      'X-Firmware-Version': artifact.version,
+      'X-Firmware-SHA256': artifact.sha256
+    });
+    res.send(artifact.data);
+  } catch (error) {
+    console.error('Error sending firmware image:', error);
+    res.status(500).json({ message: 'Server error while sending firmware' });
+  }
+});
+
+// Everything else is for logged-in administrators
+router.use(authMiddleware);
+router.use(authorize('firmware:manage'));
+
+const loadDocument = (Model, label) => async (req, res, next) => {
+  try {
+    const doc = await Model.findById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+    req.doc = doc;
+    next();
+  } catch (error) {
+    console.error(`Error loading ${label.toLowerCase()}:`, error);
+    res.status(400).json({ message: `Invalid ${label.toLowerCase()} ID` });
+  }
+};
+
+const loadArtifact = loadDocument(FirmwareArtifact, 'Firmware');
+const loadCampaign = loadDocument(FirmwareCampaign, 'Campaign');
+
+const campaignAuditFields = (campaign) => ({
+  targetType: 'firmware-campaign',
+  targetId: campaign._id,
+  targetName: campaign.name,
+  plantId: campaign.target.plantId || undefined
+});
+
+// Campaign list entries leave the per-device detail out
+const toCampaignSummary = (campaign) => {
+  const { devices, ...summary } = campaign.toObject();
+  return { ...summary, progress: campaignProgress(campaign) };
+};
+
+const toCampaignJson = (campaign) => ({ ...campaign.toObject(), progress: campaignProgress(campaign) });
+
+// GET all firmware artifacts, newest first
+router.get('/artifacts', async (req, res) => {
+  try {
+    const artifacts = await FirmwareArtifact.find().sort({ createdAt: -1 });
+    res.json(artifacts.map(toArtifactJson));
+  } catch (error) {
+    console.error('Error fetching firmware:', error);
+    res.status(500).json({ message: 'Server error while fetching firmware' });
+  }
+});
+
+const parseFirmwareImage = express.raw({ type: () => true, limit: MAX_ARTIFACT_BYTES });
+
+// Read the image body, answering oversized uploads with a message rather than Express's error page
+const readFirmwareImage = (req, res, next) => {
+  parseFirmwareImage(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(400).json({ message: `Firmware images can be at most ${MAX_ARTIFACT_BYTES / 1024 / 1024} MB` });
+    }
+    next(error);
+  });
+};
+
+// POST - Upload a firmware image as the request body.
+// ?version= is required; ?deviceTypeId= limits the image to one device type.
+router.post('/artifacts', readFirmwareImage, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Upload a firmware image' });
+    }
+    const { version, deviceTypeId, fileName, notes } = req.query;
+    const { error, status, artifact } = await storeArtifact(req.body, {
+      version,
+      deviceTypeId,
+      fileName,
+      notes,
+      uploadedBy: req.user.email || req.user.name
+    });
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const json = toArtifactJson(artifact);
+    await recordAudit(req, {
+      action: 'firmware.upload',
+      targetType: 'firmware',
+      targetId: artifact._id,
+      targetName: artifact.version,
+      after: json
+    });
+    res.status(201).json(json);
+  } catch (error) {
+    console.error('Error uploading firmware:', error);
+    res.status(500).json({ message: 'Server error while uploading firmware' });
+  }
+});
+
+// DELETE - Remove a firmware image no unfinished campaign uses
+router.delete('/artifacts/:id', loadArtifact, async (req, res) => {
+  try {
+    const { error, status } = await deleteArtifact(req.doc);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: 'firmware.delete',
+      targetType: 'firmware',
+      targetId: req.doc._id,
+      targetName: req.doc.version,
+      before: toArtifactJson(req.doc)
+    });
+    res.json({ message: `Firmware ${req.doc.version} deleted` });
+  } catch (error) {
+    console.error('Error deleting firmware:', error);
+    res.status(500).json({ message: 'Server error while deleting firmware' });
+  }
+});
+
+// GET all campaigns with their progress, newest first
+router.get('/campaigns', async (req, res) => {
+  try {
+    const campaigns = await FirmwareCampaign.find().sort({ createdAt: -1 });
+    res.json(campaigns.map(toCampaignSummary));
+  } catch (error) {
+    console.error('Error fetching firmware campaigns:', error);
+    res.status(500).json({ message: 'Server error while fetching campaigns' });
+  }
+});
+
+// GET a campaign with every device and its update status
+router.get('/campaigns/:id', loadCampaign, (req, res) => {
+  res.json(toCampaignJson(req.doc));
+});
+
+// POST - Create a draft campaign for a plant and/or device type. Nothing is sent until it is started.
+router.post('/campaigns', async (req, res) => {
+  try {
+    const { error, status, campaign } = await createCampaign(req.body, req.user.email || req.user.name);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, { action: 'firmwareCampaign.create', ...campaignAuditFields(campaign), after: toCampaignSummary(campaign) });
+    res.status(201).json(toCampaignJson(campaign));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join('; ') });
+    }
+    console.error('Error creating firmware campaign:', error);
+    res.status(500).json({ message: 'Server error while creating campaign' });
+  }
+});
+
+// POST - Start, pause or cancel a campaign
+const campaignAction = (action, run) => async (req, res) => {
+  try {
+    const before = toCampaignSummary(req.doc);
+    const { error, status, campaign } = await run(req.doc);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, { action: `firmwareCampaign.${action}`, ...campaignAuditFields(campaign), before, after: toCampaignSummary(campaign) });
+    res.json(toCampaignJson(campaign));
+  } catch (error) {
+    console.error(`Error running ${action} on firmware campaign:`, error);
+    res.status(500).json({ message: `Server error while trying to ${action} the campaign` });
+  }
+};
+
+router.post('/campaigns/:id/start', loadCampaign, campaignAction('start', startCampaign));
+router.post('/campaigns/:id/pause', loadCampaign, campaignAction('pause', pauseCampaign));
+router.post('/campaigns/:id/cancel', loadCampaign, campaignAction('cancel', cancelCampaign));
+
+module.exports = router;
@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const MaintenancePlan = require('../models/maintenancePlanModel');
+const WorkOrder = require('../models/workOrderModel');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize, getPlantScope, canAccessPlant } = require('../middleware/accessMiddleware');
+const { recordAudit } = require('../services/auditService');
+const {
+  getAssignees,
+  createPlan,
+  updatePlan,
+  createWorkOrder,
+  updateWorkOrder,
+  changeWorkOrderStatus,
+  addWorkOrderNote
+} = require('../services/maintenanceService');
+
+// All maintenance routes require a logged-in user
+router.use(authMiddleware);
+
+const userLabel = (user) => user.email || user.name || null;
+
+// Plant filter for list queries: the requested plant, or every plant the user can access
+const plantFilter = (req, res) => {
+  const { plantId } = req.query;
+  if (plantId) {
+    if (!canAccessPlant(req.user, plantId)) {
+      res.status(403).json({ message: 'You do not have access to this plant' });
+      return null;
+    }
+    return { plantId };
+  }
+  const scope = getPlantScope(req.user);
+  return scope === null ? {} : { plantId: { $in: scope } };
+};
+
+const loadDocument = (Model, label) => async (req, res, next) => {
+  try {
+    const doc = await Model.findById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+    if (!canAccessPlant(req.user, doc.plantId)) {
+      return res.status(403).json({ message: `You do not have access to this ${label.toLowerCase()}` });
+    }
+    req.doc = doc;
+    next();
+  } catch (error) {
+    console.error(`Error loading ${label.toLowerCase()}:`, error);
+    res.status(400).json({ message: `Invalid ${label.toLowerCase()} ID` });
+  }
+};
+
+const loadPlan = loadDocument(MaintenancePlan, 'Maintenance plan');
+const loadWorkOrder = loadDocument(WorkOrder, 'Work order');
+
+const auditFields = (targetType, doc, name) => ({
+  targetType,
+  targetId: doc._id,
+  targetName: name,
+  plantId: doc.plantId,
+  deviceId: doc.deviceId || undefined,
+  deviceName: doc.deviceName || undefined
+});
+
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join('; ');
+
+const populatePlan = (plan) => plan.populate([
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'deviceId', select: 'deviceName' }
+]);
+
+// GET users that can be assigned work in a plant
+router.get('/assignees', authorize('maintenance:read'), async (req, res) => {
+  try {
+    const { plantId } = req.query;
+    if (!plantId || !canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    res.json(await getAssignees(plantId));
+  } catch (error) {
+    console.error('Error fetching assignees:', error);
+    res.status(500).json({ message: 'Server error while fetching assignees' });
+  }
+});
+
+// GET maintenance plans (optionally filter by plantId / deviceId)
+router.get('/plans', authorize('maintenance:read'), async (req, res) => {
+  try {
+    const filter = plantFilter(req, res);
+    if (!filter) return;
+    if (req.query.deviceId) filter.deviceId = req.query.deviceId;
+    const plans = await MaintenancePlan.find(filter)
+      .populate('assignedTo', 'name email')
+      .populate('deviceId', 'deviceName')
+      .sort({ name: 1 });
+    res.json(plans);
+  } catch (error) {
+    console.error('Error fetching maintenance plans:', error);
+    res.status(500).json({ message: 'Server error while fetching maintenance plans' });
+  }
+});
+
+// POST - Create a maintenance plan for a plant or one of its devices
+router.post('/plans', authorize('maintenance:write'), async (req, res) => {
+  try {
+    if (!canAccessPlant(req.user, req.body.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    const { error, status, plan } = await createPlan(req.body, userLabel(req.user));
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, { action: 'maintenancePlan.create', ...auditFields('maintenance-plan', plan, plan.name), after: plan.toObject() });
+    res.status(201).json(await populatePlan(plan));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error('Error creating maintenance plan:', error);
+    res.status(500).json({ message: 'Server error while creating maintenance plan' });
+  }
+});
+
+// PUT - Edit a plan's name, recurrence, next due date, assignee or active flag. The target never changes.
+router.put('/plans/:id', authorize('maintenance:write'), loadPlan, async (req, res) => {
+  try {
+    const before = req.doc.toObject();
+    const { error, status, plan } = await updatePlan(req.doc, req.body);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, { action: 'maintenancePlan.update', ...auditFields('maintenance-plan', plan, plan.name), before, after: plan.toObject() });
+    res.json(await populatePlan(plan));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error('Error updating maintenance plan:', error);
+    res.status(500).json({ message: 'Server error while updating maintenance plan' });
+  }
+});
+
+// DELETE - Remove a plan. Work orders it generated are kept.
+router.delete('/plans/:id', authorize('maintenance:write'), loadPlan, async (req, res) => {
+  try {
+    await req.doc.deleteOne();
+    await recordAudit(req, { action: 'maintenancePlan.delete', ...auditFields('maintenance-plan', req.doc, req.doc.name), before: req.doc.toObject() });
+    res.json({ message: `Maintenance plan ${req.doc.name} deleted` });
+  } catch (error) {
+    console.error('Error deleting maintenance plan:', error);
+    res.status(500).json({ message: 'Server error while deleting maintenance plan' });
+  }
+});
+
+// GET work orders (optionally filter by plantId, deviceId and a comma-separated status list), newest first
+router.get('/work-orders', authorize('maintenance:read'), async (req, res) => {
+  try {
+    const filter = plantFilter(req, res);
+    if (!filter) return;
+    if (req.query.deviceId) filter.deviceId = req.query.deviceId;
+    if (req.query.status) filter.status = { $in: req.query.status.split(',') };
+    res.json(await WorkOrder.find(filter).sort({ createdAt: -1 }).limit(500));
+  } catch (error) {
+    console.error('Error fetching work orders:', error);
+    res.status(500).json({ message: 'Server error while fetching work orders' });
+  }
+});
+
+// GET a work order with its notes
+router.get('/work-orders/:id', authorize('maintenance:read'), loadWorkOrder, (req, res) => {
+  res.json(req.doc);
+});
+
+// POST - Create a work order by hand
+router.post('/work-orders', authorize('maintenance:write'), async (req, res) => {
+  try {
+    if (!canAccessPlant(req.user, req.body.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    const { planId, ...data } = req.body;
+    const { error, status, order } = await createWorkOrder(data, userLabel(req.user));
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, { action: 'workOrder.create', ...auditFields('work-order', order, order.title), after: order.toObject() });
+    res.status(201).json(order);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error('Error creating work order:', error);
+    res.status(500).json({ message: 'Server error while creating work order' });
+  }
+});
+
+// PUT - Edit the title, description, due date or assignee of an unfinished work order
+router.put('/work-orders/:id', authorize('maintenance:write'), loadWorkOrder, async (req, res) => {
+  try {
+    const before = req.doc.toObject();
+    const { error, status, order } = await updateWorkOrder(req.doc, req.body);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, { action: 'workOrder.update', ...auditFields('work-order', order, order.title), before, after: order.toObject() });
+    res.json(order);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error('Error updating work order:', error);
+    res.status(500).json({ message: 'Server error while updating work order' });
+  }
+});
+
+// POST - Start, complete ({ completionNotes }) or cancel a work order
+const workOrderAction = (action) => async (req, res) => {
+  try {
+    const before = { status: req.doc.status };
+    const { error, status, order } = await changeWorkOrderStatus(req.doc, action, {
+      by: userLabel(req.user),
+      completionNotes: req.body.completionNotes
+    });
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: `workOrder.${action}`,
+      ...auditFields('work-order', order, order.title),
+      before,
+      after: { status: order.status, completionNotes: order.completionNotes || undefined }
+    });
+    res.json(order);
+  } catch (error) {
+    console.error(`Error running ${action} on work order:`, error);
+    res.status(500).json({ message: `Server error while trying to ${action} the work order` });
+  }
+};
+
+router.post('/work-orders/:id/start', authorize('workorders:update'), loadWorkOrder, workOrderAction('start'));
+router.post('/work-orders/:id/complete', authorize('workorders:update'), loadWorkOrder, workOrderAction('complete'));
+router.post('/work-orders/:id/cancel', authorize('maintenance:write'), loadWorkOrder, workOrderAction('cancel'));
+
+// POST - Add a note to a work order ({ text })
+router.post('/work-orders/:id/notes', authorize('workorders:update'), loadWorkOrder, async (req, res) => {
+  try {
+    const { error, status, order } = await addWorkOrderNote(req.doc, req.body.text, userLabel(req.user));
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Error adding work order note:', error);
+    res.status(500).json({ message: 'Server error while adding the note' });
+  }
+});
+
+module.exports = router;
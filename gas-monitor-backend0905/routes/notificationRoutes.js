@@ -1,20 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+
+// All notification routes require a logged-in user; results are scoped to the user's plants
+router.use(authMiddleware);
 
 // Get all notifications with optional filtering
-router.get('/', notificationController.getAllNotifications);
+router.get('/', authorize('notifications:read'), notificationController.getAllNotifications);
 
 // Get notifications by device ID
-router.get('/device/:deviceId', notificationController.getNotificationsByDevice);
+router.get('/device/:deviceId', authorize('notifications:read'), notificationController.getNotificationsByDevice);
 
 // Get unread notifications count
-router.get('/unread/count', notificationController.getUnreadNotificationsCount);
+router.get('/unread/count', authorize('notifications:read'), notificationController.getUnreadNotificationsCount);
 
 // Mark notification as read
-router.put('/:notificationId/read', notificationController.markNotificationAsRead);
+router.put('/:notificationId/read', authorize('notifications:read'), notificationController.markNotificationAsRead);
 
 // Mark all notifications as read
-router.put('/read/all', notificationController.markAllNotificationsAsRead);
+router.put('/read/all', authorize('notifications:read'), notificationController.markAllNotificationsAsRead);
 
 module.exports = router;
@@ -1,11 +1,30 @@
 const express = require("express");
 const router = express.Router();
 const Plant = require("../models/plant"); // MongoDB Model
+const authMiddleware = require("../middleware/authMiddleware");
+const { authorize, getPlantScope, requirePlantAccess } = require("../middleware/accessMiddleware");
+const { recordAudit } = require("../services/auditService");
+const { getPlantMapStatus } = require("../services/plantStatusService");
+const { getSettings } = require("../services/settingsService");
+const { prepareCustomFields } = require("../services/customFieldService");
+const {
+  withoutArchiveFields,
+  getPlantDependencies,
+  archivePlant,
+  restorePlant,
+  purgeDate
+} = require("../services/archiveService");
+
+const plantFromParams = (req) => req.params.id;
+
+// All plant routes require a logged-in user
+router.use(authMiddleware);
 
 // GET all plants
-router.get("/", async (req, res) => {
+router.get("/", authorize("plants:read"), async (req, res) => {
   try {
-    const plants = await Plant.find();
+    const scope = getPlantScope(req.user);
+    const plants = await Plant.find(scope === null ? {} : { _id: { $in: scope } });
     if (plants.length === 0) {
       return res.status(404).json({ message: "No plants found" });
     }
@@ -16,11 +35,50 @@ router.get("/", async (req, res) => {
   }
 });
 
+// GET archived plants with the date each will be purged
+router.get("/archived", authorize("plants:read"), async (req, res) => {
+  try {
+    const scope = getPlantScope(req.user);
+    const query = { archivedAt: { $ne: null }, ...(scope === null ? {} : { _id: { $in: scope } }) };
+    const [plants, { archiveRetentionDays }] = await Promise.all([
+      Plant.find(query).sort({ archivedAt: -1 }).lean(),
+      getSettings()
+    ]);
+    res.json(plants.map(plant => ({ ...plant, purgeAt: purgeDate(plant.archivedAt, archiveRetentionDays) })));
+  } catch (error) {
+    console.error("❌ Error fetching archived plants:", error.message);
+    res.status(500).json({ error: "Failed to fetch archived plants" });
+  }
+});
+
+// GET map summary - coordinates, online ratio, worst alarm and latest readings per plant
+router.get("/map-status", authorize("plants:read"), async (req, res) => {
+  try {
+    res.json(await getPlantMapStatus(getPlantScope(req.user)));
+  } catch (error) {
+    console.error("❌ Error building plant map status:", error.message);
+    res.status(500).json({ error: "Failed to load plant status" });
+  }
+});
+
 // POST (Add) a new plant
-router.post("/", async (req, res) => {
+router.post("/", authorize("plants:create"), async (req, res) => {
   try {
-    const newPlant = new Plant(req.body);
+    const customFieldError = await prepareCustomFields("plant", req.body);
+    if (customFieldError) {
+      return res.status(400).json({ message: customFieldError });
+    }
+    const newPlant = new Plant(withoutArchiveFields(req.body));
     await newPlant.save();
+    await recordAudit(req, {
+      action: "plant.create",
+      targetType: "plant",
+      targetId: newPlant._id,
+      targetName: newPlant.plantName,
+      plantId: newPlant._id,
+      plantName: newPlant.plantName,
+      after: newPlant
+    });
     res.status(201).json(newPlant);
   } catch (error) {
     console.error("❌ Error adding plant:", error.message);
@@ -28,27 +86,101 @@ router.post("/", async (req, res) => {
   }
 });
 
-// DELETE a plant
-router.delete("/:id", async (req, res) => {
+// GET what archiving a plant would take with it
+router.get("/:id/dependencies", authorize("plants:read"), requirePlantAccess(plantFromParams), async (req, res) => {
   try {
-    await Plant.findByIdAndDelete(req.params.id);
-    res.json({ message: "Plant deleted successfully" });
+    const plant = await Plant.findById(req.params.id);
+    if (!plant) {
+      return res.status(404).json({ message: "Plant not found" });
+    }
+    res.json(await getPlantDependencies(plant));
   } catch (error) {
-    console.error("❌ Error deleting plant:", error.message);
-    res.status(500).json({ error: "Failed to delete plant" });
+    console.error("❌ Error fetching plant dependencies:", error.message);
+    res.status(500).json({ error: "Failed to fetch plant dependencies" });
+  }
+});
+
+// DELETE (archive) a plant and its devices - they can be restored until the purge job removes them
+router.delete("/:id", authorize("plants:delete"), requirePlantAccess(plantFromParams), async (req, res) => {
+  try {
+    const plant = await Plant.findById(req.params.id);
+    if (!plant) {
+      return res.status(404).json({ message: "Plant not found" });
+    }
+    const deviceCount = await archivePlant(plant, req.user.userId);
+    await recordAudit(req, {
+      action: "plant.archive",
+      targetType: "plant",
+      targetId: plant._id,
+      targetName: plant.plantName,
+      plantId: plant._id,
+      plantName: plant.plantName,
+      before: plant,
+      after: { archivedDevices: deviceCount }
+    });
+    const { archiveRetentionDays } = await getSettings();
+    res.json({
+      message: `Plant archived with ${deviceCount} device(s)`,
+      purgeAt: purgeDate(new Date(), archiveRetentionDays)
+    });
+  } catch (error) {
+    console.error("❌ Error archiving plant:", error.message);
+    res.status(500).json({ error: "Failed to archive plant" });
+  }
+});
+
+// POST restore an archived plant and the devices archived with it
+router.post("/:id/restore", authorize("plants:delete"), requirePlantAccess(plantFromParams), async (req, res) => {
+  try {
+    const plant = await Plant.findOne({ _id: req.params.id, archivedAt: { $ne: null } });
+    if (!plant) {
+      return res.status(404).json({ message: "Archived plant not found" });
+    }
+    const { error, restored } = await restorePlant(plant);
+    if (error) {
+      return res.status(409).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: "plant.restore",
+      targetType: "plant",
+      targetId: plant._id,
+      targetName: plant.plantName,
+      plantId: plant._id,
+      plantName: plant.plantName,
+      after: { restoredDevices: restored }
+    });
+    res.json({ message: `Plant restored with ${restored} device(s)` });
+  } catch (error) {
+    console.error("❌ Error restoring plant:", error.message);
+    res.status(500).json({ error: "Failed to restore plant" });
   }
 });
 
 // PUT (Update) a plant
-// PUT (Update) a plant
-router.put("/:id", async (req, res) => {
+router.put("/:id", authorize("plants:update"), requirePlantAccess(plantFromParams), async (req, res) => {
   try {
-    const updatedPlant = await Plant.findByIdAndUpdate(req.params.id, req.body, {
+    const customFieldError = await prepareCustomFields("plant", req.body);
+    if (customFieldError) {
+      return res.status(400).json({ message: customFieldError });
+    }
+    const previousPlant = await Plant.findById(req.params.id);
+    const updatedPlant = await Plant.findByIdAndUpdate(req.params.id, withoutArchiveFields(req.body), {
       new: true,
+      runValidators: true,
     });
     if (!updatedPlant) {
       return res.status(404).json({ message: "Plant not found" });
     }
+    await recordAudit(req, {
+      action: "plant.update",
+      targetType: "plant",
+      targetId: updatedPlant._id,
+      targetName: updatedPlant.plantName,
+      plantId: updatedPlant._id,
+      plantName: updatedPlant.plantName,
+      before: previousPlant,
+      after: updatedPlant
+    });
     res.json(updatedPlant);
   } catch (error) {
     console.error("❌ Error updating plant:", error.message);
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+
+// System settings are limited to admins
+router.use(authMiddleware, authorize('settings:manage'));
+
+// Get settings
+router.get('/', settingsController.getSettings);
+
+// Update settings, e.g. { twoFactorRequired: true, archiveRetentionDays: 30 }
+router.put('/', settingsController.updateSettings);
+
+module.exports = router;
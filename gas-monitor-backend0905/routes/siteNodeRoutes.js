@@ -0,0 +1,240 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const SiteNode = require('../models/siteNodeModel');
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize, getPlantScope, canAccessPlant } = require('../middleware/accessMiddleware');
+const { recordAudit } = require('../services/auditService');
+const {
+  validatePlacement,
+  getSubtreeNodeIds,
+  getSubtreeDevices,
+  moveNode,
+  getPlantTree
+} = require('../services/siteHierarchyService');
+
+// All site hierarchy routes require a logged-in user
+router.use(authMiddleware);
+
+// Load the node named by :id and make sure the user can access its plant
+const loadAccessibleNode = async (req, res, next) => {
+  try {
+    const node = await SiteNode.findById(req.params.id);
+    if (!node) {
+      return res.status(404).json({ message: 'Site node not found' });
+    }
+    if (!canAccessPlant(req.user, node.plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this site node' });
+    }
+    req.siteNode = node;
+    next();
+  } catch (error) {
+    console.error('Error loading site node:', error);
+    res.status(400).json({ message: 'Invalid site node ID' });
+  }
+};
+
+const nodeAuditFields = (node) => ({
+  targetType: 'site-node',
+  targetId: node._id,
+  targetName: `${node.type}: ${node.name}`,
+  plantId: node.plantId
+});
+
+// GET nodes as a flat list (optionally filtered by plantId)
+router.get('/', authorize('plants:read'), async (req, res) => {
+  try {
+    const { plantId } = req.query;
+    if (plantId && !canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    const scope = getPlantScope(req.user);
+    const query = plantId ? { plantId } : (scope === null ? {} : { plantId: { $in: scope } });
+    const nodes = await SiteNode.find(query).sort({ name: 1 });
+    res.json(nodes);
+  } catch (error) {
+    console.error('Error fetching site nodes:', error);
+    res.status(500).json({ message: 'Server error while fetching site nodes' });
+  }
+});
+
+// GET a plant's hierarchy as a tree with device, alarm and telemetry rollups
+router.get('/tree', authorize('plants:read'), async (req, res) => {
+  try {
+    const { plantId } = req.query;
+    if (!plantId || !mongoose.Types.ObjectId.isValid(plantId)) {
+      return res.status(400).json({ message: 'A valid plantId is required' });
+    }
+    if (!canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    const plant = await Plant.findById(plantId);
+    if (!plant) {
+      return res.status(404).json({ message: 'Plant not found' });
+    }
+    res.json(await getPlantTree(plant));
+  } catch (error) {
+    console.error('Error building site tree:', error);
+    res.status(500).json({ message: 'Server error while building site tree' });
+  }
+});
+
+// GET devices in a node and everything below it
+router.get('/:id/devices', authorize('devices:read'), loadAccessibleNode, async (req, res) => {
+  try {
+    res.json(await getSubtreeDevices(req.siteNode._id));
+  } catch (error) {
+    console.error('Error fetching site node devices:', error);
+    res.status(500).json({ message: 'Server error while fetching devices' });
+  }
+});
+
+// POST - Add a building, area or zone
+router.post('/', authorize('plants:update'), async (req, res) => {
+  try {
+    const { name, type, plantId, parentId = null, description = '' } = req.body;
+    if (!name || !type || !plantId) {
+      return res.status(400).json({ message: 'Name, type and plantId are required' });
+    }
+    if (!canAccessPlant(req.user, plantId)) {
+      return res.status(403).json({ message: 'You do not have access to this plant' });
+    }
+    if (!(await Plant.exists({ _id: plantId }))) {
+      return res.status(404).json({ message: 'Plant not found' });
+    }
+
+    const parent = parentId ? await SiteNode.findById(parentId) : null;
+    if (parentId && !parent) {
+      return res.status(404).json({ message: 'Parent node not found' });
+    }
+    const placementError = validatePlacement(type, parent, plantId);
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+
+    const node = await SiteNode.create({
+      name,
+      type,
+      plantId,
+      parentId: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      description
+    });
+    await recordAudit(req, { action: 'site.create', ...nodeAuditFields(node), after: node });
+    res.status(201).json(node);
+  } catch (error) {
+    console.error('Error adding site node:', error);
+    res.status(400).json({ message: 'Error adding site node' });
+  }
+});
+
+// PUT - Rename, retype or move a node (parentId: null moves it to the plant root)
+router.put('/:id', authorize('plants:update'), loadAccessibleNode, async (req, res) => {
+  try {
+    const node = req.siteNode;
+    const before = node.toObject();
+    const { name, type = node.type, description, parentId } = req.body;
+
+    const moving = parentId !== undefined && String(parentId || '') !== String(node.parentId || '');
+    let parent = null;
+    if (moving && parentId) {
+      parent = await SiteNode.findById(parentId);
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent node not found' });
+      }
+      if (parent._id.equals(node._id) || parent.ancestors.some(id => id.equals(node._id))) {
+        return res.status(400).json({ message: 'A node cannot be moved inside itself' });
+      }
+    } else if (!moving && node.parentId) {
+      parent = await SiteNode.findById(node.parentId);
+    }
+
+    const placementError = validatePlacement(type, parent, node.plantId);
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+    // Children must still fit under the node if its type changes
+    if (type !== node.type) {
+      const children = await SiteNode.find({ parentId: node._id }).select('type');
+      const childError = children
+        .map(child => validatePlacement(child.type, { ...node.toObject(), type }, node.plantId))
+        .find(Boolean);
+      if (childError) {
+        return res.status(400).json({ message: childError });
+      }
+    }
+
+    if (name !== undefined) node.name = name;
+    if (description !== undefined) node.description = description;
+    node.type = type;
+    if (moving) {
+      await moveNode(node, parent);
+    } else {
+      await node.save();
+    }
+
+    await recordAudit(req, { action: 'site.update', ...nodeAuditFields(node), before, after: node });
+    res.json(node);
+  } catch (error) {
+    console.error('Error updating site node:', error);
+    res.status(400).json({ message: 'Error updating site node' });
+  }
+});
+
+// PUT - Assign devices to a node (they must belong to the node's plant)
+router.put('/:id/devices', authorize('devices:write'), loadAccessibleNode, async (req, res) => {
+  try {
+    const { deviceIds } = req.body;
+    if (!Array.isArray(deviceIds) || deviceIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'deviceIds must be an array of device IDs' });
+    }
+    const node = req.siteNode;
+    const devices = await Device.find({ _id: { $in: deviceIds } });
+    if (devices.length !== new Set(deviceIds.map(String)).size) {
+      return res.status(404).json({ message: 'One or more devices were not found' });
+    }
+    if (devices.some(device => device.plantId.toString() !== node.plantId.toString())) {
+      return res.status(400).json({ message: 'Devices can only be assigned to nodes in their own plant' });
+    }
+
+    await Device.updateMany({ _id: { $in: deviceIds } }, { siteNodeId: node._id });
+    await recordAudit(req, {
+      action: 'site.assign_devices',
+      ...nodeAuditFields(node),
+      before: { devices: devices.map(device => ({ deviceName: device.deviceName, siteNodeId: device.siteNodeId })) },
+      after: { devices: devices.map(device => device.deviceName), siteNodeId: node._id }
+    });
+    res.json({ message: `${devices.length} device(s) assigned to ${node.name}` });
+  } catch (error) {
+    console.error('Error assigning devices to site node:', error);
+    res.status(500).json({ message: 'Error assigning devices' });
+  }
+});
+
+// DELETE - Remove an empty node
+router.delete('/:id', authorize('plants:update'), loadAccessibleNode, async (req, res) => {
+  try {
+    const node = req.siteNode;
+    const nodeIds = await getSubtreeNodeIds(node._id);
+    const childCount = nodeIds.length - 1;
+    const deviceCount = await Device.countDocuments({ siteNodeId: { $in: nodeIds } });
+    if (childCount > 0 || deviceCount > 0) {
+      return res.status(409).json({
+        message: `Move or remove its ${childCount} child node(s) and ${deviceCount} device(s) first`,
+        childCount,
+        deviceCount
+      });
+    }
+
+    await SiteNode.findByIdAndDelete(node._id);
+    await recordAudit(req, { action: 'site.delete', ...nodeAuditFields(node), before: node });
+    res.json({ message: 'Site node deleted' });
+  } catch (error) {
+    console.error('Error deleting site node:', error);
+    res.status(500).json({ message: 'Error deleting site node' });
+  }
+});
+
+module.exports = router;
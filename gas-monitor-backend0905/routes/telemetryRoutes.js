@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const Device = require("../models/Device");
+const Threshold = require("../models/thresholdModel");
+const Tolerance = require("../models/toleranceModel");
 const { getTelemetryDB } = require("../config/db");
 const {
   getTelemetryDataByDeviceId,
@@ -9,34 +11,26 @@ const {
   getLatestTelemetryByDeviceName,
   getDiagnosticData
 } = require("../services/mongoTelemetryService");
-
-// Create a threshold model and collection
-const thresholdSchema = new mongoose.Schema({
-  deviceId: { type: String, required: true },
-  type: { type: String, required: true },
-  threshold: { type: Number, required: true },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-// Create a compound index for fast lookups
-thresholdSchema.index({ deviceId: 1, type: 1 }, { unique: true });
-
-// Initialize the threshold model with the main database
-const Threshold = mongoose.model('Threshold', thresholdSchema);
-
-// Create a tolerance model and collection for parameters that control how much a value needs to change to be considered significant
-const toleranceSchema = new mongoose.Schema({
-  deviceId: { type: String, required: true },
-  type: { type: String, required: true },
-  tolerance: { type: Number, required: true },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-// Create a compound index for fast lookups
-toleranceSchema.index({ deviceId: 1, type: 1 }, { unique: true });
-
-// Initialize the tolerance model with the main database
-const Tolerance = mongoose.model('Tolerance', toleranceSchema);
+const authMiddleware = require("../middleware/authMiddleware");
+const { authorize, requireDeviceAccess } = require("../middleware/accessMiddleware");
+const { recordAudit, deviceAuditFields } = require("../services/auditService");
+const { sendDeviceCommand } = require("../services/commandService");
+const { getDeviceType, getMetric, validateMetricSetting } = require("../services/deviceTypeService");
+const { requireTwoFactorSession } = require("../middleware/twoFactorMiddleware");
+
+// All telemetry routes require a logged-in user
+router.use(authMiddleware);
+
+// Metric named by :type on the device's type; answers 400 itself when the type has no such metric
+const loadMetric = async (req, res) => {
+    const deviceType = await getDeviceType(req.device ? req.device.deviceTypeId : null);
+    const metric = getMetric(deviceType, req.params.type);
+    if (!metric) {
+        res.status(400).json({ error: `${req.params.type} is not a metric of ${deviceType.name} devices` });
+        return null;
+    }
+    return metric;
+};
 
 // 🔥 **Global function to fetch `deviceName` from MongoDB**
 const fetchDeviceName = async (deviceId) => {
@@ -50,7 +44,7 @@ const fetchDeviceName = async (deviceId) => {
 };
 
 // 🛠 **Diagnostic Route**
-router.get("/diagnostic", async (req, res) => {
+router.get("/diagnostic", authorize("system:debug"), async (req, res) => {
     try {
         console.log("🔍 Running MongoDB diagnostic...");
 
@@ -69,7 +63,7 @@ router.get("/diagnostic", async (req, res) => {
 });
 
 // 🔍 **MongoDB Diagnostic Route**
-router.get("/mongodb-debug", async (req, res) => {
+router.get("/mongodb-debug", authorize("system:debug"), async (req, res) => {
   try {
     console.log("🔍 Running MongoDB collection inspection...");
     
@@ -116,7 +110,7 @@ router.get("/mongodb-debug", async (req, res) => {
 });
 
 // 📡 **Get Latest Telemetry Entry**
-router.get("/latest/:deviceId", async (req, res) => {
+router.get("/latest/:deviceId", authorize("telemetry:read"), requireDeviceAccess(), async (req, res) => {
     try {
         const { deviceId } = req.params;
         console.log(`🔍 Fetching latest telemetry for device: ${deviceId}`);
@@ -160,7 +154,7 @@ router.get("/latest/:deviceId", async (req, res) => {
 });
 
 // 🔄 **Get Realtime Telemetry Data**
-router.get("/realtime/:deviceId", async (req, res) => {
+router.get("/realtime/:deviceId", authorize("telemetry:read"), requireDeviceAccess(), async (req, res) => {
     try {
         const { deviceId } = req.params;
         console.log(`📡 Fetching realtime telemetry for device: ${deviceId}`);
@@ -185,7 +179,7 @@ router.get("/realtime/:deviceId", async (req, res) => {
 });
 
 // EventHub MongoDB Connection Test - Moved here to prevent it being caught by the /:deviceId route
-router.get('/eventhub-test', async (req, res) => {
+router.get('/eventhub-test', authorize("system:debug"), async (req, res) => {
   try {
     console.log('🔍 Testing EventHub to MongoDB data flow...');
     
@@ -261,7 +255,7 @@ router.get('/eventhub-test', async (req, res) => {
 });
 
 // 📊 **Get Historical Telemetry Data**
-router.get("/:deviceId", async (req, res) => {
+router.get("/:deviceId", authorize("telemetry:read"), requireDeviceAccess(), async (req, res) => {
     try {
         const { deviceId } = req.params;
         console.log(`📜 Fetching historical telemetry for device: ${deviceId}`);
@@ -286,7 +280,7 @@ router.get("/:deviceId", async (req, res) => {
 });
 
 // ✅ Get saved latest telemetry by deviceName (for frontend)
-router.get("/saved-latest/:deviceName", async (req, res) => {
+router.get("/saved-latest/:deviceName", authorize("telemetry:read"), requireDeviceAccess("deviceName"), async (req, res) => {
     try {
         const { deviceName } = req.params;
         console.log(`🔍 [API] Fetching saved-latest telemetry for: ${deviceName}`);
@@ -306,7 +300,7 @@ router.get("/saved-latest/:deviceName", async (req, res) => {
 });
 
 // Add direct device lookup route for debugging
-router.get("/device-lookup/:deviceName", async (req, res) => {
+router.get("/device-lookup/:deviceName", authorize("system:debug"), async (req, res) => {
   try {
     const { deviceName } = req.params;
     console.log(`🔍 Looking up device in MongoDB: ${deviceName}`);
@@ -359,7 +353,7 @@ router.get("/device-lookup/:deviceName", async (req, res) => {
   }
 });
 
-router.post('/threshold/:deviceId', async (req, res) => {
+router.post('/threshold/:deviceId', authorize("thresholds:write"), requireDeviceAccess(), async (req, res) => {
     const { deviceId } = req.params;
     const { metric, threshold } = req.body;
   
@@ -380,24 +374,21 @@ router.post('/threshold/:deviceId', async (req, res) => {
   });
 
 // Get threshold value for a specific device and type
-router.get("/threshold/:deviceId/:type", async (req, res) => {
+router.get("/threshold/:deviceId/:type", authorize("telemetry:read"), requireDeviceAccess(), async (req, res) => {
   try {
     const { deviceId, type } = req.params;
     console.log(`🔍 Fetching threshold for device ${deviceId}, type ${type}`);
     
+    const metric = await loadMetric(req, res);
+    if (!metric) return;
+    
     // Find the threshold in the database
     const thresholdDoc = await Threshold.findOne({ deviceId, type });
     
     if (!thresholdDoc) {
-      // Return default thresholds if none exist
-      const defaultThresholds = {
-        temperature: 35,  // Default temperature threshold (35°C)
-        humidity: 70,    // Default humidity threshold (70%)
-        oilLevel: 15     // Default oil level threshold (15%)
-      };
-      
-      console.log(`ℹ️ No threshold found, returning default value for ${type}: ${defaultThresholds[type]}`);
-      return res.json({ threshold: defaultThresholds[type] || 0 });
+      // Fall back to the default of the device type's metric
+      console.log(`ℹ️ No threshold found, returning default value for ${type}: ${metric.defaultThreshold}`);
+      return res.json({ threshold: metric.defaultThreshold });
     }
     
     console.log(`✅ Found threshold: ${thresholdDoc.threshold}`);
@@ -409,7 +400,7 @@ router.get("/threshold/:deviceId/:type", async (req, res) => {
 });
 
 // Update threshold value for a specific device and type
-router.post("/threshold/:deviceId/:type", async (req, res) => {
+router.post("/threshold/:deviceId/:type", authorize("thresholds:write"), requireDeviceAccess(), async (req, res) => {
   try {
     const { deviceId, type } = req.params;
     const { threshold } = req.body;
@@ -418,8 +409,17 @@ router.post("/threshold/:deviceId/:type", async (req, res) => {
       return res.status(400).json({ error: "Threshold value is required" });
     }
     
+    const metric = await loadMetric(req, res);
+    if (!metric) return;
+    const rangeError = validateMetricSetting(metric, 'threshold', Number(threshold));
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+    
     console.log(`🔄 Updating threshold for device ${deviceId}, type ${type} to ${threshold}`);
     
+    const previous = await Threshold.findOne({ deviceId, type });
+    
     // Use findOneAndUpdate with upsert to create if it doesn't exist
     const result = await Threshold.findOneAndUpdate(
       { deviceId, type },
@@ -435,6 +435,16 @@ router.post("/threshold/:deviceId/:type", async (req, res) => {
     );
     
     console.log(`✅ Threshold updated successfully: ${result.threshold}`);
+    
+    await recordAudit(req, {
+      action: previous ? 'threshold.update' : 'threshold.create',
+      targetType: 'threshold',
+      targetId: result._id,
+      targetName: type,
+      ...deviceAuditFields(req.device, deviceId),
+      before: previous ? { type, threshold: previous.threshold } : null,
+      after: { type, threshold: result.threshold }
+    });
     res.json({ success: true, threshold: result.threshold });
   } catch (error) {
     console.error(`❌ Error updating threshold:`, error);
@@ -443,24 +453,21 @@ router.post("/threshold/:deviceId/:type", async (req, res) => {
 });
 
 // Get tolerance value for a specific device and type
-router.get("/tolerance/:deviceId/:type", async (req, res) => {
+router.get("/tolerance/:deviceId/:type", authorize("telemetry:read"), requireDeviceAccess(), async (req, res) => {
   try {
     const { deviceId, type } = req.params;
     console.log(`🔍 Fetching tolerance for device ${deviceId}, type ${type}`);
     
+    const metric = await loadMetric(req, res);
+    if (!metric) return;
+    
     // Find the tolerance in the database
     const toleranceDoc = await Tolerance.findOne({ deviceId, type });
     
     if (!toleranceDoc) {
-      // Return default tolerances if none exist
-      const defaultTolerances = {
-        temperature: 0.5,  // Default temperature tolerance (0.5°C)
-        humidity: 2.0,    // Default humidity tolerance (2%)
-        oilLevel: 1.0     // Default oil level tolerance (1%)
-      };
-      
-      console.log(`ℹ️ No tolerance found, returning default value for ${type}: ${defaultTolerances[type]}`);
-      return res.json({ tolerance: defaultTolerances[type] || 1.0 });
+      // Fall back to the default of the device type's metric
+      console.log(`ℹ️ No tolerance found, returning default value for ${type}: ${metric.defaultTolerance}`);
+      return res.json({ tolerance: metric.defaultTolerance });
     }
     
     console.log(`✅ Found tolerance: ${toleranceDoc.tolerance}`);
@@ -472,7 +479,7 @@ router.get("/tolerance/:deviceId/:type", async (req, res) => {
 });
 
 // Update tolerance value for a specific device and type
-router.post("/tolerance/:deviceId/:type", async (req, res) => {
+router.post("/tolerance/:deviceId/:type", authorize("thresholds:write"), requireDeviceAccess(), async (req, res) => {
   try {
     const { deviceId, type } = req.params;
     const { tolerance } = req.body;
@@ -481,8 +488,17 @@ router.post("/tolerance/:deviceId/:type", async (req, res) => {
       return res.status(400).json({ error: "Tolerance value is required" });
     }
     
+    const metric = await loadMetric(req, res);
+    if (!metric) return;
+    const rangeError = validateMetricSetting(metric, 'tolerance', Number(tolerance));
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+    
     console.log(`🔄 Updating tolerance for device ${deviceId}, type ${type} to ${tolerance}`);
     
+    const previous = await Tolerance.findOne({ deviceId, type });
+    
     // Use findOneAndUpdate with upsert to create if it doesn't exist
     const result = await Tolerance.findOneAndUpdate(
       { deviceId, type },
@@ -498,6 +514,16 @@ router.post("/tolerance/:deviceId/:type", async (req, res) => {
     );
     
     console.log(`✅ Tolerance updated successfully: ${result.tolerance}`);
+    
+    await recordAudit(req, {
+      action: previous ? 'tolerance.update' : 'tolerance.create',
+      targetType: 'tolerance',
+      targetId: result._id,
+      targetName: type,
+      ...deviceAuditFields(req.device, deviceId),
+      before: previous ? { type, tolerance: previous.tolerance } : null,
+      after: { type, tolerance: result.tolerance }
+    });
     res.json({ success: true, tolerance: result.tolerance });
   } catch (error) {
     console.error(`❌ Error updating tolerance:`, error);
@@ -505,4 +531,35 @@ router.post("/tolerance/:deviceId/:type", async (req, res) => {
   }
 });
 
+// Send a command (e.g. restart) to a device - requires a session that passed 2FA
+router.post("/command/:deviceId", authorize("commands:send"), requireTwoFactorSession, requireDeviceAccess(), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { command, value } = req.body;
+    
+    if (!command) {
+      return res.status(400).json({ error: "Command is required" });
+    }
+    
+    const deviceName = req.device ? req.device.deviceName : deviceId;
+    console.log(`📤 Sending command '${command}' to device ${deviceName}`);
+    
+    const result = await sendDeviceCommand(deviceName, command, value);
+    
+    await recordAudit(req, {
+      action: 'device.command',
+      targetType: 'device',
+      targetId: req.device ? req.device._id : deviceName,
+      targetName: deviceName,
+      ...deviceAuditFields(req.device, deviceName),
+      after: { command, value: value ?? null }
+    });
+    
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error(`❌ Error sending command:`, error.message);
+    res.status(502).json({ error: "Failed to send command to device" });
+  }
+});
+
 module.exports = router;
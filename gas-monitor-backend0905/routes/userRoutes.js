@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/accessMiddleware');
+
+// User administration is limited to admins
+router.use(authMiddleware, authorize('users:manage'));
+
+// List users (optional ?role=, ?isActive=, ?search=)
+router.get('/', userController.getUsers);
+
+// Get a single user
+router.get('/:id', userController.getUserById);
+
+// Create a user and email them a link to set their password
+router.post('/', userController.createUser);
+
+// Change name, role or plant assignments
+router.put('/:id', userController.updateUser);
+
+// Deactivate a user and revoke their sessions
+router.put('/:id/deactivate', userController.deactivateUser);
+
+// Reactivate a deactivated user
+router.put('/:id/reactivate', userController.reactivateUser);
+
+// Sign the user out and require a new password before the next login
+router.post('/:id/force-password-reset', userController.forcePasswordReset);
+
+// Lift a lockout caused by repeated failed logins
+router.post('/:id/unlock', userController.unlockUser);
+
+// Clear 2FA so the user can enroll again
+router.post('/:id/reset-2fa', userController.resetTwoFactor);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// Give a registered account the admin role: npm run promote-admin -- someone@example.com
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB, getTestDB, getTelemetryDB } = require('../config/db');
+
+const run = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run promote-admin -- <email>');
+    return 1;
+  }
+
+  await connectDB();
+  // Models bind to the database connection when first required, so load them only now
+  const { promoteToAdmin } = require('../services/adminBootstrapService');
+  const { error, user, promoted } = await promoteToAdmin(email, 'promote-admin script');
+  await Promise.all([mongoose.disconnect(), getTestDB().close(), getTelemetryDB().close()]);
+
+  if (error) {
+    console.error(`❌ ${error}`);
+    return 1;
+  }
+  console.log(promoted ? `👑 ${user.email} is now an admin` : `${user.email} is already an admin`);
+  return 0;
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error('❌ Failed to promote admin:', err.message);
+    process.exit(1);
+  });
@@ -6,9 +6,21 @@ const socketIo = require("socket.io");
 const redis = require("redis");
 
 const { connectDB } = require("./config/db");
+const { resolveDeviceEntry, enrichWithDevice } = require("./services/deviceRegistryService");
+const { getDeviceType, normalizeReading } = require("./services/deviceTypeService");
+const { isInService, suppressAlarmsOf } = require("./services/deviceLifecycleService");
+const authMiddleware = require("./middleware/authMiddleware");
+const { authorize } = require("./middleware/accessMiddleware");
+const {
+  socketAuthMiddleware,
+  alarmRoomsForPlant,
+  joinAlarmRooms,
+  authorizeDeviceSubscription,
+  authorizePlantSubscription
+} = require("./middleware/socketAuthMiddleware");
 
 // Route imports - wait for database before importing
-let authRoutes, plantRoutes, deviceRoutes, telemetryRoutes, azureDeviceRoutes, alarmRoutes;
+let authRoutes, plantRoutes, deviceRoutes, telemetryRoutes, alarmRoutes, userRoutes, auditRoutes, settingsRoutes, apiKeyRoutes, siteNodeRoutes, deviceTypeRoutes, firmwareRoutes, maintenanceRoutes, attributeRoutes, filterPresetRoutes, deviceTemplateRoutes;
 
 // Redis test routes - can be imported immediately
 const redisTestRoutes = require('./routes/redisTestRoutes');
@@ -456,7 +468,7 @@ if (!alarmRoutes) {
   });
   
   // Use the temporary router for alarm routes
-  app.use('/api/alarms', alarmRouter);
+  app.use('/api/alarms', authMiddleware, authorize('alarms:read'), alarmRouter);
 } else {
   // Use the existing alarm routes if they're defined
   app.use('/api/alarms', alarmRoutes);
@@ -476,32 +488,67 @@ app.get('/dashboard', (req, res) => {
   res.sendFile(__dirname + '/public/dashboard.html');
 });
 
-// Redis test routes
-app.use('/api/redis', redisTestRoutes);
+// Redis test routes (admin only)
+app.use('/api/redis', authMiddleware, authorize('system:debug'), redisTestRoutes);
+
+// Every socket must present the same JWT as the REST API
+io.use(socketAuthMiddleware);
 
 // Set up Socket.IO event handlers
 io.on("connection", (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
+  console.log(`🔌 Client connected: ${socket.id} (user: ${socket.user.email}, role: ${socket.user.role})`);
+  
+  // Alarms are only delivered through the plant alarm rooms this user may join
+  joinAlarmRooms(socket);
+  
+  // Per-user and per-session rooms let logout and session revocation close live sockets
+  socket.join(`user:${socket.user.userId}`);
+  if (socket.user.sid) socket.join(`session:${socket.user.sid}`);
   
   // Send immediate connection confirmation
   socket.emit('connected', { status: 'connected', socketId: socket.id });
   
   // Set up telemetry subscription
-  socket.on('subscribe', (deviceId) => {
-    console.log(`📱 Client ${socket.id} subscribed to device: ${deviceId}`);
-    socket.join(`device:${deviceId}`);
-    // Confirm subscription back to client
-    socket.emit('subscribed', { device: deviceId, status: 'subscribed' });
+  socket.on('subscribe', async (deviceId) => {
+    try {
+      const { allowed, room } = await authorizeDeviceSubscription(socket, deviceId);
+      if (!allowed) {
+        console.warn(`⛔ Client ${socket.id} denied subscription to device: ${deviceId}`);
+        socket.emit('subscription-error', { device: deviceId, message: 'You do not have access to this device' });
+        return;
+      }
+      console.log(`📱 Client ${socket.id} subscribed to device: ${deviceId}`);
+      socket.join(room);
+      // Confirm subscription back to client
+      socket.emit('subscribed', { device: deviceId, status: 'subscribed' });
+    } catch (err) {
+      console.error(`❌ Error subscribing ${socket.id} to device ${deviceId}:`, err);
+      socket.emit('subscription-error', { device: deviceId, message: 'Subscription failed' });
+    }
+  });
+  
+  socket.on('unsubscribe', async (deviceId) => {
+    const device = await resolveDeviceEntry(deviceId).catch(() => null);
+    socket.leave(`device:${device ? device.deviceName : deviceId}`);
   });
   
   // Set up plant subscription
   socket.on('subscribe-plant', (plantId) => {
+    if (!authorizePlantSubscription(socket, plantId)) {
+      console.warn(`⛔ Client ${socket.id} denied subscription to plant: ${plantId}`);
+      socket.emit('subscription-error', { plant: plantId, message: 'You do not have access to this plant' });
+      return;
+    }
     console.log(`🏭 Client ${socket.id} subscribed to plant: ${plantId}`);
     socket.join(`plant:${plantId}`);
     // Confirm subscription back to client
     socket.emit('subscribed-plant', { plant: plantId, status: 'subscribed' });
   });
   
+  socket.on('unsubscribe-plant', (plantId) => {
+    socket.leave(`plant:${plantId}`);
+  });
+  
   // Set up notification subscription
   socket.on('subscribe-notifications', (data) => {
     console.log(`📬 Client ${socket.id} subscribed to notifications`);
@@ -560,7 +607,7 @@ setInterval(async () => {
     
     // Subscribe to telemetry channel with enhanced logging
     console.log('🔎 Subscribing to "telemetry" Redis channel...');
-    await redisSub.subscribe("telemetry", (message) => {
+    await redisSub.subscribe("telemetry", async (message) => {
       telemetryMsgCount++;
       console.log(`🟢 [REDIS] Received telemetry message #${telemetryMsgCount} from Redis: ${message.substring(0, 50)}...`);
       
@@ -572,58 +619,39 @@ setInterval(async () => {
         console.error(`🔴 [REDIS] Invalid JSON message: ${err.message}`);
       }
       try {
-        const telemetryData = JSON.parse(message);
-        const deviceId = telemetryData.deviceId || telemetryData.device;
-        const deviceName = telemetryData.deviceName || telemetryData.DeviceName || deviceId;
+        const rawTelemetry = JSON.parse(message);
+        const deviceId = rawTelemetry.deviceId || rawTelemetry.device;
+        const device = await resolveDeviceEntry(rawTelemetry.deviceName || rawTelemetry.DeviceName || deviceId).catch(() => null);
+        // Rooms are keyed by the registered name, whatever casing or ID the message used
+        const deviceName = device ? device.deviceName : (rawTelemetry.deviceName || rawTelemetry.DeviceName || deviceId);
         
-        // Check if this is from esp32_04 - various ways to identify it
-        const isEsp32_04 = deviceId === 'esp32_04' || 
-                          deviceName?.toLowerCase().includes('esp32_04') || 
-                          telemetryData?.device?.toLowerCase() === 'esp32_04' ||
-                          telemetryData?.deviceId?.toLowerCase() === 'esp32_04';
+        // Add the readings of the device type's metrics under their metric keys
+        const deviceType = await getDeviceType(device?.deviceTypeId);
+        const telemetryData = { ...rawTelemetry, ...normalizeReading(deviceType, rawTelemetry), deviceType: deviceType.key };
         
-        // Enhanced logging for ESP32_04
-        if (isEsp32_04) {
-          console.log(`🔵 CRITICAL: Received ESP32_04 telemetry: ${JSON.stringify(telemetryData).substring(0, 200)}...`);
-          
-          // BROADCAST ESP32_04 DATA DIRECTLY TO ALL CLIENTS in multiple ways to ensure reception
-          console.log(`💥 Broadcasting ESP32_04 data to ALL clients via MULTIPLE channels`);
-          
-          // Method 1: Direct broadcast to all sockets
-          io.emit("telemetry", telemetryData);
-          
-          // Method 2: ESP32_04 specific channel
-          io.emit("telemetry_esp32_04", telemetryData);
-          
-          // Method 3: Device-specific room
-          io.to(`device:esp32_04`).emit("telemetry-esp32_04", telemetryData);
-          
-          // Method 4: Global broadcast with type identifier
-          io.emit("broadcast", { type: "esp32_04_data", data: telemetryData });
-          
-          // Method 5: Send to all connected socket clients individually for maximum reliability
-          const connectedSockets = Array.from(io.sockets.sockets).map(socket => socket[1]);
-          console.log(`💿 Sending to ${connectedSockets.length} individual sockets`);
-          
-          connectedSockets.forEach(socket => {
-            socket.emit("telemetry-esp32_04", telemetryData);
-          });
-          
-        } else {
-          // Normal handling for other devices
-          console.log(`📡 Received telemetry data for device: ${deviceName}`);
-          
-          // Emit to specific device room
-          io.to(`device:${deviceId}`).emit("telemetry", telemetryData);
+        console.log(`📡 Received telemetry data for device: ${deviceName}`);
+        
+        // Any message counts as a heartbeat of a registered device and may carry its firmware version
+        if (device) {
+          require('./services/heartbeatService').recordHeartbeat(device)
+            .catch(err => console.error(`❌ Failed to record heartbeat of ${deviceName}:`, err.message));
+          require('./services/firmwareService').recordFirmwareReport(device, rawTelemetry)
+            .catch(err => console.error(`❌ Failed to record firmware report of ${deviceName}:`, err.message));
         }
         
-        // Also emit to plant room if we can determine the plant
-        const plantName = telemetryData.plantName || 
-                         (deviceName.includes("esp32_04") ? "Plant D" : "Plant C");
-        const plantId = plantName === "Plant D" ? 2 : 1; // Map plant names to IDs
+        // Telemetry is only delivered to rooms whose members were authorized on join
+        io.to(`device:${deviceName}`).emit("telemetry", telemetryData);
+        
+        // Legacy event name still used by the dashboard for the demo ESP32
+        if (deviceName?.toLowerCase() === 'esp32_04') {
+          io.to(`device:${deviceName}`).emit("telemetry-esp32_04", telemetryData);
+        }
         
-        console.log(`Emitting to plant:${plantId} for device ${deviceName}`);
-        io.to(`plant:${plantId}`).emit("telemetry", telemetryData);
+        // Also emit to the plant room of the registered device
+        if (device) {
+          console.log(`Emitting to plant:${device.plantId} for device ${deviceName}`);
+          io.to(`plant:${device.plantId}`).emit("telemetry", telemetryData);
+        }
       } catch (err) {
         console.error("❌ Error processing telemetry message:", err);
       }
@@ -631,7 +659,7 @@ setInterval(async () => {
     
     // Subscribe to alarm channel with enhanced logging
     console.log('🔎 Subscribing to "alarms" Redis channel...');
-    await redisSub.subscribe("alarms", (message) => {
+    await redisSub.subscribe("alarms", async (message) => {
       alarmMsgCount++;
       console.log(`🟢 [REDIS] Received alarm message #${alarmMsgCount} from Redis: ${message.substring(0, 50)}...`);
       
@@ -640,37 +668,56 @@ setInterval(async () => {
         const parsed = JSON.parse(message);
         console.log(`🟢 [REDIS] Valid alarm JSON with keys: ${Object.keys(parsed).join(', ')}`);
         
-        const alarmData = parsed;
+        // Resolve the plant and site from the device registry so alarms only reach authorized rooms
+        const alarmData = await enrichWithDevice(parsed);
         const deviceId = alarmData.deviceId || alarmData.DeviceId;
+        const deviceName = alarmData.deviceName || deviceId;
         
         console.log(`🚨 Received alarm data for device: ${deviceId}`);
         
-        // Emit to all clients
-        io.emit("alarm", alarmData);
-        console.log(`💥 Broadcasting alarm to ALL connected clients (${io.engine.clientsCount} clients)`);
+        const device = await resolveDeviceEntry(deviceName).catch(() => null);
+        
+        // Devices that are planned, commissioning, under maintenance etc. don't alarm
+        if (device && !isInService(device)) {
+          const suppressed = await suppressAlarmsOf(device);
+          console.log(`🔕 Suppressed alarm from ${device.deviceName} (${device.lifecycleState}); ${suppressed} alarm record(s) marked`);
+          return;
+        }
+        const maintenance = require('./services/maintenanceService');
+        if (device && maintenance.maintenanceInProgress(device)) {
+          const suppressed = await maintenance.suppressAlarmsDuringMaintenance(device);
+          console.log(`🔕 Suppressed alarm from ${device.deviceName} (work order in progress); ${suppressed} alarm record(s) marked`);
+          return;
+        }
+        
+        const plantId = device ? device.plantId : null;
+        const alarmRooms = alarmRoomsForPlant(plantId);
+        
+        io.to(alarmRooms).emit("alarm", alarmData);
+        console.log(`💥 Emitting alarm to rooms: ${alarmRooms.join(', ')}`);
         
         // Emit to specific device room
-        if (deviceId) {
-          io.to(`device:${deviceId}`).emit("alarm", alarmData);
-          console.log(`💢 Emitting alarm to device room: device:${deviceId}`);
+        if (deviceName) {
+          io.to(`device:${deviceName}`).emit("alarm", alarmData);
+          console.log(`💢 Emitting alarm to device room: device:${deviceName}`);
         }
         
         // Also emit to plant room
-        const plantId = alarmData.plantId || 
-                      (alarmData.plantName === "Plant D" ? 2 : 1);
-        
-        io.to(`plant:${plantId}`).emit("alarm", alarmData);
-        console.log(`🏭 Emitting alarm to plant room: plant:${plantId}`);
+        if (plantId) {
+          io.to(`plant:${plantId}`).emit("alarm", alarmData);
+          console.log(`🏭 Emitting alarm to plant room: plant:${plantId}`);
+        }
         
         // Extra processing for alarms to maintain ordering
         setTimeout(() => {
-          // Broadcast to all clients for notifications with complete information
+          // Send notifications with complete information
           // Ensure ALL required fields are included for proper display
           const notificationData = {
             id: alarmData._id || alarmData.id || `alarm-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
             deviceId: deviceId,
             deviceName: alarmData.deviceName || alarmData.DeviceName || 'Unknown Device',
-            plantName: alarmData.plantName || alarmData.PlantName || (deviceId.includes('esp32_04') ? 'Plant D' : 'Plant C'),
+            plantName: alarmData.plantName || alarmData.PlantName || '',
+            sitePath: alarmData.sitePath || [],
             alarmCode: alarmData.alarmCode || alarmData.AlarmCode || 'ALARM',
             alarmDescription: alarmData.alarmDescription || alarmData.AlarmDescription || 'New alarm',
             alarmValue: alarmData.alarmValue || alarmData.value || '',
@@ -682,10 +729,10 @@ setInterval(async () => {
             isRead: false
           };
           
-          console.log(`🔔 Broadcasting COMPLETE notification: ${JSON.stringify(notificationData).substring(0, 100)}...`);
+          console.log(`🔔 Sending COMPLETE notification: ${JSON.stringify(notificationData).substring(0, 100)}...`);
           
-          // Send to all clients with a small delay to ensure they're processed one by one
-          io.emit("alarm_notification", notificationData);
+          // Send to authorized alarm rooms with a small delay to ensure they're processed one by one
+          io.to(alarmRooms).emit("alarm_notification", notificationData);
         }, 200); // Add a 200ms delay between notifications to ensure they're processed one by one
       } catch (err) {
         console.error("❌ Error processing alarm message:", err);
@@ -705,18 +752,38 @@ const initializeRoutes = () => {
   plantRoutes = require("./routes/plantRoutes");
   deviceRoutes = require("./routes/deviceRoutes");
   telemetryRoutes = require("./routes/telemetryRoutes");
-  azureDeviceRoutes = require("./routes/azureDevice");
   alarmRoutes = require("./routes/alarmRoutes");
   notificationRoutes = require("./routes/notificationRoutes");
+  userRoutes = require("./routes/userRoutes");
+  auditRoutes = require("./routes/auditRoutes");
+  settingsRoutes = require("./routes/settingsRoutes");
+  apiKeyRoutes = require("./routes/apiKeyRoutes");
+  siteNodeRoutes = require("./routes/siteNodeRoutes");
+  deviceTypeRoutes = require("./routes/deviceTypeRoutes");
+  firmwareRoutes = require("./routes/firmwareRoutes");
+  maintenanceRoutes = require("./routes/maintenanceRoutes");
+  attributeRoutes = require("./routes/attributeRoutes");
+  filterPresetRoutes = require("./routes/filterPresetRoutes");
+  deviceTemplateRoutes = require("./routes/deviceTemplateRoutes");
   
   // Set up routes
   app.use("/api/auth", authRoutes);
   app.use("/api/plants", plantRoutes);
   app.use("/api/devices", deviceRoutes);
   app.use("/api/telemetry", telemetryRoutes);
-  app.use("/api/azure", azureDeviceRoutes);
   app.use("/api/alarms", alarmRoutes);
   app.use("/api/notifications", notificationRoutes);
+  app.use("/api/users", userRoutes);
+  app.use("/api/audit", auditRoutes);
+  app.use("/api/settings", settingsRoutes);
+  app.use("/api/api-keys", apiKeyRoutes);
+  app.use("/api/site-nodes", siteNodeRoutes);
+  app.use("/api/device-types", deviceTypeRoutes);
+  app.use("/api/firmware", firmwareRoutes);
+  app.use("/api/maintenance", maintenanceRoutes);
+  app.use("/api/attributes", attributeRoutes);
+  app.use("/api/filter-presets", filterPresetRoutes);
+  app.use("/api/device-templates", deviceTemplateRoutes);
 };
 
 // Connect to multiple MongoDB databases (test and oxygen_monitor)
@@ -724,6 +791,18 @@ connectDB()
   .then(() => {
     console.log("✅ Databases initialized successfully!");
     
+    // Create the built-in device types on a fresh database
+    require('./services/deviceTypeService').ensureBuiltInDeviceTypes()
+      .catch(err => console.error('❌ Failed to create built-in device types:', err.message));
+
+    // Devices saved before MAC IDs were normalised need macKey for duplicate checks
+    require('./services/deviceSpreadsheetService').backfillMacKeys()
+      .catch(err => console.error('❌ Failed to normalise device MAC IDs:', err.message));
+
+    // Give the account named by ADMIN_EMAIL the admin role
+    require('./services/adminBootstrapService').bootstrapAdmin()
+      .catch(err => console.error('❌ Failed to apply ADMIN_EMAIL:', err.message));
+    
     // Import telemetry model initialization only after DB is connected
     const TelemetryModel = require("./models/telemetryModel");
     // Initialize the telemetry model with the correct database connection
@@ -737,12 +816,27 @@ connectDB()
     app.set('io', io);
 
     // Initialize WebSocket service
-    const webSocketService = require('./services/websocketService');
+    const webSocketService = require('./services/webSocketService');
     webSocketService.initializeWebSocketEvents();
     console.log("✅ WebSocket service initialized");
 
+    // Permanently remove plants and devices archived longer than the retention period
+    require('./services/archiveService').startArchivePurgeJob();
+
+    // Mark devices stale or offline when their telemetry stops
+    require('./services/heartbeatService').startHeartbeatMonitor();
+
+    // Send the next batch of running firmware campaigns as earlier batches finish
+    require('./services/firmwareService').startFirmwareCampaignMonitor();
+
+    // Alarm on gas sensors whose calibration or bump test is overdue
+    require('./services/calibrationService').startCalibrationMonitor();
+
+    // Generate work orders from maintenance plans that have fallen due
+    require('./services/maintenanceService').startMaintenanceScheduler();
+
     // Add test route to verify Redis connectivity and data flow
-    app.get('/api/test-redis-publish', async (req, res) => {
+    app.get('/api/test-redis-publish', authMiddleware, authorize('system:debug'), async (req, res) => {
       try {
         const testData = {
           msgCount: Math.floor(Math.random() * 1000),
@@ -772,11 +866,10 @@ connectDB()
         const publishResult = await redisClient.publish('telemetry', JSON.stringify(testData));
         console.log(`🔵 Published test message, received by ${publishResult} subscribers`);
         
-        // Also broadcast directly via WebSocket
-        console.log('🔵 Broadcasting test message directly via WebSocket');
-        io.emit('telemetry', testData);
-        io.emit('telemetry_esp32_04', testData);
-        io.emit('telemetry-esp32_04', testData);
+        // Also send directly via WebSocket to clients subscribed to the device
+        console.log('🔵 Sending test message directly via WebSocket');
+        io.to('device:esp32_04').emit('telemetry', testData);
+        io.to('device:esp32_04').emit('telemetry-esp32_04', testData);
         
         res.json({
           success: true,
@@ -794,7 +887,7 @@ connectDB()
     });
 
     // Add direct WebSocket test route
-    app.get('/api/test-websocket', (req, res) => {
+    app.get('/api/test-websocket', authMiddleware, authorize('system:debug'), (req, res) => {
       try {
         const testData = {
           msgCount: Math.floor(Math.random() * 1000),
@@ -808,17 +901,15 @@ connectDB()
         };
         
         console.log(`🔵 Clients connected: ${io.engine.clientsCount}`);
-        console.log('🔵 Broadcasting test message directly via WebSocket');
+        console.log('🔵 Sending test message directly via WebSocket');
         
-        // Broadcast to all channels
-        io.emit('telemetry', testData);
-        io.emit('telemetry_esp32_04', testData);
-        io.emit('telemetry-esp32_04', testData);
+        // Only clients subscribed to the device room receive it
         io.to('device:esp32_04').emit('telemetry', testData);
+        io.to('device:esp32_04').emit('telemetry-esp32_04', testData);
         
         res.json({
           success: true,
-          message: `Test data broadcast directly via WebSocket to ${io.engine.clientsCount} clients`,
+          message: `Test data sent via WebSocket to subscribers of device:esp32_04`,
           data: testData
         });
       } catch (err) {
@@ -0,0 +1,53 @@
+/**
+ * Account Service
+ * Issues the one-time tokens behind email verification and password reset
+ * links. Only a hash of each token is stored on the user.
+ */
+
+const crypto = require('crypto');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./mailService');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+/**
+ * Hash a one-time token for storage or lookup
+ * @param {string} token - Plain token
+ * @returns {string}
+ */
+const hashOneTimeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashOneTimeToken(token) };
+};
+
+/**
+ * Store a fresh verification token on the user and mail the link
+ * @param {Object} user - User document
+ */
+const issueVerificationEmail = async (user) => {
+  const { token, hash } = generateOneTimeToken();
+  user.emailVerificationTokenHash = hash;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await user.save();
+  await sendVerificationEmail(user, token);
+};
+
+/**
+ * Store a fresh password reset token on the user and mail the link
+ * @param {Object} user - User document
+ */
+const issuePasswordReset = async (user) => {
+  const { token, hash } = generateOneTimeToken();
+  user.passwordResetTokenHash = hash;
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await user.save();
+  await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+};
+
+module.exports = {
+  hashOneTimeToken,
+  issueVerificationEmail,
+  issuePasswordReset
+};
@@ -0,0 +1,58 @@
+/**
+ * Admin Bootstrap Service
+ * Gives a named, already registered account the admin role. Nobody becomes
+ * admin by registering; the first admin is set through ADMIN_EMAIL (applied
+ * on every start) or with `npm run promote-admin -- <email>`. Later admins
+ * are assigned in user management.
+ */
+
+const User = require('../models/userModel');
+const { recordAudit } = require('./auditService');
+
+/**
+ * Make an existing account an admin
+ * @param {string} email - Email address of a registered account
+ * @param {string} source - What asked for it, recorded in the audit log
+ * @returns {Promise<{ error?: string, user?: Object, promoted?: boolean }>}
+ */
+const promoteToAdmin = async (email, source) => {
+  const address = String(email || '').trim().toLowerCase();
+  if (!address) return { error: 'An email address is required' };
+
+  const user = await User.findOne({ email: address });
+  if (!user) return { error: `No account is registered for ${address}; register it first` };
+  if (user.role === 'admin') return { user, promoted: false };
+
+  const before = { role: user.role };
+  user.role = 'admin';
+  await user.save();
+  await recordAudit({ user: { name: source, role: 'system' } }, {
+    action: 'user.update',
+    targetType: 'user',
+    targetId: user._id,
+    targetName: user.email,
+    before,
+    after: { role: user.role }
+  });
+  return { user, promoted: true };
+};
+
+/**
+ * Promote the account named by ADMIN_EMAIL, if set. Failures are logged so a
+ * typo never stops the server from starting.
+ * @returns {Promise<void>}
+ */
+const bootstrapAdmin = async () => {
+  if (!process.env.ADMIN_EMAIL) return;
+  const { error, user, promoted } = await promoteToAdmin(process.env.ADMIN_EMAIL, 'ADMIN_EMAIL setting');
+  if (error) {
+    console.warn(`⚠️ ADMIN_EMAIL: ${error}`);
+  } else if (promoted) {
+    console.log(`👑 Promoted ${user.email} to admin (ADMIN_EMAIL)`);
+  }
+};
+
+module.exports = {
+  promoteToAdmin,
+  bootstrapAdmin
+};
@@ -0,0 +1,71 @@
+/**
+ * API Key Service
+ * Creates and checks the keys that scripts send in the X-API-Key header.
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKeyModel');
+
+const KEY_PREFIX = 'gmk_';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create a key
+ * @param {Object} data - { name, scopes, plants, expiresAt }
+ * @param {string} userId - Admin creating the key
+ * @returns {Promise<{apiKey: Object, key: string}>} - key is the plain value, returned only here
+ */
+const createApiKey = async ({ name, scopes, plants = [], expiresAt = null }, userId) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    scopes,
+    plants,
+    expiresAt,
+    createdBy: userId
+  });
+  return { apiKey, key };
+};
+
+/**
+ * Look up an active key and record its use
+ * @param {string} key - Plain key from the request
+ * @param {string} [ip] - Caller IP address
+ * @returns {Promise<Object|null>} - The key document, or null when unknown, revoked or expired
+ */
+const authenticateApiKey = async (key, ip) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return null;
+
+  // Don't hold up the request for the bookkeeping write
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip || null })
+    .catch(err => console.error('❌ Failed to update API key last use:', err.message));
+
+  return apiKey;
+};
+
+/**
+ * Revoke a key
+ * @param {string} id - Key ID
+ * @param {string} userId - Admin revoking the key
+ * @returns {Promise<Object|null>} - The revoked key
+ */
+const revokeApiKey = async (id, userId) => {
+  return ApiKey.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: userId },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createApiKey,
+  authenticateApiKey,
+  revokeApiKey
+};
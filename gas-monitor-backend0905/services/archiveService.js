@@ -0,0 +1,312 @@
+/**
+ * Archive Service
+ * Soft-deletes plants and devices together with everything that hangs off
+ * them, previews what an archive would affect, restores archived entities and
+ * purges them for good once the retention period has passed.
+ */
+
+const Plant = require('../models/plant');
+const Device = require('../models/Device');
+const SiteNode = require('../models/siteNodeModel');
+const Threshold = require('../models/thresholdModel');
+const Tolerance = require('../models/toleranceModel');
+const { getTelemetryDB } = require('../config/db');
+const { getSettings } = require('./settingsService');
+const { recordAudit } = require('./auditService');
+const { stopMaintenance } = require('./maintenanceService');
+
+const ARCHIVE_FIELDS = ['archivedAt', 'archivedBy', 'archivedWith'];
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.ARCHIVE_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// Audit entries written by the purge job have no request behind them
+const SYSTEM_REQUEST = { user: { name: 'Archive purge job', role: 'system' } };
+
+/**
+ * Drop archive bookkeeping fields from a create/update body; they are only
+ * changed through archive and restore
+ * @param {Object} body
+ * @returns {Object}
+ */
+const withoutArchiveFields = (body) => {
+  const clean = { ...body };
+  ARCHIVE_FIELDS.forEach(field => delete clean[field]);
+  return clean;
+};
+
+// Telemetry documents name their device in one of several fields
+const telemetryDeviceFilter = (deviceNames) => ({
+  $or: [
+    { DeviceName: { $in: deviceNames } },
+    { deviceName: { $in: deviceNames } },
+    { device: { $in: deviceNames } },
+    { device_id: { $in: deviceNames } }
+  ]
+});
+
+// Alarms and notifications written by the event pipeline carry names, not IDs
+const eventFilter = (deviceNames, plantName) => ({
+  $or: [
+    { DeviceName: { $in: deviceNames } },
+    ...(plantName ? [{ PlantName: plantName }] : [])
+  ]
+});
+
+/**
+ * A device and every device below it in the parent/child tree
+ * @param {Object} device - Device document
+ * @returns {Promise<Array>}
+ */
+const getDeviceWithDescendants = async (device) => {
+  const found = [device];
+  let frontier = [device._id];
+  while (frontier.length > 0) {
+    const children = await Device.find({ parentDeviceId: { $in: frontier } });
+    found.push(...children);
+    frontier = children.map(child => child._id);
+  }
+  return found;
+};
+
+// Alarm, notification and telemetry counts in the telemetry database
+const countEventDependents = async (deviceNames, plantName) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return { alarms: null, activeAlarms: null, notifications: null, telemetryRecords: null };
+
+  const events = eventFilter(deviceNames, plantName);
+  const [alarms, activeAlarms, notifications, telemetryRecords] = await Promise.all([
+    telemetryDB.collection('alarms').countDocuments(events),
+    telemetryDB.collection('alarms').countDocuments({ ...events, IsActive: { $ne: false } }),
+    telemetryDB.collection('notifications').countDocuments(events),
+    telemetryDB.collection('telemetry').countDocuments(telemetryDeviceFilter(deviceNames))
+  ]);
+  return { alarms, activeAlarms, notifications, telemetryRecords };
+};
+
+const countSettings = async (devices) => {
+  const deviceIds = devices.map(device => device._id.toString());
+  const [thresholds, tolerances] = await Promise.all([
+    Threshold.countDocuments({ deviceId: { $in: deviceIds } }),
+    Tolerance.countDocuments({ deviceId: { $in: deviceIds } })
+  ]);
+  return { thresholds, tolerances };
+};
+
+/**
+ * What archiving a device would take with it
+ * @param {Object} device - Device document
+ * @returns {Promise<Object>}
+ */
+const getDeviceDependencies = async (device) => {
+  const [, ...childDevices] = await getDeviceWithDescendants(device);
+  const devices = [device, ...childDevices];
+  const [settings, events] = await Promise.all([
+    countSettings(devices),
+    countEventDependents(devices.map(d => d.deviceName))
+  ]);
+  return {
+    childDevices: childDevices.map(child => ({ _id: child._id, deviceName: child.deviceName })),
+    ...settings,
+    ...events
+  };
+};
+
+/**
+ * What archiving a plant would take with it
+ * @param {Object} plant - Plant document
+ * @returns {Promise<Object>}
+ */
+const getPlantDependencies = async (plant) => {
+  const [devices, siteNodes] = await Promise.all([
+    Device.find({ plantId: plant._id }).select('deviceName'),
+    SiteNode.countDocuments({ plantId: plant._id })
+  ]);
+  const [settings, events] = await Promise.all([
+    countSettings(devices),
+    countEventDependents(devices.map(device => device.deviceName), plant.plantName)
+  ]);
+  return {
+    devices: devices.map(device => ({ _id: device._id, deviceName: device.deviceName })),
+    siteNodes,
+    ...settings,
+    ...events
+  };
+};
+
+const archiveUpdate = (userId, rootId) => ({
+  archivedAt: new Date(),
+  archivedBy: userId || null,
+  archivedWith: rootId
+});
+
+const RESTORE_UPDATE = { archivedAt: null, archivedBy: null, archivedWith: null };
+
+/**
+ * Archive a device and its child devices and stop their maintenance
+ * @param {Object} device - Device document
+ * @param {string} userId - User archiving it
+ * @returns {Promise<number>} - Number of devices archived
+ */
+const archiveDevice = async (device, userId) => {
+  const devices = await getDeviceWithDescendants(device);
+  const deviceIds = devices.map(d => d._id);
+  const result = await Device.updateMany({ _id: { $in: deviceIds } }, archiveUpdate(userId, device._id));
+  await stopMaintenance({ deviceId: { $in: deviceIds } });
+  return result.modifiedCount;
+};
+
+/**
+ * Archive a plant and all of its devices and stop their maintenance
+ * @param {Object} plant - Plant document
+ * @param {string} userId - User archiving it
+ * @returns {Promise<number>} - Number of devices archived with the plant
+ */
+const archivePlant = async (plant, userId) => {
+  const update = archiveUpdate(userId, plant._id);
+  await Plant.updateOne({ _id: plant._id }, update);
+  const result = await Device.updateMany({ plantId: plant._id }, update);
+  await stopMaintenance({ plantId: plant._id });
+  return result.modifiedCount;
+};
+
+/**
+ * Restore an archived device and whatever was archived along with it
+ * @param {Object} device - Archived device document
+ * @returns {Promise<{error?: string, restored?: number}>}
+ */
+const restoreDevice = async (device) => {
+  if (!(await Plant.exists({ _id: device.plantId }))) {
+    return { error: 'The plant this device belongs to is archived; restore the plant instead' };
+  }
+  if (device.parentDeviceId && !(await Device.exists({ _id: device.parentDeviceId }))) {
+    return { error: 'The parent device is archived; restore the parent device instead' };
+  }
+  const batch = await Device.find({ archivedWith: device.archivedWith, archivedAt: { $ne: null } }).select('deviceName');
+  const clash = await Device.findOne({ plantId: device.plantId, deviceName: { $in: batch.map(d => d.deviceName) } });
+  if (clash) {
+    return { error: `A device named ${clash.deviceName} already exists in this plant` };
+  }
+
+  const result = await Device.updateMany({ archivedWith: device.archivedWith, archivedAt: { $ne: null } }, RESTORE_UPDATE);
+  return { restored: result.modifiedCount };
+};
+
+/**
+ * Restore an archived plant and the devices that were archived with it.
+ * Devices archived on their own before the plant stay archived.
+ * @param {Object} plant - Archived plant document
+ * @returns {Promise<{error?: string, restored?: number}>}
+ */
+const restorePlant = async (plant) => {
+  if (await Plant.exists({ plantName: plant.plantName })) {
+    return { error: `A plant named ${plant.plantName} already exists` };
+  }
+  await Plant.updateOne({ _id: plant._id, archivedAt: { $ne: null } }, RESTORE_UPDATE);
+  const result = await Device.updateMany({ archivedWith: plant._id, archivedAt: { $ne: null } }, RESTORE_UPDATE);
+  return { restored: result.modifiedCount };
+};
+
+/**
+ * Date after which an archived entity is purged
+ * @param {Date} archivedAt
+ * @param {number} retentionDays
+ * @returns {Date}
+ */
+const purgeDate = (archivedAt, retentionDays) =>
+  new Date(new Date(archivedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+
+// Delete devices and their settings, alarms, notifications and telemetry
+const purgeDevices = async (devices, plantName) => {
+  const deviceIds = devices.map(device => device._id.toString());
+  await Promise.all([
+    Threshold.deleteMany({ deviceId: { $in: deviceIds } }),
+    Tolerance.deleteMany({ deviceId: { $in: deviceIds } })
+  ]);
+
+  // Names can be reused; leave history alone for any name a live device or plant still has
+  const liveNames = (await Device.find({ deviceName: { $in: devices.map(d => d.deviceName) } }).select('deviceName'))
+    .map(device => device.deviceName);
+  const deviceNames = devices.map(device => device.deviceName).filter(name => !liveNames.includes(name));
+  const purgePlantName = plantName && !(await Plant.exists({ plantName })) ? plantName : null;
+
+  const telemetryDB = getTelemetryDB();
+  if (telemetryDB && (deviceNames.length > 0 || purgePlantName)) {
+    const events = eventFilter(deviceNames, purgePlantName);
+    await Promise.all([
+      telemetryDB.collection('alarms').deleteMany(events),
+      telemetryDB.collection('notifications').deleteMany(events),
+      telemetryDB.collection('telemetry').deleteMany(telemetryDeviceFilter(deviceNames))
+    ]);
+  }
+
+  await Device.deleteMany({ _id: { $in: devices.map(device => device._id) } });
+};
+
+/**
+ * Permanently remove plants and devices archived longer than the retention period
+ * @returns {Promise<{plants: number, devices: number}>}
+ */
+const purgeExpiredArchives = async () => {
+  const { archiveRetentionDays } = await getSettings();
+  const cutoff = new Date(Date.now() - archiveRetentionDays * 24 * 60 * 60 * 1000);
+  let purgedDevices = 0;
+
+  const plants = await Plant.find({ archivedAt: { $ne: null, $lte: cutoff } });
+  for (const plant of plants) {
+    const devices = await Device.find({ plantId: plant._id, archivedAt: { $ne: null } });
+    await purgeDevices(devices, plant.plantName);
+    await SiteNode.deleteMany({ plantId: plant._id });
+    await Plant.deleteOne({ _id: plant._id, archivedAt: { $ne: null } });
+    purgedDevices += devices.length;
+    await recordAudit(SYSTEM_REQUEST, {
+      action: 'plant.purge',
+      targetType: 'plant',
+      targetId: plant._id,
+      targetName: plant.plantName,
+      plantName: plant.plantName,
+      before: { ...plant.toObject(), devices: devices.map(device => device.deviceName) }
+    });
+  }
+
+  const devices = await Device.find({ archivedAt: { $ne: null, $lte: cutoff } });
+  for (const device of devices) {
+    await purgeDevices([device]);
+    await recordAudit(SYSTEM_REQUEST, {
+      action: 'device.purge',
+      targetType: 'device',
+      targetId: device._id,
+      targetName: device.deviceName,
+      deviceId: device._id,
+      deviceName: device.deviceName,
+      before: device
+    });
+  }
+  purgedDevices += devices.length;
+
+  if (plants.length > 0 || purgedDevices > 0) {
+    console.log(`🗑️ Purged ${plants.length} archived plant(s) and ${purgedDevices} archived device(s)`);
+  }
+  return { plants: plants.length, devices: purgedDevices };
+};
+
+/**
+ * Run the purge now and then every ARCHIVE_PURGE_INTERVAL_MINUTES
+ */
+const startArchivePurgeJob = () => {
+  const run = () => purgeExpiredArchives().catch(err => console.error('❌ Archive purge failed:', err.message));
+  run();
+  setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`🗑️ Archive purge job scheduled every ${PURGE_INTERVAL_MINUTES} minute(s)`);
+};
+
+module.exports = {
+  withoutArchiveFields,
+  getDeviceDependencies,
+  getPlantDependencies,
+  archiveDevice,
+  archivePlant,
+  restoreDevice,
+  restorePlant,
+  purgeDate,
+  purgeExpiredArchives,
+  startArchivePurgeJob
+};
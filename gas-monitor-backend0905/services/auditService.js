@@ -0,0 +1,75 @@
+/**
+ * Audit Service
+ * Writes entries to the append-only audit log for safety compliance reviews.
+ */
+
+const AuditLog = require('../models/auditLogModel');
+const Plant = require('../models/plant');
+
+// Convert a Mongoose document to a plain snapshot without internal fields
+const snapshot = (value) => {
+  if (value === undefined || value === null) return null;
+  const plain = typeof value.toObject === 'function' ? value.toObject({ flattenMaps: true }) : { ...value };
+  delete plain.__v;
+  delete plain.password;
+  delete plain.emailVerificationTokenHash;
+  delete plain.passwordResetTokenHash;
+  delete plain.twoFactorSecret;
+  delete plain.twoFactorPendingSecret;
+  delete plain.recoveryCodeHashes;
+  return plain;
+};
+
+/**
+ * Audit fields identifying a device and its plant
+ * @param {Object|null} device - Device document
+ * @param {string} [fallbackName] - Name to record when the device is not registered
+ * @returns {Object}
+ */
+const deviceAuditFields = (device, fallbackName) => {
+  if (!device) return { deviceName: fallbackName };
+  return { deviceId: device._id, deviceName: device.deviceName, plantId: device.plantId };
+};
+
+/**
+ * Record a change in the audit log. Failures are logged, never thrown, so an
+ * audit outage does not block the change itself.
+ * @param {Object} req - Express request (actor and IP come from req.user / req.ip)
+ * @param {Object} entry - { action, targetType, targetId, targetName, plantId, plantName, deviceId, deviceName, before, after }
+ * @returns {Promise<Object|null>} - The saved entry
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    const user = req.user || {};
+    // Store the plant name too, so entries stay readable after the plant is deleted
+    let { plantName } = entry;
+    if (entry.plantId && !plantName) {
+      const plant = await Plant.findById(entry.plantId).select('plantName');
+      plantName = plant ? plant.plantName : undefined;
+    }
+    return await AuditLog.create({
+      actor: {
+        userId: user.userId,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        apiKeyId: user.apiKeyId
+      },
+      ...entry,
+      plantName,
+      targetId: entry.targetId ? entry.targetId.toString() : undefined,
+      before: snapshot(entry.before),
+      after: snapshot(entry.after),
+      ipAddress: req.ip
+    });
+  } catch (err) {
+    console.error(`❌ Failed to write audit entry for ${entry.action}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  deviceAuditFields,
+  snapshot
+};
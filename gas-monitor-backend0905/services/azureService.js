@@ -1,27 +1,169 @@
+/**
+ * Azure Service
+ * Device identities in Azure IoT Hub, managed through a pluggable registry
+ * client. Set IOT_HUB_REGISTRY to 'fake' to keep identities in memory (local
+ * development and tests); otherwise the hub named by IOT_HUB_CONNECTION_STRING
+ * is used, and provisioning fails while that is not set.
+ *
+ * A registry client implements:
+ *   create(deviceId), update(deviceId), get(deviceId), delete(deviceId)
+ * The first three resolve to { deviceId, primaryKey, secondaryKey }; create
+ * rejects with an error whose code is 409 when the identity already exists.
+ */
+
+const crypto = require("crypto");
 const iothub = require("azure-iothub");
 
 // Your Azure IoT Hub Connection String
 const connectionString = process.env.IOT_HUB_CONNECTION_STRING;
-const registry = iothub.Registry.fromConnectionString(connectionString);
+
+const alreadyExistsError = (deviceId) => {
+  const error = new Error(`Device ${deviceId} already exists`);
+  error.name = "DeviceAlreadyExistsError";
+  error.code = 409;
+  return error;
+};
+
+const isAlreadyExists = (error) => error.code === 409 || error.name === "DeviceAlreadyExistsError";
+
+// Credentials of an identity as returned by the service SDK
+const toIdentity = (device) => ({
+  deviceId: device.deviceId,
+  primaryKey: device.authentication?.symmetricKey?.primaryKey || null,
+  secondaryKey: device.authentication?.symmetricKey?.secondaryKey || null
+});
+
+/**
+ * Create a registry client backed by an IoT Hub
+ * @param {string} hubConnectionString - IoT Hub owner connection string
+ * @returns {Object} registry client
+ */
+const createAzureRegistryClient = (hubConnectionString) => {
+  const registry = iothub.Registry.fromConnectionString(hubConnectionString);
+  const hostName = /HostName=([^;]+)/i.exec(hubConnectionString)?.[1] || null;
+
+  return {
+    name: "azure",
+    hostName,
+    create: async (deviceId) => {
+      try {
+        return toIdentity((await registry.create({ deviceId })).responseBody);
+      } catch (error) {
+        if (isAlreadyExists(error)) throw alreadyExistsError(deviceId);
+        throw error;
+      }
+    },
+    update: async (deviceId) => toIdentity((await registry.update({ deviceId })).responseBody),
+    get: async (deviceId) => toIdentity((await registry.get(deviceId)).responseBody),
+    delete: async (deviceId) => {
+      await registry.delete(deviceId);
+    }
+  };
+};
+
+/**
+ * Create an in-memory registry client. Nothing leaves the process.
+ * @returns {Object} registry client; identities are exposed for inspection
+ */
+const createFakeRegistryClient = () => {
+  const identities = new Map();
+  const randomKey = () => crypto.randomBytes(32).toString("base64");
+
+  return {
+    name: "fake",
+    hostName: "fake-hub.local",
+    identities,
+    create: async (deviceId) => {
+      if (identities.has(deviceId)) throw alreadyExistsError(deviceId);
+      const identity = { deviceId, primaryKey: randomKey(), secondaryKey: randomKey() };
+      identities.set(deviceId, identity);
+      return { ...identity };
+    },
+    update: async (deviceId) => {
+      if (!identities.has(deviceId)) throw new Error(`Device ${deviceId} not found`);
+      return { ...identities.get(deviceId) };
+    },
+    get: async (deviceId) => {
+      if (!identities.has(deviceId)) throw new Error(`Device ${deviceId} not found`);
+      return { ...identities.get(deviceId) };
+    },
+    delete: async (deviceId) => {
+      identities.delete(deviceId);
+    }
+  };
+};
+
+let registryClient = null;
+
+/**
+ * The active registry client, created on first use
+ * @returns {Object}
+ * @throws {Error} when no IoT Hub is configured and the fake is not selected
+ */
+const getRegistryClient = () => {
+  if (!registryClient) {
+    if (process.env.IOT_HUB_REGISTRY === "fake") {
+      registryClient = createFakeRegistryClient();
+    } else if (connectionString) {
+      registryClient = createAzureRegistryClient(connectionString);
+    } else {
+      // Quietly handing out in-memory keys would leave devices unable to connect
+      throw new Error("Azure IoT Hub is not configured: set IOT_HUB_CONNECTION_STRING, or IOT_HUB_REGISTRY=fake for local development");
+    }
+  }
+  return registryClient;
+};
+
+/**
+ * Replace the active registry client, e.g. with a fake in tests
+ * @param {Object} client - Object implementing create, update, get and delete
+ */
+const setRegistryClient = (client) => {
+  const missing = ["create", "update", "get", "delete"].filter(method => typeof client?.[method] !== "function");
+  if (missing.length > 0) {
+    throw new Error(`Registry client must implement ${missing.join(", ")}`);
+  }
+  registryClient = client;
+};
+
+/**
+ * Device connection string for an identity
+ * @param {Object} identity - { deviceId, primaryKey }
+ * @returns {string|null}
+ */
+const buildDeviceConnectionString = (identity) => {
+  const { hostName } = getRegistryClient();
+  if (!hostName || !identity.primaryKey) return null;
+  return `HostName=${hostName};DeviceId=${identity.deviceId};SharedAccessKey=${identity.primaryKey}`;
+};
 
 // Function to register or update a device in Azure IoT Hub
 const registerDeviceInAzure = async (deviceId) => {
-  const device = { deviceId };
+  let registry;
+  try {
+    registry = getRegistryClient();
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
 
   try {
     // Try to create the device
-    await registry.create(device);
+    const identity = await registry.create(deviceId);
     return {
       success: true,
+      created: true,
+      identity,
       message: `Device ${deviceId} registered successfully in Azure IoT Hub.`
     };
   } catch (error) {
-    if (error.code === 409) {
+    if (isAlreadyExists(error)) {
       // Device already exists, perform update instead
       try {
-        await registry.update(device);
+        const identity = await registry.update(deviceId);
         return {
           success: true,
+          created: false,
+          identity,
           message: `Device ${deviceId} already existed and was updated in Azure IoT Hub.`
         };
       } catch (updateError) {
@@ -40,4 +182,19 @@ const registerDeviceInAzure = async (deviceId) => {
   }
 };
 
-module.exports = { registerDeviceInAzure };
+/**
+ * Remove a device identity from the hub
+ * @param {string} deviceId
+ * @returns {Promise<void>}
+ */
+const deleteDeviceFromAzure = async (deviceId) => getRegistryClient().delete(deviceId);
+
+module.exports = {
+  registerDeviceInAzure,
+  deleteDeviceFromAzure,
+  buildDeviceConnectionString,
+  getRegistryClient,
+  setRegistryClient,
+  createAzureRegistryClient,
+  createFakeRegistryClient
+};
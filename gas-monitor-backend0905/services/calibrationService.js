@@ -0,0 +1,250 @@
+/**
+ * Calibration Service
+ * Calibration and bump-test records of gas sensors and the dates the next
+ * ones fall due. A sensor is tracked when its metric in the device type
+ * catalog has a calibration or bump-test interval. The next test is due one
+ * interval after the last passed test, or after the device's commissioned
+ * date when it has never passed one; a failed test does not move the date.
+ *
+ * In-service devices with an overdue sensor get a warning alarm per sensor
+ * and test kind. It is cleared when a passing record is entered, or on the
+ * next check once the sensor is no longer overdue.
+ */
+
+const CalibrationRecord = require('../models/calibrationRecordModel');
+const Device = require('../models/Device');
+const { getTelemetryDB } = require('../config/db');
+const { getSettings } = require('./settingsService');
+const { getDeviceType, getMetric } = require('./deviceTypeService');
+const { isInService } = require('./deviceLifecycleService');
+const { raiseDeviceAlarm, clearDeviceAlarms } = require('./deviceAlarmService');
+const { createNotification } = require('../utils/notificationHelper');
+
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.CALIBRATION_CHECK_SECONDS, 10) || 3600;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const KIND_LABELS = {
+  calibration: 'Calibration',
+  bump_test: 'Bump test'
+};
+
+// Metric field holding the interval of each kind of test
+const INTERVAL_FIELDS = {
+  calibration: 'calibrationIntervalDays',
+  bump_test: 'bumpTestIntervalDays'
+};
+
+const OVERDUE_ALARM_CODES = {
+  calibration: 'IO_ALR_CAL_OVERDUE',
+  bump_test: 'IO_ALR_BUMP_OVERDUE'
+};
+
+const historyKey = (sensor, kind) => `${sensor}:${kind}`;
+
+/**
+ * Latest record and last pass of each sensor and kind
+ * @param {Array} records - Records of one device, newest first
+ * @returns {Map<string, { latest: Object, lastPassAt: Date|null }>}
+ */
+const summarizeRecords = (records) => {
+  const history = new Map();
+  records.forEach((record) => {
+    const key = historyKey(record.sensor, record.kind);
+    const summary = history.get(key) || { latest: record, lastPassAt: null };
+    if (record.result === 'pass' && !summary.lastPassAt) summary.lastPassAt = record.performedAt;
+    history.set(key, summary);
+  });
+  return history;
+};
+
+/**
+ * Due dates of every tracked sensor of a device
+ * @param {Object} device - Device with commissionedDate
+ * @param {Object} type - Device type
+ * @param {Map} history - From summarizeRecords
+ * @param {number} dueSoonDays - Days before the due date a test is due soon
+ * @param {number} [now]
+ * @returns {Array<{ sensor: string, label: string, calibration: Object|null, bump_test: Object|null }>}
+ *   Each kind has intervalDays, lastPassAt, lastResult, dueAt and status ('ok', 'due_soon' or 'overdue')
+ */
+const calibrationDue = (device, type, history, dueSoonDays, now = Date.now()) => type.metrics
+  .filter(metric => metric.calibrationIntervalDays || metric.bumpTestIntervalDays)
+  .map((metric) => {
+    const due = { sensor: metric.key, label: metric.label };
+    Object.entries(INTERVAL_FIELDS).forEach(([kind, field]) => {
+      const intervalDays = metric[field];
+      if (!intervalDays) {
+        due[kind] = null;
+        return;
+      }
+      const { latest, lastPassAt } = history.get(historyKey(metric.key, kind)) || {};
+      const baseline = lastPassAt || device.commissionedDate;
+      const dueAt = baseline ? new Date(new Date(baseline).getTime() + intervalDays * DAY_MS) : new Date(now);
+      let status = 'ok';
+      if (dueAt.getTime() <= now) status = 'overdue';
+      else if (dueAt.getTime() - now <= dueSoonDays * DAY_MS) status = 'due_soon';
+      due[kind] = { intervalDays, lastPassAt: lastPassAt || null, lastResult: latest ? latest.result : null, dueAt, status };
+    });
+    return due;
+  });
+
+/**
+ * Records and due dates of a device
+ * @param {Object} device - Device document
+ * @returns {Promise<{ due: Array, records: Array }>}
+ */
+const getDeviceCalibration = async (device) => {
+  const [type, records, settings] = await Promise.all([
+    getDeviceType(device.deviceTypeId),
+    CalibrationRecord.find({ deviceId: device._id }).sort({ performedAt: -1 }).lean(),
+    getSettings()
+  ]);
+  return { due: calibrationDue(device, type, summarizeRecords(records), settings.calibrationDueSoonDays), records };
+};
+
+/**
+ * Enter a calibration or bump-test record
+ * @param {Object} device - Device document
+ * @param {Object} data - sensor, kind, performedAt, technician, referenceGas, asFound, asLeft, result, notes
+ * @param {string} recordedBy - User entering the record
+ * @returns {Promise<{ error?: string, status?: number, record?: Object }>}
+ */
+const recordCalibration = async (device, data, recordedBy) => {
+  const type = await getDeviceType(device.deviceTypeId);
+  const metric = getMetric(type, data.sensor);
+  if (!metric) {
+    return { error: `${type.name} has no sensor ${data.sensor}`, status: 400 };
+  }
+  if (!CalibrationRecord.KINDS.includes(data.kind)) {
+    return { error: `kind must be one of ${CalibrationRecord.KINDS.join(', ')}`, status: 400 };
+  }
+  const performedAt = new Date(data.performedAt);
+  if (Number.isNaN(performedAt.getTime()) || performedAt.getTime() > Date.now()) {
+    return { error: 'performedAt must be a date that is not in the future', status: 400 };
+  }
+  const asLeft = data.asLeft === undefined || data.asLeft === '' ? null : data.asLeft;
+  if (data.kind === 'calibration' && asLeft === null) {
+    return { error: 'A calibration needs an as-left value', status: 400 };
+  }
+
+  const record = await CalibrationRecord.create({
+    deviceId: device._id,
+    deviceName: device.deviceName,
+    plantId: device.plantId,
+    sensor: metric.key,
+    kind: data.kind,
+    performedAt,
+    technician: data.technician,
+    referenceGas: { unit: metric.unit, ...data.referenceGas },
+    asFound: data.asFound,
+    asLeft: data.kind === 'calibration' ? asLeft : null,
+    result: data.result,
+    notes: data.notes || '',
+    recordedBy
+  });
+
+  if (record.result === 'pass') {
+    await clearDeviceAlarms(device, { AlarmCode: OVERDUE_ALARM_CODES[record.kind], Sensor: record.sensor });
+  }
+  console.log(`🧪 ${KIND_LABELS[record.kind]} of ${device.deviceName} ${metric.label}: ${record.result}`);
+  return { record };
+};
+
+const raiseOverdueAlarm = async (device, due, kind) => {
+  const label = `${due.label} ${KIND_LABELS[kind].toLowerCase()}`;
+  const alarm = await raiseDeviceAlarm(device, {
+    AlarmCode: OVERDUE_ALARM_CODES[kind],
+    AlarmDescription: `${label} overdue`,
+    AlarmValue: `Due ${due[kind].dueAt.toISOString()}`,
+    Severity: 'warning',
+    Sensor: due.sensor
+  });
+
+  await createNotification({
+    Type: 'device',
+    Title: `${KIND_LABELS[kind]} Overdue`,
+    Message: `${label} of ${device.deviceName} was due on ${due[kind].dueAt.toDateString()}`,
+    PlantId: device.plantId.toString(),
+    PlantName: alarm.PlantName,
+    DeviceId: device._id.toString(),
+    DeviceName: device.deviceName
+  });
+  console.log(`🧪 ${label} of ${device.deviceName} overdue`);
+};
+
+/**
+ * Raise alarms for overdue sensors of in-service devices and clear the ones
+ * that are no longer overdue
+ * @returns {Promise<void>}
+ */
+const checkCalibrations = async () => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return;
+
+  const [devices, summaries, activeAlarms, settings] = await Promise.all([
+    Device.find().select('deviceName plantId deviceTypeId commissionedDate lifecycle.state').lean(),
+    CalibrationRecord.aggregate([
+      { $sort: { performedAt: -1 } },
+      { $group: {
+        _id: { deviceId: '$deviceId', sensor: '$sensor', kind: '$kind' },
+        latest: { $first: { result: '$result' } },
+        lastPassAt: { $max: { $cond: [{ $eq: ['$result', 'pass'] }, '$performedAt', null] } }
+      } }
+    ]),
+    telemetryDB.collection('alarms')
+      .find({ AlarmCode: { $in: Object.values(OVERDUE_ALARM_CODES) }, IsActive: { $ne: false } })
+      .project({ AlarmCode: 1, DeviceName: 1, Sensor: 1 })
+      .toArray(),
+    getSettings()
+  ]);
+
+  const histories = new Map();
+  summaries.forEach(({ _id, latest, lastPassAt }) => {
+    const deviceId = _id.deviceId.toString();
+    if (!histories.has(deviceId)) histories.set(deviceId, new Map());
+    histories.get(deviceId).set(historyKey(_id.sensor, _id.kind), { latest, lastPassAt });
+  });
+  const alarmKey = (deviceName, code, sensor) => `${deviceName}:${code}:${sensor}`;
+  const active = new Set(activeAlarms.map(alarm => alarmKey(alarm.DeviceName, alarm.AlarmCode, alarm.Sensor)));
+
+  for (const device of devices) {
+    const type = await getDeviceType(device.deviceTypeId);
+    const dueList = calibrationDue(device, type, histories.get(device._id.toString()) || new Map(), settings.calibrationDueSoonDays);
+    for (const due of dueList) {
+      for (const kind of Object.keys(OVERDUE_ALARM_CODES)) {
+        if (!due[kind]) continue;
+        const code = OVERDUE_ALARM_CODES[kind];
+        const overdue = due[kind].status === 'overdue' && isInService(device);
+        const alarmed = active.has(alarmKey(device.deviceName, code, due.sensor));
+        const logError = err => console.error(`❌ Failed to update calibration alarm of ${device.deviceName}:`, err.message);
+        if (overdue && !alarmed) {
+          await raiseOverdueAlarm(device, due, kind).catch(logError);
+        } else if (!overdue && alarmed) {
+          await clearDeviceAlarms(device, { AlarmCode: code, Sensor: due.sensor }).catch(logError);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check calibration due dates every CALIBRATION_CHECK_SECONDS
+ */
+const startCalibrationMonitor = () => {
+  const run = () => checkCalibrations().catch(err => console.error('❌ Calibration check failed:', err.message));
+  run();
+  setInterval(run, CHECK_INTERVAL_SECONDS * 1000);
+  console.log(`🧪 Calibration monitor checking every ${CHECK_INTERVAL_SECONDS} second(s)`);
+};
+
+module.exports = {
+  KIND_LABELS,
+  OVERDUE_ALARM_CODES,
+  summarizeRecords,
+  calibrationDue,
+  getDeviceCalibration,
+  recordCalibration,
+  checkCalibrations,
+  startCalibrationMonitor
+};
@@ -0,0 +1,29 @@
+/**
+ * Command Service
+ * Sends cloud-to-device commands through the iot-command-api service, which
+ * wraps sendCloudToDeviceMessage for Azure IoT Hub.
+ */
+
+const axios = require('axios');
+
+const COMMAND_API_URL = (process.env.COMMAND_API_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Send a command to a device
+ * @param {string} deviceName - IoT Hub device ID (the device name)
+ * @param {string} command - Command name, e.g. 'restart'
+ * @param {*} [value] - Optional command value
+ * @returns {Promise<Object>} - Response body from iot-command-api
+ */
+const sendDeviceCommand = async (deviceName, command, value = null) => {
+  const response = await axios.post(`${COMMAND_API_URL}/api/device/command`, {
+    deviceName,
+    command,
+    value
+  }, { timeout: 15000 });
+  return response.data;
+};
+
+module.exports = {
+  sendDeviceCommand
+};
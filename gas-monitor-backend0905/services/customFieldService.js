@@ -0,0 +1,148 @@
+/**
+ * Custom Field Service
+ * Validates the tags and typed custom attributes of devices and plants.
+ */
+
+const AttributeDefinition = require('../models/attributeDefinitionModel');
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+
+// Tag keys end up as MongoDB field names; keep them to characters that are safe there
+const TAG_KEY_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_TAG_VALUE_LENGTH = 256;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Attribute definitions of devices or plants, by key
+ * @param {'device'|'plant'} target
+ * @returns {Promise<Map<string, Object>>}
+ */
+const getAttributeDefinitions = async (target) => {
+  const definitions = await AttributeDefinition.find({ appliesTo: target }).lean();
+  return new Map(definitions.map(definition => [definition.key, definition]));
+};
+
+/**
+ * Check and trim a tag map
+ * @param {Object} tags - { key: value }
+ * @returns {{ error?: string, tags?: Object }}
+ */
+const normalizeTags = (tags) => {
+  if (tags === null) return { tags: {} };
+  if (!isPlainObject(tags)) return { error: 'Tags must be an object of key/value pairs' };
+  const normalized = {};
+  for (const [key, value] of Object.entries(tags)) {
+    if (!TAG_KEY_PATTERN.test(key)) {
+      return { error: `Invalid tag key "${key}": use up to 64 letters, digits, dashes and underscores` };
+    }
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text.length > MAX_TAG_VALUE_LENGTH) {
+      return { error: `The value of tag "${key}" is longer than ${MAX_TAG_VALUE_LENGTH} characters` };
+    }
+    normalized[key] = text;
+  }
+  return { tags: normalized };
+};
+
+/**
+ * Convert a value to an attribute's type
+ * @param {Object} definition - AttributeDefinition
+ * @param {*} value - Value as sent by the client (query values are strings)
+ * @returns {{ error?: string, value?: * }}
+ */
+const coerceAttributeValue = (definition, value) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? { error: 'must be a date' } : { value: date };
+    }
+    case 'enum':
+      return definition.options.includes(String(value))
+        ? { value: String(value) }
+        : { error: `must be one of ${definition.options.join(', ')}` };
+    default:
+      return { value: String(value) };
+  }
+};
+
+/**
+ * Check an attribute map against the definitions of its target and convert
+ * each value to its type. Empty values are dropped.
+ * @param {'device'|'plant'} target
+ * @param {Object} attributes - { key: value }
+ * @returns {Promise<{ error?: string, attributes?: Object }>}
+ */
+const normalizeAttributes = async (target, attributes) => {
+  if (attributes === null) return { attributes: {} };
+  if (!isPlainObject(attributes)) return { error: 'Attributes must be an object of key/value pairs' };
+  const definitions = await getAttributeDefinitions(target);
+  const normalized = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    const definition = definitions.get(key);
+    if (!definition) return { error: `Unknown ${target} attribute "${key}"` };
+    if (value === null || value === undefined || value === '') continue;
+    const coerced = coerceAttributeValue(definition, value);
+    if (coerced.error) return { error: `${definition.label} ${coerced.error}` };
+    normalized[key] = coerced.value;
+  }
+  return { attributes: normalized };
+};
+
+/**
+ * Validate the tags and attributes of a device or plant body before it is
+ * saved, replacing them with their normalized form. Fields left out of the
+ * body are not touched.
+ * @param {'device'|'plant'} target
+ * @param {Object} body - Request body
+ * @returns {Promise<string|null>} - Error message
+ */
+const prepareCustomFields = async (target, body) => {
+  if (body.tags !== undefined) {
+    const { error, tags } = normalizeTags(body.tags);
+    if (error) return error;
+    body.tags = tags;
+  }
+  if (body.attributes !== undefined) {
+    const { error, attributes } = await normalizeAttributes(target, body.attributes);
+    if (error) return error;
+    body.attributes = attributes;
+  }
+  return null;
+};
+
+/**
+ * Remove the values of a deleted attribute definition from every device or
+ * plant carrying it, archived ones included
+ * @param {Object} definition - AttributeDefinition
+ * @returns {Promise<number>} - Number of documents changed
+ */
+const removeAttributeValues = async (definition) => {
+  const Model = definition.appliesTo === 'plant' ? Plant : Device;
+  const field = `attributes.${definition.key}`;
+  const update = { $unset: { [field]: '' } };
+  const [active, archived] = await Promise.all([
+    Model.updateMany({ [field]: { $exists: true } }, update),
+    Model.updateMany({ [field]: { $exists: true }, archivedAt: { $ne: null } }, update)
+  ]);
+  return active.modifiedCount + archived.modifiedCount;
+};
+
+module.exports = {
+  TAG_KEY_PATTERN,
+  isPlainObject,
+  getAttributeDefinitions,
+  normalizeTags,
+  coerceAttributeValue,
+  normalizeAttributes,
+  prepareCustomFields,
+  removeAttributeValues
+};
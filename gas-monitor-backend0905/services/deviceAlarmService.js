@@ -0,0 +1,116 @@
+/**
+ * Device Alarm Service
+ * Alarms the backend raises itself (communication loss, overdue calibration,
+ * ...) rather than receiving from the EventHub listener. They are written in
+ * the same shape as listener alarms and published on the alarms channel, so
+ * dashboards show and clear them like any other alarm.
+ */
+
+const { getTelemetryDB } = require('../config/db');
+const { getPlantEntry } = require('./deviceRegistryService');
+const { alarmRoomsForPlant } = require('../middleware/socketAuthMiddleware');
+
+// Server exports are read on use; this module is loaded while server.js is still starting
+const getServer = () => require('../server');
+
+/**
+ * Raise an alarm for a device
+ * @param {Object} device - Device document or { _id, deviceName, plantId }
+ * @param {{ AlarmCode: string, AlarmDescription: string, AlarmValue: string, Severity: string }} fields - Plus any extra fields to store
+ * @returns {Promise<Object>} - The alarm document
+ */
+const raiseDeviceAlarm = async (device, fields) => {
+  const plant = await getPlantEntry(device.plantId);
+  const alarm = {
+    ...fields,
+    DeviceName: device.deviceName,
+    PlantName: plant ? plant.plantName : '',
+    IsActive: true,
+    IsRead: false,
+    CreatedTimestamp: new Date(),
+    UpdatedTimestamp: new Date()
+  };
+
+  const telemetryDB = getTelemetryDB();
+  if (telemetryDB) {
+    const { insertedId } = await telemetryDB.collection('alarms').insertOne(alarm);
+    alarm._id = insertedId;
+  }
+
+  const { redisClient } = getServer();
+  if (redisClient && redisClient.isOpen) {
+    await redisClient.publish('alarms', JSON.stringify({
+      ...alarm,
+      deviceName: device.deviceName,
+      alarmCode: alarm.AlarmCode,
+      alarmDescription: alarm.AlarmDescription,
+      alarmValue: alarm.AlarmValue,
+      severity: alarm.Severity.charAt(0).toUpperCase() + alarm.Severity.slice(1)
+    }));
+  }
+  return alarm;
+};
+
+/**
+ * Whether a device has an active alarm matching the filter
+ * @param {Object} device
+ * @param {Object} filter - e.g. { AlarmCode, Sensor }
+ * @returns {Promise<boolean>}
+ */
+const hasActiveDeviceAlarm = async (device, filter) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return false;
+  const count = await telemetryDB.collection('alarms').countDocuments(
+    { ...filter, DeviceName: device.deviceName, IsActive: { $ne: false } },
+    { limit: 1 }
+  );
+  return count > 0;
+};
+
+/**
+ * Deactivate a device's active alarms matching the filter and tell dashboards
+ * @param {Object} device
+ * @param {Object} filter - Must include AlarmCode
+ * @returns {Promise<number>} - Number of alarms cleared
+ */
+const clearDeviceAlarms = async (device, filter) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return 0;
+  const { modifiedCount } = await telemetryDB.collection('alarms').updateMany(
+    { ...filter, DeviceName: device.deviceName, IsActive: { $ne: false } },
+    { $set: { IsActive: false, UpdatedTimestamp: new Date() } }
+  );
+
+  const { io } = getServer();
+  if (io && modifiedCount > 0) {
+    io.to(alarmRoomsForPlant(device.plantId.toString())).emit('alarm-cleared', {
+      alarmCode: filter.AlarmCode,
+      deviceName: device.deviceName
+    });
+  }
+  return modifiedCount;
+};
+
+/**
+ * Suppress a device's alarms raised since a point in time. Suppressed alarms
+ * stay in the alarms collection but are inactive and left out of alarm lists.
+ * @param {Object} device - { deviceName }
+ * @param {{ since: Date, reason: string }} options
+ * @returns {Promise<number>} - Number of alarms suppressed
+ */
+const suppressDeviceAlarms = async (device, { since, reason }) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return 0;
+  const { modifiedCount } = await telemetryDB.collection('alarms').updateMany(
+    { DeviceName: device.deviceName, Suppressed: { $ne: true }, CreatedTimestamp: { $gte: since } },
+    { $set: { Suppressed: true, SuppressedReason: reason, IsActive: false } }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  raiseDeviceAlarm,
+  hasActiveDeviceAlarm,
+  clearDeviceAlarms,
+  suppressDeviceAlarms
+};
@@ -0,0 +1,235 @@
+/**
+ * Device Filter Service
+ * Turns a device filter (query parameters or a saved preset) into a MongoDB
+ * query, and manages saved filter presets.
+ */
+
+const mongoose = require('mongoose');
+const Plant = require('../models/plant');
+const FilterPreset = require('../models/filterPresetModel');
+const { getPlantScope, canAccessPlant } = require('../middleware/accessMiddleware');
+const { LIFECYCLE_STATES } = require('../config/deviceLifecycle');
+const {
+  TAG_KEY_PATTERN,
+  isPlainObject,
+  getAttributeDefinitions,
+  coerceAttributeValue
+} = require('./customFieldService');
+
+// Fields a device filter is made of; anything else in a query or preset is ignored
+const FILTER_FIELDS = ['plantId', 'deviceTypeId', 'lifecycleState', 'tags', 'attributes', 'plantTags', 'plantAttributes'];
+
+// Comparison operators attribute conditions may use, e.g. attributes[floor][gte]=2
+const OPERATORS = { eq: '$eq', ne: '$ne', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+const ORDERED_TYPES = ['number', 'date'];
+
+// Tag value that matches any device carrying the tag
+const ANY_VALUE = '*';
+
+/**
+ * Keep only the filter fields of an object, dropping empty ones
+ * @param {Object} source - Query parameters or preset filter
+ * @returns {Object}
+ */
+const pickFilter = (source = {}) => {
+  const filter = {};
+  FILTER_FIELDS.forEach(field => {
+    const value = source[field];
+    if (value === undefined || value === null || value === '') return;
+    if (isPlainObject(value) && Object.keys(value).length === 0) return;
+    filter[field] = value;
+  });
+  return filter;
+};
+
+/**
+ * Conditions on a tags map: { key: value } matches the value, { key: '*' } any value
+ * @param {string} field - 'tags'
+ * @param {Object} tags
+ * @returns {{ error?: string, conditions?: Object }}
+ */
+const tagConditions = (field, tags) => {
+  if (!isPlainObject(tags)) return { error: `${field} must be an object of key/value pairs` };
+  const conditions = {};
+  for (const [key, value] of Object.entries(tags)) {
+    if (!TAG_KEY_PATTERN.test(key)) return { error: `Invalid tag key "${key}"` };
+    conditions[`tags.${key}`] = value === ANY_VALUE ? { $exists: true } : String(value);
+  }
+  return { conditions };
+};
+
+/**
+ * Conditions on an attributes map: { key: value } matches the value,
+ * { key: { gte, lt, ... } } compares numbers and dates
+ * @param {'device'|'plant'} target
+ * @param {Object} attributes
+ * @returns {Promise<{ error?: string, conditions?: Object }>}
+ */
+const attributeConditions = async (target, attributes) => {
+  if (!isPlainObject(attributes)) return { error: 'Attribute filters must be an object of key/value pairs' };
+  const definitions = await getAttributeDefinitions(target);
+  const conditions = {};
+  for (const [key, condition] of Object.entries(attributes)) {
+    const definition = definitions.get(key);
+    if (!definition) return { error: `Unknown ${target} attribute "${key}"` };
+    const comparisons = isPlainObject(condition) ? condition : { eq: condition };
+    const query = {};
+    for (const [operator, value] of Object.entries(comparisons)) {
+      if (!OPERATORS[operator]) return { error: `Unknown operator "${operator}" on attribute ${definition.label}` };
+      if (!['eq', 'ne'].includes(operator) && !ORDERED_TYPES.includes(definition.type)) {
+        return { error: `${definition.label} can only be compared with eq or ne` };
+      }
+      const coerced = coerceAttributeValue(definition, value);
+      if (coerced.error) return { error: `${definition.label} ${coerced.error}` };
+      query[OPERATORS[operator]] = coerced.value;
+    }
+    conditions[`attributes.${key}`] = query;
+  }
+  return { conditions };
+};
+
+/**
+ * Build the device query for a filter, limited to the plants the user can access
+ * @param {Object} spec - Filter fields (see FILTER_FIELDS)
+ * @param {Object} user - req.user
+ * @returns {Promise<{ error?: string, status?: number, query?: Object }>}
+ */
+const buildDeviceQuery = async (spec, user) => {
+  const { plantId, deviceTypeId, lifecycleState, tags, attributes, plantTags, plantAttributes } = pickFilter(spec);
+  const query = {};
+
+  if (plantId) {
+    if (!mongoose.Types.ObjectId.isValid(plantId)) return { error: 'Invalid plantId', status: 400 };
+    if (!canAccessPlant(user, plantId)) return { error: 'You do not have access to this plant', status: 403 };
+  }
+  const scope = getPlantScope(user);
+
+  // Plant tags and attributes narrow the plants first
+  if (plantTags || plantAttributes) {
+    const plantQuery = {};
+    if (plantTags) {
+      const { error, conditions } = tagConditions('plantTags', plantTags);
+      if (error) return { error, status: 400 };
+      Object.assign(plantQuery, conditions);
+    }
+    if (plantAttributes) {
+      const { error, conditions } = await attributeConditions('plant', plantAttributes);
+      if (error) return { error, status: 400 };
+      Object.assign(plantQuery, conditions);
+    }
+    if (plantId) plantQuery._id = plantId;
+    else if (scope !== null) plantQuery._id = { $in: scope };
+    const plantIds = await Plant.find(plantQuery).distinct('_id');
+    query.plantId = { $in: plantIds };
+  } else if (plantId) {
+    query.plantId = plantId;
+  } else if (scope !== null) {
+    query.plantId = { $in: scope };
+  }
+
+  if (deviceTypeId) {
+    if (!mongoose.Types.ObjectId.isValid(deviceTypeId)) return { error: 'Invalid deviceTypeId', status: 400 };
+    query.deviceTypeId = deviceTypeId;
+  }
+
+  if (lifecycleState) {
+    const states = Array.isArray(lifecycleState) ? lifecycleState : String(lifecycleState).split(',');
+    const unknown = states.find(state => !LIFECYCLE_STATES.includes(state));
+    if (unknown) return { error: `Unknown lifecycle state "${unknown}"`, status: 400 };
+    // Devices from before lifecycle tracking have no state and count as in service
+    query['lifecycle.state'] = states.includes('in_service')
+      ? { $in: [...states, null] }
+      : { $in: states };
+  }
+
+  if (tags) {
+    const { error, conditions } = tagConditions('tags', tags);
+    if (error) return { error, status: 400 };
+    Object.assign(query, conditions);
+  }
+
+  if (attributes) {
+    const { error, conditions } = await attributeConditions('device', attributes);
+    if (error) return { error, status: 400 };
+    Object.assign(query, conditions);
+  }
+
+  return { query };
+};
+
+/**
+ * Find a preset the user may use: their own, or a shared one
+ * @param {string} presetId
+ * @param {Object} user - req.user
+ * @returns {Promise<{ error?: string, status?: number, preset?: Object }>}
+ */
+const findUsablePreset = async (presetId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(presetId)) return { error: 'Invalid presetId', status: 400 };
+  const preset = await FilterPreset.findById(presetId);
+  if (!preset) return { error: 'Filter preset not found', status: 404 };
+  if (!preset.shared && preset.ownerId.toString() !== String(user.userId)) {
+    return { error: 'You do not have access to this filter preset', status: 403 };
+  }
+  return { preset };
+};
+
+/**
+ * Build the device query for a request's query parameters. A presetId applies
+ * the saved filter; parameters given alongside it override the preset's.
+ * @param {Object} params - req.query
+ * @param {Object} user - req.user
+ * @returns {Promise<{ error?: string, status?: number, query?: Object }>}
+ */
+const deviceQueryFromParams = async (params, user) => {
+  let spec = pickFilter(params);
+  if (params.presetId) {
+    const { error, status, preset } = await findUsablePreset(params.presetId, user);
+    if (error) return { error, status };
+    spec = { ...pickFilter(preset.filter), ...spec };
+  }
+  return buildDeviceQuery(spec, user);
+};
+
+/**
+ * Presets the user can use, their own first
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<Object>>}
+ */
+const getPresets = async (user) => {
+  const presets = await FilterPreset.find({ $or: [{ ownerId: user.userId }, { shared: true }] }).sort({ name: 1 }).lean();
+  const own = (preset) => preset.ownerId.toString() === String(user.userId);
+  return [...presets.filter(own), ...presets.filter(preset => !own(preset))];
+};
+
+/**
+ * Save a new preset, or change the name, filter or sharing of an existing one
+ * @param {Object|null} preset - Existing FilterPreset, or null to create one
+ * @param {{ name?: string, filter?: Object, shared?: boolean }} data
+ * @param {Object} user - req.user
+ * @returns {Promise<{ error?: string, status?: number, preset?: Object }>}
+ */
+const savePreset = async (preset, data, user) => {
+  const target = preset || new FilterPreset({ ownerId: user.userId, ownerName: user.name || user.email || null });
+  if (data.name !== undefined) target.name = data.name;
+  if (data.shared !== undefined) target.shared = Boolean(data.shared);
+  if (data.filter !== undefined) {
+    const filter = pickFilter(isPlainObject(data.filter) ? data.filter : {});
+    // A filter that would be rejected when used is rejected when saved
+    const { error, status } = await buildDeviceQuery(filter, user);
+    if (error) return { error, status };
+    target.filter = filter;
+  }
+  target.updatedAt = new Date();
+  await target.save();
+  return { preset: target };
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  pickFilter,
+  buildDeviceQuery,
+  findUsablePreset,
+  deviceQueryFromParams,
+  getPresets,
+  savePreset
+};
@@ -0,0 +1,191 @@
+/**
+ * Device Lifecycle Service
+ * Moves devices between lifecycle states, keeps their commissioning checklist
+ * and records every change in DeviceLifecycleEvent. Devices leave
+ * commissioning for service only once every required checklist item is done.
+ *
+ * Alarms from devices that are not in service are suppressed: they stay in
+ * the alarms collection, marked Suppressed and inactive, and are not pushed
+ * to dashboards. The event pipeline writes alarms independently of the
+ * notice that marks them, so alarm queries also leave out what out-of-service
+ * devices raised, whether or not it has been marked yet.
+ */
+
+const Device = require('../models/Device');
+const DeviceLifecycleEvent = require('../models/deviceLifecycleEventModel');
+const { getSettings } = require('./settingsService');
+const { suppressDeviceAlarms } = require('./deviceAlarmService');
+const {
+  LIFECYCLE_STATES,
+  DEFAULT_LIFECYCLE_STATE,
+  LIFECYCLE_LABELS,
+  LIFECYCLE_TRANSITIONS,
+  INITIAL_LIFECYCLE_STATES
+} = require('../config/deviceLifecycle');
+
+/**
+ * Lifecycle state of a device document or registry entry
+ * @param {Object} device
+ * @returns {string}
+ */
+const lifecycleStateOf = (device) => device.lifecycleState || device.lifecycle?.state || DEFAULT_LIFECYCLE_STATE;
+
+/**
+ * Whether a device raises alarms
+ * @param {Object} device - Device document or registry entry
+ * @returns {boolean}
+ */
+const isInService = (device) => lifecycleStateOf(device) === 'in_service';
+
+/**
+ * States a device in the given state may move to
+ * @param {string} state
+ * @returns {string[]}
+ */
+const allowedTransitions = (state) => LIFECYCLE_TRANSITIONS[state] || [];
+
+// A fresh copy of the configured checklist, nothing ticked
+const checklistFromSettings = async () => {
+  const { commissioningChecklist = [] } = await getSettings();
+  return commissioningChecklist.map(({ key, label, required }) => ({ key, label, required, done: false }));
+};
+
+/**
+ * Lifecycle fields of a device being created
+ * @param {string} [state] - Initial state; defaults to in service
+ * @returns {Promise<{ error?: string, lifecycle?: Object }>}
+ */
+const initialLifecycle = async (state = DEFAULT_LIFECYCLE_STATE) => {
+  if (!INITIAL_LIFECYCLE_STATES.includes(state)) {
+    return { error: `New devices can start as ${INITIAL_LIFECYCLE_STATES.map(s => LIFECYCLE_LABELS[s]).join(', ')}` };
+  }
+  const checklist = state === 'commissioning' ? await checklistFromSettings() : [];
+  return { lifecycle: { state, changedAt: new Date(), checklist } };
+};
+
+/**
+ * Record a state change in the lifecycle history
+ * @param {Object} device - Device document
+ * @param {string|null} fromState
+ * @param {string} toState
+ * @param {{ note?: string, changedBy?: string }} [details]
+ * @returns {Promise<Object>} - The history event
+ */
+const recordLifecycleEvent = (device, fromState, toState, { note = '', changedBy = null } = {}) => DeviceLifecycleEvent.create({
+  deviceId: device._id,
+  deviceName: device.deviceName,
+  plantId: device.plantId,
+  fromState,
+  toState,
+  note,
+  changedBy
+});
+
+/**
+ * Move a device to another lifecycle state
+ * @param {Object} device - Device document
+ * @param {string} toState
+ * @param {{ note?: string, changedBy?: string }} [details]
+ * @returns {Promise<{ error?: string, status?: number, device?: Object }>}
+ */
+const transitionDevice = async (device, toState, details = {}) => {
+  if (!LIFECYCLE_STATES.includes(toState)) {
+    return { error: `Unknown lifecycle state ${toState}`, status: 400 };
+  }
+  const fromState = lifecycleStateOf(device);
+  if (!allowedTransitions(fromState).includes(toState)) {
+    return { error: `A device cannot go from ${LIFECYCLE_LABELS[fromState]} to ${LIFECYCLE_LABELS[toState]}`, status: 409 };
+  }
+  if (fromState === 'commissioning' && toState === 'in_service') {
+    const open = device.lifecycle.checklist.filter(item => item.required && !item.done);
+    if (open.length > 0) {
+      return { error: `Complete the commissioning checklist first: ${open.map(item => item.label).join(', ')}`, status: 409 };
+    }
+  }
+
+  device.set('lifecycle.state', toState);
+  device.set('lifecycle.changedAt', new Date());
+  // Each commissioning starts from a clean checklist; the last one stays on record afterwards
+  if (toState === 'commissioning') {
+    device.set('lifecycle.checklist', await checklistFromSettings());
+  }
+  await device.save();
+  await recordLifecycleEvent(device, fromState, toState, details);
+  console.log(`🔁 ${device.deviceName}: ${LIFECYCLE_LABELS[fromState]} → ${LIFECYCLE_LABELS[toState]}`);
+  return { device };
+};
+
+/**
+ * Tick or untick a commissioning checklist item
+ * @param {Object} device - Device document in commissioning
+ * @param {string} key - Checklist item key
+ * @param {{ done: boolean, note?: string, changedBy?: string }} update
+ * @returns {Promise<{ error?: string, status?: number, device?: Object }>}
+ */
+const updateChecklistItem = async (device, key, { done, note, changedBy = null }) => {
+  if (lifecycleStateOf(device) !== 'commissioning') {
+    return { error: 'The checklist can only be changed while the device is commissioning', status: 409 };
+  }
+  if (typeof done !== 'boolean') {
+    return { error: 'done must be true or false', status: 400 };
+  }
+  const item = device.lifecycle.checklist.find(candidate => candidate.key === key);
+  if (!item) {
+    return { error: 'Checklist item not found', status: 404 };
+  }
+
+  item.done = done;
+  item.doneBy = done ? changedBy : null;
+  item.doneAt = done ? new Date() : null;
+  if (note !== undefined) item.note = note;
+  await device.save();
+  return { device };
+};
+
+/**
+ * Lifecycle history of a device, newest first
+ * @param {string|ObjectId} deviceId
+ * @returns {Promise<Array>}
+ */
+const getLifecycleHistory = (deviceId) => DeviceLifecycleEvent.find({ deviceId }).sort({ changedAt: -1 }).lean();
+
+/**
+ * Suppress the alarms a device has raised since it left service
+ * @param {Object} entry - Device registry entry
+ * @returns {Promise<number>} - Number of alarms suppressed
+ */
+const suppressAlarmsOf = (entry) => suppressDeviceAlarms(entry, {
+  since: entry.lifecycleChangedAt ? new Date(entry.lifecycleChangedAt) : new Date(0),
+  reason: `Device ${LIFECYCLE_LABELS[lifecycleStateOf(entry)].toLowerCase()}`
+});
+
+/**
+ * Alarm query condition that leaves out the alarms devices raised since they
+ * left service
+ * @returns {Promise<Object|null>} - null when every device is in service
+ */
+const outOfServiceAlarmFilter = async () => {
+  const devices = await Device.find({ 'lifecycle.state': { $exists: true, $ne: 'in_service' } })
+    .select('deviceName lifecycle.changedAt')
+    .lean();
+  if (devices.length === 0) return null;
+  return {
+    $nor: devices.map(device => ({
+      DeviceName: device.deviceName,
+      CreatedTimestamp: { $gte: device.lifecycle.changedAt || new Date(0) }
+    }))
+  };
+};
+
+module.exports = {
+  lifecycleStateOf,
+  isInService,
+  allowedTransitions,
+  initialLifecycle,
+  recordLifecycleEvent,
+  transitionDevice,
+  updateChecklistItem,
+  getLifecycleHistory,
+  suppressAlarmsOf,
+  outOfServiceAlarmFilter
+};
@@ -0,0 +1,171 @@
+/**
+ * Device Registry Service
+ * In-memory index of registered devices with their plant and site hierarchy,
+ * so the telemetry and alarm pipelines can resolve a device name without a
+ * MongoDB query per message. The index is rebuilt on the next lookup after
+ * any device, plant or site node write, and at least every
+ * DEVICE_REGISTRY_REFRESH_SECONDS to pick up changes made by other processes.
+ */
+
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const SiteNode = require('../models/siteNodeModel');
+const { registryChanges } = require('../models/registryChangePlugin');
+const { DEFAULT_LIFECYCLE_STATE } = require('../config/deviceLifecycle');
+
+const REFRESH_INTERVAL_SECONDS = parseInt(process.env.DEVICE_REGISTRY_REFRESH_SECONDS, 10) || 300;
+
+let registry = null;
+let loadedAt = 0;
+let stale = true;
+let loading = null;
+
+registryChanges.on('change', () => {
+  stale = true;
+});
+
+const isObjectIdString = (value) => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+const buildRegistry = async () => {
+  const [devices, plants, nodes] = await Promise.all([
+    Device.find().select('deviceName plantId parentDeviceId siteNodeId deviceTypeId lifecycle.state lifecycle.changedAt').lean(),
+    Plant.find().select('plantName').lean(),
+    SiteNode.find().select('name type ancestors').lean()
+  ]);
+
+  const plantById = new Map(plants.map(plant => [plant._id.toString(), plant]));
+  const nodeById = new Map(nodes.map(node => [node._id.toString(), node]));
+  const deviceNameById = new Map(devices.map(device => [device._id.toString(), device.deviceName]));
+
+  // Building → area → zone path down to the device's node
+  const sitePath = (siteNodeId) => {
+    const node = siteNodeId && nodeById.get(siteNodeId.toString());
+    if (!node) return [];
+    return [...node.ancestors, node._id]
+      .map(id => nodeById.get(id.toString()))
+      .filter(Boolean)
+      .map(({ _id, name, type }) => ({ _id: _id.toString(), name, type }));
+  };
+
+  const byId = new Map();
+  const byName = new Map();
+  const byLowerName = new Map();
+  const plantEntries = new Map(plants.map(plant => [
+    plant._id.toString(),
+    { plantId: plant._id.toString(), plantName: plant.plantName, deviceNames: [] }
+  ]));
+
+  devices.forEach((device) => {
+    const plant = plantById.get(device.plantId.toString());
+    if (!plant) return;
+
+    const entry = {
+      deviceId: device._id.toString(),
+      deviceName: device.deviceName,
+      plantId: plant._id.toString(),
+      plantName: plant.plantName,
+      parentDeviceId: device.parentDeviceId ? device.parentDeviceId.toString() : null,
+      parentDeviceName: device.parentDeviceId ? deviceNameById.get(device.parentDeviceId.toString()) || null : null,
+      siteNodeId: device.siteNodeId ? device.siteNodeId.toString() : null,
+      sitePath: sitePath(device.siteNodeId),
+      deviceTypeId: device.deviceTypeId ? device.deviceTypeId.toString() : null,
+      lifecycleState: device.lifecycle?.state || DEFAULT_LIFECYCLE_STATE,
+      lifecycleChangedAt: device.lifecycle?.changedAt || null
+    };
+    byId.set(entry.deviceId, entry);
+    byName.set(entry.deviceName, entry);
+    byLowerName.set(entry.deviceName.toLowerCase(), entry);
+    plantEntries.get(entry.plantId).deviceNames.push(entry.deviceName);
+  });
+
+  console.log(`📇 Device registry loaded: ${byId.size} device(s) in ${plantEntries.size} plant(s)`);
+  return { byId, byName, byLowerName, plants: plantEntries };
+};
+
+// Current registry, rebuilding it first when it is stale or expired
+const ensureRegistry = async () => {
+  const expired = Date.now() - loadedAt > REFRESH_INTERVAL_SECONDS * 1000;
+  if (registry && !stale && !expired) return registry;
+
+  if (!loading) {
+    // Writes that land while loading mark the registry stale again
+    stale = false;
+    loading = buildRegistry()
+      .then((built) => {
+        registry = built;
+        loadedAt = Date.now();
+        return built;
+      })
+      .catch((err) => {
+        stale = true;
+        console.error('❌ Failed to load device registry:', err.message);
+        if (registry) return registry;
+        throw err;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+};
+
+/**
+ * Look up a registered device by _id or device name (names match
+ * case-insensitively when there is no exact match)
+ * @param {string} deviceRef - Device _id or deviceName
+ * @returns {Promise<Object|null>} - { deviceId, deviceName, plantId, plantName, parentDeviceId, parentDeviceName, siteNodeId, sitePath, deviceTypeId, lifecycleState, lifecycleChangedAt }
+ */
+const resolveDeviceEntry = async (deviceRef) => {
+  if (!deviceRef) return null;
+  const { byId, byName, byLowerName } = await ensureRegistry();
+  const ref = String(deviceRef);
+  if (isObjectIdString(ref) && byId.has(ref)) return byId.get(ref);
+  return byName.get(ref) || byLowerName.get(ref.toLowerCase()) || null;
+};
+
+/**
+ * Look up a plant and the names of its registered devices
+ * @param {string} plantId
+ * @returns {Promise<{plantId, plantName, deviceNames: string[]}|null>}
+ */
+const getPlantEntry = async (plantId) => {
+  if (!plantId) return null;
+  const { plants } = await ensureRegistry();
+  return plants.get(String(plantId)) || null;
+};
+
+/**
+ * Add the registered device's plant and site fields to an alarm or telemetry
+ * message. The registry's plant replaces whatever plant the message carries.
+ * @param {Object} data - Message with deviceName / DeviceName / deviceId
+ * @returns {Promise<Object>} - Copy of the message; unchanged if the device is not registered
+ */
+const enrichWithDevice = async (data) => {
+  const ref = data.deviceName || data.DeviceName || data.deviceId || data.DeviceId || data.device;
+  const entry = await resolveDeviceEntry(ref).catch(() => null);
+  if (!entry) return { ...data };
+  return {
+    ...data,
+    deviceName: entry.deviceName,
+    plantId: entry.plantId,
+    plantName: entry.plantName,
+    parentDeviceName: entry.parentDeviceName,
+    sitePath: entry.sitePath
+  };
+};
+
+/**
+ * Rebuild the registry now
+ * @returns {Promise<void>}
+ */
+const refreshDeviceRegistry = async () => {
+  stale = true;
+  await ensureRegistry();
+};
+
+module.exports = {
+  resolveDeviceEntry,
+  getPlantEntry,
+  enrichWithDevice,
+  refreshDeviceRegistry
+};
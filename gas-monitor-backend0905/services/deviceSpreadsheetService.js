@@ -0,0 +1,510 @@
+/**
+ * Device Spreadsheet Service
+ * Bulk device import from CSV or XLSX files and export of the device list in
+ * the same layout. Imports are validated row by row first; the report says
+ * exactly which rows would be created and what is wrong with the others, and
+ * nothing is written unless every row is valid. Imported devices start their
+ * lifecycle like devices added one at a time.
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const { getDeviceTypes } = require('./deviceTypeService');
+const { MAX_TOPOLOGY_DEPTH, deviceDepth } = require('./deviceTopologyService');
+const { initialLifecycle, recordLifecycleEvent } = require('./deviceLifecycleService');
+const { LIFECYCLE_STATES, DEFAULT_LIFECYCLE_STATE, LIFECYCLE_LABELS } = require('../config/deviceLifecycle');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.DEVICE_IMPORT_MAX_ROWS, 10) || 2000;
+
+// Spreadsheet columns in export order. Import headers are matched loosely
+// ("Serial Number", "serial_number" and "serialnumber" are the same column).
+const COLUMNS = [
+  { key: 'deviceName', header: 'Device Name', aliases: ['name', 'device'] },
+  { key: 'serialNumber', header: 'Serial Number', aliases: ['serial', 'serialno'] },
+  { key: 'macId', header: 'MAC ID', aliases: ['mac', 'macaddress'] },
+  { key: 'commissionedDate', header: 'Commissioned Date', aliases: ['commissioned', 'commissioningdate'] },
+  { key: 'plant', header: 'Plant', aliases: ['plantname', 'plantid'] },
+  { key: 'parentSerialNumber', header: 'Parent Serial Number', aliases: ['parent', 'parentserial'] },
+  // Only there to make exports readable; imports go by the parent's serial number
+  { key: 'parentDeviceName', header: 'Parent Device Name', aliases: [] },
+  { key: 'deviceType', header: 'Device Type', aliases: ['type'] },
+  { key: 'lifecycleState', header: 'Lifecycle State', aliases: ['lifecycle', 'state'] }
+];
+
+const REQUIRED_COLUMNS = ['deviceName', 'serialNumber', 'macId', 'commissionedDate'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMN_BY_HEADER = new Map(COLUMNS.flatMap(column =>
+  [column.key, column.header, ...column.aliases].map(name => [normaliseHeader(name), column.key])
+));
+
+// MAC IDs are compared without separators or case, so 00:1A:2B.. and 001a2b.. collide
+const { normaliseMac } = Device;
+
+// XLSX cells come back as numbers, dates, rich text or formula results
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.result !== undefined) return cellText(value.result);
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file
+ * @param {Buffer} buffer - File contents; XLSX is recognised by its zip signature
+ * @returns {Promise<{ rows: Array<{ rowNumber: number, values: Object }>, unknownColumns: Array<string> }>}
+ */
+const parseSpreadsheet = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  const isXlsx = buffer.length > 3 && buffer.readUInt32LE(0) === 0x04034b50;
+  const worksheet = isXlsx
+    ? (await workbook.xlsx.load(buffer), workbook.worksheets[0])
+    // Keep every CSV value as text; serials like 00123 must not turn into numbers
+    : await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    throw new Error('The file has no rows');
+  }
+
+  const headerRow = worksheet.getRow(1);
+  const columnKeys = {};
+  const unknownColumns = [];
+  headerRow.eachCell((cell, columnNumber) => {
+    const header = cellText(cell.value);
+    const key = COLUMN_BY_HEADER.get(normaliseHeader(header));
+    if (key) columnKeys[columnNumber] = key;
+    else if (header) unknownColumns.push(header);
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(key => !Object.values(columnKeys).includes(key));
+  if (missing.length > 0) {
+    const headers = missing.map(key => COLUMNS.find(column => column.key === key).header);
+    throw new Error(`Missing column(s): ${headers.join(', ')}`);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    Object.entries(columnKeys).forEach(([columnNumber, key]) => {
+      values[key] = cellText(row.getCell(Number(columnNumber)).value);
+    });
+    // Rows left blank at the end of a sheet are not devices
+    if (Object.values(values).some(value => value !== '')) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`A file may contain at most ${MAX_IMPORT_ROWS} devices`);
+  }
+  return { rows, unknownColumns };
+};
+
+// Plants the importing user may add devices to, looked up by _id or name
+const buildPlantLookup = async (plantScope) => {
+  const plants = await Plant.find(plantScope === null ? {} : { _id: { $in: plantScope } }).select('plantName').lean();
+  const byName = new Map();
+  plants.forEach(plant => {
+    const name = plant.plantName.trim().toLowerCase();
+    byName.set(name, byName.has(name) ? 'ambiguous' : plant);
+  });
+  const byId = new Map(plants.map(plant => [plant._id.toString(), plant]));
+  return (ref) => {
+    if (byId.has(ref)) return byId.get(ref);
+    return byName.get(ref.toLowerCase()) || null;
+  };
+};
+
+// Device types by key or name
+const buildTypeLookup = async () => {
+  const types = await getDeviceTypes();
+  return (ref) => types.find(type => type.key === ref.toLowerCase() || type.name.toLowerCase() === ref.toLowerCase()) || null;
+};
+
+// Lifecycle states by key ("in_service") or label ("In service")
+const findLifecycleState = (ref) => LIFECYCLE_STATES.find(state =>
+  [state, LIFECYCLE_LABELS[state]].some(name => normaliseHeader(name) === normaliseHeader(ref))) || null;
+
+// Existing devices holding any of the given serial numbers or (normalised) MAC IDs,
+// archived ones included since they can still be restored
+const findExistingDevices = async (serialNumbers, macs) => {
+  const conditions = [];
+  if (serialNumbers.length > 0) conditions.push({ serialNumber: { $in: [...new Set(serialNumbers)] } });
+  if (macs.length > 0) conditions.push({ macKey: { $in: [...new Set(macs)] } });
+  if (conditions.length === 0) return { bySerial: new Map(), byMac: new Map() };
+
+  const fields = 'deviceName serialNumber macId macKey archivedAt';
+  const [active, archived] = await Promise.all([
+    Device.find({ $or: conditions }).select(fields).lean(),
+    Device.find({ $or: conditions, archivedAt: { $ne: null } }).select(fields).lean()
+  ]);
+  const serialSet = new Set(serialNumbers);
+  const macSet = new Set(macs);
+  const devices = [...archived, ...active];
+  return {
+    bySerial: new Map(devices.filter(device => serialSet.has(device.serialNumber)).map(device => [device.serialNumber, device])),
+    byMac: new Map(devices.filter(device => macSet.has(device.macKey)).map(device => [device.macKey, device]))
+  };
+};
+
+/**
+ * Fill in macKey on devices saved before it existed, so findExistingDevices
+ * sees their MAC IDs. Runs at startup; only devices still missing it are touched.
+ * @returns {Promise<number>} - Number of devices updated
+ */
+const backfillMacKeys = async () => {
+  const [active, archived] = await Promise.all([
+    Device.find({ macKey: null }).select('macId').lean(),
+    Device.find({ macKey: null, archivedAt: { $ne: null } }).select('macId').lean()
+  ]);
+  const devices = [...active, ...archived];
+  if (devices.length === 0) return 0;
+  await Device.bulkWrite(devices.map(device => ({
+    updateOne: { filter: { _id: device._id }, update: { $set: { macKey: normaliseMac(device.macId) } } }
+  })));
+  console.log(`🔑 Normalised the MAC IDs of ${devices.length} device(s)`);
+  return devices.length;
+};
+
+/**
+ * Existing devices, archived ones included, that already use any of the given
+ * names. Device names are keys across the whole installation (hub identities,
+ * telemetry and alarms), and the registry matches them case-insensitively.
+ * @param {string[]} names
+ * @returns {Promise<Map<string, Object>>} - Lower-cased name -> device
+ */
+const findDevicesByName = async (names) => {
+  const unique = [...new Set(names.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+  const caseInsensitive = { locale: 'en', strength: 2 };
+  const [active, archived] = await Promise.all([
+    Device.find({ deviceName: { $in: unique } }).collation(caseInsensitive).select('deviceName archivedAt').lean(),
+    Device.find({ deviceName: { $in: unique }, archivedAt: { $ne: null } }).collation(caseInsensitive).select('deviceName archivedAt').lean()
+  ]);
+  return new Map([...archived, ...active].map(device => [device.deviceName.toLowerCase(), device]));
+};
+
+const describeExisting = (device) => `"${device.deviceName}"${device.archivedAt ? ' (archived)' : ''}`;
+
+/**
+ * Validate parsed rows and work out what each would create
+ * @param {Array} rows - From parseSpreadsheet
+ * @param {Object} options
+ * @param {Array<string>|null} options.plantScope - Plants the user may access, null for all
+ * @param {string} [options.defaultPlantId] - Plant for rows that leave the plant column empty
+ * @param {string} [options.defaultLifecycleState] - State for rows that leave the lifecycle column empty
+ * @returns {Promise<Array>} - One entry per row: { rowNumber, deviceName, serialNumber, errors, device, parentRow }
+ */
+const validateRows = async (rows, { plantScope, defaultPlantId, defaultLifecycleState }) => {
+  const findPlant = await buildPlantLookup(plantScope);
+  const findType = await buildTypeLookup();
+  const lifecycleErrors = new Map();
+  for (const state of LIFECYCLE_STATES) {
+    lifecycleErrors.set(state, (await initialLifecycle(state)).error || null);
+  }
+
+  const serialNumbers = rows.map(row => row.values.serialNumber).filter(Boolean);
+  const macs = rows.map(row => normaliseMac(row.values.macId)).filter(Boolean);
+  const existing = await findExistingDevices(serialNumbers, macs);
+  const existingByName = await findDevicesByName(rows.map(row => row.values.deviceName));
+
+  const rowsBySerial = new Map();
+  const rowsByMac = new Map();
+  const rowsByName = new Map();
+  rows.forEach(row => {
+    const { serialNumber, macId, deviceName } = row.values;
+    if (serialNumber) rowsBySerial.set(serialNumber, [...(rowsBySerial.get(serialNumber) || []), row.rowNumber]);
+    if (macId) rowsByMac.set(normaliseMac(macId), [...(rowsByMac.get(normaliseMac(macId)) || []), row.rowNumber]);
+    if (deviceName) rowsByName.set(deviceName.toLowerCase(), [...(rowsByName.get(deviceName.toLowerCase()) || []), row.rowNumber]);
+  });
+
+  const results = rows.map(({ rowNumber, values }) => {
+    const errors = [];
+    REQUIRED_COLUMNS.forEach(key => {
+      if (!values[key]) errors.push(`${COLUMNS.find(column => column.key === key).header} is required`);
+    });
+
+    const commissionedDate = values.commissionedDate ? new Date(values.commissionedDate) : null;
+    if (commissionedDate && Number.isNaN(commissionedDate.getTime())) {
+      errors.push(`Commissioned Date "${values.commissionedDate}" is not a date`);
+    }
+
+    const plantRef = values.plant || defaultPlantId || '';
+    const plant = plantRef ? findPlant(plantRef) : null;
+    if (!plantRef) errors.push('Plant is required');
+    else if (plant === 'ambiguous') errors.push(`More than one plant is named "${plantRef}"; use the plant ID`);
+    else if (!plant) errors.push(`Unknown plant "${plantRef}"`);
+
+    let deviceType = null;
+    if (values.deviceType) {
+      deviceType = findType(values.deviceType);
+      if (!deviceType) errors.push(`Unknown device type "${values.deviceType}"`);
+    }
+
+    const lifecycleRef = values.lifecycleState || defaultLifecycleState || '';
+    const lifecycleState = lifecycleRef ? findLifecycleState(lifecycleRef) : DEFAULT_LIFECYCLE_STATE;
+    if (!lifecycleState) errors.push(`Unknown lifecycle state "${lifecycleRef}"`);
+    else if (lifecycleErrors.get(lifecycleState)) errors.push(lifecycleErrors.get(lifecycleState));
+
+    // Names identify devices across all plants and ignore case, like the device registry
+    if (values.deviceName) {
+      const others = rowsByName.get(values.deviceName.toLowerCase()).filter(other => other !== rowNumber);
+      if (others.length > 0) errors.push(`Device name also used on row(s) ${others.join(', ')}`);
+      const clash = existingByName.get(values.deviceName.toLowerCase());
+      if (clash) errors.push(`Device name is already used by device ${describeExisting(clash)}`);
+    }
+    if (values.serialNumber) {
+      const others = rowsBySerial.get(values.serialNumber).filter(other => other !== rowNumber);
+      if (others.length > 0) errors.push(`Serial number also used on row(s) ${others.join(', ')}`);
+      const clash = existing.bySerial.get(values.serialNumber);
+      if (clash) errors.push(`Serial number already belongs to device ${describeExisting(clash)}`);
+    }
+    if (values.macId) {
+      const mac = normaliseMac(values.macId);
+      const others = rowsByMac.get(mac).filter(other => other !== rowNumber);
+      if (others.length > 0) errors.push(`MAC ID also used on row(s) ${others.join(', ')}`);
+      const clash = existing.byMac.get(mac);
+      if (clash) errors.push(`MAC ID already belongs to device ${describeExisting(clash)}`);
+    }
+
+    return {
+      rowNumber,
+      deviceName: values.deviceName,
+      serialNumber: values.serialNumber,
+      parentSerialNumber: values.parentSerialNumber || null,
+      errors,
+      plant: plant && plant !== 'ambiguous' ? plant : null,
+      lifecycleState,
+      device: {
+        deviceName: values.deviceName,
+        serialNumber: values.serialNumber,
+        macId: values.macId,
+        commissionedDate,
+        plantId: plant && plant !== 'ambiguous' ? plant._id : null,
+        deviceTypeId: deviceType ? deviceType._id || null : null
+      },
+      parentRow: null,
+      parentDeviceId: null
+    };
+  });
+
+  // Parents are named by serial number: another row of the file or an existing device
+  const resultBySerial = new Map(results.filter(result => result.serialNumber).map(result => [result.serialNumber, result]));
+  const parentSerials = results.map(result => result.parentSerialNumber).filter(serial => serial && !resultBySerial.has(serial));
+  const existingParents = new Map((await Device.find({ serialNumber: { $in: parentSerials } }).select('deviceName serialNumber plantId').lean())
+    .map(device => [device.serialNumber, device]));
+
+  results.forEach(result => {
+    const serial = result.parentSerialNumber;
+    if (!serial) return;
+    if (serial === result.serialNumber) {
+      result.errors.push('A device cannot be its own parent');
+      return;
+    }
+    const parentRow = resultBySerial.get(serial);
+    const parentDevice = parentRow ? null : existingParents.get(serial);
+    if (!parentRow && !parentDevice) {
+      result.errors.push(`Unknown parent device "${serial}"`);
+      return;
+    }
+    const parentPlantId = parentRow ? parentRow.device.plantId : parentDevice.plantId;
+    if (result.device.plantId && parentPlantId && parentPlantId.toString() !== result.device.plantId.toString()) {
+      result.errors.push(`Parent device "${serial}" belongs to a different plant`);
+    }
+    if (parentRow) result.parentRow = parentRow;
+    else result.parentDeviceId = parentDevice._id;
+  });
+
+  // Parent references within the file must not loop
+  const cycleError = 'Parent references form a cycle';
+  results.forEach(result => {
+    const seen = new Set([result]);
+    let parent = result.parentRow;
+    while (parent) {
+      if (seen.has(parent)) {
+        result.errors.push(cycleError);
+        return;
+      }
+      seen.add(parent);
+      parent = parent.parentRow;
+    }
+  });
+
+  // Trees may not grow deeper than the topology limit, counting existing parents' own levels
+  const existingDepths = new Map();
+  for (const parentDeviceId of new Set(results.map(result => result.parentDeviceId).filter(Boolean).map(String))) {
+    existingDepths.set(parentDeviceId, (await deviceDepth(parentDeviceId)).depth);
+  }
+  const depths = new Map();
+  const depthOf = (result) => {
+    if (!depths.has(result)) {
+      const parentDepth = result.parentRow ? depthOf(result.parentRow) : existingDepths.get(String(result.parentDeviceId)) || 0;
+      depths.set(result, parentDepth + 1);
+    }
+    return depths.get(result);
+  };
+  results.forEach(result => {
+    if (result.errors.includes(cycleError)) return;
+    if (depthOf(result) > MAX_TOPOLOGY_DEPTH) {
+      result.errors.push(`Devices can be nested at most ${MAX_TOPOLOGY_DEPTH} levels deep`);
+    }
+  });
+
+  // A row whose parent row is invalid cannot be created either
+  results.forEach(result => {
+    if (result.errors.includes(cycleError)) return;
+    let parent = result.parentRow;
+    while (parent) {
+      if (parent.errors.length > 0) {
+        result.errors.push(`Parent row ${parent.rowNumber} has errors`);
+        return;
+      }
+      parent = parent.parentRow;
+    }
+  });
+
+  return results;
+};
+
+/**
+ * The row-level report returned to the client
+ * @param {Array} results - From validateRows
+ * @param {Array<string>} unknownColumns - Headers that were ignored
+ * @returns {Object}
+ */
+const buildReport = (results, unknownColumns) => ({
+  totalRows: results.length,
+  validRows: results.filter(result => result.errors.length === 0).length,
+  invalidRows: results.filter(result => result.errors.length > 0).length,
+  ignoredColumns: unknownColumns,
+  rows: results.map(result => ({
+    rowNumber: result.rowNumber,
+    deviceName: result.deviceName,
+    serialNumber: result.serialNumber,
+    plantName: result.plant ? result.plant.plantName : null,
+    parentSerialNumber: result.parentSerialNumber,
+    lifecycleState: result.lifecycleState,
+    status: result.errors.length === 0 ? 'valid' : 'error',
+    errors: result.errors
+  }))
+});
+
+/**
+ * Create the devices of fully validated rows, parents before their children,
+ * and record how each started its lifecycle.
+ * If any insert fails the devices created so far are removed again.
+ * @param {Array} results - From validateRows, all without errors
+ * @param {Object} [options]
+ * @param {string|null} [options.changedBy] - Who imported them, for the lifecycle history
+ * @returns {Promise<Array>} - Created device documents
+ */
+const createDevices = async (results, { changedBy = null } = {}) => {
+  const created = [];
+  const idByRow = new Map();
+  const pending = [...results];
+  try {
+    while (pending.length > 0) {
+      const ready = pending.filter(result => !result.parentRow || idByRow.has(result.parentRow));
+      for (const result of ready) {
+        const parentDeviceId = result.parentRow ? idByRow.get(result.parentRow) : result.parentDeviceId;
+        const { lifecycle } = await initialLifecycle(result.lifecycleState);
+        const device = await Device.create({ ...result.device, parentDeviceId: parentDeviceId || null, lifecycle });
+        idByRow.set(result, device._id);
+        created.push(device);
+        pending.splice(pending.indexOf(result), 1);
+      }
+    }
+  } catch (error) {
+    await Device.deleteMany({ _id: { $in: created.map(device => device._id) } });
+    throw error;
+  }
+  for (const device of created) {
+    await recordLifecycleEvent(device, null, device.lifecycle.state, { note: 'Device added', changedBy });
+  }
+  return created;
+};
+
+// Devices in tree order: each parent followed by its children
+const treeOrder = (devices) => {
+  const childrenOf = new Map();
+  const ids = new Set(devices.map(device => device._id.toString()));
+  devices.forEach(device => {
+    const parentId = device.parentDeviceId && ids.has(device.parentDeviceId.toString()) ? device.parentDeviceId.toString() : null;
+    childrenOf.set(parentId, [...(childrenOf.get(parentId) || []), device]);
+  });
+  const ordered = [];
+  const visit = (parentId) => (childrenOf.get(parentId) || []).forEach(device => {
+    ordered.push(device);
+    visit(device._id.toString());
+  });
+  visit(null);
+  return ordered;
+};
+
+/**
+ * Spreadsheet of devices with their plant, parent and type. The columns match
+ * the import layout, so an export can be edited and imported elsewhere.
+ * @param {Object} filter - Device query
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Buffer>}
+ */
+const exportDevices = async (filter, format) => {
+  const devices = await Device.find(filter).sort({ deviceName: 1 }).lean();
+  const plantIds = [...new Set(devices.map(device => device.plantId.toString()))];
+  const [plants, deviceTypes, parents] = await Promise.all([
+    Plant.find({ _id: { $in: plantIds } }).select('plantName').lean(),
+    getDeviceTypes(),
+    // Parents outside the filter (another plant scope) are still named
+    Device.find({ _id: { $in: devices.map(device => device.parentDeviceId).filter(Boolean) } }).select('deviceName serialNumber').lean()
+  ]);
+  const plantNames = new Map(plants.map(plant => [plant._id.toString(), plant.plantName]));
+  const typeKeys = new Map(deviceTypes.filter(type => type._id).map(type => [type._id.toString(), type.key]));
+  const parentById = new Map(parents.map(parent => [parent._id.toString(), parent]));
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Devices');
+  worksheet.columns = COLUMNS.map(column => ({ header: column.header, key: column.key, width: 22 }));
+  treeOrder(devices).forEach(device => {
+    const parent = device.parentDeviceId ? parentById.get(device.parentDeviceId.toString()) : null;
+    worksheet.addRow({
+      deviceName: device.deviceName,
+      serialNumber: device.serialNumber,
+      macId: device.macId,
+      commissionedDate: device.commissionedDate ? new Date(device.commissionedDate).toISOString().slice(0, 10) : '',
+      plant: plantNames.get(device.plantId.toString()) || device.plantId.toString(),
+      parentSerialNumber: parent ? parent.serialNumber : '',
+      parentDeviceName: parent ? parent.deviceName : '',
+      deviceType: device.deviceTypeId ? typeKeys.get(device.deviceTypeId.toString()) || '' : '',
+      lifecycleState: LIFECYCLE_LABELS[device.lifecycle?.state || DEFAULT_LIFECYCLE_STATE]
+    });
+  });
+  worksheet.getRow(1).font = { bold: true };
+
+  return format === 'xlsx' ? workbook.xlsx.writeBuffer() : workbook.csv.writeBuffer();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseSpreadsheet,
+  validateRows,
+  buildReport,
+  createDevices,
+  exportDevices,
+  normaliseMac,
+  findExistingDevices,
+  findDevicesByName,
+  backfillMacKeys
+};
@@ -0,0 +1,271 @@
+/**
+ * Device Template Service
+ * Checks device templates and clones devices from them: a batch of
+ * auto-numbered devices with the template's type, tags and parent, whose
+ * Threshold and Tolerance documents are filled in from the template so the
+ * telemetry routes serve the template's values from the start.
+ */
+
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const DeviceType = require('../models/deviceTypeModel');
+const Threshold = require('../models/thresholdModel');
+const Tolerance = require('../models/toleranceModel');
+const { canAccessPlant } = require('../middleware/accessMiddleware');
+const { getDeviceType, getMetric, validateMetricSetting } = require('./deviceTypeService');
+const { normalizeTags } = require('./customFieldService');
+const { validateParent } = require('./deviceTopologyService');
+const { initialLifecycle, recordLifecycleEvent } = require('./deviceLifecycleService');
+const { normaliseMac, findExistingDevices, findDevicesByName } = require('./deviceSpreadsheetService');
+
+const MAX_CLONE_COUNT = parseInt(process.env.DEVICE_CLONE_MAX_COUNT, 10) || 100;
+
+const TEMPLATE_FIELDS = ['name', 'description', 'namePrefix', 'numberDigits', 'deviceTypeId', 'plantId', 'thresholds', 'tolerances'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Each metric at most once, each a metric of the type, each value within the metric's range
+const checkMetricSettings = (deviceType, settings, kind) => {
+  const seen = new Set();
+  for (const setting of settings) {
+    const metric = getMetric(deviceType, setting.type);
+    if (!metric) return `${setting.type} is not a metric of ${deviceType.name} devices`;
+    if (seen.has(setting.type)) return `${metric.label} has more than one default ${kind}`;
+    seen.add(setting.type);
+    const rangeError = validateMetricSetting(metric, kind, setting[kind]);
+    if (rangeError) return rangeError;
+  }
+  return null;
+};
+
+const normalizeParentRule = (rule) => ({
+  mode: rule.mode || 'optional',
+  parentDeviceId: rule.parentDeviceId || null,
+  parentDeviceTypeId: rule.parentDeviceTypeId || null
+});
+
+/**
+ * Apply the template fields of a request body to a template and check them
+ * against the device type's metrics, the plant and the parent rule
+ * @param {Object} template - DeviceTemplate document (new or existing)
+ * @param {Object} body - Request body
+ * @param {Object} user - req.user
+ * @returns {Promise<{ error: string, status: number }|null>}
+ */
+const applyTemplateChanges = async (template, body, user) => {
+  TEMPLATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) template.set(field, body[field] === '' ? null : body[field]);
+  });
+  if (body.tags !== undefined) {
+    const { error, tags } = normalizeTags(body.tags);
+    if (error) return { error, status: 400 };
+    template.tags = tags;
+  }
+  if (body.parentRule !== undefined) {
+    template.parentRule = normalizeParentRule(body.parentRule || {});
+  }
+
+  const { deviceTypeId, parentRule } = template;
+  for (const typeId of [deviceTypeId, parentRule.parentDeviceTypeId].filter(Boolean)) {
+    if (!isValidId(typeId) || !(await DeviceType.exists({ _id: typeId }))) {
+      return { error: 'Device type not found', status: 400 };
+    }
+  }
+
+  if (parentRule.mode === 'fixed' && parentRule.parentDeviceId) {
+    const parent = isValidId(parentRule.parentDeviceId)
+      ? await Device.findById(parentRule.parentDeviceId).select('plantId deviceTypeId').lean()
+      : null;
+    if (!parent) return { error: 'Parent device not found', status: 400 };
+    if (parentRule.parentDeviceTypeId && String(parent.deviceTypeId) !== String(parentRule.parentDeviceTypeId)) {
+      return { error: 'The parent device is not of the required parent type', status: 400 };
+    }
+    // Cloned devices go into the parent's plant
+    template.plantId = parent.plantId;
+  } else {
+    parentRule.parentDeviceId = null;
+  }
+  if (parentRule.mode === 'none') parentRule.parentDeviceTypeId = null;
+
+  if (template.plantId) {
+    if (!canAccessPlant(user, template.plantId)) {
+      return { error: 'You do not have access to this plant', status: 403 };
+    }
+    if (!(await Plant.exists({ _id: template.plantId }))) {
+      return { error: 'Plant not found', status: 400 };
+    }
+  }
+
+  const deviceType = await getDeviceType(deviceTypeId);
+  const settingsError = checkMetricSettings(deviceType, template.thresholds, 'threshold')
+    || checkMetricSettings(deviceType, template.tolerances, 'tolerance');
+  return settingsError ? { error: settingsError, status: 400 } : null;
+};
+
+// The parent cloned devices go under, following the template's parent rule
+// @returns {Promise<{ error?: string, parentDeviceId?: string|null }>}
+const resolveParent = async (template, requestedParentId, plantId) => {
+  const { mode, parentDeviceId, parentDeviceTypeId } = template.parentRule;
+  const parentId = mode === 'fixed' ? parentDeviceId : requestedParentId || null;
+  if (mode === 'none' && parentId) return { error: 'Devices from this template cannot have a parent device' };
+  if (mode === 'required' && !parentId) return { error: 'Devices from this template need a parent device' };
+  if (!parentId) return { parentDeviceId: null };
+
+  const error = await validateParent(null, parentId, plantId);
+  if (error) return { error };
+  if (parentDeviceTypeId && mode !== 'fixed') {
+    const parent = await Device.findById(parentId).select('deviceTypeId').lean();
+    if (String(parent.deviceTypeId) !== String(parentDeviceTypeId)) {
+      return { error: 'The parent device is not of the type this template requires' };
+    }
+  }
+  return { parentDeviceId: parentId };
+};
+
+// Serial numbers and MAC IDs must be given, and unique among themselves and existing devices
+const checkUnits = async (units) => {
+  if (!Array.isArray(units) || units.length === 0) return 'Give the serial number and MAC ID of each new device';
+  if (units.length > MAX_CLONE_COUNT) return `At most ${MAX_CLONE_COUNT} devices can be cloned at once`;
+  if (units.some(unit => !unit || !String(unit.serialNumber || '').trim() || !normaliseMac(unit.macId))) {
+    return 'Every new device needs a serial number and a MAC ID';
+  }
+  const serials = units.map(unit => String(unit.serialNumber).trim());
+  const macs = units.map(unit => normaliseMac(unit.macId));
+  if (new Set(serials).size < serials.length) return 'The same serial number is given more than once';
+  if (new Set(macs).size < macs.length) return 'The same MAC ID is given more than once';
+  const existing = await findExistingDevices(serials, macs);
+  const serialClash = serials.find(serial => existing.bySerial.has(serial));
+  if (serialClash) return `Serial number ${serialClash} already belongs to device ${existing.bySerial.get(serialClash).deviceName}`;
+  const macClash = units.find(unit => existing.byMac.has(normaliseMac(unit.macId)));
+  if (macClash) return `MAC ID ${macClash.macId} already belongs to device ${existing.byMac.get(normaliseMac(macClash.macId)).deviceName}`;
+  return null;
+};
+
+/**
+ * The next free names <prefix>-<number>, numbered on from the highest number
+ * in use in any plant (archived devices included, so they can be restored).
+ * Device names are global keys, so two plants never share a number.
+ * @param {string} prefix
+ * @param {number} digits - Numbers are zero-padded to this many digits
+ * @param {number} count
+ * @returns {Promise<string[]>}
+ */
+const nextDeviceNames = async (prefix, digits, count) => {
+  const pattern = new RegExp(`^${escapeRegex(prefix)}-(\\d+)$`, 'i');
+  const [active, archived] = await Promise.all([
+    Device.find({ deviceName: pattern }).select('deviceName').lean(),
+    Device.find({ deviceName: pattern, archivedAt: { $ne: null } }).select('deviceName').lean()
+  ]);
+  const highest = Math.max(0, ...[...active, ...archived].map(device => parseInt(pattern.exec(device.deviceName)[1], 10)));
+  return Array.from({ length: count }, (_, i) => `${prefix}-${String(highest + i + 1).padStart(digits, '0')}`);
+};
+
+/**
+ * Create devices from a template, with their Threshold and Tolerance
+ * documents. If anything fails, everything created so far is removed again.
+ * @param {Object} template - DeviceTemplate document
+ * @param {Object} options - { units: [{ serialNumber, macId }], plantId, parentDeviceId, namePrefix, commissionedDate, lifecycleState }
+ * @param {Object} user - req.user
+ * @returns {Promise<{ error?: string, status?: number, devices?: Array }>}
+ */
+const cloneDevices = async (template, options, user) => {
+  const plantId = template.parentRule.mode === 'fixed' ? template.plantId : options.plantId || template.plantId;
+  if (!plantId || !isValidId(plantId)) return { error: 'Choose the plant for the new devices', status: 400 };
+  if (!canAccessPlant(user, plantId)) return { error: 'You do not have access to this plant', status: 403 };
+  if (!(await Plant.exists({ _id: plantId }))) return { error: 'Plant not found', status: 404 };
+
+  const { error: parentError, parentDeviceId } = await resolveParent(template, options.parentDeviceId, plantId);
+  if (parentError) return { error: parentError, status: 400 };
+  const unitsError = await checkUnits(options.units);
+  if (unitsError) return { error: unitsError, status: 400 };
+  const commissionedDate = options.commissionedDate ? new Date(options.commissionedDate) : new Date();
+  if (Number.isNaN(commissionedDate.getTime())) return { error: 'Invalid commissioned date', status: 400 };
+  const { error: lifecycleError, lifecycle } = await initialLifecycle(options.lifecycleState || undefined);
+  if (lifecycleError) return { error: lifecycleError, status: 400 };
+
+  const prefix = String(options.namePrefix || template.namePrefix).trim();
+  const names = await nextDeviceNames(prefix, template.numberDigits, options.units.length);
+  // Another clone or import may have taken a number since, or a name may differ only in case
+  const taken = await findDevicesByName(names);
+  if (taken.size > 0) {
+    const [clash] = taken.values();
+    return { error: `Device name ${clash.deviceName} is already in use, please try again`, status: 409 };
+  }
+  const tags = template.tags ? Object.fromEntries(template.tags) : {};
+
+  const created = [];
+  try {
+    for (const [index, unit] of options.units.entries()) {
+      created.push(await Device.create({
+        deviceName: names[index],
+        serialNumber: String(unit.serialNumber).trim(),
+        macId: String(unit.macId).trim(),
+        commissionedDate,
+        plantId,
+        parentDeviceId,
+        deviceTypeId: template.deviceTypeId,
+        tags,
+        lifecycle
+      }));
+    }
+    const deviceIds = created.map(device => device._id.toString());
+    await Threshold.insertMany(deviceIds.flatMap(deviceId =>
+      template.thresholds.map(({ type, threshold }) => ({ deviceId, type, threshold }))));
+    await Tolerance.insertMany(deviceIds.flatMap(deviceId =>
+      template.tolerances.map(({ type, tolerance }) => ({ deviceId, type, tolerance }))));
+  } catch (error) {
+    const deviceIds = created.map(device => device._id.toString());
+    await Promise.all([
+      Device.deleteMany({ _id: { $in: deviceIds } }),
+      Threshold.deleteMany({ deviceId: { $in: deviceIds } }),
+      Tolerance.deleteMany({ deviceId: { $in: deviceIds } })
+    ]);
+    throw error;
+  }
+
+  const changedBy = user.email || user.name || null;
+  for (const device of created) {
+    await recordLifecycleEvent(device, null, device.lifecycle.state, { note: `Cloned from template ${template.name}`, changedBy });
+  }
+  console.log(`🧬 Cloned ${created.length} device(s) from template ${template.name}`);
+  return { devices: created };
+};
+
+/**
+ * Template fields taken from an existing device: its type, thresholds,
+ * tolerances, tags, plant and parent. Not saved; the client edits and saves it.
+ * @param {Object} device - Device document
+ * @returns {Promise<Object>}
+ */
+const templateFromDevice = async (device) => {
+  const deviceId = device._id.toString();
+  const [thresholds, tolerances] = await Promise.all([
+    Threshold.find({ deviceId }).select('type threshold').lean(),
+    Tolerance.find({ deviceId }).select('type tolerance').lean()
+  ]);
+  return {
+    name: `${device.deviceName} template`,
+    description: '',
+    namePrefix: device.deviceName.replace(/-\d+$/, ''),
+    numberDigits: 2,
+    deviceTypeId: device.deviceTypeId || null,
+    plantId: device.plantId,
+    thresholds: thresholds.map(({ type, threshold }) => ({ type, threshold })),
+    tolerances: tolerances.map(({ type, tolerance }) => ({ type, tolerance })),
+    tags: device.tags ? Object.fromEntries(device.tags) : {},
+    parentRule: device.parentDeviceId
+      ? { mode: 'fixed', parentDeviceId: device.parentDeviceId, parentDeviceTypeId: null }
+      : { mode: 'none', parentDeviceId: null, parentDeviceTypeId: null }
+  };
+};
+
+module.exports = {
+  MAX_CLONE_COUNT,
+  applyTemplateChanges,
+  nextDeviceNames,
+  cloneDevices,
+  templateFromDevice
+};
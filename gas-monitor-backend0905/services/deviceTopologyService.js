@@ -0,0 +1,167 @@
+/**
+ * Device Topology Service
+ * Keeps the parent/child (gateway) trees of each plant's devices valid:
+ * a parent must be in the same plant, parent links must not loop, and trees
+ * are at most MAX_TOPOLOGY_DEPTH levels deep. Also builds a plant's trees
+ * with the connectivity of every device; a device behind an offline gateway
+ * cannot be reached, so it is shown offline too.
+ */
+
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const { getConnectivity } = require('./heartbeatService');
+const { lifecycleStateOf } = require('./deviceLifecycleService');
+
+// Levels a tree may have: a top-level device is level 1, its children level 2, ...
+const MAX_TOPOLOGY_DEPTH = parseInt(process.env.DEVICE_TOPOLOGY_MAX_DEPTH, 10) || 3;
+
+const CONNECTIVITY_STATUSES = ['online', 'stale', 'offline', 'unknown'];
+
+/**
+ * Level of a device in its tree, counting the device itself
+ * @param {string} deviceId
+ * @param {string|null} [movingId] - Device about to be placed below deviceId; meeting it on the way up means a loop
+ * @returns {Promise<{ depth: number, loop: boolean }>}
+ */
+const deviceDepth = async (deviceId, movingId = null) => {
+  const seen = new Set();
+  let depth = 0;
+  let currentId = deviceId;
+  while (currentId) {
+    const key = currentId.toString();
+    if (seen.has(key) || (movingId && key === String(movingId))) return { depth, loop: true };
+    seen.add(key);
+    const device = await Device.findById(currentId).select('parentDeviceId').lean();
+    if (!device) break;
+    depth += 1;
+    currentId = device.parentDeviceId;
+  }
+  return { depth, loop: false };
+};
+
+/**
+ * Levels of the tree below and including a device
+ * @param {string} deviceId
+ * @returns {Promise<number>}
+ */
+const subtreeHeight = async (deviceId) => {
+  const seen = new Set([String(deviceId)]);
+  let height = 1;
+  let frontier = [deviceId];
+  for (;;) {
+    const children = await Device.find({ parentDeviceId: { $in: frontier } }).select('_id').lean();
+    frontier = children.map(child => child._id).filter(id => !seen.has(id.toString()));
+    if (frontier.length === 0) return height;
+    frontier.forEach(id => seen.add(id.toString()));
+    height += 1;
+  }
+};
+
+/**
+ * Check the parent of a device being created or updated
+ * @param {string|null} deviceId - Device being updated, or null for a new one
+ * @param {string|null} parentDeviceId - Proposed parent (null for a top-level device)
+ * @param {string} plantId - Plant the device will belong to
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+const validateParent = async (deviceId, parentDeviceId, plantId) => {
+  if (!parentDeviceId) return null;
+  if (!mongoose.Types.ObjectId.isValid(parentDeviceId)) return 'Parent device not found';
+  if (deviceId && String(parentDeviceId) === String(deviceId)) return 'A device cannot be its own parent';
+
+  const parent = await Device.findById(parentDeviceId).select('plantId').lean();
+  if (!parent) return 'Parent device not found';
+  if (parent.plantId.toString() !== String(plantId)) return 'Parent device belongs to a different plant';
+
+  const { depth, loop } = await deviceDepth(parentDeviceId, deviceId);
+  if (loop) return 'A device cannot be placed below one of its own child devices';
+  const height = deviceId ? await subtreeHeight(deviceId) : 1;
+  if (depth + height > MAX_TOPOLOGY_DEPTH) {
+    return `Devices can be nested at most ${MAX_TOPOLOGY_DEPTH} levels deep`;
+  }
+  return null;
+};
+
+/**
+ * Build a plant's device trees with connectivity. Each node has the device's
+ * own status and its effectiveStatus, which is 'offline' when a gateway above
+ * it is offline (unreachableVia names the topmost such gateway). Devices whose
+ * parent is missing or in another plant, or whose parent links loop, are shown
+ * as top-level devices and listed in issues.
+ * @param {Object} plant - Plant document
+ * @returns {Promise<Object>} - { plantId, plantName, maxDepth, summary, issues, roots }
+ */
+const getPlantTopology = async (plant) => {
+  const devices = await Device.find({ plantId: plant._id })
+    .select('deviceName serialNumber parentDeviceId deviceTypeId heartbeat lifecycle.state')
+    .sort({ deviceName: 1 })
+    .lean();
+  const connectivity = await getConnectivity(devices);
+  const deviceIds = new Set(devices.map(device => device._id.toString()));
+
+  const issues = [];
+  const addIssue = (device, problem) => issues.push({ deviceId: device._id, deviceName: device.deviceName, problem });
+
+  const childrenOf = new Map();
+  const topLevel = [];
+  devices.forEach(device => {
+    const parentId = device.parentDeviceId ? device.parentDeviceId.toString() : null;
+    if (parentId && deviceIds.has(parentId)) {
+      childrenOf.set(parentId, [...(childrenOf.get(parentId) || []), device]);
+      return;
+    }
+    if (parentId) addIssue(device, 'Parent device is missing or belongs to another plant');
+    topLevel.push(device);
+  });
+
+  const visited = new Set();
+  const buildNode = (device, depth, unreachableVia) => {
+    const deviceId = device._id.toString();
+    visited.add(deviceId);
+    const { status, lastSeenAt } = connectivity.get(deviceId);
+    if (depth === MAX_TOPOLOGY_DEPTH + 1) addIssue(device, `Nested deeper than ${MAX_TOPOLOGY_DEPTH} levels`);
+    const via = unreachableVia || (status === 'offline' ? device.deviceName : null);
+    return {
+      deviceId: device._id,
+      deviceName: device.deviceName,
+      serialNumber: device.serialNumber,
+      deviceTypeId: device.deviceTypeId || null,
+      lifecycleState: lifecycleStateOf(device),
+      status,
+      lastSeenAt,
+      effectiveStatus: unreachableVia ? 'offline' : status,
+      unreachableVia,
+      depth,
+      children: (childrenOf.get(deviceId) || [])
+        .filter(child => !visited.has(child._id.toString()))
+        .map(child => buildNode(child, depth + 1, via))
+    };
+  };
+
+  const roots = topLevel.map(device => buildNode(device, 1, null));
+  // Whatever was not reached hangs off a loop; cut the loop where it was found
+  devices.forEach(device => {
+    if (visited.has(device._id.toString())) return;
+    addIssue(device, 'Parent devices form a loop');
+    roots.push(buildNode(device, 1, null));
+  });
+
+  const summary = { total: devices.length, unreachable: 0 };
+  CONNECTIVITY_STATUSES.forEach(status => { summary[status] = 0; });
+  const count = (node) => {
+    summary[node.effectiveStatus] += 1;
+    if (node.unreachableVia) summary.unreachable += 1;
+    node.children.forEach(count);
+  };
+  roots.forEach(count);
+
+  return { plantId: plant._id, plantName: plant.plantName, maxDepth: MAX_TOPOLOGY_DEPTH, summary, issues, roots };
+};
+
+module.exports = {
+  MAX_TOPOLOGY_DEPTH,
+  deviceDepth,
+  subtreeHeight,
+  validateParent,
+  getPlantTopology
+};
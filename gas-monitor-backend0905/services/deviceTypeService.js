@@ -0,0 +1,189 @@
+/**
+ * Device Type Service
+ * Cached access to the device type catalog and the helpers that turn raw
+ * telemetry documents into readings keyed by the type's metrics. Devices
+ * without a type, and devices whose type has been removed, use the default
+ * type so existing installations keep their temperature / humidity / oil
+ * level readings.
+ */
+
+const DeviceType = require('../models/deviceTypeModel');
+const { registryChanges } = require('../models/registryChangePlugin');
+const { resolveDeviceEntry } = require('./deviceRegistryService');
+const { DEFAULT_DEVICE_TYPE_KEY, BUILT_IN_DEVICE_TYPES } = require('../config/deviceTypes');
+
+const REFRESH_INTERVAL_SECONDS = parseInt(process.env.DEVICE_REGISTRY_REFRESH_SECONDS, 10) || 300;
+
+// Used when the catalog cannot be read, so telemetry still normalizes
+const FALLBACK_TYPES = BUILT_IN_DEVICE_TYPES.map(type => ({ ...type, _id: null, builtIn: true }));
+
+let catalog = null;
+let loadedAt = 0;
+let stale = true;
+
+registryChanges.on('change', (modelName) => {
+  if (modelName === 'DeviceType') stale = true;
+});
+
+const buildCatalog = (types) => ({
+  types,
+  byId: new Map(types.filter(type => type._id).map(type => [type._id.toString(), type])),
+  byKey: new Map(types.map(type => [type.key, type]))
+});
+
+const loadCatalog = async () => {
+  const expired = Date.now() - loadedAt > REFRESH_INTERVAL_SECONDS * 1000;
+  if (catalog && !stale && !expired) return catalog;
+
+  stale = false;
+  try {
+    const types = await DeviceType.find().sort({ name: 1 }).lean();
+    catalog = buildCatalog(types.length > 0 ? types : FALLBACK_TYPES);
+    loadedAt = Date.now();
+  } catch (err) {
+    stale = true;
+    console.error('❌ Failed to load device types:', err.message);
+    if (!catalog) catalog = buildCatalog(FALLBACK_TYPES);
+  }
+  return catalog;
+};
+
+/**
+ * Create any built-in device type missing from the catalog. Existing types
+ * are left as they are so edits made by admins survive restarts, except that
+ * built-in metrics created before calibration tracking get its intervals.
+ * @returns {Promise<void>}
+ */
+const ensureBuiltInDeviceTypes = async () => {
+  for (const type of BUILT_IN_DEVICE_TYPES) {
+    await DeviceType.updateOne(
+      { key: type.key },
+      { $setOnInsert: { ...type, builtIn: true } },
+      { upsert: true }
+    );
+    for (const metric of type.metrics.filter(m => m.calibrationIntervalDays)) {
+      await DeviceType.updateOne(
+        { key: type.key, metrics: { $elemMatch: { key: metric.key, calibrationIntervalDays: { $exists: false } } } },
+        { $set: {
+          'metrics.$.calibrationIntervalDays': metric.calibrationIntervalDays,
+          'metrics.$.bumpTestIntervalDays': metric.bumpTestIntervalDays
+        } }
+      );
+    }
+  }
+  console.log(`📐 Device type catalog ready (${BUILT_IN_DEVICE_TYPES.length} built-in type(s))`);
+};
+
+/**
+ * All device types in the catalog
+ * @returns {Promise<Array>}
+ */
+const getDeviceTypes = async () => (await loadCatalog()).types;
+
+/**
+ * A device type by _id or key, falling back to the default type
+ * @param {string|null} typeRef - DeviceType _id or key
+ * @returns {Promise<Object>}
+ */
+const getDeviceType = async (typeRef) => {
+  const { byId, byKey, types } = await loadCatalog();
+  const ref = typeRef ? String(typeRef) : null;
+  return (ref && (byId.get(ref) || byKey.get(ref))) || byKey.get(DEFAULT_DEVICE_TYPE_KEY) || types[0];
+};
+
+/**
+ * The device type of a registered device
+ * @param {string} deviceRef - Device _id or deviceName
+ * @returns {Promise<Object>} - The default type for unknown devices
+ */
+const getDeviceTypeForDevice = async (deviceRef) => {
+  const entry = await resolveDeviceEntry(deviceRef).catch(() => null);
+  return getDeviceType(entry ? entry.deviceTypeId : null);
+};
+
+/**
+ * A metric of a device type
+ * @param {Object} type - Device type
+ * @param {string} key - Metric key
+ * @returns {Object|null}
+ */
+const getMetric = (type, key) => type.metrics.find(metric => metric.key === key) || null;
+
+const sourceFieldsOf = (metric) => (metric.sourceFields && metric.sourceFields.length > 0 ? metric.sourceFields : [metric.key]);
+
+const roundTo = (value, precision) => {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Read one metric from a telemetry document or message
+ * @param {Object} metric - Metric definition
+ * @param {Object} data - Telemetry document or message
+ * @returns {number|null} - Reading rounded to the metric's precision, or null when absent
+ */
+const readMetric = (metric, data) => {
+  for (const field of [...sourceFieldsOf(metric), metric.key]) {
+    const raw = data[field];
+    const value = raw !== null && typeof raw === 'object' ? raw.value : raw;
+    if (value !== undefined && value !== null && value !== '' && !Number.isNaN(Number(value))) {
+      return roundTo(Number(value), metric.precision ?? 1);
+    }
+  }
+  return null;
+};
+
+/**
+ * The readings of every metric of a device type, keyed by metric key
+ * @param {Object} type - Device type
+ * @param {Object} data - Telemetry document or message
+ * @returns {Object} - e.g. { o2: 20.9, co: 0, h2s: null, lel: 0 }
+ */
+const normalizeReading = (type, data) => type.metrics.reduce((reading, metric) => {
+  reading[metric.key] = readMetric(metric, data);
+  return reading;
+}, {});
+
+/**
+ * Telemetry document fields for a reading, using each metric's primary source field
+ * @param {Object} type - Device type
+ * @param {Object} data - Reading keyed by metric key or by source field
+ * @returns {Object}
+ */
+const toTelemetryFields = (type, data) => type.metrics.reduce((fields, metric) => {
+  const value = readMetric(metric, data);
+  if (value !== null) fields[sourceFieldsOf(metric)[0]] = value;
+  return fields;
+}, {});
+
+/**
+ * Check a threshold or tolerance value against a metric's range
+ * @param {Object} metric - Metric definition
+ * @param {'threshold'|'tolerance'} kind
+ * @param {number} value
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateMetricSetting = (metric, kind, value) => {
+  const hasMin = metric.min !== null && metric.min !== undefined;
+  const hasMax = metric.max !== null && metric.max !== undefined;
+  if (typeof value !== 'number' || Number.isNaN(value)) return `${metric.label} ${kind} must be a number`;
+  if (kind === 'tolerance') {
+    if (value < 0) return `${metric.label} tolerance cannot be negative`;
+    if (hasMin && hasMax && value > metric.max - metric.min) return `${metric.label} tolerance cannot exceed the metric's range`;
+    return null;
+  }
+  if (hasMin && value < metric.min) return `${metric.label} threshold must be at least ${metric.min}${metric.unit}`;
+  if (hasMax && value > metric.max) return `${metric.label} threshold must be at most ${metric.max}${metric.unit}`;
+  return null;
+};
+
+module.exports = {
+  ensureBuiltInDeviceTypes,
+  getDeviceTypes,
+  getDeviceType,
+  getDeviceTypeForDevice,
+  getMetric,
+  normalizeReading,
+  toTelemetryFields,
+  validateMetricSetting
+};
@@ -0,0 +1,488 @@
+/**
+ * Firmware Service
+ * Firmware artifacts, the firmware version each device reports, and staged
+ * over-the-air (OTA) update campaigns.
+ *
+ * A campaign splits its devices into batches of batchSize. Each device of the
+ * current batch is sent an 'ota_update' command through the iot-command-api
+ * (sendCloudToDeviceMessage) carrying the version, download URL and checksum.
+ * A device succeeds once it reports the campaign's version in its telemetry
+ * (firmwareVersion), and fails when it reports otaStatus 'failed' or stays
+ * silent for timeoutMinutes. The next batch starts when the current one has
+ * finished; more than maxFailures failed devices pause the campaign.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const DeviceType = require('../models/deviceTypeModel');
+const Plant = require('../models/plant');
+const FirmwareArtifact = require('../models/firmwareArtifactModel');
+const FirmwareCampaign = require('../models/firmwareCampaignModel');
+const { sendDeviceCommand } = require('./commandService');
+const { getDeviceType } = require('./deviceTypeService');
+const { createNotification } = require('../utils/notificationHelper');
+
+const OTA_COMMAND = 'ota_update';
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.FIRMWARE_CHECK_SECONDS, 10) || 30;
+const DOWNLOAD_BASE_URL = (process.env.FIRMWARE_DOWNLOAD_BASE_URL || 'http://localhost:5000/api/firmware/download').replace(/\/$/, '');
+// An image is stored inside its artifact document, and MongoDB caps documents at 16 MB
+const MAX_ARTIFACT_BYTES = 12 * 1024 * 1024;
+
+// Campaigns whose sent devices may still report back
+const REPORTING_STATUSES = ['running', 'paused', 'cancelled'];
+const ACTIVE_STATUSES = ['draft', 'running', 'paused'];
+
+// deviceId -> firmware version last written to the device
+const knownVersions = new Map();
+// Devices with an update in flight; other devices' reports skip the campaign lookup
+const awaitingDevices = new Set();
+// Campaigns being advanced, so the monitor and a device report never dispatch the same batch twice
+const advancing = new Set();
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+/**
+ * URL a device downloads an artifact from
+ * @param {string} downloadToken
+ * @returns {string}
+ */
+const downloadUrl = (downloadToken) => `${DOWNLOAD_BASE_URL}/${downloadToken}`;
+
+/**
+ * An artifact as JSON, without the image and its download token
+ * @param {Object} artifact - FirmwareArtifact document
+ * @returns {Object}
+ */
+const toArtifactJson = (artifact) => {
+  const plain = artifact.toObject ? artifact.toObject() : { ...artifact };
+  delete plain.data;
+  delete plain.downloadToken;
+  delete plain.__v;
+  return plain;
+};
+
+/**
+ * Store a firmware image
+ * @param {Buffer} data - The image
+ * @param {Object} meta - { version, deviceTypeId, fileName, notes, uploadedBy }
+ * @returns {Promise<{ error?: string, status?: number, artifact?: Object }>}
+ */
+const storeArtifact = async (data, { version, deviceTypeId, fileName, notes, uploadedBy }) => {
+  if (!version || !version.trim()) {
+    return { error: 'A version is required', status: 400 };
+  }
+  if (data.length > MAX_ARTIFACT_BYTES) {
+    return { error: `Firmware images can be at most ${MAX_ARTIFACT_BYTES / 1024 / 1024} MB`, status: 400 };
+  }
+  if (deviceTypeId) {
+    if (!isObjectId(deviceTypeId) || !(await DeviceType.exists({ _id: deviceTypeId }))) {
+      return { error: 'Device type not found', status: 400 };
+    }
+  }
+  const duplicate = await FirmwareArtifact.exists({ version: version.trim(), deviceTypeId: deviceTypeId || null });
+  if (duplicate) {
+    return { error: `Firmware ${version.trim()} has already been uploaded for this device type`, status: 409 };
+  }
+
+  const artifact = await FirmwareArtifact.create({
+    version: version.trim(),
+    deviceTypeId: deviceTypeId || null,
+    fileName: fileName || `firmware-${version.trim()}.bin`,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    notes: notes || '',
+    data,
+    downloadToken: crypto.randomBytes(24).toString('hex'),
+    uploadedBy: uploadedBy || null
+  });
+  console.log(`📦 Stored firmware ${artifact.version} (${artifact.size} bytes)`);
+  return { artifact };
+};
+
+/**
+ * Delete an artifact no draft, running or paused campaign uses
+ * @param {Object} artifact - FirmwareArtifact document
+ * @returns {Promise<{ error?: string, status?: number }>}
+ */
+const deleteArtifact = async (artifact) => {
+  const inUse = await FirmwareCampaign.countDocuments({ artifactId: artifact._id, status: { $in: ACTIVE_STATUSES } });
+  if (inUse > 0) {
+    return { error: `${inUse} campaign(s) still roll out this firmware`, status: 409 };
+  }
+  await FirmwareArtifact.deleteOne({ _id: artifact._id });
+  return {};
+};
+
+// Device query for a campaign target. Devices without a type belong to the default type.
+const targetFilter = async ({ plantId, deviceTypeId }) => {
+  const filter = {};
+  if (plantId) filter.plantId = plantId;
+  if (deviceTypeId) {
+    const defaultType = await getDeviceType(null);
+    const isDefault = defaultType && defaultType._id && defaultType._id.toString() === deviceTypeId.toString();
+    filter.deviceTypeId = isDefault ? { $in: [deviceTypeId, null] } : deviceTypeId;
+  }
+  return filter;
+};
+
+/**
+ * Create a draft campaign. Devices already on the version, or already part of
+ * another unfinished campaign, are listed as skipped.
+ * @param {Object} data - { name, artifactId, plantId, deviceTypeId, batchSize, maxFailures, timeoutMinutes }
+ * @param {string} [createdBy]
+ * @returns {Promise<{ error?: string, status?: number, campaign?: Object }>}
+ */
+const createCampaign = async (data, createdBy) => {
+  const { name, artifactId, plantId, maxFailures = 0, timeoutMinutes = 30 } = data;
+  const batchSize = parseInt(data.batchSize, 10);
+  if (!name || !artifactId) {
+    return { error: 'Name and firmware are required', status: 400 };
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    return { error: 'Batch size must be a whole number of at least 1', status: 400 };
+  }
+  if (!isObjectId(artifactId)) {
+    return { error: 'Firmware not found', status: 400 };
+  }
+  const artifact = await FirmwareArtifact.findById(artifactId);
+  if (!artifact) {
+    return { error: 'Firmware not found', status: 400 };
+  }
+
+  // An image built for one device type only ever goes to that type
+  let deviceTypeId = data.deviceTypeId || null;
+  if (artifact.deviceTypeId) {
+    if (deviceTypeId && deviceTypeId.toString() !== artifact.deviceTypeId.toString()) {
+      return { error: 'This firmware is built for a different device type', status: 400 };
+    }
+    deviceTypeId = artifact.deviceTypeId;
+  }
+  if (!plantId && !deviceTypeId) {
+    return { error: 'Choose a plant, a device type or both', status: 400 };
+  }
+  if (plantId && (!isObjectId(plantId) || !(await Plant.exists({ _id: plantId })))) {
+    return { error: 'Plant not found', status: 400 };
+  }
+  if (deviceTypeId && (!isObjectId(deviceTypeId) || !(await DeviceType.exists({ _id: deviceTypeId })))) {
+    return { error: 'Device type not found', status: 400 };
+  }
+
+  const devices = await Device.find(await targetFilter({ plantId, deviceTypeId }))
+    .select('deviceName firmware')
+    .sort({ deviceName: 1 });
+
+  // Devices another unfinished campaign is going to update
+  const busy = new Map();
+  const activeCampaigns = await FirmwareCampaign.find({ status: { $in: ACTIVE_STATUSES } }).select('name devices');
+  activeCampaigns.forEach(campaign => campaign.devices
+    .filter(target => target.status === 'pending' || target.status === 'sent')
+    .forEach(target => busy.set(target.deviceId.toString(), campaign.name)));
+
+  let eligible = 0;
+  const targets = devices.map((device) => {
+    const previousVersion = device.firmware?.version || null;
+    const target = { deviceId: device._id, deviceName: device.deviceName, previousVersion };
+    const otherCampaign = busy.get(device._id.toString());
+    if (previousVersion === artifact.version) {
+      return { ...target, batch: 0, status: 'skipped', error: `Already on ${artifact.version}` };
+    }
+    if (otherCampaign) {
+      return { ...target, batch: 0, status: 'skipped', error: `Part of campaign ${otherCampaign}` };
+    }
+    eligible++;
+    return { ...target, batch: Math.ceil(eligible / batchSize) };
+  });
+
+  if (eligible === 0) {
+    return { error: devices.length === 0 ? 'No devices match this target' : 'No device in this target needs the update', status: 400 };
+  }
+
+  const campaign = await FirmwareCampaign.create({
+    name,
+    artifactId: artifact._id,
+    version: artifact.version,
+    target: { plantId: plantId || null, deviceTypeId },
+    batchSize,
+    maxFailures,
+    timeoutMinutes,
+    devices: targets,
+    createdBy: createdBy || null
+  });
+  return { campaign };
+};
+
+/**
+ * Totals of a campaign's devices by status, plus the number of batches
+ * @param {Object} campaign
+ * @returns {Object} - e.g. { pending: 8, sent: 2, succeeded: 10, failed: 0, skipped: 1, batches: 3 }
+ */
+const campaignProgress = (campaign) => {
+  const progress = FirmwareCampaign.TARGET_STATUSES.reduce((totals, status) => ({ ...totals, [status]: 0 }), {});
+  campaign.devices.forEach((target) => { progress[target.status]++; });
+  progress.batches = campaign.devices.reduce((max, target) => Math.max(max, target.batch), 0);
+  return progress;
+};
+
+const notifyAdmins = (campaign, title, message) => createNotification({
+  Type: 'general',
+  Title: title,
+  Message: message,
+  Audience: 'admin'
+}).catch(err => console.error(`❌ Failed to notify about campaign ${campaign.name}:`, err.message));
+
+// Send the update command to the pending devices of the current batch
+const dispatchBatch = async (campaign) => {
+  const pending = campaign.devices.filter(target => target.batch === campaign.currentBatch && target.status === 'pending');
+  if (pending.length === 0) return;
+
+  const artifact = await FirmwareArtifact.findById(campaign.artifactId).select('+downloadToken');
+  for (const target of pending) {
+    if (!artifact) {
+      Object.assign(target, { status: 'failed', finishedAt: new Date(), error: 'Firmware has been deleted' });
+      continue;
+    }
+    try {
+      await sendDeviceCommand(target.deviceName, OTA_COMMAND, {
+        campaignId: campaign._id.toString(),
+        version: artifact.version,
+        url: downloadUrl(artifact.downloadToken),
+        sha256: artifact.sha256,
+        size: artifact.size
+      });
+      Object.assign(target, { status: 'sent', sentAt: new Date(), error: null });
+      awaitingDevices.add(target.deviceId.toString());
+    } catch (error) {
+      Object.assign(target, { status: 'failed', finishedAt: new Date(), error: `Update command not delivered: ${error.message}` });
+    }
+  }
+  console.log(`📡 Campaign ${campaign.name}: sent batch ${campaign.currentBatch} to ${pending.length} device(s)`);
+};
+
+// Time out silent devices, pause on too many failures, and move on to the
+// next batch once the current one has finished
+const stepCampaign = async (campaign) => {
+  const now = Date.now();
+  campaign.devices
+    .filter(target => target.status === 'sent' && now - target.sentAt.getTime() >= campaign.timeoutMinutes * 60000)
+    .forEach((target) => {
+      Object.assign(target, {
+        status: 'failed',
+        finishedAt: new Date(),
+        error: `No update reported within ${campaign.timeoutMinutes} minute(s)`
+      });
+    });
+
+  for (;;) {
+    const failures = campaign.devices.filter(target => target.status === 'failed').length;
+    if (failures > campaign.maxFailures) {
+      campaign.status = 'paused';
+      campaign.pauseReason = `${failures} device(s) failed; at most ${campaign.maxFailures} allowed`;
+      await notifyAdmins(campaign, 'Firmware Campaign Paused', `${campaign.name} paused: ${campaign.pauseReason}`);
+      return;
+    }
+
+    const batch = campaign.devices.filter(target => target.batch === campaign.currentBatch);
+    if (batch.some(target => target.status === 'pending')) {
+      await dispatchBatch(campaign);
+      continue;
+    }
+    if (batch.some(target => target.status === 'sent')) return;
+
+    const next = campaign.devices
+      .filter(target => target.status === 'pending')
+      .reduce((lowest, target) => Math.min(lowest, target.batch), Infinity);
+    if (next === Infinity) {
+      campaign.status = 'completed';
+      campaign.finishedAt = new Date();
+      const { succeeded, failed } = campaignProgress(campaign);
+      await notifyAdmins(campaign, 'Firmware Campaign Completed', `${campaign.name}: ${succeeded} device(s) updated to ${campaign.version}, ${failed} failed`);
+      return;
+    }
+    campaign.currentBatch = next;
+  }
+};
+
+/**
+ * Advance a running campaign as far as it can go right now
+ * @param {string|ObjectId} campaignId
+ * @returns {Promise<Object|null>} - The campaign after the step
+ */
+const advanceCampaign = async (campaignId) => {
+  const key = campaignId.toString();
+  if (advancing.has(key)) return null;
+  advancing.add(key);
+  try {
+    const campaign = await FirmwareCampaign.findById(campaignId);
+    if (!campaign || campaign.status !== 'running') return campaign;
+    await stepCampaign(campaign);
+    await campaign.save();
+    return campaign;
+  } finally {
+    advancing.delete(key);
+  }
+};
+
+/**
+ * Start a draft campaign or resume a paused one
+ * @param {Object} campaign - FirmwareCampaign document
+ * @returns {Promise<{ error?: string, status?: number, campaign?: Object }>}
+ */
+const startCampaign = async (campaign) => {
+  if (campaign.status !== 'draft' && campaign.status !== 'paused') {
+    return { error: `A ${campaign.status} campaign cannot be started`, status: 409 };
+  }
+  // Resuming accepts the failures so far; only new ones count against maxFailures
+  const failures = campaign.devices.filter(target => target.status === 'failed').length;
+  if (campaign.status === 'paused' && failures > campaign.maxFailures) {
+    campaign.maxFailures = failures;
+  }
+  campaign.status = 'running';
+  campaign.pauseReason = null;
+  campaign.startedAt = campaign.startedAt || new Date();
+  if (campaign.currentBatch === 0) campaign.currentBatch = 1;
+  await campaign.save();
+  return { campaign: (await advanceCampaign(campaign._id)) || campaign };
+};
+
+/**
+ * Stop sending further batches. Devices already sent the update keep reporting.
+ * @param {Object} campaign - FirmwareCampaign document
+ * @returns {Promise<{ error?: string, status?: number, campaign?: Object }>}
+ */
+const pauseCampaign = async (campaign) => {
+  if (campaign.status !== 'running') {
+    return { error: `A ${campaign.status} campaign cannot be paused`, status: 409 };
+  }
+  campaign.status = 'paused';
+  campaign.pauseReason = 'Paused manually';
+  await campaign.save();
+  return { campaign };
+};
+
+/**
+ * Cancel a campaign; devices not yet sent the update are skipped
+ * @param {Object} campaign - FirmwareCampaign document
+ * @returns {Promise<{ error?: string, status?: number, campaign?: Object }>}
+ */
+const cancelCampaign = async (campaign) => {
+  if (!ACTIVE_STATUSES.includes(campaign.status)) {
+    return { error: `A ${campaign.status} campaign cannot be cancelled`, status: 409 };
+  }
+  campaign.devices
+    .filter(target => target.status === 'pending')
+    .forEach((target) => { Object.assign(target, { status: 'skipped', error: 'Campaign cancelled' }); });
+  campaign.status = 'cancelled';
+  campaign.finishedAt = new Date();
+  await campaign.save();
+  return { campaign };
+};
+
+const reportedVersionOf = (message) => {
+  const version = message.firmwareVersion || message.FirmwareVersion || message.fwVersion;
+  return version ? String(version).trim() : null;
+};
+
+/**
+ * Note the firmware version and OTA status in a telemetry message. Only
+ * touches the database when the version changes or an update is in flight.
+ * @param {Object} entry - Device registry entry ({ deviceId, deviceName })
+ * @param {Object} message - Raw telemetry message
+ * @returns {Promise<void>}
+ */
+const recordFirmwareReport = async (entry, message) => {
+  const { deviceId } = entry;
+  const version = reportedVersionOf(message);
+
+  if (version && knownVersions.get(deviceId) !== version) {
+    await Device.updateOne(
+      { _id: deviceId, 'firmware.version': { $ne: version } },
+      { $set: { 'firmware.version': version, 'firmware.reportedAt': new Date() } }
+    );
+    knownVersions.set(deviceId, version);
+  }
+
+  const failedUpdate = message.otaStatus === 'failed';
+  if (!awaitingDevices.has(deviceId) || (!version && !failedUpdate)) return;
+
+  const campaigns = await FirmwareCampaign.find({
+    status: { $in: REPORTING_STATUSES },
+    devices: { $elemMatch: { deviceId, status: 'sent' } }
+  }).select('name version status');
+
+  let stillWaiting = false;
+  for (const campaign of campaigns) {
+    let result = null;
+    if (version === campaign.version) {
+      result = { status: 'succeeded', error: null };
+    } else if (failedUpdate && (!message.otaCampaignId || message.otaCampaignId === campaign._id.toString())) {
+      result = { status: 'failed', error: message.otaError ? String(message.otaError) : 'Device reported a failed update' };
+    }
+    if (!result) {
+      stillWaiting = true;
+      continue;
+    }
+
+    await FirmwareCampaign.updateOne(
+      { _id: campaign._id },
+      { $set: { 'devices.$[t].status': result.status, 'devices.$[t].error': result.error, 'devices.$[t].finishedAt': new Date() } },
+      { arrayFilters: [{ 't.deviceId': new mongoose.Types.ObjectId(deviceId), 't.status': 'sent' }] }
+    );
+    console.log(`📦 ${entry.deviceName} ${result.status === 'succeeded' ? `updated to ${campaign.version}` : 'failed its update'} (campaign ${campaign.name})`);
+    if (campaign.status === 'running') {
+      await advanceCampaign(campaign._id);
+    }
+  }
+
+  if (!stillWaiting) awaitingDevices.delete(deviceId);
+};
+
+/**
+ * Advance every running campaign and rebuild the set of devices with an
+ * update in flight
+ * @returns {Promise<void>}
+ */
+const checkFirmwareCampaigns = async () => {
+  const inFlight = await FirmwareCampaign.find({
+    status: { $in: REPORTING_STATUSES },
+    'devices.status': 'sent'
+  }).select('devices.deviceId devices.status').lean();
+  awaitingDevices.clear();
+  inFlight.forEach(campaign => campaign.devices
+    .filter(target => target.status === 'sent')
+    .forEach(target => awaitingDevices.add(target.deviceId.toString())));
+
+  const running = await FirmwareCampaign.find({ status: 'running' }).select('_id name');
+  for (const campaign of running) {
+    await advanceCampaign(campaign._id)
+      .catch(err => console.error(`❌ Failed to advance firmware campaign ${campaign.name}:`, err.message));
+  }
+};
+
+/**
+ * Check campaigns every FIRMWARE_CHECK_SECONDS
+ */
+const startFirmwareCampaignMonitor = () => {
+  const run = () => checkFirmwareCampaigns().catch(err => console.error('❌ Firmware campaign check failed:', err.message));
+  run();
+  setInterval(run, CHECK_INTERVAL_SECONDS * 1000);
+  console.log(`📦 Firmware campaign monitor checking every ${CHECK_INTERVAL_SECONDS} second(s)`);
+};
+
+module.exports = {
+  OTA_COMMAND,
+  MAX_ARTIFACT_BYTES,
+  downloadUrl,
+  toArtifactJson,
+  storeArtifact,
+  deleteArtifact,
+  createCampaign,
+  campaignProgress,
+  advanceCampaign,
+  startCampaign,
+  pauseCampaign,
+  cancelCampaign,
+  recordFirmwareReport,
+  checkFirmwareCampaigns,
+  startFirmwareCampaignMonitor
+};
@@ -0,0 +1,234 @@
+/**
+ * Heartbeat Service
+ * Tracks when each device last sent telemetry and derives its connectivity:
+ * 'online', 'stale' once the stale interval passes without a message,
+ * 'offline' once the offline interval passes, and 'unknown' for devices that
+ * have never reported. Going offline raises a communication-loss alarm and
+ * notification; the next message clears the alarm again.
+ *
+ * Last-seen times are held in memory and written to the DeviceHeartbeat
+ * collection at most every HEARTBEAT_PERSIST_SECONDS per device, so a restart
+ * does not make every device look like it never reported. Each check also
+ * adds the time since the previous check to the runtime hours of the devices
+ * that are online.
+ */
+
+const Device = require('../models/Device');
+const DeviceHeartbeat = require('../models/deviceHeartbeatModel');
+const { getSettings } = require('./settingsService');
+const { getPlantEntry } = require('./deviceRegistryService');
+const { createNotification } = require('../utils/notificationHelper');
+const { isInService } = require('./deviceLifecycleService');
+const { raiseDeviceAlarm, clearDeviceAlarms } = require('./deviceAlarmService');
+const { maintenanceInProgress } = require('./maintenanceService');
+
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.HEARTBEAT_CHECK_SECONDS, 10) || 30;
+const PERSIST_INTERVAL_SECONDS = parseInt(process.env.HEARTBEAT_PERSIST_SECONDS, 10) || 60;
+
+const COMM_LOSS_ALARM_CODE = 'IO_ALR_COMM_LOSS';
+
+// deviceId -> { lastSeenAt: Date, persistedAt: number }
+const lastSeen = new Map();
+// deviceId -> status last recorded in DeviceHeartbeat
+const recordedStatus = new Map();
+let recordsLoaded = false;
+// When runtime was last counted; null until the first check after startup
+let runtimeCountedAt = null;
+
+// Server exports are read on use; this module is loaded while server.js is still starting
+const getIo = () => require('../server').io;
+
+const loadRecords = async () => {
+  if (recordsLoaded) return;
+  const records = await DeviceHeartbeat.find().lean();
+  records.forEach((record) => {
+    const deviceId = record.deviceId.toString();
+    recordedStatus.set(deviceId, record.status);
+    if (record.lastSeenAt && !lastSeen.has(deviceId)) {
+      lastSeen.set(deviceId, { lastSeenAt: record.lastSeenAt, persistedAt: Date.now() });
+    }
+  });
+  recordsLoaded = true;
+};
+
+/**
+ * Stale and offline intervals of a device in minutes
+ * @param {Object} device - Device with an optional heartbeat override
+ * @param {Object} settings - System settings
+ * @returns {{ staleAfterMinutes: number, offlineAfterMinutes: number }}
+ */
+const heartbeatIntervals = (device, settings) => ({
+  staleAfterMinutes: device.heartbeat?.staleAfterMinutes || settings.heartbeatStaleMinutes,
+  offlineAfterMinutes: device.heartbeat?.offlineAfterMinutes || settings.heartbeatOfflineMinutes
+});
+
+/**
+ * Connectivity status for a last-seen time
+ * @param {Date|null} lastSeenAt
+ * @param {Object} intervals - From heartbeatIntervals
+ * @param {number} [now]
+ * @returns {'unknown'|'online'|'stale'|'offline'}
+ */
+const connectivityStatus = (lastSeenAt, { staleAfterMinutes, offlineAfterMinutes }, now = Date.now()) => {
+  if (!lastSeenAt) return 'unknown';
+  const silentMinutes = (now - new Date(lastSeenAt).getTime()) / 60000;
+  if (silentMinutes >= offlineAfterMinutes) return 'offline';
+  if (silentMinutes >= staleAfterMinutes) return 'stale';
+  return 'online';
+};
+
+const emitStatus = (device, status, lastSeenAt) => {
+  const io = getIo();
+  if (!io) return;
+  const payload = { deviceId: device._id.toString(), deviceName: device.deviceName, status, lastSeenAt };
+  io.to(`device:${device.deviceName}`).to(`plant:${device.plantId}`).emit('device-status', payload);
+};
+
+const raiseCommLossAlarm = async (device, lastSeenAt, offlineAfterMinutes) => {
+  const alarm = await raiseDeviceAlarm(device, {
+    AlarmCode: COMM_LOSS_ALARM_CODE,
+    AlarmDescription: 'Communication lost',
+    AlarmValue: lastSeenAt ? `Last seen ${new Date(lastSeenAt).toISOString()}` : 'Never seen',
+    Severity: 'critical'
+  });
+
+  await createNotification({
+    Type: 'device',
+    Title: 'Communication Lost',
+    Message: `${device.deviceName} has not reported for ${offlineAfterMinutes} minutes`,
+    PlantId: device.plantId.toString(),
+    PlantName: alarm.PlantName,
+    DeviceId: device._id.toString(),
+    DeviceName: device.deviceName
+  });
+  console.log(`📵 Communication lost with ${device.deviceName}`);
+};
+
+const clearCommLossAlarm = async (device) => {
+  await clearDeviceAlarms(device, { AlarmCode: COMM_LOSS_ALARM_CODE });
+
+  const plant = await getPlantEntry(device.plantId);
+  await createNotification({
+    Type: 'device',
+    Title: 'Communication Restored',
+    Message: `${device.deviceName} is reporting again`,
+    PlantId: device.plantId.toString(),
+    PlantName: plant ? plant.plantName : '',
+    DeviceId: device._id.toString(),
+    DeviceName: device.deviceName
+  });
+  console.log(`📶 Communication restored with ${device.deviceName}`);
+};
+
+// Record a status change and raise or clear the communication-loss alarm
+const changeStatus = async (device, status, lastSeenAt, intervals) => {
+  const deviceId = device._id.toString();
+  const previous = recordedStatus.get(deviceId) || 'unknown';
+  recordedStatus.set(deviceId, status);
+
+  await DeviceHeartbeat.updateOne(
+    { deviceId: device._id },
+    { $set: { deviceName: device.deviceName, status, lastSeenAt, statusChangedAt: new Date() } },
+    { upsert: true }
+  );
+  emitStatus(device, status, lastSeenAt);
+
+  // Devices out of service or being worked on are expected to go quiet
+  if (!isInService(device)) return;
+  if (status === 'offline') {
+    if (maintenanceInProgress(device)) return;
+    await raiseCommLossAlarm(device, lastSeenAt, intervals.offlineAfterMinutes);
+  } else if (previous === 'offline') {
+    await clearCommLossAlarm(device);
+  }
+};
+
+/**
+ * Note a message from a device. Called for every telemetry message, so it
+ * only touches the database when the status changes or the persisted
+ * last-seen time is older than the persist interval.
+ * @param {Object} entry - Device registry entry ({ deviceId, deviceName, plantId })
+ * @param {Date} [seenAt]
+ * @returns {Promise<void>}
+ */
+const recordHeartbeat = async (entry, seenAt = new Date()) => {
+  await loadRecords();
+  const deviceId = entry.deviceId;
+  const tracked = lastSeen.get(deviceId);
+  const persistDue = !tracked || Date.now() - tracked.persistedAt >= PERSIST_INTERVAL_SECONDS * 1000;
+  lastSeen.set(deviceId, { lastSeenAt: seenAt, persistedAt: persistDue ? Date.now() : tracked.persistedAt });
+
+  if (recordedStatus.get(deviceId) !== 'online') {
+    const device = { _id: deviceId, deviceName: entry.deviceName, plantId: entry.plantId, lifecycleState: entry.lifecycleState };
+    await changeStatus(device, 'online', seenAt, {});
+  } else if (persistDue) {
+    await DeviceHeartbeat.updateOne({ deviceId }, { $set: { lastSeenAt: seenAt } });
+  }
+};
+
+/**
+ * Connectivity of the given devices as of now
+ * @param {Array} devices - Device documents (heartbeat overrides are used when selected)
+ * @returns {Promise<Map<string, { status: string, lastSeenAt: Date|null, staleAfterMinutes: number, offlineAfterMinutes: number }>>}
+ */
+const getConnectivity = async (devices) => {
+  await loadRecords();
+  const settings = await getSettings();
+  const now = Date.now();
+  return new Map(devices.map((device) => {
+    const deviceId = device._id.toString();
+    const lastSeenAt = lastSeen.get(deviceId)?.lastSeenAt || null;
+    const intervals = heartbeatIntervals(device, settings);
+    return [deviceId, { status: connectivityStatus(lastSeenAt, intervals, now), lastSeenAt, ...intervals }];
+  }));
+};
+
+// Add the time since the last check to every online device's runtime
+const countRuntime = async (devices, connectivity) => {
+  const now = Date.now();
+  const elapsedHours = runtimeCountedAt ? (now - runtimeCountedAt) / 3600000 : 0;
+  runtimeCountedAt = now;
+  const online = devices.filter(device => connectivity.get(device._id.toString()).status === 'online');
+  if (elapsedHours === 0 || online.length === 0) return;
+  await DeviceHeartbeat.bulkWrite(online.map(device => ({
+    updateOne: { filter: { deviceId: device._id }, update: { $inc: { runtimeHours: elapsedHours } } }
+  })));
+};
+
+/**
+ * Move devices whose last message is too old to stale or offline
+ * @returns {Promise<void>}
+ */
+const checkHeartbeats = async () => {
+  const devices = await Device.find().select('deviceName plantId heartbeat lifecycle.state').lean();
+  const connectivity = await getConnectivity(devices);
+  await countRuntime(devices, connectivity)
+    .catch(err => console.error('❌ Failed to count device runtime:', err.message));
+  for (const device of devices) {
+    const { status, lastSeenAt, staleAfterMinutes, offlineAfterMinutes } = connectivity.get(device._id.toString());
+    // Devices that never reported have nothing to lose; they show as unknown without an alarm
+    if (status === 'unknown' || status === recordedStatus.get(device._id.toString())) continue;
+    await changeStatus(device, status, lastSeenAt, { staleAfterMinutes, offlineAfterMinutes })
+      .catch(err => console.error(`❌ Failed to update heartbeat status of ${device.deviceName}:`, err.message));
+  }
+};
+
+/**
+ * Check heartbeats every HEARTBEAT_CHECK_SECONDS
+ */
+const startHeartbeatMonitor = () => {
+  const run = () => checkHeartbeats().catch(err => console.error('❌ Heartbeat check failed:', err.message));
+  run();
+  setInterval(run, CHECK_INTERVAL_SECONDS * 1000);
+  console.log(`💓 Heartbeat monitor checking every ${CHECK_INTERVAL_SECONDS} second(s)`);
+};
+
+module.exports = {
+  COMM_LOSS_ALARM_CODE,
+  heartbeatIntervals,
+  connectivityStatus,
+  recordHeartbeat,
+  getConnectivity,
+  checkHeartbeats,
+  startHeartbeatMonitor
+};
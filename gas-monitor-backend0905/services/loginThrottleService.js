@@ -0,0 +1,177 @@
+/**
+ * Login Throttle Service
+ * Counts failed logins per IP and per account in Redis, slows repeated
+ * attempts down progressively, and locks an account for a while once it
+ * reaches the failure limit. If Redis is unavailable logins are not throttled.
+ */
+
+const { createNotification } = require('../utils/notificationHelper');
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS, 10) || 15 * 60;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 15 * 60;
+const BASE_DELAY_MS = parseInt(process.env.LOGIN_BASE_DELAY_MS, 10) || 500;
+const MAX_DELAY_MS = 8000;
+
+// Read lazily - server.js exports the client after this module may have loaded
+const getRedis = () => {
+  const { redisClient } = require('../server');
+  return redisClient && redisClient.isOpen ? redisClient : null;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const accountKey = (email) => `login:fail:account:${normalizeEmail(email)}`;
+const ipKey = (ip) => `login:fail:ip:${ip}`;
+const lockKey = (email) => `login:lock:${normalizeEmail(email)}`;
+
+// Increment a counter, starting its expiry window on the first failure
+const incrementWithWindow = async (redis, key) => {
+  const count = await redis.incr(key);
+  if (count === 1) await redis.expire(key, FAILURE_WINDOW_SECONDS);
+  return count;
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {string} ip - Client IP
+ * @param {string} email - Account email
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number, delayMs: number}>}
+ */
+const checkLoginAllowed = async (ip, email) => {
+  const redis = getRedis();
+  if (!redis) return { allowed: true, delayMs: 0 };
+
+  try {
+    const lockTtl = await redis.ttl(lockKey(email));
+    if (lockTtl > 0) {
+      return { allowed: false, reason: 'ACCOUNT_LOCKED', retryAfter: lockTtl, delayMs: 0 };
+    }
+
+    const [accountFailures, ipFailures] = (await redis.mGet([accountKey(email), ipKey(ip)]))
+      .map(value => parseInt(value, 10) || 0);
+
+    if (ipFailures >= MAX_IP_FAILURES) {
+      const retryAfter = Math.max(await redis.ttl(ipKey(ip)), 1);
+      return { allowed: false, reason: 'TOO_MANY_ATTEMPTS', retryAfter, delayMs: 0 };
+    }
+
+    // Double the delay with every recent failure on the account or IP
+    const failures = Math.max(accountFailures, Math.floor(ipFailures / 2));
+    const delayMs = failures > 0 ? Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS) : 0;
+    return { allowed: true, delayMs };
+  } catch (err) {
+    console.error('❌ Login throttle check failed:', err.message);
+    return { allowed: true, delayMs: 0 };
+  }
+};
+
+/**
+ * Build the 429 response body for a refused attempt
+ * @param {Object} throttle - Result of checkLoginAllowed
+ * @returns {{message: string, code: string, retryAfter: number}}
+ */
+const describeThrottle = ({ reason, retryAfter }) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  const message = reason === 'ACCOUNT_LOCKED'
+    ? `This account is temporarily locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask an administrator to unlock it.`
+    : `Too many failed logins from this address. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  return { message, code: reason, retryAfter };
+};
+
+// Tell admins an account was locked; Audience keeps it out of other users' notification lists
+const notifyAccountLocked = async (email, ip, failures) => {
+  await createNotification({
+    Type: 'security',
+    Title: 'Account Locked',
+    Message: `Account ${normalizeEmail(email)} was locked for ${Math.round(LOCKOUT_SECONDS / 60)} minutes after ${failures} failed login attempts (last from ${ip})`,
+    Audience: 'admin'
+  });
+};
+
+/**
+ * Record a failed login
+ * @param {string} ip - Client IP
+ * @param {string} email - Account email
+ * @param {Object} [options]
+ * @param {boolean} [options.accountExists=true] - Only existing accounts raise a lock notification
+ * @returns {Promise<{locked: boolean, failures: number}>} - locked is true when this failure locked the account
+ */
+const recordFailedLogin = async (ip, email, { accountExists = true } = {}) => {
+  const redis = getRedis();
+  if (!redis) return { locked: false, failures: 0 };
+
+  try {
+    const [failures] = await Promise.all([
+      incrementWithWindow(redis, accountKey(email)),
+      incrementWithWindow(redis, ipKey(ip))
+    ]);
+
+    if (failures >= MAX_ACCOUNT_FAILURES) {
+      await redis.set(lockKey(email), new Date().toISOString(), { EX: LOCKOUT_SECONDS });
+      await redis.del(accountKey(email));
+      console.warn(`🔒 Account ${normalizeEmail(email)} locked after ${failures} failed logins`);
+      if (accountExists) await notifyAccountLocked(email, ip, failures);
+      return { locked: true, failures };
+    }
+    return { locked: false, failures };
+  } catch (err) {
+    console.error('❌ Failed to record login failure:', err.message);
+    return { locked: false, failures: 0 };
+  }
+};
+
+/**
+ * Reset the account's failure counter after a successful login.
+ * The IP counter is left alone so one good account can't reset a stuffing run.
+ * @param {string} email - Account email
+ */
+const clearFailedLogins = async (email) => {
+  const redis = getRedis();
+  if (!redis) return;
+  try {
+    await redis.del(accountKey(email));
+  } catch (err) {
+    console.error('❌ Failed to clear login failures:', err.message);
+  }
+};
+
+/**
+ * Get when an account's lockout ends
+ * @param {string} email - Account email
+ * @returns {Promise<Date|null>} - null when the account is not locked
+ */
+const getLockedUntil = async (email) => {
+  const redis = getRedis();
+  if (!redis) return null;
+  try {
+    const ttl = await redis.ttl(lockKey(email));
+    return ttl > 0 ? new Date(Date.now() + ttl * 1000) : null;
+  } catch (err) {
+    console.error('❌ Failed to read login lock:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Lift an account lockout and reset its failure counter
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} - Whether there was a lock or failure count to clear
+ */
+const unlockAccount = async (email) => {
+  const redis = getRedis();
+  if (!redis) throw new Error('Redis is not available');
+  const removed = await redis.del([lockKey(email), accountKey(email)]);
+  return removed > 0;
+};
+
+module.exports = {
+  MAX_ACCOUNT_FAILURES,
+  LOCKOUT_SECONDS,
+  checkLoginAllowed,
+  describeThrottle,
+  recordFailedLogin,
+  clearFailedLogins,
+  getLockedUntil,
+  unlockAccount
+};
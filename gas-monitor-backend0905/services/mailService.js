@@ -0,0 +1,109 @@
+/**
+ * Mail Service
+ * Sends account emails through a pluggable transport. Set MAIL_TRANSPORT to
+ * 'smtp' to deliver through SMTP_HOST/SMTP_PORT (e.g. a local MailHog or
+ * Mailpit catcher on port 1025 during development), or leave it as 'console'
+ * to print messages to the server log.
+ */
+
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Oxygen Plant Monitor <no-reply@localhost>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Transport that only logs messages - the default when no SMTP server is configured
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Create a transport that delivers through an SMTP server
+ * @param {Object} [options] - nodemailer SMTP options, defaults to SMTP_* env vars
+ * @returns {Object} transport
+ */
+const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    ...options
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// User-supplied values such as names must not become markup in HTML bodies
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+let transport = process.env.MAIL_TRANSPORT === 'smtp' ? createSmtpTransport() : consoleTransport;
+
+/**
+ * Replace the active transport, e.g. with a provider-specific one
+ * @param {Object} newTransport - Object with an async send(message) method
+ */
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+/**
+ * Send the link that confirms a new account's email address
+ * @param {Object} user - User document
+ * @param {string} token - Plain verification token
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>If you did not create an account you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Plain reset token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nA password reset was requested for your account. Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes.\n\n${link}\n\nIf you did not request this you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>A password reset was requested for your account. Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes.</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>If you did not request this you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  consoleTransport,
+  createSmtpTransport,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,440 @@
+/**
+ * Maintenance Service
+ * Preventive maintenance plans and the work orders generated from them.
+ * Calendar plans generate a work order every intervalDays; runtime plans
+ * every intervalHours a device has been online (runtime is counted by the
+ * heartbeat monitor). A plan does not generate a new work order while its
+ * previous one is still open or in progress.
+ *
+ * While a work order is in progress its device, or every device of its plant
+ * for plant-level work orders, raises no alarms. Work orders in progress are
+ * cached so the alarm pipeline can check them without a query per alarm.
+ * The event pipeline writes alarms independently of that check, so alarm
+ * queries also leave out what was raised during maintenance in progress.
+ *
+ * Archiving a device or plant deactivates its plans and cancels its
+ * unfinished work orders; restoring it leaves the plans inactive.
+ */
+
+const mongoose = require('mongoose');
+const MaintenancePlan = require('../models/maintenancePlanModel');
+const WorkOrder = require('../models/workOrderModel');
+const DeviceHeartbeat = require('../models/deviceHeartbeatModel');
+const Device = require('../models/Device');
+const Plant = require('../models/plant');
+const User = require('../models/userModel');
+const { getPlantEntry } = require('./deviceRegistryService');
+const { suppressDeviceAlarms } = require('./deviceAlarmService');
+const { createNotification } = require('../utils/notificationHelper');
+
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.MAINTENANCE_CHECK_SECONDS, 10) || 300;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// deviceId / plantId -> when its earliest in-progress work order started
+let inProgress = { devices: new Map(), plants: new Map() };
+
+/**
+ * Reload the cache of work orders in progress
+ * @returns {Promise<void>}
+ */
+const refreshInProgress = async () => {
+  const orders = await WorkOrder.find({ status: 'in_progress' }).select('plantId deviceId startedAt').lean();
+  const next = { devices: new Map(), plants: new Map() };
+  orders.forEach((order) => {
+    const [map, id] = order.deviceId ? [next.devices, order.deviceId] : [next.plants, order.plantId];
+    const key = id.toString();
+    if (!map.has(key) || order.startedAt < map.get(key)) map.set(key, order.startedAt);
+  });
+  inProgress = next;
+};
+
+/**
+ * When maintenance on a device started, if any is in progress
+ * @param {Object} device - Device document or registry entry
+ * @returns {Date|null}
+ */
+const maintenanceInProgress = (device) => {
+  const deviceId = (device.deviceId || device._id).toString();
+  const starts = [inProgress.devices.get(deviceId), device.plantId && inProgress.plants.get(device.plantId.toString())]
+    .filter(Boolean);
+  if (starts.length === 0) return null;
+  return new Date(Math.min(...starts.map(start => new Date(start).getTime())));
+};
+
+/**
+ * Suppress the alarms a device has raised since its maintenance started
+ * @param {Object} entry - Device registry entry
+ * @returns {Promise<number>} - Number of alarms suppressed
+ */
+const suppressAlarmsDuringMaintenance = (entry) => suppressDeviceAlarms(entry, {
+  since: maintenanceInProgress(entry) || new Date(),
+  reason: 'Work order in progress'
+});
+
+/**
+ * Alarm query condition that leaves out the alarms raised since a work order
+ * in progress started on their device or its plant
+ * @returns {Promise<Object|null>} - null when no maintenance is in progress
+ */
+const maintenanceAlarmFilter = async () => {
+  const orders = await WorkOrder.find({ status: 'in_progress' }).select('plantId deviceName startedAt').lean();
+  const conditions = [];
+  for (const order of orders) {
+    const since = { $gte: order.startedAt || new Date(0) };
+    if (order.deviceName) {
+      conditions.push({ DeviceName: order.deviceName, CreatedTimestamp: since });
+      continue;
+    }
+    const plant = await getPlantEntry(order.plantId);
+    if (plant && plant.deviceNames.length > 0) {
+      conditions.push({ DeviceName: { $in: plant.deviceNames }, CreatedTimestamp: since });
+    }
+  }
+  return conditions.length > 0 ? { $nor: conditions } : null;
+};
+
+/**
+ * Check that a plan or work order targets an existing plant and, optionally, one of its devices
+ * @param {{ plantId: string, deviceId?: string }} target
+ * @returns {Promise<{ error?: string, device?: Object|null }>}
+ */
+const resolveTarget = async ({ plantId, deviceId }) => {
+  if (!plantId || !mongoose.Types.ObjectId.isValid(plantId)) return { error: 'plantId is required' };
+  if (!(await getPlantEntry(plantId))) return { error: 'Plant not found' };
+  if (!deviceId) return { device: null };
+  const device = mongoose.Types.ObjectId.isValid(deviceId)
+    ? await Device.findById(deviceId).select('deviceName plantId')
+    : null;
+  if (!device) return { error: 'Device not found' };
+  if (device.plantId.toString() !== plantId.toString()) return { error: 'The device is not in this plant' };
+  return { device };
+};
+
+/**
+ * Check that a user can be given work in a plant
+ * @param {string|null} userId
+ * @param {string|ObjectId} plantId
+ * @returns {Promise<{ error?: string, user?: Object|null }>}
+ */
+const resolveAssignee = async (userId, plantId) => {
+  if (!userId) return { user: null };
+  const user = mongoose.Types.ObjectId.isValid(userId)
+    ? await User.findById(userId).select('name email role plants isActive')
+    : null;
+  if (!user || !user.isActive) return { error: 'Assignee not found' };
+  const inPlant = user.role === 'admin' || user.plants.some(id => id.toString() === plantId.toString());
+  if (user.role === 'viewer' || !inPlant) return { error: `${user.name} cannot be assigned work in this plant` };
+  return { user };
+};
+
+/**
+ * Users that can be assigned work in a plant
+ * @param {string|ObjectId} plantId
+ * @returns {Promise<Array<{ _id, name, email, role }>>}
+ */
+const getAssignees = (plantId) => User.find({
+  isActive: { $ne: false },
+  role: { $ne: 'viewer' },
+  $or: [{ role: 'admin' }, { plants: plantId }]
+}).select('name email role').sort({ name: 1 }).lean();
+
+/**
+ * Runtime hours of the given devices
+ * @param {Array<string|ObjectId>} deviceIds
+ * @returns {Promise<Map<string, number>>}
+ */
+const runtimeHoursOf = async (deviceIds) => {
+  const records = await DeviceHeartbeat.find({ deviceId: { $in: deviceIds } }).select('deviceId runtimeHours').lean();
+  return new Map(records.map(record => [record.deviceId.toString(), record.runtimeHours || 0]));
+};
+
+// Fields of a plan an API caller may set
+const applyPlanFields = (plan, data) => {
+  ['name', 'description', 'active'].forEach((field) => {
+    if (data[field] !== undefined) plan[field] = data[field];
+  });
+  if (data.recurrence !== undefined) {
+    plan.recurrence = {
+      type: data.recurrence.type,
+      intervalDays: data.recurrence.type === 'calendar' ? data.recurrence.intervalDays : null,
+      intervalHours: data.recurrence.type === 'runtime' ? data.recurrence.intervalHours : null
+    };
+  }
+  if (data.nextDueAt !== undefined) plan.nextDueAt = data.nextDueAt ? new Date(data.nextDueAt) : null;
+};
+
+/**
+ * Create a maintenance plan
+ * @param {Object} data - name, description, plantId, deviceId, recurrence, nextDueAt, assignedTo
+ * @param {string} createdBy
+ * @returns {Promise<{ error?: string, status?: number, plan?: Object }>}
+ */
+const createPlan = async (data, createdBy) => {
+  const { error, device } = await resolveTarget(data);
+  if (error) return { error, status: 400 };
+  const assignee = await resolveAssignee(data.assignedTo, data.plantId);
+  if (assignee.error) return { error: assignee.error, status: 400 };
+
+  const plan = new MaintenancePlan({ plantId: data.plantId, deviceId: device ? device._id : null, createdBy });
+  applyPlanFields(plan, data);
+  plan.assignedTo = assignee.user ? assignee.user._id : null;
+  if (plan.recurrence.type === 'calendar' && !plan.nextDueAt) {
+    plan.nextDueAt = new Date(Date.now() + plan.recurrence.intervalDays * DAY_MS);
+  }
+  // Runtime intervals count from when the plan is created
+  if (plan.recurrence.type === 'runtime' && device) {
+    plan.runtimeHoursAtLastOrder = (await runtimeHoursOf([device._id])).get(device._id.toString()) || 0;
+  }
+  await plan.save();
+  return { plan };
+};
+
+/**
+ * Update a plan's name, description, recurrence, next due date, assignee or active flag
+ * @param {Object} plan - Plan document
+ * @param {Object} data
+ * @returns {Promise<{ error?: string, status?: number, plan?: Object }>}
+ */
+const updatePlan = async (plan, data) => {
+  if (data.assignedTo !== undefined) {
+    const { error, user } = await resolveAssignee(data.assignedTo, plan.plantId);
+    if (error) return { error, status: 400 };
+    plan.assignedTo = user ? user._id : null;
+  }
+  applyPlanFields(plan, data);
+  if (plan.recurrence.type === 'calendar' && !plan.nextDueAt) {
+    plan.nextDueAt = new Date(Date.now() + plan.recurrence.intervalDays * DAY_MS);
+  }
+  plan.updatedAt = new Date();
+  await plan.save();
+  return { plan };
+};
+
+const notifyWorkOrder = async (order, title, message) => {
+  const plant = await getPlantEntry(order.plantId);
+  await createNotification({
+    Type: order.deviceId ? 'device' : 'plant',
+    Title: title,
+    Message: message,
+    PlantId: order.plantId.toString(),
+    PlantName: plant ? plant.plantName : '',
+    DeviceId: order.deviceId ? order.deviceId.toString() : undefined,
+    DeviceName: order.deviceName || undefined
+  });
+};
+
+/**
+ * Create a work order by hand or from a plan
+ * @param {Object} data - title, description, plantId, deviceId, assignedTo, dueAt, planId
+ * @param {string|null} createdBy
+ * @returns {Promise<{ error?: string, status?: number, order?: Object }>}
+ */
+const createWorkOrder = async (data, createdBy) => {
+  const { error, device } = await resolveTarget(data);
+  if (error) return { error, status: 400 };
+  const assignee = await resolveAssignee(data.assignedTo, data.plantId);
+  if (assignee.error) return { error: assignee.error, status: 400 };
+
+  const order = await WorkOrder.create({
+    planId: data.planId || null,
+    title: data.title,
+    description: data.description || '',
+    plantId: data.plantId,
+    deviceId: device ? device._id : null,
+    deviceName: device ? device.deviceName : null,
+    assignedTo: assignee.user ? assignee.user._id : null,
+    assignedToName: assignee.user ? assignee.user.name : null,
+    dueAt: data.dueAt ? new Date(data.dueAt) : null,
+    createdBy
+  });
+  const target = order.deviceName || 'the plant';
+  await notifyWorkOrder(order, 'Work Order Created', `${order.title} on ${target}${order.assignedToName ? `, assigned to ${order.assignedToName}` : ''}`);
+  return { order };
+};
+
+/**
+ * Update the title, description, due date or assignee of an unfinished work order
+ * @param {Object} order - Work order document
+ * @param {Object} data
+ * @returns {Promise<{ error?: string, status?: number, order?: Object }>}
+ */
+const updateWorkOrder = async (order, data) => {
+  if (!WorkOrder.UNFINISHED_STATUSES.includes(order.status)) {
+    return { error: `The work order is ${order.status}`, status: 409 };
+  }
+  if (data.assignedTo !== undefined) {
+    const { error, user } = await resolveAssignee(data.assignedTo, order.plantId);
+    if (error) return { error, status: 400 };
+    order.assignedTo = user ? user._id : null;
+    order.assignedToName = user ? user.name : null;
+  }
+  ['title', 'description'].forEach((field) => {
+    if (data[field] !== undefined) order[field] = data[field];
+  });
+  if (data.dueAt !== undefined) order.dueAt = data.dueAt ? new Date(data.dueAt) : null;
+  await order.save();
+  return { order };
+};
+
+/**
+ * Start, complete or cancel a work order
+ * @param {Object} order - Work order document
+ * @param {'start'|'complete'|'cancel'} action
+ * @param {{ by: string, completionNotes?: string }} details
+ * @returns {Promise<{ error?: string, status?: number, order?: Object }>}
+ */
+const changeWorkOrderStatus = async (order, action, { by, completionNotes }) => {
+  const allowedFrom = { start: ['open'], complete: ['open', 'in_progress'], cancel: ['open', 'in_progress'] };
+  if (!allowedFrom[action].includes(order.status)) {
+    return { error: `A work order that is ${order.status.replace('_', ' ')} cannot be ${action === 'start' ? 'started' : `${action}d`}`, status: 409 };
+  }
+  if (action === 'complete' && !(completionNotes || '').trim()) {
+    return { error: 'Completion notes are required', status: 400 };
+  }
+
+  if (action === 'start') {
+    order.status = 'in_progress';
+    order.startedAt = new Date();
+  } else {
+    order.status = action === 'complete' ? 'completed' : 'cancelled';
+    order.completedAt = new Date();
+    order.completedBy = by;
+    if (action === 'complete') order.completionNotes = completionNotes.trim();
+  }
+  await order.save();
+  await refreshInProgress();
+  console.log(`🛠️ Work order "${order.title}" ${order.status.replace('_', ' ')}`);
+  return { order };
+};
+
+/**
+ * Add a note to a work order
+ * @param {Object} order - Work order document
+ * @param {string} text
+ * @param {string} by
+ * @returns {Promise<{ error?: string, status?: number, order?: Object }>}
+ */
+const addWorkOrderNote = async (order, text, by) => {
+  if (!text || !text.trim()) return { error: 'The note is empty', status: 400 };
+  order.notes.push({ text, by });
+  await order.save();
+  return { order };
+};
+
+/**
+ * Stop the maintenance of archived devices or an archived plant
+ * @param {Object} target - { deviceId } or { plantId } condition matching their plans and work orders
+ * @returns {Promise<{ plans: number, workOrders: number }>}
+ */
+const stopMaintenance = async (target) => {
+  const now = new Date();
+  const plans = await MaintenancePlan.updateMany({ ...target, active: true }, { active: false, updatedAt: now });
+  const orders = await WorkOrder.updateMany(
+    { ...target, status: { $in: WorkOrder.UNFINISHED_STATUSES } },
+    { status: 'cancelled', completedAt: now, completedBy: 'Archived' }
+  );
+  if (orders.modifiedCount > 0) await refreshInProgress();
+  return { plans: plans.modifiedCount, workOrders: orders.modifiedCount };
+};
+
+// Ids of the plants and devices of these plans that still exist and are not archived
+const liveTargetsOf = async (plans) => {
+  const deviceIds = plans.map(plan => plan.deviceId).filter(Boolean);
+  const [plants, devices] = await Promise.all([
+    Plant.find({ _id: { $in: plans.map(plan => plan.plantId) } }).select('_id').lean(),
+    deviceIds.length > 0 ? Device.find({ _id: { $in: deviceIds } }).select('_id').lean() : []
+  ]);
+  return new Set([...plants, ...devices].map(doc => doc._id.toString()));
+};
+
+// Work order for a plan that has fallen due
+const generateWorkOrder = async (plan, dueAt) => {
+  // An assignee who left or lost access to the plant leaves the work order unassigned rather than blocking it
+  const { user } = await resolveAssignee(plan.assignedTo, plan.plantId);
+  const { error, order } = await createWorkOrder({
+    planId: plan._id,
+    title: plan.name,
+    description: plan.description,
+    plantId: plan.plantId,
+    deviceId: plan.deviceId,
+    assignedTo: user ? user._id : null,
+    dueAt
+  }, null);
+  if (error) throw new Error(error);
+  plan.lastGeneratedAt = new Date();
+  console.log(`🛠️ Generated work order "${order.title}" from maintenance plan ${plan._id}`);
+  return order;
+};
+
+/**
+ * Generate work orders for every active plan that has fallen due
+ * @returns {Promise<void>}
+ */
+const checkMaintenancePlans = async () => {
+  const plans = await MaintenancePlan.find({ active: true });
+  const unfinished = new Set((await WorkOrder.find({ planId: { $ne: null }, status: { $in: WorkOrder.UNFINISHED_STATUSES } })
+    .distinct('planId')).map(id => id.toString()));
+  const runtimeDevices = plans.filter(plan => plan.recurrence.type === 'runtime').map(plan => plan.deviceId);
+  const runtimeHours = runtimeDevices.length > 0 ? await runtimeHoursOf(runtimeDevices) : new Map();
+  const live = await liveTargetsOf(plans);
+  const now = Date.now();
+
+  for (const plan of plans) {
+    // Plans of plants or devices archived before their plans were stopped with them
+    if (!live.has(plan.plantId.toString()) || (plan.deviceId && !live.has(plan.deviceId.toString()))) {
+      await MaintenancePlan.updateOne({ _id: plan._id }, { active: false, updatedAt: new Date() });
+      console.warn(`⚠️ Deactivated maintenance plan ${plan.name}: its ${plan.deviceId ? 'device' : 'plant'} is archived or deleted`);
+      continue;
+    }
+    if (unfinished.has(plan._id.toString())) continue;
+    try {
+      if (plan.recurrence.type === 'calendar' && plan.nextDueAt && plan.nextDueAt.getTime() <= now) {
+        await generateWorkOrder(plan, plan.nextDueAt);
+        // Missed intervals (e.g. while the server was down) are not made up
+        let next = plan.nextDueAt.getTime();
+        while (next <= now) next += plan.recurrence.intervalDays * DAY_MS;
+        plan.nextDueAt = new Date(next);
+        await plan.save();
+      } else if (plan.recurrence.type === 'runtime') {
+        const hours = runtimeHours.get(plan.deviceId.toString()) || 0;
+        if (hours - plan.runtimeHoursAtLastOrder >= plan.recurrence.intervalHours) {
+          await generateWorkOrder(plan, new Date());
+          plan.runtimeHoursAtLastOrder = hours;
+          await plan.save();
+        }
+      }
+    } catch (err) {
+      console.error(`❌ Failed to generate work order for maintenance plan ${plan.name}:`, err.message);
+    }
+  }
+  await refreshInProgress();
+};
+
+/**
+ * Check maintenance plans every MAINTENANCE_CHECK_SECONDS
+ */
+const startMaintenanceScheduler = () => {
+  const run = () => checkMaintenancePlans().catch(err => console.error('❌ Maintenance check failed:', err.message));
+  run();
+  setInterval(run, CHECK_INTERVAL_SECONDS * 1000);
+  console.log(`🛠️ Maintenance scheduler checking every ${CHECK_INTERVAL_SECONDS} second(s)`);
+};
+
+module.exports = {
+  refreshInProgress,
+  maintenanceInProgress,
+  suppressAlarmsDuringMaintenance,
+  maintenanceAlarmFilter,
+  getAssignees,
+  runtimeHoursOf,
+  createPlan,
+  updatePlan,
+  createWorkOrder,
+  updateWorkOrder,
+  changeWorkOrderStatus,
+  addWorkOrderNote,
+  stopMaintenance,
+  checkMaintenancePlans,
+  startMaintenanceScheduler
+};
@@ -2,6 +2,7 @@ const TelemetryModel = require('../models/telemetryModel');
 const Device = require('../models/Device');
 const mongoose = require('mongoose');
 const { getTelemetryDB } = require('../config/db');
+const { getDeviceTypeForDevice, normalizeReading, toTelemetryFields } = require('./deviceTypeService');
 
 /**
  * Get the telemetry database connection
@@ -75,12 +76,11 @@ const getTelemetryDataByDeviceName = async (deviceName, limit = 20) => {
 
     console.log(`✅ Found ${telemetryData.length} telemetry records in oxygen_monitor database`);
     
-    // Map the data to a consistent format, handling both casing variations
+    // Map the data to the metrics of the device's type
+    const deviceType = await getDeviceTypeForDevice(deviceName);
     const normalizedData = telemetryData.map(data => ({
       timestamp: data.Timestamp?.toISOString() || data.timestamp?.toISOString() || new Date().toISOString(),
-      temperature: data.Temperature || data.temperature || 0,
-      humidity: data.Humidity || data.humidity || 0,
-      oilLevel: data.OilLevel || data.oilLevel || 0,
+      ...normalizeReading(deviceType, data),
       openAlerts: data.OpenAlerts || data.openAlerts || 0,
       // Add the original timestamp value for deduplication
       originalTimestamp: data.Timestamp || data.timestamp
@@ -149,6 +149,7 @@ const getLatestTelemetryByDeviceName = async (deviceName) => {
     console.log(`✅ Found latest telemetry for: ${deviceName} in oxygen_monitor database`);
     
     // Find unique timestamps
+    const deviceType = await getDeviceTypeForDevice(deviceName);
     const uniqueEntries = [];
     const seenTimestamps = new Set();
     
@@ -166,9 +167,7 @@ const getLatestTelemetryByDeviceName = async (deviceName) => {
         // Add to our unique entries
         uniqueEntries.push({
           timestamp: entry.Timestamp?.toISOString() || entry.timestamp?.toISOString() || new Date().toISOString(),
-          temperature: entry.Temperature || entry.temperature || 0,
-          humidity: entry.Humidity || entry.humidity || 0,
-          oilLevel: entry.OilLevel || entry.oilLevel || 0,
+          ...normalizeReading(deviceType, entry),
           openAlerts: entry.OpenAlerts || entry.openAlerts || 0
         });
       }
@@ -182,6 +181,33 @@ const getLatestTelemetryByDeviceName = async (deviceName) => {
   }
 };
 
+/**
+ * Fetch the latest telemetry entry for many devices in one query
+ * @param {string[]} deviceNames - Device names
+ * @returns {Promise<Object>} - Map of device name to its latest entry (devices without data are omitted)
+ */
+const getLatestTelemetryForDevices = async (deviceNames) => {
+  if (deviceNames.length === 0) return {};
+
+  const collection = getTelemetryCollection();
+  const latest = await collection.aggregate([
+    { $match: { DeviceName: { $in: deviceNames } } },
+    { $sort: { Timestamp: -1 } },
+    { $group: { _id: '$DeviceName', entry: { $first: '$$ROOT' } } }
+  ]).toArray();
+
+  const byDevice = {};
+  for (const { _id, entry } of latest) {
+    const deviceType = await getDeviceTypeForDevice(_id);
+    byDevice[_id] = {
+      timestamp: entry.Timestamp ? new Date(entry.Timestamp).toISOString() : null,
+      ...normalizeReading(deviceType, entry),
+      openAlerts: entry.OpenAlerts || 0
+    };
+  }
+  return byDevice;
+};
+
 /**
  * Create a new telemetry record for a device
  * @param {string} deviceId - MongoDB ObjectId of the device or deviceName
@@ -194,13 +220,13 @@ const createTelemetryRecord = async (deviceId, telemetryData) => {
     
     // Get the Telemetry model
     const Telemetry = TelemetryModel.getModel();
+    const deviceName = telemetryData.deviceName || telemetryData.DeviceName || deviceId;
+    const deviceType = await getDeviceTypeForDevice(deviceName);
     
-    // Create new record using the telemetry model
+    // Create new record using the telemetry model, with one field per metric of the device type
     const newTelemetry = new Telemetry({
-      DeviceName: telemetryData.deviceName || telemetryData.DeviceName || deviceId,
-      Temperature: telemetryData.temperature || telemetryData.Temperature || 0,
-      Humidity: telemetryData.humidity || telemetryData.Humidity || 0,
-      OilLevel: telemetryData.oilLevel || telemetryData.OilLevel || 0,
+      DeviceName: deviceName,
+      ...toTelemetryFields(deviceType, telemetryData),
       OpenAlerts: telemetryData.openAlerts || telemetryData.OpenAlerts || 0,
       RawData: JSON.stringify(telemetryData),
       Timestamp: new Date()
@@ -261,6 +287,7 @@ module.exports = {
   getTelemetryDataByDeviceId,
   getTelemetryDataByDeviceName,
   getLatestTelemetryByDeviceName,
+  getLatestTelemetryForDevices,
   createTelemetryRecord,
   getDiagnosticData
 };
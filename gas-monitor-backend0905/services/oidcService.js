@@ -0,0 +1,328 @@
+/**
+ * OIDC Service
+ * OpenID Connect authorization-code login (with PKCE) against any
+ * standards-compliant identity provider. The provider is found through its
+ * discovery document, so only OIDC_ISSUER, OIDC_CLIENT_ID and
+ * OIDC_CLIENT_SECRET are needed to turn single sign-on on.
+ *
+ * IdP groups map to application roles through OIDC_ROLE_MAPPING, a comma
+ * separated list of group=role pairs, e.g. "gas-admins=admin,gas-ops=operator".
+ * A login counts as two-factor only when the IdP says so through its amr or acr
+ * claims (OIDC_MFA_AMR, OIDC_MFA_ACR), or when OIDC_TRUST_MFA is 'true'.
+ * Login state and the one-time codes handed to the frontend are kept in Redis.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/auth/oidc/callback';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const OIDC_TOKEN_AUTH_METHOD = process.env.OIDC_TOKEN_AUTH_METHOD || 'client_secret_basic';
+const OIDC_BUTTON_LABEL = process.env.OIDC_BUTTON_LABEL || 'Sign in with SSO';
+// Role for users whose groups match no mapping; 'none' refuses them instead
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || DEFAULT_ROLE;
+// amr values (RFC 8176) and acr values that mean the user passed a second factor at the IdP
+const listSetting = (value) => (value || '').split(',').map(part => part.trim()).filter(Boolean);
+const OIDC_MFA_AMR = listSetting(process.env.OIDC_MFA_AMR || 'mfa');
+const OIDC_MFA_ACR = listSetting(process.env.OIDC_MFA_ACR);
+// Treat every SSO login as two-factor, for IdPs that enforce MFA but do not report it
+const OIDC_TRUST_MFA = process.env.OIDC_TRUST_MFA === 'true';
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const STATE_TTL_SECONDS = 10 * 60;
+const LOGIN_CODE_TTL_SECONDS = 60;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+// Login state lives in the shared Redis client owned by server.js
+const getRedis = () => {
+  const { redisClient } = require('../server');
+  if (!redisClient || !redisClient.isOpen) throw new Error('Redis is not available for SSO login state');
+  return redisClient;
+};
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+/**
+ * Whether single sign-on is configured
+ * @returns {boolean}
+ */
+const isOidcEnabled = () => Boolean(OIDC_ISSUER && OIDC_CLIENT_ID && OIDC_CLIENT_SECRET);
+
+/**
+ * Public settings for the login page
+ * @returns {{enabled: boolean, label: string}}
+ */
+const getPublicConfig = () => ({ enabled: isOidcEnabled(), label: OIDC_BUTTON_LABEL });
+
+/**
+ * Parse OIDC_ROLE_MAPPING into a group -> role map, skipping unknown roles
+ * @returns {Map<string, string>}
+ */
+const parseRoleMapping = () => {
+  const mapping = new Map();
+  (process.env.OIDC_ROLE_MAPPING || '').split(',').forEach((pair) => {
+    const [group, role] = pair.split('=').map(part => (part || '').trim());
+    if (!group || !role) return;
+    if (!ROLES.includes(role)) {
+      console.warn(`⚠️ OIDC_ROLE_MAPPING: ignoring unknown role "${role}" for group "${group}"`);
+      return;
+    }
+    mapping.set(group, role);
+  });
+  return mapping;
+};
+
+const roleMapping = parseRoleMapping();
+
+/**
+ * Pick the most privileged role granted by the user's IdP groups
+ * @param {string[]} groups - Group names from the IdP
+ * @returns {string|null} - null when no group is mapped
+ */
+const mapGroupsToRole = (groups = []) => {
+  const granted = groups.map(group => roleMapping.get(group)).filter(Boolean);
+  if (granted.length === 0) return null;
+  // ROLES is ordered from most to least privileged
+  return ROLES.find(role => granted.includes(role));
+};
+
+/**
+ * Role for a user created just-in-time
+ * @param {string|null} mappedRole - Result of mapGroupsToRole
+ * @returns {string|null} - null when the user should be refused
+ */
+const roleForNewUser = (mappedRole) => {
+  if (mappedRole) return mappedRole;
+  return OIDC_DEFAULT_ROLE === 'none' ? null : OIDC_DEFAULT_ROLE;
+};
+
+/**
+ * Role for an existing user signing in. Once groups are mapped the IdP owns
+ * roles, so a user who left every mapped group drops to the default role.
+ * @param {string|null} mappedRole - Result of mapGroupsToRole
+ * @param {string} currentRole - The user's role before this login
+ * @returns {string|null} - null when the user should be refused
+ */
+const roleForExistingUser = (mappedRole, currentRole) => {
+  if (mappedRole) return mappedRole;
+  if (roleMapping.size === 0) return currentRole;
+  return roleForNewUser(null);
+};
+
+// Whether the IdP reports that this login used a second factor
+const passedSecondFactor = (claims) => {
+  if (OIDC_TRUST_MFA) return true;
+  const amr = Array.isArray(claims.amr) ? claims.amr.map(String) : [];
+  return amr.some(value => OIDC_MFA_AMR.includes(value)) || OIDC_MFA_ACR.includes(String(claims.acr || ''));
+};
+
+// Fetch and cache the provider's discovery document
+const getDiscovery = async () => {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < DISCOVERY_CACHE_MS) {
+    return discoveryCache.document;
+  }
+  const { data } = await axios.get(`${OIDC_ISSUER}/.well-known/openid-configuration`, { timeout: 10000 });
+  if ((data.issuer || '').replace(/\/$/, '') !== OIDC_ISSUER) {
+    throw new Error(`Discovery issuer ${data.issuer} does not match OIDC_ISSUER`);
+  }
+  discoveryCache = { document: data, fetchedAt: Date.now() };
+  return data;
+};
+
+// Find the signing key for a token, refetching the JWKS once when the key id is new (key rotation)
+const getSigningKey = async (kid) => {
+  if (jwksCache.keys.has(kid)) return jwksCache.keys.get(kid);
+  if (Date.now() - jwksCache.fetchedAt < 60 * 1000 && jwksCache.keys.size > 0) {
+    throw new Error(`Unknown ID token signing key ${kid}`);
+  }
+
+  const discovery = await getDiscovery();
+  const { data } = await axios.get(discovery.jwks_uri, { timeout: 10000 });
+  const keys = new Map();
+  data.keys
+    .filter(jwk => !jwk.use || jwk.use === 'sig')
+    .forEach((jwk) => {
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (err) {
+        console.warn(`⚠️ Skipping unusable JWKS key ${jwk.kid}:`, err.message);
+      }
+    });
+  jwksCache = { keys, fetchedAt: Date.now() };
+
+  // Providers with a single key may omit kid
+  const key = kid ? keys.get(kid) : keys.values().next().value;
+  if (!key) throw new Error(`Unknown ID token signing key ${kid}`);
+  return key;
+};
+
+/**
+ * Start a login - stores state, nonce and PKCE verifier and builds the IdP URL
+ * @returns {Promise<{url: string, state: string}>} - Authorization URL to redirect the browser to
+ */
+const createAuthorizationUrl = async () => {
+  const discovery = await getDiscovery();
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await getRedis().set(`oidc:state:${state}`, JSON.stringify({ nonce, codeVerifier }), { EX: STATE_TTL_SECONDS });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return { url: `${discovery.authorization_endpoint}?${params.toString()}`, state };
+};
+
+/**
+ * Take the stored login state; each state can be used once
+ * @param {string} state - state parameter from the callback
+ * @returns {Promise<{nonce: string, codeVerifier: string}|null>}
+ */
+const consumeAuthorizationState = async (state) => {
+  if (!state) return null;
+  const value = await getRedis().getDel(`oidc:state:${state}`);
+  return value ? JSON.parse(value) : null;
+};
+
+// Exchange the authorization code at the token endpoint
+const exchangeCode = async (code, codeVerifier) => {
+  const discovery = await getDiscovery();
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (OIDC_TOKEN_AUTH_METHOD === 'client_secret_post') {
+    body.set('client_id', OIDC_CLIENT_ID);
+    body.set('client_secret', OIDC_CLIENT_SECRET);
+  } else {
+    const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const { data } = await axios.post(discovery.token_endpoint, body.toString(), { headers, timeout: 10000 });
+  if (!data.id_token) throw new Error('Token response did not include an ID token');
+  return data;
+};
+
+// Verify the ID token signature, issuer, audience, expiry and nonce
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error('ID token is malformed');
+
+  const discovery = await getDiscovery();
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: discovery.issuer,
+    audience: OIDC_CLIENT_ID,
+    clockTolerance: 60
+  });
+  if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+  return claims;
+};
+
+// Some providers only return groups and email from the userinfo endpoint
+const fetchUserInfo = async (accessToken) => {
+  const discovery = await getDiscovery();
+  if (!discovery.userinfo_endpoint || !accessToken) return {};
+  const { data } = await axios.get(discovery.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 10000
+  });
+  return data;
+};
+
+/**
+ * Finish a login - exchanges the code and returns the verified identity
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} loginState - Result of consumeAuthorizationState
+ * @returns {Promise<{issuer: string, subject: string, email: string, emailVerified: boolean, name: string, groups: string[], twoFactor: boolean}>}
+ */
+const completeAuthorization = async (code, { nonce, codeVerifier }) => {
+  const tokens = await exchangeCode(code, codeVerifier);
+  let claims = await verifyIdToken(tokens.id_token, nonce);
+
+  if (!claims.email || claims[OIDC_GROUPS_CLAIM] === undefined) {
+    const userInfo = await fetchUserInfo(tokens.access_token);
+    if (userInfo.sub && userInfo.sub !== claims.sub) throw new Error('Userinfo subject does not match ID token');
+    claims = { ...userInfo, ...claims, [OIDC_GROUPS_CLAIM]: claims[OIDC_GROUPS_CLAIM] ?? userInfo[OIDC_GROUPS_CLAIM] };
+  }
+
+  const groups = claims[OIDC_GROUPS_CLAIM];
+  return {
+    issuer: claims.iss,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    // Providers that leave email_verified out have not verified the address
+    emailVerified: claims.email_verified === true,
+    name: claims.name || claims.preferred_username || claims.email,
+    groups: Array.isArray(groups) ? groups.map(String) : (groups ? [String(groups)] : []),
+    twoFactor: passedSecondFactor(claims)
+  };
+};
+
+/**
+ * Park a finished login's tokens behind a short-lived one-time code, so tokens
+ * never appear in a redirect URL
+ * @param {Object} loginResult - Tokens and user to hand to the frontend
+ * @returns {Promise<string>} - One-time code
+ */
+const createLoginCode = async (loginResult) => {
+  const code = randomToken();
+  await getRedis().set(`oidc:login:${code}`, JSON.stringify(loginResult), { EX: LOGIN_CODE_TTL_SECONDS });
+  return code;
+};
+
+/**
+ * Redeem a one-time login code
+ * @param {string} code - Code from the frontend callback URL
+ * @returns {Promise<Object|null>}
+ */
+const redeemLoginCode = async (code) => {
+  if (!code) return null;
+  const value = await getRedis().getDel(`oidc:login:${code}`);
+  return value ? JSON.parse(value) : null;
+};
+
+// Frontend URLs the callback redirects to
+const frontendCallbackUrl = (code) => `${APP_URL}/sso/callback?code=${encodeURIComponent(code)}`;
+const frontendErrorUrl = (message) => `${APP_URL}/login?ssoError=${encodeURIComponent(message)}`;
+
+module.exports = {
+  isOidcEnabled,
+  getPublicConfig,
+  mapGroupsToRole,
+  roleForNewUser,
+  roleForExistingUser,
+  createAuthorizationUrl,
+  consumeAuthorizationState,
+  completeAuthorization,
+  createLoginCode,
+  redeemLoginCode,
+  frontendCallbackUrl,
+  frontendErrorUrl
+};
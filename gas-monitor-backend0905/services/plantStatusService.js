@@ -0,0 +1,139 @@
+/**
+ * Plant Status Service
+ * Summarises each plant for the main dashboard map: device online ratio,
+ * worst active alarm severity and the latest readings of its devices.
+ */
+
+const Plant = require('../models/plant');
+const Device = require('../models/Device');
+const { getTelemetryDB } = require('../config/db');
+const { getAlarmSeverity, worstSeverity } = require('../config/alarmSeverity');
+const { getLatestTelemetryForDevices } = require('./mongoTelemetryService');
+const { getConnectivity, connectivityStatus } = require('./heartbeatService');
+const { outOfServiceAlarmFilter } = require('./deviceLifecycleService');
+const { maintenanceAlarmFilter } = require('./maintenanceService');
+
+/**
+ * Overall marker status for a plant
+ * @param {Object} summary - { deviceCount, onlineCount, worstSeverity }
+ * @returns {string} - 'critical' | 'warning' | 'degraded' | 'offline' | 'normal' | 'no-devices'
+ */
+const plantStatus = ({ deviceCount, onlineCount, worstSeverity: severity }) => {
+  if (severity === 'critical') return 'critical';
+  if (deviceCount === 0) return 'no-devices';
+  if (onlineCount === 0) return 'offline';
+  if (severity === 'warning') return 'warning';
+  if (onlineCount < deviceCount) return 'degraded';
+  return 'normal';
+};
+
+/**
+ * Active alarms raised by the given devices or plants
+ * @param {string[]} deviceNames
+ * @param {string[]} [plantNames]
+ * @returns {Promise<Array>} - Alarm documents with AlarmCode, Severity, DeviceName and PlantName
+ */
+const getActiveAlarms = async (deviceNames, plantNames = []) => {
+  const telemetryDB = getTelemetryDB();
+  if (!telemetryDB) return [];
+  // Both filters are { $nor: [...] } conditions, so they are combined under $and
+  const suppressed = (await Promise.all([outOfServiceAlarmFilter(), maintenanceAlarmFilter()])).filter(Boolean);
+  return telemetryDB.collection('alarms')
+    .find({
+      IsActive: { $ne: false },
+      $or: [
+        { DeviceName: { $in: deviceNames } },
+        { PlantName: { $in: plantNames } }
+      ],
+      ...(suppressed.length > 0 && { $and: suppressed })
+    })
+    .project({ AlarmCode: 1, Severity: 1, DeviceName: 1, PlantName: 1 })
+    .toArray();
+};
+
+/**
+ * Latest reading and connectivity for each device. A device is online while
+ * the heartbeat tracker has it as online or stale; stored telemetry newer than
+ * the tracker's last-seen time (e.g. written while this server was down) counts too.
+ * @param {Array} devices - Device documents (deviceName is required, heartbeat overrides are used when selected)
+ * @returns {Promise<Array<{deviceId, deviceName, online: boolean, connectivity: string, lastSeenAt, latest: Object|null}>>}
+ */
+const getDeviceReadings = async (devices) => {
+  const [latestByDevice, connectivity] = await Promise.all([
+    getLatestTelemetryForDevices(devices.map(device => device.deviceName))
+      .catch((err) => {
+        console.error('❌ Failed to load latest telemetry:', err.message);
+        return {};
+      }),
+    getConnectivity(devices)
+  ]);
+
+  return devices.map((device) => {
+    const latest = latestByDevice[device.deviceName] || null;
+    const tracked = connectivity.get(device._id.toString());
+    const storedAt = latest && latest.timestamp ? new Date(latest.timestamp) : null;
+    const lastSeenAt = storedAt && (!tracked.lastSeenAt || storedAt > new Date(tracked.lastSeenAt)) ? storedAt : tracked.lastSeenAt;
+    const status = connectivityStatus(lastSeenAt, tracked);
+    return {
+      deviceId: device._id,
+      deviceName: device.deviceName,
+      online: status === 'online' || status === 'stale',
+      connectivity: status,
+      lastSeenAt,
+      latest
+    };
+  });
+};
+
+/**
+ * Build the map summary for a set of plants
+ * @param {string[]|null} plantIds - Plant scope from getPlantScope (null = all plants)
+ * @returns {Promise<Array>}
+ */
+const getPlantMapStatus = async (plantIds) => {
+  const plants = await Plant.find(plantIds === null ? {} : { _id: { $in: plantIds } }).lean();
+  const devices = await Device.find({ plantId: { $in: plants.map(plant => plant._id) } })
+    .select('deviceName plantId heartbeat')
+    .lean();
+
+  const [allReadings, alarms] = await Promise.all([
+    getDeviceReadings(devices),
+    getActiveAlarms(devices.map(device => device.deviceName), plants.map(plant => plant.plantName))
+  ]);
+
+  return plants.map((plant) => {
+    const plantDevices = devices.filter(device => device.plantId.toString() === plant._id.toString());
+    const plantDeviceNames = new Set(plantDevices.map(device => device.deviceName));
+    const readings = allReadings.filter(reading => plantDeviceNames.has(reading.deviceName));
+
+    const plantAlarms = alarms.filter(alarm =>
+      plantDeviceNames.has(alarm.DeviceName) || alarm.PlantName === plant.plantName
+    );
+
+    const summary = {
+      deviceCount: plantDevices.length,
+      onlineCount: readings.filter(reading => reading.online).length,
+      activeAlarmCount: plantAlarms.length,
+      worstSeverity: worstSeverity(plantAlarms.map(getAlarmSeverity))
+    };
+
+    return {
+      _id: plant._id,
+      plantName: plant.plantName,
+      location: plant.location,
+      latitude: plant.latitude,
+      longitude: plant.longitude,
+      isActive: plant.isActive,
+      ...summary,
+      status: plantStatus(summary),
+      devices: readings
+    };
+  });
+};
+
+module.exports = {
+  plantStatus,
+  getActiveAlarms,
+  getDeviceReadings,
+  getPlantMapStatus
+};
@@ -0,0 +1,114 @@
+/**
+ * Provisioning Service
+ * Creates a device and its IoT Hub identity as one step. The device is saved
+ * in the 'pending' state, the identity is registered under the device name
+ * (the name devices report telemetry with), and only then is the device marked
+ * 'provisioned'. If any step fails the steps already taken are undone, so a
+ * device never ends up in Mongo without a hub identity or the other way round.
+ *
+ * Connection credentials are returned to the caller once and never stored.
+ */
+
+const Device = require('../models/Device');
+const { registerDeviceInAzure, deleteDeviceFromAzure, buildDeviceConnectionString } = require('./azureService');
+
+const setState = (device, state, changes = {}) => {
+  Object.entries({ state, ...changes, updatedAt: new Date() })
+    .forEach(([field, value]) => device.set(`provisioning.${field}`, value));
+};
+
+const toCredentials = (identity) => ({
+  deviceId: identity.deviceId,
+  primaryKey: identity.primaryKey,
+  secondaryKey: identity.secondaryKey,
+  connectionString: buildDeviceConnectionString(identity)
+});
+
+// Another live device with the same name would share the hub identity
+const findNameClash = (device) => Device.findOne({ deviceName: device.deviceName, _id: { $ne: device._id } }).select('deviceName');
+
+/**
+ * Register the hub identity of a saved device and mark it provisioned. An
+ * identity created here is deleted again if the device cannot be updated.
+ * @param {Object} device - Device document in the 'pending' state
+ * @returns {Promise<{ error?: string, credentials?: Object }>}
+ */
+const registerIdentity = async (device) => {
+  const result = await registerDeviceInAzure(device.deviceName);
+  if (!result.success) {
+    return { error: result.message };
+  }
+
+  try {
+    setState(device, 'provisioned', { hubDeviceId: result.identity.deviceId, provisionedAt: new Date(), lastError: null });
+    await device.save();
+  } catch (error) {
+    if (result.created) {
+      await deleteDeviceFromAzure(result.identity.deviceId)
+        .catch(err => console.error(`❌ Failed to remove hub identity ${result.identity.deviceId} after a failed save:`, err.message));
+    }
+    return { error: `Device could not be marked as provisioned: ${error.message}` };
+  }
+
+  console.log(`🔑 Provisioned device ${device.deviceName} in ${result.created ? 'a new' : 'an existing'} hub identity`);
+  return { credentials: toCredentials(result.identity) };
+};
+
+/**
+ * Create a device and its hub identity. On failure the device is removed again.
+ * @param {Object} deviceData - Validated device fields
+ * @returns {Promise<{ error?: string, status?: number, device?: Object, credentials?: Object }>}
+ */
+const provisionNewDevice = async (deviceData) => {
+  const device = new Device({ ...deviceData, provisioning: { state: 'pending', updatedAt: new Date() } });
+  if (await findNameClash(device)) {
+    return { error: `A device named ${device.deviceName} already exists`, status: 409 };
+  }
+  await device.save();
+
+  const { error, credentials } = await registerIdentity(device);
+  if (!error) {
+    return { device, credentials };
+  }
+
+  // Roll back; if even that fails, leave the device flagged so it can be retried
+  try {
+    await Device.deleteOne({ _id: device._id });
+  } catch (deleteError) {
+    console.error(`❌ Failed to roll back device ${device.deviceName}:`, deleteError.message);
+    setState(device, 'failed', { lastError: error });
+    await device.save().catch(() => {});
+  }
+  return { error, status: 502 };
+};
+
+/**
+ * Give an existing device a hub identity, e.g. one created before the
+ * provisioning flow or one whose provisioning failed
+ * @param {Object} device - Device document
+ * @returns {Promise<{ error?: string, status?: number, credentials?: Object }>}
+ */
+const provisionExistingDevice = async (device) => {
+  if (device.provisioning?.state === 'provisioned') {
+    return { error: 'Device is already provisioned', status: 409 };
+  }
+  if (await findNameClash(device)) {
+    return { error: `Another device is also named ${device.deviceName}; rename one of them first`, status: 409 };
+  }
+
+  setState(device, 'pending');
+  await device.save();
+
+  const { error, credentials } = await registerIdentity(device);
+  if (error) {
+    setState(device, 'failed', { lastError: error });
+    await device.save();
+    return { error, status: 502 };
+  }
+  return { credentials };
+};
+
+module.exports = {
+  provisionNewDevice,
+  provisionExistingDevice
+};
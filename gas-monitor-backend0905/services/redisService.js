@@ -4,6 +4,11 @@
  */
 
 const { redisClient } = require('../server');
+const { resolveDeviceEntry } = require('./deviceRegistryService');
+const { getDeviceType, normalizeReading } = require('./deviceTypeService');
+
+// Registered device behind a message, or null when it is unknown or the registry is unavailable
+const lookupDevice = (deviceRef) => resolveDeviceEntry(deviceRef).catch(() => null);
 
 /**
  * Publish telemetry data to Redis channel
@@ -18,17 +23,20 @@ const publishTelemetryData = async (telemetryData) => {
       return;
     }
 
-    // Normalize data to ensure consistent format
+    const deviceId = telemetryData.deviceId || telemetryData.device || telemetryData.device_id;
+    const device = await lookupDevice(telemetryData.deviceName || telemetryData.DeviceName || deviceId);
+    const deviceType = await getDeviceType(device?.deviceTypeId);
+
+    // Normalize data to the metrics of the device's type
     const normalizedData = {
-      deviceId: telemetryData.deviceId || telemetryData.device || telemetryData.device_id,
-      deviceName: telemetryData.deviceName || telemetryData.DeviceName,
-      temperature: telemetryData.temperature || telemetryData.Temperature || 0,
-      humidity: telemetryData.humidity || telemetryData.Humidity || 0,
-      oilLevel: telemetryData.oilLevel || telemetryData.OilLevel || 0,
+      deviceId,
+      deviceName: telemetryData.deviceName || telemetryData.DeviceName || device?.deviceName,
+      ...normalizeReading(deviceType, telemetryData),
+      deviceType: deviceType.key,
       timestamp: telemetryData.timestamp || telemetryData.Timestamp || new Date(),
-      plantName: telemetryData.plantName || 
-                (telemetryData.deviceName?.includes('esp32_04') || 
-                 telemetryData.device?.includes('esp32_04') ? 'Plant D' : 'Plant C')
+      // The registry is authoritative; the message's own plant only counts for unregistered devices
+      plantId: device?.plantId || telemetryData.plantId || null,
+      plantName: device?.plantName || telemetryData.plantName || telemetryData.PlantName || null
     };
 
     // Publish to Redis telemetry channel
@@ -55,18 +63,21 @@ const publishAlarmData = async (alarmData) => {
       return;
     }
 
+    const deviceId = alarmData.deviceId || alarmData.DeviceId;
+    const device = await lookupDevice(alarmData.deviceName || alarmData.DeviceName || deviceId);
+
     // Normalize data to ensure consistent format
     const normalizedData = {
       id: alarmData._id || alarmData.id,
-      deviceId: alarmData.deviceId || alarmData.DeviceId,
-      deviceName: alarmData.deviceName || alarmData.DeviceName,
+      deviceId,
+      deviceName: alarmData.deviceName || alarmData.DeviceName || device?.deviceName,
       alarmCode: alarmData.alarmCode || alarmData.AlarmCode,
       alarmDescription: alarmData.alarmDescription || alarmData.AlarmDescription,
       alarmValue: alarmData.alarmValue || alarmData.AlarmValue,
       createdTimestamp: alarmData.createdTimestamp || alarmData.CreatedTimestamp || new Date(),
-      plantName: alarmData.plantName || alarmData.PlantName ||
-                (alarmData.deviceName?.includes('esp32_04') || 
-                 alarmData.DeviceName?.includes('esp32_04') ? 'Plant D' : 'Plant C')
+      plantId: device?.plantId || alarmData.plantId || null,
+      plantName: device?.plantName || alarmData.plantName || alarmData.PlantName || null,
+      sitePath: device?.sitePath || []
     };
 
     // Publish to Redis alarms channel
@@ -0,0 +1,199 @@
+/**
+ * Session Service
+ * Issues short-lived access tokens and rotating refresh tokens, and keeps
+ * the server-side session records used to revoke them.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/sessionModel');
+const { isTwoFactorRequiredFor } = require('./settingsService');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// How long the refresh token replaced by a rotation is still accepted, so
+// tabs refreshing at the same time don't look like a stolen token
+const REFRESH_GRACE_SECONDS = parseInt(process.env.REFRESH_GRACE_SECONDS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign an access token for a user and session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string}
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      sid: session._id,
+      mfa: Boolean(session.twoFactorVerified)
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+const generateRefreshToken = (session) => {
+  return `${session._id}.${crypto.randomBytes(48).toString('hex')}`;
+};
+
+/**
+ * Start a new session and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for user agent and IP)
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactorVerified=false] - Whether the login passed a second factor
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ */
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: req.headers['user-agent'] || '',
+    ipAddress: req.ip || '',
+    twoFactorVerified,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = generateRefreshToken(session);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { token: generateAccessToken(user, session), refreshToken, session };
+};
+
+// Whether a refresh token is the one the session replaced within the grace period
+const isRecentlyReplaced = (session, tokenHash) => Boolean(
+  session && !session.revokedAt && session.previousRefreshTokenHash === tokenHash &&
+  session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REFRESH_GRACE_SECONDS * 1000
+);
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * invalidated; presenting it again revokes the whole session, since that
+ * means it was copied. Within REFRESH_GRACE_SECONDS of a rotation the
+ * replaced token only gets a new access token, without a refresh token, so
+ * the client keeps the one the other request received.
+ * Sessions without a second factor end once the user's role requires one,
+ * so the user has to log in again and enroll.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Function} loadUser - (userId) => Promise<User|null>
+ * @returns {Promise<{token: string, refreshToken?: string}|null>} - null when the token is not valid
+ */
+const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!sessionId || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const isCurrent = session.refreshTokenHash === tokenHash;
+  if (!isCurrent && !isRecentlyReplaced(session, tokenHash)) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id} - revoking session`);
+    await revokeSession(session._id, 'refresh token reuse');
+    return null;
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) return null;
+
+  if (!session.twoFactorVerified && await isTwoFactorRequiredFor(user.role)) {
+    await revokeSession(session._id, 'two-factor authentication required');
+    return null;
+  }
+
+  if (isCurrent) {
+    // Only one request can replace a given token; the filter on its hash makes the rotation atomic
+    const newRefreshToken = generateRefreshToken(session);
+    const now = new Date();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      { refreshTokenHash: hashToken(newRefreshToken), previousRefreshTokenHash: tokenHash, rotatedAt: now, lastUsedAt: now },
+      { new: true }
+    );
+    if (rotated) return { token: generateAccessToken(user, rotated), refreshToken: newRefreshToken };
+    // Another request rotated it first
+    if (!isRecentlyReplaced(await Session.findById(session._id), tokenHash)) return null;
+  }
+
+  return { token: generateAccessToken(user, session) };
+};
+
+/**
+ * Check that the session behind an access token is still active.
+ * Tokens without a sid cannot be revoked, so they are refused and the user logs in again.
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) return false;
+  const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} [reason] - Why the session was revoked
+ * @returns {Promise<Object|null>} - The revoked session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} [reason] - Why the sessions were revoked
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout all') => {
+  // Without a user the filter would match every session of every user
+  if (!userId) throw new Error('revokeAllSessions needs a userId');
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Mark a session as having passed a second factor, e.g. right after the user
+ * enrolls in 2FA. Access tokens pick this up on the next refresh.
+ * @param {string} sessionId - Session ID
+ */
+const markSessionTwoFactorVerified = async (sessionId) => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { twoFactorVerified: true });
+};
+
+/**
+ * List the active sessions of a user, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const listSessions = async (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousRefreshTokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  markSessionTwoFactorVerified,
+  listSessions
+};
@@ -0,0 +1,65 @@
+/**
+ * Settings Service
+ * Reads and updates the installation-wide settings document.
+ */
+
+const SystemSetting = require('../models/systemSettingModel');
+const { TWO_FACTOR_ENFORCED_ROLES } = require('../config/roles');
+
+// Settings an admin may change through the API
+const EDITABLE_SETTINGS = [
+  'twoFactorRequired',
+  'archiveRetentionDays',
+  'heartbeatStaleMinutes',
+  'heartbeatOfflineMinutes',
+  'calibrationDueSoonDays',
+  'commissioningChecklist'
+];
+
+/**
+ * Get the settings, creating the document with defaults on first use
+ * @returns {Promise<Object>}
+ */
+const getSettings = async () => {
+  return SystemSetting.findOneAndUpdate(
+    { key: 'system' },
+    { $setOnInsert: { key: 'system' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Update editable settings
+ * @param {Object} changes - Partial settings
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - Updated settings
+ */
+const updateSettings = async (changes, userId) => {
+  const update = { updatedBy: userId, updatedAt: new Date() };
+  EDITABLE_SETTINGS.forEach(field => {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  });
+  return SystemSetting.findOneAndUpdate(
+    { key: 'system' },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Check whether users with a role must use two-factor authentication
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequiredFor = async (role) => {
+  if (!TWO_FACTOR_ENFORCED_ROLES.includes(role)) return false;
+  const settings = await getSettings();
+  return Boolean(settings.twoFactorRequired);
+};
+
+module.exports = {
+  EDITABLE_SETTINGS,
+  getSettings,
+  updateSettings,
+  isTwoFactorRequiredFor
+};
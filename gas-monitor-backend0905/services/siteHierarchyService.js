@@ -0,0 +1,187 @@
+/**
+ * Site Hierarchy Service
+ * Keeps the building / area / zone tree of each plant consistent and rolls
+ * device status, alarms and latest telemetry up through it.
+ */
+
+const SiteNode = require('../models/siteNodeModel');
+const Device = require('../models/Device');
+const { getAlarmSeverity, worstSeverity } = require('../config/alarmSeverity');
+const { getActiveAlarms, getDeviceReadings, plantStatus } = require('./plantStatusService');
+
+const SITE_NODE_TYPES = SiteNode.TYPES;
+// Fields of a normalized reading that are not metric values
+const NON_METRIC_FIELDS = ['timestamp', 'openAlerts'];
+
+const typeLevel = (type) => SITE_NODE_TYPES.indexOf(type);
+const withArticle = (type) => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+
+/**
+ * Check that a node of this type may sit under the given parent
+ * @param {string} type - Node type
+ * @param {Object|null} parent - Parent node, or null for the plant root
+ * @param {string} plantId - Plant the node belongs to
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validatePlacement = (type, parent, plantId) => {
+  if (!SITE_NODE_TYPES.includes(type)) return `Type must be one of: ${SITE_NODE_TYPES.join(', ')}`;
+  if (!parent) return null;
+  if (parent.plantId.toString() !== plantId.toString()) return 'Parent node belongs to a different plant';
+  if (typeLevel(parent.type) >= typeLevel(type)) return `${withArticle(type)} cannot be placed inside ${withArticle(parent.type)}`;
+  return null;
+};
+
+/**
+ * IDs of a node and every node below it
+ * @param {string} nodeId
+ * @returns {Promise<string[]>}
+ */
+const getSubtreeNodeIds = async (nodeId) => {
+  const descendants = await SiteNode.find({ ancestors: nodeId }).select('_id').lean();
+  return [nodeId.toString(), ...descendants.map(node => node._id.toString())];
+};
+
+/**
+ * Devices assigned to a node or anywhere below it
+ * @param {string} nodeId
+ * @returns {Promise<Array>}
+ */
+const getSubtreeDevices = async (nodeId) => {
+  const nodeIds = await getSubtreeNodeIds(nodeId);
+  return Device.find({ siteNodeId: { $in: nodeIds } }).lean();
+};
+
+/**
+ * Move a node under a new parent (or to the plant root) and rewrite the
+ * ancestor paths of everything below it
+ * @param {Object} node - SiteNode document
+ * @param {Object|null} newParent - New parent document
+ */
+const moveNode = async (node, newParent) => {
+  const oldPath = [...node.ancestors.map(String), node._id.toString()];
+  const newAncestors = newParent ? [...newParent.ancestors, newParent._id] : [];
+
+  node.parentId = newParent ? newParent._id : null;
+  node.ancestors = newAncestors;
+  await node.save();
+
+  const newPath = [...newAncestors.map(String), node._id.toString()];
+  const descendants = await SiteNode.find({ ancestors: node._id });
+  await Promise.all(descendants.map((descendant) => {
+    descendant.ancestors = [...newPath, ...descendant.ancestors.map(String).slice(oldPath.length)];
+    return descendant.save();
+  }));
+};
+
+// Min / max / average of each metric over the devices that have a reading.
+// Readings carry the metrics of their device's type, so mixed subtrees get the union.
+const summariseReadings = (readings) => {
+  const withData = readings.filter(reading => reading.online && reading.latest);
+  const metrics = [...new Set(withData.flatMap(reading => Object.keys(reading.latest)))]
+    .filter(key => !NON_METRIC_FIELDS.includes(key));
+  return metrics.reduce((summary, metric) => {
+    const values = withData.map(reading => reading.latest[metric]).filter(value => typeof value === 'number');
+    summary[metric] = values.length === 0 ? null : {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      avg: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+    };
+    return summary;
+  }, {});
+};
+
+// Roll device readings and alarms up into one summary
+const rollup = (readings, alarms) => {
+  const summary = {
+    deviceCount: readings.length,
+    onlineCount: readings.filter(reading => reading.online).length,
+    activeAlarmCount: alarms.length,
+    worstSeverity: worstSeverity(alarms.map(getAlarmSeverity))
+  };
+  return { ...summary, status: plantStatus(summary), telemetry: summariseReadings(readings) };
+};
+
+/**
+ * Build a plant's hierarchy as a nested tree with a rollup on every node
+ * @param {Object} plant - Plant document
+ * @returns {Promise<{plant: Object, nodes: Array, unassignedDevices: Array}>}
+ */
+const getPlantTree = async (plant) => {
+  const [nodes, devices] = await Promise.all([
+    SiteNode.find({ plantId: plant._id }).sort({ name: 1 }).lean(),
+    Device.find({ plantId: plant._id }).select('deviceName siteNodeId parentDeviceId heartbeat').lean()
+  ]);
+
+  const deviceNames = devices.map(device => device.deviceName);
+  const [readings, alarms] = await Promise.all([
+    getDeviceReadings(devices),
+    getActiveAlarms(deviceNames)
+  ]);
+  const readingByDevice = new Map(readings.map(reading => [reading.deviceId.toString(), reading]));
+  const alarmsByDevice = alarms.reduce((grouped, alarm) => {
+    (grouped[alarm.DeviceName] = grouped[alarm.DeviceName] || []).push(alarm);
+    return grouped;
+  }, {});
+
+  const deviceEntry = (device) => ({
+    ...readingByDevice.get(device._id.toString()),
+    siteNodeId: device.siteNodeId,
+    activeAlarmCount: (alarmsByDevice[device.deviceName] || []).length
+  });
+
+  // Devices whose node no longer exists are treated as unassigned
+  const nodeIds = new Set(nodes.map(node => node._id.toString()));
+  const devicesByNode = devices.reduce((grouped, device) => {
+    const key = device.siteNodeId && nodeIds.has(device.siteNodeId.toString()) ? device.siteNodeId.toString() : 'unassigned';
+    (grouped[key] = grouped[key] || []).push(device);
+    return grouped;
+  }, {});
+
+  const buildNode = (node) => {
+    const children = nodes
+      .filter(child => child.parentId && child.parentId.toString() === node._id.toString())
+      .map(buildNode);
+    const ownDevices = (devicesByNode[node._id.toString()] || []).map(deviceEntry);
+
+    // Everything in this subtree, for the rollup
+    const subtreeDevices = [...ownDevices, ...children.flatMap(child => child.subtreeDevices)];
+    const subtreeAlarms = subtreeDevices.flatMap(device => alarmsByDevice[device.deviceName] || []);
+
+    return {
+      _id: node._id,
+      name: node.name,
+      type: node.type,
+      parentId: node.parentId,
+      description: node.description,
+      devices: ownDevices,
+      children,
+      subtreeDevices,
+      rollup: rollup(subtreeDevices, subtreeAlarms)
+    };
+  };
+
+  // subtreeDevices is only needed while building; drop it from the response
+  const strip = ({ subtreeDevices, ...node }) => ({ ...node, children: node.children.map(strip) });
+
+  const roots = nodes.filter(node => !node.parentId).map(buildNode);
+  const allDevices = devices.map(deviceEntry);
+
+  return {
+    plant: {
+      _id: plant._id,
+      plantName: plant.plantName,
+      rollup: rollup(allDevices, alarms)
+    },
+    nodes: roots.map(strip),
+    unassignedDevices: (devicesByNode.unassigned || []).map(deviceEntry)
+  };
+};
+
+module.exports = {
+  SITE_NODE_TYPES,
+  validatePlacement,
+  getSubtreeNodeIds,
+  getSubtreeDevices,
+  moveNode,
+  getPlantTree
+};
@@ -0,0 +1,159 @@
+/**
+ * Two-Factor Service
+ * TOTP secrets, QR codes for authenticator apps, recovery codes, and the
+ * short-lived challenge tokens that carry a login between the password
+ * step and the code step.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const User = require('../models/userModel');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Oxygen Plant Monitor';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const STEP_SECONDS = 30;
+
+// Accept the previous and next 30s step to allow for clock drift
+authenticator.options = { window: 1, step: STEP_SECONDS };
+
+// Challenge tokens use their own secret so they can never pass as access tokens
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+const hashRecoveryCode = (code) => {
+  const normalized = code.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Create a new TOTP secret and the QR code an authenticator app scans
+ * @param {Object} user - User document
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} - qrCode is a data URL
+ */
+const createEnrollment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Check a 6-digit TOTP code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code from the authenticator app
+ * @returns {number|null} - The time step the code belongs to, or null when it is wrong
+ */
+const matchTotpStep = (secret, code) => {
+  if (!secret || !code) return null;
+  try {
+    const now = Date.now();
+    const delta = authenticator.clone({ epoch: now }).checkDelta(String(code).replace(/\s/g, ''), secret);
+    return delta === null ? null : Math.floor(now / 1000 / STEP_SECONDS) + delta;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Check a TOTP code and use it up. A code is valid for a few steps, so the
+ * step is recorded on the user and no code from it or an earlier step is
+ * accepted again - even by a request racing this one.
+ * @param {Object} user - User document
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} [options]
+ * @param {boolean} [options.pending=false] - Check against the secret still being enrolled
+ * @returns {Promise<boolean>}
+ */
+const verifyTotp = async (user, code, { pending = false } = {}) => {
+  const step = matchTotpStep(pending ? user.twoFactorPendingSecret : user.twoFactorSecret, code);
+  if (step === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+    { twoFactorLastStep: step }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Generate a fresh set of single-use recovery codes
+ * @returns {{codes: Array<string>, hashes: Array<string>}} - Show codes once, store hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Use up a recovery code. The code is pulled from the stored user only if it
+ * is still there, so two requests racing with the same code can't both pass.
+ * @param {Object} user - User document, updated to match
+ * @param {string} code - Recovery code entered by the user
+ * @returns {Promise<boolean>} - Whether the code was valid
+ */
+const consumeRecoveryCode = async (user, code) => {
+  if (!code) return false;
+  const hash = hashRecoveryCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, recoveryCodeHashes: hash },
+    { $pull: { recoveryCodeHashes: hash } }
+  );
+  if (modifiedCount !== 1) return false;
+  user.recoveryCodeHashes.pull(hash);
+  return true;
+};
+
+/**
+ * Check a TOTP code or, failing that, a recovery code
+ * @param {Object} user - User document with 2FA enabled
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Promise<{valid: boolean, usedRecoveryCode: boolean}>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && await verifyTotp(user, code)) {
+    return { valid: true, usedRecoveryCode: false };
+  }
+  if (recoveryCode && await consumeRecoveryCode(user, recoveryCode)) {
+    return { valid: true, usedRecoveryCode: true };
+  }
+  return { valid: false, usedRecoveryCode: false };
+};
+
+/**
+ * Sign a challenge token for the second step of a login
+ * @param {Object} user - User document
+ * @param {string} purpose - 'login' (enter a code) or 'setup' (enrollment required)
+ * @returns {string}
+ */
+const createChallengeToken = (user, purpose) => {
+  return jwt.sign({ userId: user._id, purpose }, challengeSecret(), { expiresIn: CHALLENGE_TTL });
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} - Decoded payload, or null when invalid
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, challengeSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  createEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken
+};
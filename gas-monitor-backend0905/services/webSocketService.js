@@ -5,6 +5,13 @@
 
 const { io } = require('../server');
 const { getTelemetryDB } = require('../config/db');
+const {
+  alarmRoomsForPlant,
+  authorizeDeviceSubscription,
+  authorizePlantSubscription
+} = require('../middleware/socketAuthMiddleware');
+const { resolveDeviceEntry, getPlantEntry } = require('./deviceRegistryService');
+const { getDeviceType, getDeviceTypeForDevice, normalizeReading } = require('./deviceTypeService');
 
 /**
  * Initialize WebSocket event handlers
@@ -23,9 +30,13 @@ const initializeWebSocketEvents = () => {
     console.log(`🔌 New client connected: ${socket.id}`);
 
     // Handle device subscription
-    socket.on('subscribe', (deviceId) => {
+    socket.on('subscribe', async (deviceId) => {
+      // Access is checked again here because this handler also sends stored telemetry
+      const { allowed, room } = await authorizeDeviceSubscription(socket, deviceId).catch(() => ({ allowed: false }));
+      if (!allowed) return;
+
       console.log(`👂 Client ${socket.id} subscribed to device: ${deviceId}`);
-      socket.join(`device:${deviceId}`);
+      socket.join(room);
       
       // Send latest telemetry data for this device
       sendLatestTelemetryToClient(socket, deviceId);
@@ -33,6 +44,11 @@ const initializeWebSocketEvents = () => {
 
     // Handle plant subscription
     socket.on('subscribePlant', (plantId) => {
+      if (!authorizePlantSubscription(socket, plantId)) {
+        socket.emit('subscription-error', { plant: plantId, message: 'You do not have access to this plant' });
+        return;
+      }
+
       console.log(`👂 Client ${socket.id} subscribed to plant: ${plantId}`);
       socket.join(`plant:${plantId}`);
       
@@ -62,6 +78,7 @@ const sendLatestTelemetryToClient = async (socket, deviceId) => {
 
     // Get telemetry collection
     const collection = telemetryDB.collection('telemetry');
+    const device = await resolveDeviceEntry(deviceId).catch(() => null);
 
     // Try multiple field name patterns to catch all possibilities
     const query = { 
@@ -69,7 +86,8 @@ const sendLatestTelemetryToClient = async (socket, deviceId) => {
         { DeviceId: deviceId },
         { deviceId: deviceId },
         { device: deviceId },
-        { device_id: deviceId }
+        { device_id: deviceId },
+        ...(device ? [{ DeviceName: device.deviceName }, { deviceName: device.deviceName }] : [])
       ]
     };
 
@@ -80,14 +98,16 @@ const sendLatestTelemetryToClient = async (socket, deviceId) => {
       .toArray();
 
     if (latestData && latestData.length > 0) {
-      // Normalize data format
+      // Normalize data to the metrics of the device's type
+      const deviceType = await getDeviceType(device?.deviceTypeId);
       const normalizedData = {
         deviceId: deviceId,
-        deviceName: latestData[0].DeviceName || latestData[0].deviceName || deviceId,
-        temperature: latestData[0].Temperature || latestData[0].temperature || 0,
-        humidity: latestData[0].Humidity || latestData[0].humidity || 0,
-        oilLevel: latestData[0].OilLevel || latestData[0].oilLevel || 0,
-        timestamp: latestData[0].Timestamp || latestData[0].timestamp || new Date()
+        deviceName: latestData[0].DeviceName || latestData[0].deviceName || device?.deviceName || deviceId,
+        ...normalizeReading(deviceType, latestData[0]),
+        deviceType: deviceType.key,
+        timestamp: latestData[0].Timestamp || latestData[0].timestamp || new Date(),
+        plantId: device?.plantId || null,
+        plantName: device?.plantName || null
       };
 
       // Send to client
@@ -106,13 +126,12 @@ const sendLatestTelemetryToClient = async (socket, deviceId) => {
  */
 const sendLatestPlantDataToClient = async (socket, plantId) => {
   try {
-    // Map plant ID to plant name
-    const plantName = plantId === '1' ? 'Plant C' : plantId === '2' ? 'Plant D' : null;
-    
-    if (!plantName) {
-      console.error(`❌ Invalid plant ID: ${plantId}`);
+    const plant = await getPlantEntry(plantId);
+    if (!plant) {
+      console.error(`❌ Unknown plant ID: ${plantId}`);
       return;
     }
+    const { plantName, deviceNames: allDeviceNames } = plant;
 
     const telemetryDB = getTelemetryDB();
     if (!telemetryDB) {
@@ -123,21 +142,6 @@ const sendLatestPlantDataToClient = async (socket, plantId) => {
     // Get telemetry collection
     const collection = telemetryDB.collection('telemetry');
 
-    // Find all devices in this plant
-    const deviceQuery = { 
-      $or: [
-        { PlantName: plantName },
-        { plantName: plantName }
-      ]
-    };
-
-    // Get distinct device names in this plant
-    const deviceNames = await collection.distinct('DeviceName', deviceQuery);
-    const deviceNamesLowerCase = await collection.distinct('deviceName', deviceQuery);
-    
-    // Combine both lists and remove duplicates
-    const allDeviceNames = [...new Set([...deviceNames, ...deviceNamesLowerCase])];
-
     console.log(`🏭 Found ${allDeviceNames.length} devices in ${plantName}`);
 
     // Get latest telemetry for each device
@@ -158,14 +162,15 @@ const sendLatestPlantDataToClient = async (socket, plantId) => {
         .toArray();
 
       if (latestData && latestData.length > 0) {
-        // Normalize data format
+        // Normalize data to the metrics of the device's type
+        const deviceType = await getDeviceTypeForDevice(deviceName);
         const normalizedData = {
           deviceId: deviceName,
           deviceName: deviceName,
-          temperature: latestData[0].Temperature || latestData[0].temperature || 0,
-          humidity: latestData[0].Humidity || latestData[0].humidity || 0,
-          oilLevel: latestData[0].OilLevel || latestData[0].oilLevel || 0,
+          ...normalizeReading(deviceType, latestData[0]),
+          deviceType: deviceType.key,
           timestamp: latestData[0].Timestamp || latestData[0].timestamp || new Date(),
+          plantId: plant.plantId,
           plantName: plantName
         };
 
@@ -183,7 +188,7 @@ const sendLatestPlantDataToClient = async (socket, plantId) => {
  * Broadcast telemetry data to all subscribed clients
  * @param {Object} telemetryData - Telemetry data
  */
-const broadcastTelemetryData = (telemetryData) => {
+const broadcastTelemetryData = async (telemetryData) => {
   if (!io) {
     console.error('❌ Socket.IO instance not available');
     return;
@@ -191,14 +196,15 @@ const broadcastTelemetryData = (telemetryData) => {
 
   try {
     const deviceId = telemetryData.deviceId || telemetryData.device;
-    const plantId = telemetryData.plantId || 
-                   (telemetryData.plantName === 'Plant D' ? '2' : '1');
+    const device = await resolveDeviceEntry(telemetryData.deviceName || deviceId);
 
-    // Emit to specific device room
-    io.to(`device:${deviceId}`).emit('telemetry', telemetryData);
+    // Device rooms are keyed by the registered device name
+    io.to(`device:${device ? device.deviceName : deviceId}`).emit('telemetry', telemetryData);
     
-    // Also emit to plant room
-    io.to(`plant:${plantId}`).emit('telemetry', telemetryData);
+    // Also emit to the plant room of the registered device
+    if (device) {
+      io.to(`plant:${device.plantId}`).emit('telemetry', telemetryData);
+    }
     
     console.log(`📡 Broadcasted telemetry data for device ${deviceId}`);
   } catch (error) {
@@ -207,10 +213,10 @@ const broadcastTelemetryData = (telemetryData) => {
 };
 
 /**
- * Broadcast alarm data to all subscribed clients
+ * Broadcast alarm data to the clients subscribed to its device, plant and alarm rooms
  * @param {Object} alarmData - Alarm data
  */
-const broadcastAlarmData = (alarmData) => {
+const broadcastAlarmData = async (alarmData) => {
   if (!io) {
     console.error('❌ Socket.IO instance not available');
     return;
@@ -218,20 +224,23 @@ const broadcastAlarmData = (alarmData) => {
 
   try {
     const deviceId = alarmData.deviceId || alarmData.DeviceId;
-    const plantId = alarmData.plantId || 
-                   (alarmData.plantName === 'Plant D' ? '2' : '1');
+    const device = await resolveDeviceEntry(alarmData.deviceName || alarmData.DeviceName || deviceId);
+    const plantId = device ? device.plantId : null;
 
     // Emit to specific device room
-    io.to(`device:${deviceId}`).emit('alarm', alarmData);
+    io.to(`device:${device ? device.deviceName : deviceId}`).emit('alarm', alarmData);
     
-    // Also emit to plant room
-    io.to(`plant:${plantId}`).emit('alarm', alarmData);
+    // Also emit to the plant room of the registered device
+    if (plantId) {
+      io.to(`plant:${plantId}`).emit('alarm', alarmData);
+    }
     
-    // Broadcast to all clients for notifications
-    io.emit('alarm_notification', {
+    // Notify the clients allowed to see alarms for this plant
+    io.to(alarmRoomsForPlant(plantId)).emit('alarm_notification', {
       id: alarmData._id || alarmData.id,
       deviceId: deviceId,
-      deviceName: alarmData.deviceName || alarmData.DeviceName,
+      deviceName: alarmData.deviceName || alarmData.DeviceName || device?.deviceName,
+      plantName: device ? device.plantName : (alarmData.plantName || alarmData.PlantName || ''),
       alarmCode: alarmData.alarmCode || alarmData.AlarmCode,
       description: alarmData.alarmDescription || alarmData.AlarmDescription,
       timestamp: alarmData.createdTimestamp || alarmData.CreatedTimestamp || new Date()
@@ -15,13 +15,37 @@ import Login from './pages/Login';
 
 import Register from './pages/Register';
 
+import ForgotPassword from './pages/ForgotPassword';
+
+import ResetPassword from './pages/ResetPassword';
+
+import VerifyEmail from './pages/VerifyEmail';
+
 import MainDashboard from './pages/MainDashboard';
 
 import PlantDashboard from './pages/PlantDashboard';
+import SiteHierarchy from './pages/SiteHierarchy';
+import Archive from './pages/Archive';
 
 import DeviceDashboard from './pages/DeviceDashboard';
+import DeviceTypes from './pages/DeviceTypes';
+import Firmware from './pages/Firmware';
+import Maintenance from './pages/Maintenance';
+import DeviceTopology from './pages/DeviceTopology';
+import DeviceTemplates from './pages/DeviceTemplates';
 
 import TelemetryDashboard from './pages/TelemetryDashboard';
+
+import UserManagement from './pages/UserManagement';
+
+import AuditLog from './pages/AuditLog';
+
+import AccountSecurity from './pages/AccountSecurity';
+
+import ApiKeys from './pages/ApiKeys';
+
+import TwoFactorSetup from './pages/TwoFactorSetup';
+import SsoCallback from './pages/SsoCallback';
 import PrivateRoute from './components/PrivateRoute';
 
  
@@ -35,6 +59,11 @@ function App() {
         <Routes>
 <Route path="/login" element={<Login />} />
 <Route path="/register" element={<Register />} />
+<Route path="/forgot-password" element={<ForgotPassword />} />
+<Route path="/reset-password" element={<ResetPassword />} />
+<Route path="/verify-email" element={<VerifyEmail />} />
+<Route path="/two-factor-setup" element={<TwoFactorSetup />} />
+<Route path="/sso/callback" element={<SsoCallback />} />
 <Route path="/" element={<PrivateRoute />}>
 
 <Route path="dashboard" element={
@@ -46,18 +75,84 @@ function App() {
 <Route path="plant-dashboard" element={
 <Layout>
 <PlantDashboard />
+</Layout>
+
+              } />
+<Route path="site-hierarchy" element={
+<Layout>
+<SiteHierarchy />
 </Layout>
 
               } />
 <Route path="device-dashboard" element={
 <Layout>
 <DeviceDashboard />
+</Layout>
+
+              } />
+<Route path="device-types" element={
+<Layout>
+<DeviceTypes />
+</Layout>
+
+              } />
+<Route path="firmware" element={
+<Layout>
+<Firmware />
+</Layout>
+
+              } />
+<Route path="device-templates" element={
+<Layout>
+<DeviceTemplates />
+</Layout>
+
+              } />
+<Route path="device-topology" element={
+<Layout>
+<DeviceTopology />
+</Layout>
+
+              } />
+<Route path="maintenance" element={
+<Layout>
+<Maintenance />
 </Layout>
 
               } />
 <Route path="telemetry-dashboard" element={
 <Layout>
 <TelemetryDashboard />
+</Layout>
+
+              } />
+<Route path="users" element={
+<Layout>
+<UserManagement />
+</Layout>
+
+              } />
+<Route path="archive" element={
+<Layout>
+<Archive />
+</Layout>
+
+              } />
+<Route path="audit-log" element={
+<Layout>
+<AuditLog />
+</Layout>
+
+              } />
+<Route path="api-keys" element={
+<Layout>
+<ApiKeys />
+</Layout>
+
+              } />
+<Route path="account/security" element={
+<Layout>
+<AccountSecurity />
 </Layout>
 
               } />
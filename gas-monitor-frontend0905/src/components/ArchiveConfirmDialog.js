@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+  Alert
+} from "@mui/material";
+
+const countLabel = (count, label) => (count === null || count === undefined ? `${label}: unavailable` : `${count} ${label}`);
+
+// Lines describing what the archive takes with it
+const describeDependencies = (dependencies) => {
+  const lines = [];
+  const devices = dependencies.devices || dependencies.childDevices || [];
+  const deviceLabel = dependencies.devices ? "device(s)" : "child device(s)";
+  lines.push({
+    primary: `${devices.length} ${deviceLabel}`,
+    secondary: devices.map((device) => device.deviceName).join(", ") || null
+  });
+  if (dependencies.siteNodes !== undefined) {
+    lines.push({ primary: `${dependencies.siteNodes} building(s), area(s) and zone(s)` });
+  }
+  lines.push({ primary: `${dependencies.thresholds} threshold(s) and ${dependencies.tolerances} tolerance(s)` });
+  lines.push({
+    primary: countLabel(dependencies.alarms, "alarm(s)"),
+    secondary: dependencies.activeAlarms ? `${dependencies.activeAlarms} still active` : null
+  });
+  lines.push({ primary: countLabel(dependencies.notifications, "notification(s)") });
+  lines.push({ primary: countLabel(dependencies.telemetryRecords, "telemetry record(s)") });
+  return lines;
+};
+
+/**
+ * Confirmation for archiving a plant or device. Shows what the archive
+ * affects before the user commits to it.
+ */
+const ArchiveConfirmDialog = ({ open, title, name, loadDependencies, onConfirm, onClose }) => {
+  const [dependencies, setDependencies] = useState(null);
+  const [error, setError] = useState("");
+  const [archiving, setArchiving] = useState(false);
+
+  // Only reload when the dialog opens, not whenever the parent re-renders
+  const loadRef = useRef(loadDependencies);
+  loadRef.current = loadDependencies;
+
+  useEffect(() => {
+    if (!open) return;
+    setDependencies(null);
+    setError("");
+    loadRef.current()
+      .then(setDependencies)
+      .catch((err) => {
+        console.error("Error loading dependencies:", err);
+        setError("Could not load what this affects.");
+      });
+  }, [open]);
+
+  const handleConfirm = async () => {
+    setArchiving(true);
+    try {
+      await onConfirm();
+    } finally {
+      setArchiving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body1" gutterBottom>
+          <strong>{name}</strong> will be archived and hidden everywhere. It can be restored from the
+          Archive page until it is purged, when the following are deleted with it:
+        </Typography>
+        {error && <Alert severity="warning">{error}</Alert>}
+        {!dependencies && !error ? (
+          <CircularProgress size={24} sx={{ mt: 2 }} />
+        ) : (
+          dependencies && (
+            <List dense>
+              {describeDependencies(dependencies).map((line) => (
+                <ListItem key={line.primary}>
+                  <ListItemText primary={line.primary} secondary={line.secondary} />
+                </ListItem>
+              ))}
+            </List>
+          )
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleConfirm} color="error" variant="contained" disabled={archiving}>
+          Archive
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ArchiveConfirmDialog;
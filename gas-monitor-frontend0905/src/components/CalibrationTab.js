@@ -0,0 +1,301 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { getDeviceCalibrations, addCalibrationRecord } from "../services/deviceService";
+
+const KIND_LABELS = { calibration: "Calibration", bump_test: "Bump test" };
+
+const DUE_CHIPS = {
+  ok: { label: "OK", color: "success" },
+  due_soon: { label: "Due soon", color: "warning" },
+  overdue: { label: "Overdue", color: "error" },
+};
+
+// datetime-local value for now in local time
+const nowInputValue = () => {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().slice(0, 16);
+};
+
+const emptyRecord = (sensor = "") => ({
+  sensor,
+  kind: "bump_test",
+  performedAt: nowInputValue(),
+  technician: "",
+  gasName: "",
+  concentration: "",
+  lotNumber: "",
+  asFound: "",
+  asLeft: "",
+  result: "pass",
+  notes: "",
+});
+
+const dueCell = (due) => {
+  if (!due) return <TableCell>Not tracked</TableCell>;
+  const chip = DUE_CHIPS[due.status];
+  return (
+    <TableCell>
+      <Chip size="small" label={chip.label} color={chip.color} sx={{ mr: 1 }} />
+      {new Date(due.dueAt).toLocaleDateString()}
+      {due.lastResult === "fail" && <Chip size="small" label="Last test failed" color="error" variant="outlined" sx={{ ml: 1 }} />}
+      <Typography variant="caption" display="block" color="text.secondary">
+        Every {due.intervalDays} days{due.lastPassAt ? `, last passed ${new Date(due.lastPassAt).toLocaleDateString()}` : ", never passed"}
+      </Typography>
+    </TableCell>
+  );
+};
+
+/**
+ * Calibration and bump-test history of a device's gas sensors, the date each
+ * falls due, and a form to enter a new record.
+ */
+const CalibrationTab = ({ deviceId, metrics }) => {
+  const [calibration, setCalibration] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(emptyRecord());
+  const [formError, setFormError] = useState("");
+
+  const metricOf = (key) => metrics.find((metric) => metric.key === key);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setCalibration(await getDeviceCalibrations(deviceId));
+    } catch (err) {
+      console.error("Error fetching calibrations:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openDialog = (sensor) => {
+    setForm(emptyRecord(sensor || calibration?.due[0]?.sensor || metrics[0]?.key || ""));
+    setFormError("");
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      await addCalibrationRecord(deviceId, {
+        sensor: form.sensor,
+        kind: form.kind,
+        performedAt: new Date(form.performedAt).toISOString(),
+        technician: form.technician,
+        referenceGas: {
+          name: form.gasName,
+          concentration: Number(form.concentration),
+          lotNumber: form.lotNumber,
+        },
+        asFound: Number(form.asFound),
+        asLeft: form.kind === "calibration" && form.asLeft !== "" ? Number(form.asLeft) : undefined,
+        result: form.result,
+        notes: form.notes,
+      });
+      setDialogOpen(false);
+      load();
+    } catch (err) {
+      console.error("Error saving calibration record:", err);
+      setFormError(err.response?.data?.message || "Failed to save the record.");
+    }
+  };
+
+  const field = (name) => ({
+    value: form[name],
+    onChange: (e) => setForm({ ...form, [name]: e.target.value }),
+  });
+
+  if (loading && !calibration) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", my: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const unit = metricOf(form.sensor)?.unit || "";
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+        <Typography variant="h6">Calibration Due Dates</Typography>
+        <Button variant="contained" onClick={() => openDialog()}>
+          Add Record
+        </Button>
+      </Box>
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Sensor</TableCell>
+              <TableCell>Calibration</TableCell>
+              <TableCell>Bump test</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {calibration?.due.length > 0 ? (
+              calibration.due.map((due) => (
+                <TableRow key={due.sensor}>
+                  <TableCell>{due.label}</TableCell>
+                  {dueCell(due.calibration)}
+                  {dueCell(due.bump_test)}
+                  <TableCell>
+                    <Button size="small" onClick={() => openDialog(due.sensor)}>Record test</Button>
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={4}>
+                  No sensor of this device type has a calibration or bump-test interval
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="h6" gutterBottom>
+        History
+      </Typography>
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Sensor</TableCell>
+              <TableCell>Test</TableCell>
+              <TableCell>Technician</TableCell>
+              <TableCell>Reference gas</TableCell>
+              <TableCell>As found</TableCell>
+              <TableCell>As left</TableCell>
+              <TableCell>Result</TableCell>
+              <TableCell>Notes</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {calibration?.records.length > 0 ? (
+              calibration.records.map((record) => (
+                <TableRow key={record._id}>
+                  <TableCell>{new Date(record.performedAt).toLocaleString()}</TableCell>
+                  <TableCell>{metricOf(record.sensor)?.label || record.sensor}</TableCell>
+                  <TableCell>{KIND_LABELS[record.kind]}</TableCell>
+                  <TableCell>{record.technician}</TableCell>
+                  <TableCell>
+                    {record.referenceGas.name} {record.referenceGas.concentration} {record.referenceGas.unit}
+                    {record.referenceGas.lotNumber && (
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        Lot {record.referenceGas.lotNumber}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{record.asFound}</TableCell>
+                  <TableCell>{record.asLeft ?? "—"}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={record.result === "pass" ? "Pass" : "Fail"} color={record.result === "pass" ? "success" : "error"} />
+                  </TableCell>
+                  <TableCell>{record.notes}</TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={9}>No calibrations or bump tests recorded</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Calibration Record</DialogTitle>
+        <DialogContent>
+          {formError && <Alert severity="error" sx={{ mb: 2 }}>{formError}</Alert>}
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <FormControl fullWidth>
+                <InputLabel>Sensor</InputLabel>
+                <Select label="Sensor" {...field("sensor")}>
+                  {metrics.map((metric) => (
+                    <MenuItem key={metric.key} value={metric.key}>
+                      {metric.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl fullWidth>
+                <InputLabel>Test</InputLabel>
+                <Select label="Test" {...field("kind")}>
+                  {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                    <MenuItem key={kind} value={kind}>
+                      {label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField label="Performed at" type="datetime-local" fullWidth InputLabelProps={{ shrink: true }} {...field("performedAt")} />
+              <TextField label="Technician" fullWidth {...field("technician")} />
+            </Box>
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField label="Reference gas" placeholder="CO in air" fullWidth {...field("gasName")} />
+              <TextField label={`Concentration (${unit})`} type="number" fullWidth {...field("concentration")} />
+              <TextField label="Cylinder lot" fullWidth {...field("lotNumber")} />
+            </Box>
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField label={`As found (${unit})`} type="number" fullWidth {...field("asFound")} />
+              {form.kind === "calibration" && (
+                <TextField label={`As left (${unit})`} type="number" fullWidth {...field("asLeft")} />
+              )}
+              <FormControl fullWidth>
+                <InputLabel>Result</InputLabel>
+                <Select label="Result" {...field("result")}>
+                  <MenuItem value="pass">Pass</MenuItem>
+                  <MenuItem value="fail">Fail</MenuItem>
+                </Select>
+              </FormControl>
+            </Box>
+            <TextField label="Notes" multiline minRows={2} fullWidth {...field("notes")} />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained">
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CalibrationTab;
@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  Box
+} from "@mui/material";
+import { getDevices } from "../services/deviceService";
+import { getNextDeviceNames, cloneDevices } from "../services/deviceTemplateService";
+import { INITIAL_LIFECYCLE_STATES, lifecycleLabel } from "./DeviceLifecycleDialog";
+
+const MAX_COUNT = 100;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const resizeUnits = (units, count) =>
+  Array.from({ length: count }, (_, i) => units[i] || { serialNumber: "", macId: "" });
+
+// "serial, MAC" or "serial<tab>MAC" per line, as copied from a spreadsheet
+const parseUnits = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.split(/[,;\t]/).map((part) => part.trim()))
+    .filter(([serialNumber]) => serialNumber)
+    .map(([serialNumber, macId = ""]) => ({ serialNumber, macId }))
+    .slice(0, MAX_COUNT);
+
+/**
+ * Create a batch of devices from a template. Names are numbered on by the
+ * server; every device still needs its own serial number and MAC ID.
+ */
+const CloneDevicesDialog = ({ template, plants, onCloned, onClose }) => {
+  const [plantId, setPlantId] = useState("");
+  const [plantDevices, setPlantDevices] = useState([]);
+  const [parentDeviceId, setParentDeviceId] = useState("");
+  const [namePrefix, setNamePrefix] = useState("");
+  const [units, setUnits] = useState(resizeUnits([], 1));
+  const [pasted, setPasted] = useState("");
+  const [commissionedDate, setCommissionedDate] = useState(today());
+  const [lifecycleState, setLifecycleState] = useState("commissioning");
+  const [names, setNames] = useState([]);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const parentMode = template?.parentRule.mode;
+
+  useEffect(() => {
+    if (!template) return;
+    setPlantId(template.plantId || plants[0]?._id || "");
+    setParentDeviceId(parentMode === "fixed" ? template.parentRule.parentDeviceId : "");
+    setNamePrefix(template.namePrefix);
+    setUnits(resizeUnits([], 1));
+    setPasted("");
+    setCommissionedDate(today());
+    setLifecycleState("commissioning");
+    setError("");
+  }, [template, plants, parentMode]);
+
+  useEffect(() => {
+    if (!template || !plantId) return;
+    getDevices(plantId)
+      .then(setPlantDevices)
+      .catch((err) => console.error("Error fetching devices:", err));
+  }, [template, plantId]);
+
+  useEffect(() => {
+    if (!template || !namePrefix.trim()) return;
+    getNextDeviceNames(template._id, { count: units.length, namePrefix })
+      .then(setNames)
+      .catch((err) => console.error("Error numbering devices:", err));
+  }, [template, namePrefix, units.length]);
+
+  if (!template) return null;
+
+  const parentCandidates = plantDevices.filter(
+    (device) => !template.parentRule.parentDeviceTypeId || device.deviceTypeId === template.parentRule.parentDeviceTypeId
+  );
+  const fixedParent = plantDevices.find((device) => device._id === template.parentRule.parentDeviceId);
+
+  const updateUnit = (index, changes) => setUnits(units.map((unit, i) => (i === index ? { ...unit, ...changes } : unit)));
+
+  const applyPasted = () => {
+    const parsed = parseUnits(pasted);
+    if (parsed.length > 0) setUnits(parsed);
+  };
+
+  const handleClone = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const result = await cloneDevices(template._id, {
+        units,
+        plantId,
+        parentDeviceId: parentDeviceId || null,
+        namePrefix,
+        commissionedDate,
+        lifecycleState,
+      });
+      onCloned(result);
+    } catch (err) {
+      console.error("Error cloning devices:", err);
+      setError(err.response?.data?.message || "Failed to create the devices.");
+      // Names taken in the meantime: show the next free ones
+      if (err.response?.status === 409) {
+        getNextDeviceNames(template._id, { count: units.length, namePrefix }).then(setNames).catch(() => {});
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const complete = plantId && units.every((unit) => unit.serialNumber.trim() && unit.macId.trim());
+
+  return (
+    <Dialog open={Boolean(template)} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Clone Devices from {template.name}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mt: 1, mb: 2 }}>
+          <FormControl sx={{ minWidth: 200 }} disabled={parentMode === "fixed"}>
+            <InputLabel>Plant</InputLabel>
+            <Select label="Plant" value={plantId} onChange={(e) => { setPlantId(e.target.value); setParentDeviceId(""); }}>
+              {plants.map((plant) => (
+                <MenuItem key={plant._id} value={plant._id}>
+                  {plant.plantName}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {parentMode === "fixed" && (
+            <TextField label="Parent device" value={fixedParent?.deviceName || "—"} disabled />
+          )}
+          {(parentMode === "optional" || parentMode === "required") && (
+            <FormControl sx={{ minWidth: 200 }}>
+              <InputLabel>Parent device</InputLabel>
+              <Select label="Parent device" value={parentDeviceId} onChange={(e) => setParentDeviceId(e.target.value)}>
+                {parentMode === "optional" && <MenuItem value="">None (top level)</MenuItem>}
+                {parentCandidates.map((device) => (
+                  <MenuItem key={device._id} value={device._id}>
+                    {device.deviceName}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <TextField label="Name prefix" value={namePrefix} onChange={(e) => setNamePrefix(e.target.value)} />
+          <TextField
+            label="Number of devices"
+            type="number"
+            value={units.length}
+            onChange={(e) => setUnits(resizeUnits(units, Math.min(MAX_COUNT, Math.max(1, parseInt(e.target.value, 10) || 1))))}
+            inputProps={{ min: 1, max: MAX_COUNT }}
+            sx={{ width: 160 }}
+          />
+          <TextField
+            label="Commissioned date"
+            type="date"
+            InputLabelProps={{ shrink: true }}
+            value={commissionedDate}
+            onChange={(e) => setCommissionedDate(e.target.value)}
+          />
+          <FormControl sx={{ minWidth: 160 }}>
+            <InputLabel>Initial state</InputLabel>
+            <Select label="Initial state" value={lifecycleState} onChange={(e) => setLifecycleState(e.target.value)}>
+              {INITIAL_LIFECYCLE_STATES.map((state) => (
+                <MenuItem key={state} value={state}>
+                  {lifecycleLabel(state)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <Box sx={{ display: "flex", gap: 1, alignItems: "flex-start", mb: 2 }}>
+          <TextField
+            label="Paste serial numbers and MAC IDs"
+            placeholder={"SN-1001, AA:BB:CC:00:00:01\nSN-1002, AA:BB:CC:00:00:02"}
+            multiline
+            minRows={2}
+            fullWidth
+            value={pasted}
+            onChange={(e) => setPasted(e.target.value)}
+            helperText="One device per line: serial number, MAC ID"
+          />
+          <Button onClick={applyPasted} disabled={!pasted.trim()}>
+            Fill In
+          </Button>
+        </Box>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Serial Number</TableCell>
+              <TableCell>MAC ID</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {units.map((unit, index) => (
+              <TableRow key={index}>
+                <TableCell>{names[index] || "…"}</TableCell>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    value={unit.serialNumber}
+                    onChange={(e) => updateUnit(index, { serialNumber: e.target.value })}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField size="small" value={unit.macId} onChange={(e) => updateUnit(index, { macId: e.target.value })} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        <Typography variant="caption" color="text.secondary">
+          Each device gets the template's type, tags, thresholds and tolerances.
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleClone}
+          disabled={busy || !complete || (parentMode === "required" && !parentDeviceId)}
+        >
+          Create {units.length} Device{units.length === 1 ? "" : "s"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CloneDevicesDialog;
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from "react";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import {
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+  IconButton,
+  Button
+} from "@mui/material";
+import * as settingsService from "../services/settingsService";
+
+/**
+ * Admin editor for the commissioning checklist. Devices copy the list when
+ * they enter commissioning, so changes apply from the next commissioning on.
+ */
+const CommissioningChecklistSettings = () => {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    settingsService.getSettings()
+      .then((settings) => setItems(settings.commissioningChecklist || []))
+      .catch((err) => console.error("Error fetching settings:", err));
+  }, []);
+
+  const updateItem = (index, changes) => {
+    setItems((current) => current.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleSave = async () => {
+    try {
+      // Keys are derived from the label on the server for new items
+      const settings = await settingsService.updateSettings({ commissioningChecklist: items });
+      setItems(settings.commissioningChecklist);
+      alert("Commissioning checklist saved.");
+    } catch (err) {
+      console.error("Error updating settings:", err);
+      alert(err.response?.data?.message || "Failed to save the checklist.");
+    }
+  };
+
+  return (
+    <Paper sx={{ padding: 2, marginBottom: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Commissioning Checklist
+      </Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Required items must be ticked before a commissioning device can go into service.
+      </Typography>
+      {items.map((item, index) => (
+        <Box key={item.key || `new-${index}`} sx={{ display: "flex", gap: 2, alignItems: "center", mb: 1 }}>
+          <TextField
+            size="small"
+            label="Item"
+            value={item.label}
+            onChange={(e) => updateItem(index, { label: e.target.value })}
+            sx={{ flex: 1 }}
+          />
+          <FormControlLabel
+            control={<Checkbox checked={item.required} onChange={(e) => updateItem(index, { required: e.target.checked })} />}
+            label="Required"
+          />
+          <IconButton color="error" onClick={() => setItems(items.filter((_, i) => i !== index))}>
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+      ))}
+      <Box sx={{ display: "flex", gap: 2, mt: 1 }}>
+        <Button startIcon={<AddIcon />} onClick={() => setItems([...items, { label: "", required: true }])}>
+          Add Item
+        </Button>
+        <Button variant="contained" onClick={handleSave}>
+          Save Checklist
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default CommissioningChecklistSettings;
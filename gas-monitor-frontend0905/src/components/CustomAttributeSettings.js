@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import {
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  IconButton,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from "@mui/material";
+import * as attributeService from "../services/attributeService";
+
+const TYPE_LABELS = { string: "Text", number: "Number", boolean: "Yes / No", date: "Date", enum: "List" };
+
+const EMPTY_ATTRIBUTE = { key: "", label: "", type: "string", appliesTo: "device", options: "" };
+
+/**
+ * Admin editor for the custom attributes devices and plants can carry.
+ * Key, type and target are fixed once an attribute exists.
+ */
+const CustomAttributeSettings = () => {
+  const [attributes, setAttributes] = useState([]);
+  const [form, setForm] = useState(EMPTY_ATTRIBUTE);
+
+  const loadAttributes = () =>
+    attributeService.getAttributes()
+      .then(setAttributes)
+      .catch((err) => console.error("Error fetching attributes:", err));
+
+  useEffect(() => {
+    loadAttributes();
+  }, []);
+
+  const parseOptions = (text) => text.split(",").map((option) => option.trim()).filter(Boolean);
+
+  const handleAdd = async () => {
+    try {
+      await attributeService.createAttribute({ ...form, options: parseOptions(form.options) });
+      setForm(EMPTY_ATTRIBUTE);
+      loadAttributes();
+    } catch (err) {
+      console.error("Error adding attribute:", err);
+      alert(err.response?.data?.message || "Failed to add the attribute.");
+    }
+  };
+
+  const handleRename = async (attribute, label) => {
+    if (!label.trim() || label === attribute.label) return;
+    try {
+      await attributeService.updateAttribute(attribute._id, { label });
+      loadAttributes();
+    } catch (err) {
+      console.error("Error updating attribute:", err);
+      alert(err.response?.data?.message || "Failed to update the attribute.");
+    }
+  };
+
+  const handleOptionsChange = async (attribute, text) => {
+    try {
+      await attributeService.updateAttribute(attribute._id, { options: parseOptions(text) });
+      loadAttributes();
+    } catch (err) {
+      console.error("Error updating attribute:", err);
+      alert(err.response?.data?.message || "Failed to update the attribute.");
+    }
+  };
+
+  const handleDelete = async (attribute) => {
+    if (!window.confirm(`Delete ${attribute.label}? Its value is removed from every ${attribute.appliesTo}.`)) return;
+    try {
+      const result = await attributeService.deleteAttribute(attribute._id);
+      alert(result.message);
+      loadAttributes();
+    } catch (err) {
+      console.error("Error deleting attribute:", err);
+      alert(err.response?.data?.message || "Failed to delete the attribute.");
+    }
+  };
+
+  return (
+    <Paper sx={{ padding: 2, marginBottom: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Custom Attributes
+      </Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Typed fields devices and plants can be given, and filtered by.
+      </Typography>
+      {attributes.length > 0 && (
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Label</TableCell>
+              <TableCell>Key</TableCell>
+              <TableCell>On</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Options</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {attributes.map((attribute) => (
+              <TableRow key={attribute._id}>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    variant="standard"
+                    defaultValue={attribute.label}
+                    onBlur={(e) => handleRename(attribute, e.target.value)}
+                  />
+                </TableCell>
+                <TableCell>{attribute.key}</TableCell>
+                <TableCell>{attribute.appliesTo === "plant" ? "Plants" : "Devices"}</TableCell>
+                <TableCell>{TYPE_LABELS[attribute.type]}</TableCell>
+                <TableCell>
+                  {attribute.type === "enum" ? (
+                    <TextField
+                      size="small"
+                      variant="standard"
+                      defaultValue={attribute.options.join(", ")}
+                      onBlur={(e) => handleOptionsChange(attribute, e.target.value)}
+                    />
+                  ) : (
+                    "—"
+                  )}
+                </TableCell>
+                <TableCell>
+                  <IconButton color="error" onClick={() => handleDelete(attribute)}>
+                    <DeleteIcon />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+      <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", alignItems: "center" }}>
+        <TextField size="small" label="Label" value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} />
+        <TextField
+          size="small"
+          label="Key"
+          value={form.key}
+          onChange={(e) => setForm({ ...form, key: e.target.value })}
+          helperText="Letters, digits and underscores"
+        />
+        <FormControl size="small" sx={{ minWidth: 120 }}>
+          <InputLabel>On</InputLabel>
+          <Select label="On" value={form.appliesTo} onChange={(e) => setForm({ ...form, appliesTo: e.target.value })}>
+            <MenuItem value="device">Devices</MenuItem>
+            <MenuItem value="plant">Plants</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 120 }}>
+          <InputLabel>Type</InputLabel>
+          <Select label="Type" value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+            {Object.entries(TYPE_LABELS).map(([type, label]) => (
+              <MenuItem key={type} value={type}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {form.type === "enum" && (
+          <TextField
+            size="small"
+            label="Options"
+            value={form.options}
+            onChange={(e) => setForm({ ...form, options: e.target.value })}
+            helperText="Comma-separated"
+          />
+        )}
+        <Button startIcon={<AddIcon />} variant="contained" onClick={handleAdd} disabled={!form.key || !form.label}>
+          Add Attribute
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default CustomAttributeSettings;
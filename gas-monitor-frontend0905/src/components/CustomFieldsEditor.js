@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import {
+  Box,
+  Typography,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  IconButton,
+  Button
+} from "@mui/material";
+import { getAttributes } from "../services/attributeService";
+
+// Tag maps as editable rows and back; rows keep their order while being typed in
+export const tagsToRows = (tags = {}) => Object.entries(tags).map(([key, value]) => ({ key, value }));
+
+export const rowsToTags = (rows) =>
+  rows.reduce((tags, row) => (row.key.trim() ? { ...tags, [row.key.trim()]: row.value } : tags), {});
+
+// Date attributes travel as ISO strings; the date input wants YYYY-MM-DD
+const inputValue = (definition, value) => {
+  if (value === undefined || value === null) return "";
+  if (definition.type === "date") return String(value).slice(0, 10);
+  return String(value);
+};
+
+/**
+ * Editor for the tags and custom attributes of a device or plant.
+ * tagRows is a list of { key, value } (see tagsToRows); attributes is
+ * { key: value } for the attributes defined for the target. Without a
+ * target only the tags are edited.
+ */
+const CustomFieldsEditor = ({ target, tagRows, attributes, onTagRowsChange, onAttributesChange }) => {
+  const [definitions, setDefinitions] = useState([]);
+
+  useEffect(() => {
+    if (!target) return;
+    getAttributes(target)
+      .then(setDefinitions)
+      .catch((err) => console.error("Error fetching attributes:", err));
+  }, [target]);
+
+  const updateRow = (index, changes) => {
+    onTagRowsChange(tagRows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const renderAttributeInput = (definition) => {
+    const value = inputValue(definition, attributes[definition.key]);
+    const setValue = (next) => onAttributesChange({ ...attributes, [definition.key]: next });
+
+    if (definition.type === "enum" || definition.type === "boolean") {
+      const options = definition.type === "enum" ? definition.options : ["true", "false"];
+      return (
+        <FormControl key={definition.key} size="small" sx={{ minWidth: 180 }}>
+          <InputLabel>{definition.label}</InputLabel>
+          <Select label={definition.label} value={value} onChange={(e) => setValue(e.target.value)}>
+            <MenuItem value="">Not set</MenuItem>
+            {options.map((option) => (
+              <MenuItem key={option} value={option}>
+                {definition.type === "boolean" ? (option === "true" ? "Yes" : "No") : option}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      );
+    }
+    return (
+      <TextField
+        key={definition.key}
+        size="small"
+        label={definition.label}
+        type={definition.type === "number" ? "number" : definition.type === "date" ? "date" : "text"}
+        InputLabelProps={definition.type === "date" ? { shrink: true } : undefined}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        helperText={definition.description || undefined}
+      />
+    );
+  };
+
+  return (
+    <Box>
+      {definitions.length > 0 && (
+        <>
+          <Typography variant="subtitle2" gutterBottom>
+            Attributes
+          </Typography>
+          <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mb: 2 }}>
+            {definitions.map(renderAttributeInput)}
+          </Box>
+        </>
+      )}
+      <Typography variant="subtitle2" gutterBottom>
+        Tags
+      </Typography>
+      {tagRows.map((row, index) => (
+        <Box key={index} sx={{ display: "flex", gap: 1, alignItems: "center", mb: 1 }}>
+          <TextField size="small" label="Key" value={row.key} onChange={(e) => updateRow(index, { key: e.target.value })} />
+          <TextField size="small" label="Value" value={row.value} onChange={(e) => updateRow(index, { value: e.target.value })} />
+          <IconButton size="small" onClick={() => onTagRowsChange(tagRows.filter((_, i) => i !== index))}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+      <Button size="small" startIcon={<AddIcon />} onClick={() => onTagRowsChange([...tagRows, { key: "", value: "" }])}>
+        Add Tag
+      </Button>
+    </Box>
+  );
+};
+
+export default CustomFieldsEditor;
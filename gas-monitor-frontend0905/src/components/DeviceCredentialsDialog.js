@@ -0,0 +1,49 @@
+import React from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Alert
+} from "@mui/material";
+
+const CredentialField = ({ label, value }) => (
+  <>
+    <Typography variant="subtitle2" sx={{ mt: 2 }}>{label}</Typography>
+    <Typography sx={{ fontFamily: "monospace", wordBreak: "break-all" }}>{value || "—"}</Typography>
+  </>
+);
+
+/**
+ * Connection credentials of a newly provisioned device. The server does not
+ * keep them, so this is the only time they are shown.
+ */
+const DeviceCredentialsDialog = ({ credentials, onClose }) => (
+  <Dialog open={Boolean(credentials)} onClose={onClose} maxWidth="sm" fullWidth>
+    <DialogTitle>Device Provisioned</DialogTitle>
+    <DialogContent>
+      <Alert severity="warning">
+        Copy the connection string into the device configuration now; it will not be shown again.
+      </Alert>
+      <CredentialField label="IoT Hub Device ID" value={credentials?.deviceId} />
+      <CredentialField label="Connection String" value={credentials?.connectionString} />
+      <CredentialField label="Primary Key" value={credentials?.primaryKey} />
+      <CredentialField label="Secondary Key" value={credentials?.secondaryKey} />
+    </DialogContent>
+    <DialogActions>
+      <Button
+        onClick={() => navigator.clipboard?.writeText(credentials?.connectionString || "")}
+        disabled={!credentials?.connectionString}
+      >
+        Copy Connection String
+      </Button>
+      <Button onClick={onClose} variant="contained">
+        Done
+      </Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default DeviceCredentialsDialog;
@@ -0,0 +1,360 @@
+import React, { useEffect, useState } from "react";
+import AddIcon from "@mui/icons-material/Add";
+import {
+  Paper,
+  Box,
+  Typography,
+  Chip,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from "@mui/material";
+import FilterPresetSelect from "./FilterPresetSelect";
+import { LIFECYCLE_CHIPS, lifecycleLabel } from "./DeviceLifecycleDialog";
+import { getAttributes } from "../services/attributeService";
+import * as filterPresetService from "../services/filterPresetService";
+import { useAuth } from "../context/AuthContext";
+
+// Filter fields a condition can be added to, and the attribute target of each
+const SCOPES = {
+  tags: { label: "Device tag", target: "device" },
+  attributes: { label: "Device attribute", target: "device" },
+  plantTags: { label: "Plant tag", target: "plant" },
+  plantAttributes: { label: "Plant attribute", target: "plant" },
+  lifecycleState: { label: "Lifecycle state" },
+};
+
+const OPERATOR_LABELS = { eq: "=", ne: "≠", gt: ">", gte: "≥", lt: "<", lte: "≤" };
+const ORDERED_TYPES = ["number", "date"];
+
+const EMPTY_CONDITION = { scope: "tags", key: "", operator: "eq", value: "" };
+
+// The plant picker of each page stays in charge of the plant; presets are plant-independent
+const withoutPlant = ({ plantId, ...filter } = {}) => filter;
+
+export const isFilterEmpty = (filter) => Object.keys(withoutPlant(filter)).length === 0;
+
+/**
+ * Tag, attribute and lifecycle conditions for the device list, with saved
+ * presets. filter is in the query form GET /api/devices takes.
+ */
+const DeviceFilterBar = ({ filter, onChange }) => {
+  const { user } = useAuth();
+  const [definitions, setDefinitions] = useState([]);
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState("");
+  const [conditionOpen, setConditionOpen] = useState(false);
+  const [condition, setCondition] = useState(EMPTY_CONDITION);
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [presetName, setPresetName] = useState("");
+  const [presetShared, setPresetShared] = useState(false);
+
+  const loadPresets = () =>
+    filterPresetService.getFilterPresets()
+      .then(setPresets)
+      .catch((err) => console.error("Error fetching filter presets:", err));
+
+  useEffect(() => {
+    getAttributes()
+      .then(setDefinitions)
+      .catch((err) => console.error("Error fetching attributes:", err));
+    loadPresets();
+  }, []);
+
+  const selectedPreset = presets.find((preset) => preset._id === presetId);
+  const ownsSelected = selectedPreset && (selectedPreset.ownerId === user?.id || user?.role === "admin");
+
+  const definitionOf = (target, key) => definitions.find((d) => d.appliesTo === target && d.key === key);
+
+  const handlePresetChange = (preset) => {
+    setPresetId(preset?._id || "");
+    onChange(preset ? withoutPlant(preset.filter) : {});
+  };
+
+  const removeCondition = (field, key, operator) => {
+    const next = { ...filter };
+    if (field === "lifecycleState") {
+      delete next.lifecycleState;
+    } else if (operator) {
+      const comparisons = { ...next[field][key] };
+      delete comparisons[operator];
+      next[field] = { ...next[field], [key]: comparisons };
+      if (Object.keys(comparisons).length === 0) delete next[field][key];
+    } else {
+      next[field] = { ...next[field] };
+      delete next[field][key];
+    }
+    if (next[field] && typeof next[field] === "object" && Object.keys(next[field]).length === 0) delete next[field];
+    onChange(next);
+  };
+
+  const handleAddCondition = () => {
+    const { scope, key, operator, value } = condition;
+    const next = { ...filter };
+    if (scope === "lifecycleState") {
+      next.lifecycleState = value;
+    } else if (scope === "tags" || scope === "plantTags") {
+      next[scope] = { ...next[scope], [key.trim()]: value };
+    } else {
+      const current = next[scope]?.[key];
+      const comparisons = current && typeof current === "object" ? current : current !== undefined ? { eq: current } : {};
+      next[scope] = { ...next[scope], [key]: { ...comparisons, [operator]: value } };
+    }
+    onChange(next);
+    setConditionOpen(false);
+    setCondition(EMPTY_CONDITION);
+  };
+
+  const handleSavePreset = async (asNew) => {
+    try {
+      const data = { name: presetName, shared: presetShared, filter: withoutPlant(filter) };
+      const saved = asNew
+        ? await filterPresetService.createFilterPreset(data)
+        : await filterPresetService.updateFilterPreset(presetId, data);
+      await loadPresets();
+      setPresetId(saved._id);
+      setSaveOpen(false);
+    } catch (err) {
+      console.error("Error saving filter preset:", err);
+      alert(err.response?.data?.message || "Failed to save the filter preset.");
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    if (!window.confirm(`Delete filter preset ${selectedPreset.name}?`)) return;
+    try {
+      await filterPresetService.deleteFilterPreset(presetId);
+      setPresetId("");
+      loadPresets();
+    } catch (err) {
+      console.error("Error deleting filter preset:", err);
+      alert(err.response?.data?.message || "Failed to delete the filter preset.");
+    }
+  };
+
+  const openSaveDialog = () => {
+    setPresetName(selectedPreset?.name || "");
+    setPresetShared(Boolean(selectedPreset?.shared));
+    setSaveOpen(true);
+  };
+
+  // One chip per condition
+  const chips = [];
+  Object.entries(SCOPES).forEach(([field, { target }]) => {
+    const value = filter[field];
+    if (value === undefined) return;
+    if (field === "lifecycleState") {
+      const states = Array.isArray(value) ? value : String(value).split(",");
+      chips.push({ id: field, label: `Lifecycle: ${states.map(lifecycleLabel).join(" or ")}`, remove: () => removeCondition(field) });
+      return;
+    }
+    const prefix = target === "plant" ? "Plant " : "";
+    Object.entries(value).forEach(([key, condition]) => {
+      if (field === "tags" || field === "plantTags") {
+        const text = condition === "*" ? `${prefix}#${key}` : `${prefix}#${key} = ${condition}`;
+        chips.push({ id: `${field}.${key}`, label: text, remove: () => removeCondition(field, key) });
+        return;
+      }
+      const name = `${prefix}${definitionOf(target, key)?.label || key}`;
+      if (condition && typeof condition === "object") {
+        Object.entries(condition).forEach(([operator, operand]) => {
+          chips.push({
+            id: `${field}.${key}.${operator}`,
+            label: `${name} ${OPERATOR_LABELS[operator] || operator} ${operand}`,
+            remove: () => removeCondition(field, key, operator),
+          });
+        });
+      } else {
+        chips.push({ id: `${field}.${key}`, label: `${name} = ${condition}`, remove: () => removeCondition(field, key) });
+      }
+    });
+  });
+  if (filter.deviceTypeId) {
+    chips.push({
+      id: "deviceTypeId",
+      label: "Device type",
+      remove: () => {
+        const next = { ...filter };
+        delete next.deviceTypeId;
+        onChange(next);
+      },
+    });
+  }
+
+  // Inputs of the condition dialog
+  const scopeTarget = SCOPES[condition.scope].target;
+  const isTagScope = condition.scope === "tags" || condition.scope === "plantTags";
+  const isAttributeScope = condition.scope === "attributes" || condition.scope === "plantAttributes";
+  const conditionDefinition = isAttributeScope ? definitionOf(scopeTarget, condition.key) : null;
+  const operators = conditionDefinition && ORDERED_TYPES.includes(conditionDefinition.type)
+    ? Object.keys(OPERATOR_LABELS)
+    : ["eq", "ne"];
+
+  const renderValueInput = () => {
+    if (condition.scope === "lifecycleState") {
+      return (
+        <FormControl fullWidth>
+          <InputLabel>State</InputLabel>
+          <Select label="State" value={condition.value} onChange={(e) => setCondition({ ...condition, value: e.target.value })}>
+            {Object.keys(LIFECYCLE_CHIPS).map((state) => (
+              <MenuItem key={state} value={state}>
+                {lifecycleLabel(state)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      );
+    }
+    if (conditionDefinition && (conditionDefinition.type === "enum" || conditionDefinition.type === "boolean")) {
+      const options = conditionDefinition.type === "enum" ? conditionDefinition.options : ["true", "false"];
+      return (
+        <FormControl fullWidth>
+          <InputLabel>Value</InputLabel>
+          <Select label="Value" value={condition.value} onChange={(e) => setCondition({ ...condition, value: e.target.value })}>
+            {options.map((option) => (
+              <MenuItem key={option} value={option}>
+                {option}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      );
+    }
+    const type = conditionDefinition?.type;
+    return (
+      <TextField
+        label="Value"
+        fullWidth
+        type={type === "number" ? "number" : type === "date" ? "date" : "text"}
+        InputLabelProps={type === "date" ? { shrink: true } : undefined}
+        value={condition.value}
+        onChange={(e) => setCondition({ ...condition, value: e.target.value })}
+        helperText={isTagScope ? "* matches any value" : undefined}
+      />
+    );
+  };
+
+  const conditionComplete = condition.value !== "" && (condition.scope === "lifecycleState" || condition.key.trim() !== "");
+
+  return (
+    <Paper sx={{ padding: 2, marginBottom: 3 }}>
+      <Box sx={{ display: "flex", gap: 2, alignItems: "center", flexWrap: "wrap" }}>
+        <Typography variant="h6">Filter</Typography>
+        <FilterPresetSelect presets={presets} value={presetId} onChange={handlePresetChange} />
+        {chips.map((chip) => (
+          <Chip key={chip.id} label={chip.label} onDelete={chip.remove} />
+        ))}
+        <Button size="small" startIcon={<AddIcon />} onClick={() => setConditionOpen(true)}>
+          Add Condition
+        </Button>
+        <Box sx={{ flex: 1 }} />
+        {!isFilterEmpty(filter) && (
+          <Button size="small" onClick={() => handlePresetChange(null)}>
+            Clear
+          </Button>
+        )}
+        {ownsSelected && (
+          <Button size="small" color="error" onClick={handleDeletePreset}>
+            Delete Preset
+          </Button>
+        )}
+        <Button size="small" variant="outlined" onClick={openSaveDialog} disabled={isFilterEmpty(filter)}>
+          Save Preset
+        </Button>
+      </Box>
+
+      <Dialog open={conditionOpen} onClose={() => setConditionOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Add Condition</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+            <FormControl fullWidth>
+              <InputLabel>On</InputLabel>
+              <Select
+                label="On"
+                value={condition.scope}
+                onChange={(e) => setCondition({ ...EMPTY_CONDITION, scope: e.target.value })}
+              >
+                {Object.entries(SCOPES).map(([scope, { label }]) => (
+                  <MenuItem key={scope} value={scope}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {isTagScope && (
+              <TextField label="Tag" fullWidth value={condition.key} onChange={(e) => setCondition({ ...condition, key: e.target.value })} />
+            )}
+            {isAttributeScope && (
+              <FormControl fullWidth>
+                <InputLabel>Attribute</InputLabel>
+                <Select
+                  label="Attribute"
+                  value={condition.key}
+                  onChange={(e) => setCondition({ ...condition, key: e.target.value, operator: "eq", value: "" })}
+                >
+                  {definitions.filter((d) => d.appliesTo === scopeTarget).map((d) => (
+                    <MenuItem key={d._id} value={d.key}>
+                      {d.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            {isAttributeScope && (
+              <FormControl fullWidth>
+                <InputLabel>Comparison</InputLabel>
+                <Select label="Comparison" value={condition.operator} onChange={(e) => setCondition({ ...condition, operator: e.target.value })}>
+                  {operators.map((operator) => (
+                    <MenuItem key={operator} value={operator}>
+                      {OPERATOR_LABELS[operator]}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            {renderValueInput()}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConditionOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleAddCondition} disabled={!conditionComplete}>
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={saveOpen} onClose={() => setSaveOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Save Filter Preset</DialogTitle>
+        <DialogContent>
+          <TextField label="Name" fullWidth sx={{ mt: 1 }} value={presetName} onChange={(e) => setPresetName(e.target.value)} />
+          <FormControlLabel
+            control={<Checkbox checked={presetShared} onChange={(e) => setPresetShared(e.target.checked)} />}
+            label="Share with other users"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveOpen(false)}>Cancel</Button>
+          {ownsSelected && (
+            <Button onClick={() => handleSavePreset(false)} disabled={!presetName.trim()}>
+              Update {selectedPreset.name}
+            </Button>
+          )}
+          <Button variant="contained" onClick={() => handleSavePreset(true)} disabled={!presetName.trim()}>
+            Save as New
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default DeviceFilterBar;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  CircularProgress,
+  Alert,
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from "@mui/material";
+import { importDevices } from "../services/deviceService";
+import { INITIAL_LIFECYCLE_STATES, lifecycleLabel } from "./DeviceLifecycleDialog";
+
+const COLUMN_HELP =
+  "Columns: Device Name, Serial Number, MAC ID, Commissioned Date (required), Plant, Parent Serial Number, Device Type, Lifecycle State. " +
+  "Rows without a plant go to the selected plant and rows without a lifecycle state start in the initial state below; " +
+  "parents are named by serial number and may be other rows of the file.";
+
+/**
+ * Bulk device import. The file is validated first and the row-level report
+ * shown; the import itself is only offered once every row is valid.
+ */
+const DeviceImportDialog = ({ open, plantId, plantName, onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [lifecycleState, setLifecycleState] = useState("in_service");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setFile(null);
+    setLifecycleState("in_service");
+    setReport(null);
+    setError("");
+  }, [open]);
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    setError("");
+    try {
+      const result = await importDevices(file, { plantId, lifecycleState, dryRun });
+      setReport(result);
+      if (!dryRun) onImported(result);
+    } catch (err) {
+      console.error("Error importing devices:", err);
+      // A rejected import still carries its report
+      if (err.response?.data?.rows) setReport(err.response.data);
+      setError(err.response?.data?.message || "Failed to import devices.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The report was for the previous initial state
+  const handleLifecycleStateChange = (e) => {
+    setLifecycleState(e.target.value);
+    setReport(null);
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setError("");
+  };
+
+  const canImport = report?.dryRun && report.totalRows > 0 && report.invalidRows === 0;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import Devices{plantName ? ` into ${plantName}` : ""}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {COLUMN_HELP}
+        </Typography>
+        <Box sx={{ display: "flex", gap: 2, alignItems: "center", my: 2 }}>
+          <Button variant="outlined" component="label">
+            Choose File
+            <input type="file" hidden accept=".csv,.xlsx" onChange={handleFileChange} />
+          </Button>
+          <Typography variant="body2">{file ? file.name : "No file chosen"}</Typography>
+          <FormControl size="small" sx={{ minWidth: 160, ml: "auto" }}>
+            <InputLabel>Initial state</InputLabel>
+            <Select label="Initial state" value={lifecycleState} onChange={handleLifecycleStateChange}>
+              {INITIAL_LIFECYCLE_STATES.map((state) => (
+                <MenuItem key={state} value={state}>
+                  {lifecycleLabel(state)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {busy && <CircularProgress size={20} />}
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {report && (
+          <>
+            <Alert severity={report.invalidRows > 0 ? "warning" : "success"} sx={{ mb: 2 }}>
+              {report.created
+                ? report.message
+                : `${report.validRows} of ${report.totalRows} row(s) valid, ${report.invalidRows} with errors.`}
+              {report.ignoredColumns?.length > 0 && ` Ignored column(s): ${report.ignoredColumns.join(", ")}.`}
+            </Alert>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Device Name</TableCell>
+                  <TableCell>Serial Number</TableCell>
+                  <TableCell>Plant</TableCell>
+                  <TableCell>Parent</TableCell>
+                  <TableCell>State</TableCell>
+                  <TableCell>Status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.rows.map((row) => (
+                  <TableRow key={row.rowNumber}>
+                    <TableCell>{row.rowNumber}</TableCell>
+                    <TableCell>{row.deviceName || "—"}</TableCell>
+                    <TableCell>{row.serialNumber || "—"}</TableCell>
+                    <TableCell>{row.plantName || "—"}</TableCell>
+                    <TableCell>{row.parentSerialNumber || "—"}</TableCell>
+                    <TableCell>{row.lifecycleState ? lifecycleLabel(row.lifecycleState) : "—"}</TableCell>
+                    <TableCell>
+                      {row.status === "valid" ? (
+                        <Chip size="small" color="success" label="Valid" />
+                      ) : (
+                        row.errors.map((message) => (
+                          <Typography key={message} variant="body2" color="error">
+                            {message}
+                          </Typography>
+                        ))
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button onClick={() => run(true)} disabled={!file || busy}>
+          Validate
+        </Button>
+        <Button onClick={() => run(false)} variant="contained" disabled={!canImport || busy}>
+          Import {canImport ? `${report.validRows} Device(s)` : ""}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DeviceImportDialog;
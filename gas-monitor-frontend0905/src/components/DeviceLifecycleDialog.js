@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  Checkbox,
+  FormControlLabel,
+  TextField,
+  Alert,
+  Box
+} from "@mui/material";
+import { getDeviceLifecycle, changeDeviceLifecycle, updateChecklistItem } from "../services/deviceService";
+
+export const LIFECYCLE_CHIPS = {
+  planned: { label: "Planned", color: "default" },
+  installed: { label: "Installed", color: "info" },
+  commissioning: { label: "Commissioning", color: "warning" },
+  in_service: { label: "In service", color: "success" },
+  under_maintenance: { label: "Under maintenance", color: "warning" },
+  decommissioned: { label: "Decommissioned", color: "default" },
+};
+
+// States a new device can be added in; the server defaults to in service
+export const INITIAL_LIFECYCLE_STATES = ["planned", "installed", "commissioning", "in_service"];
+
+export const lifecycleLabel = (state) => LIFECYCLE_CHIPS[state]?.label || state || "—";
+
+/**
+ * Lifecycle of one device: its state and the transitions it can make, the
+ * commissioning checklist and the full state history.
+ */
+const DeviceLifecycleDialog = ({ device, onChanged, onClose }) => {
+  const [lifecycle, setLifecycle] = useState(null);
+  const [note, setNote] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!device) return;
+    setLifecycle(null);
+    setNote("");
+    setError("");
+    getDeviceLifecycle(device._id)
+      .then(setLifecycle)
+      .catch((err) => {
+        console.error("Error fetching device lifecycle:", err);
+        setError(err.response?.data?.message || "Failed to load the lifecycle.");
+      });
+  }, [device]);
+
+  const run = async (request) => {
+    setBusy(true);
+    setError("");
+    try {
+      setLifecycle(await request());
+      onChanged();
+    } catch (err) {
+      console.error("Error updating device lifecycle:", err);
+      setError(err.response?.data?.message || "Failed to update the lifecycle.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTransition = (state) => run(async () => {
+    const result = await changeDeviceLifecycle(device._id, state, note);
+    setNote("");
+    return result;
+  });
+
+  const handleChecklist = (item) => run(() => updateChecklistItem(device._id, item.key, !item.done));
+
+  const commissioning = lifecycle?.state === "commissioning";
+
+  return (
+    <Dialog open={Boolean(device)} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Lifecycle of {device?.deviceName}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {lifecycle && (
+          <>
+            <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
+              <Typography>Current state:</Typography>
+              <Chip label={lifecycleLabel(lifecycle.state)} color={LIFECYCLE_CHIPS[lifecycle.state]?.color || "default"} />
+              {lifecycle.changedAt && (
+                <Typography variant="body2" color="text.secondary">
+                  since {new Date(lifecycle.changedAt).toLocaleString()}
+                </Typography>
+              )}
+            </Box>
+            {lifecycle.state !== "in_service" && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Alarms from this device are suppressed until it is in service.
+              </Alert>
+            )}
+
+            {lifecycle.allowedTransitions.length > 0 && (
+              <Box sx={{ display: "flex", gap: 1, alignItems: "center", flexWrap: "wrap", mb: 3 }}>
+                <TextField
+                  size="small"
+                  label="Note"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  sx={{ flex: 1, minWidth: 200 }}
+                />
+                {lifecycle.allowedTransitions.map((state) => (
+                  <Button
+                    key={state}
+                    variant="outlined"
+                    color={state === "decommissioned" ? "error" : "primary"}
+                    onClick={() => handleTransition(state)}
+                    disabled={busy}
+                  >
+                    {lifecycleLabel(state)}
+                  </Button>
+                ))}
+              </Box>
+            )}
+
+            {lifecycle.checklist.length > 0 && (
+              <>
+                <Typography variant="h6" gutterBottom>
+                  Commissioning Checklist
+                </Typography>
+                {lifecycle.checklist.map((item) => (
+                  <Box key={item.key}>
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={item.done}
+                          onChange={() => handleChecklist(item)}
+                          disabled={!commissioning || busy}
+                        />
+                      }
+                      label={`${item.label}${item.required ? "" : " (optional)"}`}
+                    />
+                    {item.done && item.doneBy && (
+                      <Typography variant="body2" color="text.secondary" component="span">
+                        {item.doneBy}, {new Date(item.doneAt).toLocaleString()}
+                      </Typography>
+                    )}
+                  </Box>
+                ))}
+              </>
+            )}
+
+            <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>
+              History
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>When</TableCell>
+                  <TableCell>From</TableCell>
+                  <TableCell>To</TableCell>
+                  <TableCell>By</TableCell>
+                  <TableCell>Note</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {lifecycle.history.length > 0 ? (
+                  lifecycle.history.map((event) => (
+                    <TableRow key={event._id}>
+                      <TableCell>{new Date(event.changedAt).toLocaleString()}</TableCell>
+                      <TableCell>{event.fromState ? lifecycleLabel(event.fromState) : "—"}</TableCell>
+                      <TableCell>{lifecycleLabel(event.toState)}</TableCell>
+                      <TableCell>{event.changedBy || "—"}</TableCell>
+                      <TableCell>{event.note}</TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={5}>No lifecycle changes recorded</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DeviceLifecycleDialog;
@@ -0,0 +1,53 @@
+import React, { useEffect, useState } from "react";
+import { FormControl, InputLabel, Select, MenuItem, ListSubheader } from "@mui/material";
+import { getFilterPresets } from "../services/filterPresetService";
+import { useAuth } from "../context/AuthContext";
+
+/**
+ * Picker for saved device filter presets. Loads the presets itself unless
+ * the parent passes them in. onChange receives the preset, or null.
+ */
+const FilterPresetSelect = ({ value, onChange, presets: givenPresets, label = "Filter preset", size = "small", sx }) => {
+  const { user } = useAuth();
+  const [loadedPresets, setLoadedPresets] = useState([]);
+  const presets = givenPresets || loadedPresets;
+
+  useEffect(() => {
+    if (givenPresets) return;
+    getFilterPresets()
+      .then(setLoadedPresets)
+      .catch((err) => console.error("Error fetching filter presets:", err));
+  }, [givenPresets]);
+
+  const isOwn = (preset) => preset.ownerId === user?.id;
+  const own = presets.filter(isOwn);
+  const shared = presets.filter((preset) => !isOwn(preset));
+
+  return (
+    <FormControl size={size} sx={{ minWidth: 200, ...sx }}>
+      <InputLabel>{label}</InputLabel>
+      <Select
+        label={label}
+        value={value || ""}
+        onChange={(e) => onChange(presets.find((preset) => preset._id === e.target.value) || null)}
+      >
+        <MenuItem value="">No preset</MenuItem>
+        {own.length > 0 && <ListSubheader>My presets</ListSubheader>}
+        {own.map((preset) => (
+          <MenuItem key={preset._id} value={preset._id}>
+            {preset.name}
+          </MenuItem>
+        ))}
+        {shared.length > 0 && <ListSubheader>Shared</ListSubheader>}
+        {shared.map((preset) => (
+          <MenuItem key={preset._id} value={preset._id}>
+            {preset.name}
+            {preset.ownerName ? ` (${preset.ownerName})` : ""}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
+
+export default FilterPresetSelect;
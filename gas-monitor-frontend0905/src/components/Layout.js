@@ -17,7 +17,7 @@ import NotificationCenter from './siteView/NotificationCenter';
  
 const Layout = ({ children }) => {
 
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
 
   const navigate = useNavigate();
 
@@ -35,14 +35,24 @@ const Layout = ({ children }) => {
 
   };
  
-  const handleLogout = () => {
+  const handleLogout = async () => {
 
-    logout();
+    handleClose();
+
+    await logout();
 
     navigate('/login');
 
+  };
+
+  const handleLogoutAll = async () => {
+
     handleClose();
 
+    await logoutAll();
+
+    navigate('/login');
+
   };
  
   return (
@@ -114,8 +124,10 @@ const Layout = ({ children }) => {
 
               onClose={handleClose}
 >
-<MenuItem disabled>{user?.email || 'User'}</MenuItem>
+<MenuItem disabled>{user?.email || 'User'}{user?.role ? ` (${user.role})` : ''}</MenuItem>
+<MenuItem onClick={() => { handleClose(); navigate('/account/security'); }}>Account security</MenuItem>
 <MenuItem onClick={handleLogout}>Logout</MenuItem>
+<MenuItem onClick={handleLogoutAll}>Sign out all sessions</MenuItem>
 </Menu>
 </div>
 </Toolbar>
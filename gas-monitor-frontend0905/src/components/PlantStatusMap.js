@@ -0,0 +1,158 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MapContainer, TileLayer, CircleMarker, Popup, useMap } from "react-leaflet";
+import { Link } from "react-router-dom";
+import { Box, Typography, Chip } from "@mui/material";
+import "leaflet/dist/leaflet.css";
+import { getPlantMapStatus } from "../services/plantService";
+import { getDeviceTypes, findMetric, formatMetricValue } from "../services/deviceTypeService";
+
+const DEFAULT_CENTER = [12.9716, 77.5946];
+
+// Marker colors, worst first
+export const PLANT_STATUS_STYLES = {
+  critical: { color: "#d32f2f", label: "Critical alarm" },
+  warning: { color: "#f57c00", label: "Warning alarm" },
+  offline: { color: "#757575", label: "All devices offline" },
+  degraded: { color: "#fbc02d", label: "Some devices offline" },
+  normal: { color: "#2e7d32", label: "Normal" },
+  "no-devices": { color: "#90a4ae", label: "No devices" },
+};
+
+const hasCoordinates = (plant) =>
+  typeof plant.latitude === "number" && typeof plant.longitude === "number";
+
+// Zoom the map so every plant marker is visible - only when the set of plants
+// changes, so periodic refreshes don't undo the user's panning
+const FitToPlants = ({ plants }) => {
+  const map = useMap();
+  const fittedKey = useRef("");
+  useEffect(() => {
+    const key = plants.map((plant) => `${plant._id}:${plant.latitude},${plant.longitude}`).join("|");
+    if (key === fittedKey.current) return;
+    fittedKey.current = key;
+    if (plants.length === 1) {
+      map.setView([plants[0].latitude, plants[0].longitude], 12);
+    } else if (plants.length > 1) {
+      map.fitBounds(plants.map((plant) => [plant.latitude, plant.longitude]), { padding: [30, 30] });
+    }
+  }, [map, plants]);
+  return null;
+};
+
+// Fields of a reading that are not metric values
+const NON_METRIC_FIELDS = ["timestamp", "openAlerts"];
+
+// "Temperature 24.1°C · Humidity 55.0%" for whatever metrics the device's type reports
+const formatReadings = (latest, deviceTypes) =>
+  Object.keys(latest)
+    .filter((key) => !NON_METRIC_FIELDS.includes(key))
+    .map((key) => {
+      const metric = findMetric(deviceTypes, key);
+      return `${metric.label} ${formatMetricValue(metric, latest[key])}`;
+    })
+    .join(" · ");
+
+const PlantPopup = ({ plant, deviceTypes }) => {
+  const style = PLANT_STATUS_STYLES[plant.status] || PLANT_STATUS_STYLES.normal;
+  return (
+    <Box sx={{ minWidth: 240 }}>
+      <Typography variant="subtitle1" fontWeight="bold">
+        {plant.plantName}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {plant.location}
+      </Typography>
+      <Box sx={{ display: "flex", gap: 1, my: 1, flexWrap: "wrap" }}>
+        <Chip size="small" label={style.label} sx={{ backgroundColor: style.color, color: "white" }} />
+        <Chip size="small" label={`${plant.onlineCount}/${plant.deviceCount} online`} />
+        <Chip size="small" label={`${plant.activeAlarmCount} active alarms`} />
+      </Box>
+      {plant.devices.length === 0 ? (
+        <Typography variant="body2">No devices registered</Typography>
+      ) : (
+        plant.devices.map((device) => (
+          <Box key={device.deviceId} sx={{ mb: 0.5 }}>
+            <Typography variant="body2" fontWeight="bold" color={device.online ? "inherit" : "text.disabled"}>
+              {device.deviceName} {device.online ? "" : "(offline)"}
+            </Typography>
+            {device.latest ? (
+              <Typography variant="caption" display="block">
+                {formatReadings(device.latest, deviceTypes)} — {new Date(device.latest.timestamp).toLocaleString()}
+              </Typography>
+            ) : (
+              <Typography variant="caption" display="block" color="text.secondary">
+                No readings yet
+              </Typography>
+            )}
+          </Box>
+        ))
+      )}
+      <Typography variant="body2" sx={{ mt: 1 }}>
+        <Link to={`/telemetry-dashboard?plantId=${plant._id}`}>Open telemetry dashboard</Link>
+      </Typography>
+    </Box>
+  );
+};
+
+const PlantStatusMap = ({ height = 300, refreshInterval = 60000 }) => {
+  const [plants, setPlants] = useState([]);
+  const [deviceTypes, setDeviceTypes] = useState([]);
+
+  useEffect(() => {
+    getDeviceTypes()
+      .then(setDeviceTypes)
+      .catch((error) => console.error("Error fetching device types:", error));
+  }, []);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const status = await getPlantMapStatus();
+        setPlants(status.filter(hasCoordinates));
+      } catch (error) {
+        console.error("Error fetching plant map status:", error);
+      }
+    };
+
+    fetchStatus();
+    const interval = setInterval(fetchStatus, refreshInterval);
+    return () => clearInterval(interval);
+  }, [refreshInterval]);
+
+  return (
+    <div style={{ width: "100%" }}>
+      <MapContainer center={DEFAULT_CENTER} zoom={12} style={{ height: `${height}px`, width: "100%" }}>
+        <TileLayer
+          attribution='&copy; OpenStreetMap contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+        <FitToPlants plants={plants} />
+        {plants.map((plant) => {
+          const style = PLANT_STATUS_STYLES[plant.status] || PLANT_STATUS_STYLES.normal;
+          return (
+            <CircleMarker
+              key={plant._id}
+              center={[plant.latitude, plant.longitude]}
+              radius={12}
+              pathOptions={{ color: style.color, fillColor: style.color, fillOpacity: 0.8, weight: 2 }}
+            >
+              <Popup>
+                <PlantPopup plant={plant} deviceTypes={deviceTypes} />
+              </Popup>
+            </CircleMarker>
+          );
+        })}
+      </MapContainer>
+      <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", px: 2, py: 1 }}>
+        {Object.entries(PLANT_STATUS_STYLES).map(([status, style]) => (
+          <Box key={status} sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+            <Box sx={{ width: 12, height: 12, borderRadius: "50%", backgroundColor: style.color }} />
+            <Typography variant="caption">{style.label}</Typography>
+          </Box>
+        ))}
+      </Box>
+    </div>
+  );
+};
+
+export default PlantStatusMap;
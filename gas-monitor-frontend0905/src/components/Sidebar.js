@@ -4,19 +4,41 @@ import { useNavigate } from 'react-router-dom';
 import DashboardIcon from '@mui/icons-material/Dashboard';
 import AccountTreeIcon from '@mui/icons-material/AccountTree';
 import DevicesIcon from '@mui/icons-material/Devices';
+import ApartmentIcon from '@mui/icons-material/Apartment';
 import InsightsIcon from '@mui/icons-material/Insights';
+import PeopleIcon from '@mui/icons-material/People';
+import HistoryIcon from '@mui/icons-material/History';
+import VpnKeyIcon from '@mui/icons-material/VpnKey';
+import InventoryIcon from '@mui/icons-material/Inventory';
+import CategoryIcon from '@mui/icons-material/Category';
+import SystemUpdateAltIcon from '@mui/icons-material/SystemUpdateAlt';
+import BuildIcon from '@mui/icons-material/Build';
+import HubIcon from '@mui/icons-material/Hub';
+import FileCopyIcon from '@mui/icons-material/FileCopy';
+import { useAuth } from '../context/AuthContext';
  
 const drawerWidth = 220;
  
 const Sidebar = () => {
   const navigate = useNavigate();
+  const { user } = useAuth();
  
   const menuItems = [
     { text: 'Dashboard', icon: <DashboardIcon />, route: '/dashboard' },
     { text: 'Plant Dashboard', icon: <AccountTreeIcon />, route: '/plant-dashboard' },
+    { text: 'Site Hierarchy', icon: <ApartmentIcon />, route: '/site-hierarchy' },
     { text: 'Device Management', icon: <DevicesIcon />, route: '/device-dashboard' },
+    { text: 'Device Topology', icon: <HubIcon />, route: '/device-topology' },
+    { text: 'Device Templates', icon: <FileCopyIcon />, route: '/device-templates', roles: ['admin', 'engineer'] },
     { text: 'Telemetry Dashboard', icon: <InsightsIcon />, route: '/telemetry-dashboard' },
-  ];
+    { text: 'Maintenance', icon: <BuildIcon />, route: '/maintenance' },
+    { text: 'Users', icon: <PeopleIcon />, route: '/users', roles: ['admin'] },
+    { text: 'Device Types', icon: <CategoryIcon />, route: '/device-types', roles: ['admin'] },
+    { text: 'Firmware', icon: <SystemUpdateAltIcon />, route: '/firmware', roles: ['admin'] },
+    { text: 'API Keys', icon: <VpnKeyIcon />, route: '/api-keys', roles: ['admin'] },
+    { text: 'Archive', icon: <InventoryIcon />, route: '/archive', roles: ['admin', 'engineer'] },
+    { text: 'Audit Log', icon: <HistoryIcon />, route: '/audit-log', roles: ['admin', 'engineer'] },
+  ].filter(item => !item.roles || item.roles.includes(user?.role));
  
   return (
 <Drawer
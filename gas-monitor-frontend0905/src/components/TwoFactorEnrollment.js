@@ -0,0 +1,119 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import * as twoFactorService from "../services/twoFactorService";
+
+/**
+ * Walks a user through TOTP enrollment: scan the QR code, confirm a code,
+ * then save the recovery codes. onEnabled receives the enable response
+ * (which includes tokens when enrolling from the login screen).
+ */
+const TwoFactorEnrollment = ({ challengeToken, onEnabled }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState("");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Each setup call replaces the pending secret, so only request it once
+    if (requested.current) return;
+    requested.current = true;
+
+    twoFactorService
+      .setupTwoFactor(challengeToken)
+      .then(setEnrollment)
+      .catch((err) => setErrorMsg(err.response?.data?.message || "Could not start two-factor setup."));
+  }, [challengeToken]);
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMsg("");
+    try {
+      const data = await twoFactorService.enableTwoFactor(code, challengeToken);
+      setResult(data);
+    } catch (err) {
+      setErrorMsg(err.response?.data?.message || "Invalid authentication code.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <Box>
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Two-factor authentication is enabled.
+        </Alert>
+        <Typography variant="subtitle1" gutterBottom>
+          Save these recovery codes somewhere safe. Each one can be used once if you lose your authenticator. They will not be shown again.
+        </Typography>
+        <Paper variant="outlined" sx={{ p: 2, mb: 2, fontFamily: "monospace" }}>
+          {result.recoveryCodes.map((recoveryCode) => (
+            <Typography key={recoveryCode} sx={{ fontFamily: "monospace" }}>
+              {recoveryCode}
+            </Typography>
+          ))}
+        </Paper>
+        <Button fullWidth variant="contained" onClick={() => onEnabled(result)}>
+          I've saved my recovery codes
+        </Button>
+      </Box>
+    );
+  }
+
+  if (!enrollment) {
+    return errorMsg ? (
+      <Alert severity="error">{errorMsg}</Alert>
+    ) : (
+      <Box display="flex" justifyContent="center" mt={2}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleEnable}>
+      <Typography variant="body2" gutterBottom>
+        Scan this QR code with an authenticator app such as Google Authenticator or Microsoft Authenticator, then enter the 6-digit code it shows.
+      </Typography>
+      <Box display="flex" justifyContent="center" my={2}>
+        <img src={enrollment.qrCode} alt="Two-factor QR code" width={200} height={200} />
+      </Box>
+      <Typography variant="body2" color="text.secondary" align="center" sx={{ wordBreak: "break-all" }}>
+        Can't scan it? Enter this key manually: <strong>{enrollment.secret}</strong>
+      </Typography>
+      <TextField
+        fullWidth
+        label="Authentication Code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+        margin="normal"
+        autoComplete="one-time-code"
+        inputProps={{ inputMode: "numeric" }}
+      />
+      {errorMsg && <Alert severity="error" sx={{ mt: 1 }}>{errorMsg}</Alert>}
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        disabled={loading || !code}
+        sx={{ mt: 2 }}
+      >
+        Enable Two-Factor Authentication
+      </Button>
+    </Box>
+  );
+};
+
+export default TwoFactorEnrollment;
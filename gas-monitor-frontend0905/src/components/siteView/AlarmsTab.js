@@ -22,6 +22,8 @@ import WarningIcon from '@mui/icons-material/Warning';
 import InfoIcon from '@mui/icons-material/Info';
 import { markAlarmAsRead, getAllAlarms, getAlarmsByDevice, getAlarmsByPlantAndDevice } from '../../services/alarmService';
 import socketService from '../../services/socketService';
+import { getDevices } from '../../services/deviceService';
+import FilterPresetSelect from '../FilterPresetSelect';
 
 const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
   // Use hybrid approach: initial data via API, then WebSocket for updates
@@ -36,9 +38,13 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
   const [fromDate, setFromDate] = useState('');
   const [toDate, setToDate] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  // Saved filter preset; while set it replaces the device selection
+  const [presetId, setPresetId] = useState('');
   
   // Use a ref to keep track of all alarms to avoid state update issues
   const alarmsRef = useRef([]);
+  // Lower-cased names of the devices the preset matches, for filtering live alarms
+  const presetDevicesRef = useRef(null);
   
   // Load initial alarm data - check cache first, only fetch from API if necessary
   useEffect(() => {
@@ -58,6 +64,15 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
         setDataSource('loading');
         setError(null);
         
+        // A filter preset replaces the device selection with the devices it matches
+        const deviceKey = presetId ? `preset:${presetId}` : selectedDevice;
+        if (presetId) {
+          const presetDevices = await getDevices(undefined, { presetId });
+          presetDevicesRef.current = new Set(presetDevices.map(device => device.deviceName.toLowerCase()));
+        } else {
+          presetDevicesRef.current = null;
+        }
+        
         // Only use cache if same plant AND device
         const cachedData = socketService.getCachedAlarmData();
         const cachedPlant = socketService.cache?.currentPlant;
@@ -66,7 +81,7 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
         const useCache = cachedData.isLoaded && 
                         cachedData.data.length > 0 && 
                         cachedPlant === selectedPlant && 
-                        cachedDevice === selectedDevice;
+                        cachedDevice === deviceKey;
         
         // Log cache status for debugging
         console.log(`Cache status: useCache=${useCache}, cachedPlant=${cachedPlant}, selectedPlant=${selectedPlant}`);
@@ -91,7 +106,7 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
         
         // Store current plant/device selection in cache
         socketService.cache.currentPlant = selectedPlant;
-        socketService.cache.currentDevice = selectedDevice;
+        socketService.cache.currentDevice = deviceKey;
         
         // No cached data or filters changed, fetch from API
         // Define data variable in the outer scope
@@ -101,7 +116,7 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
           console.log(`🔄 Fetching initial alarms for plant "${selectedPlant}"${selectedDevice ? ` and device "${selectedDevice}"` : ''} from MongoDB...`);
           
           // Use the new API endpoint that filters by plant and device
-          data = await getAlarmsByPlantAndDevice(selectedPlant, selectedDevice);
+          data = await getAlarmsByPlantAndDevice(selectedPlant, presetId ? null : selectedDevice, presetId || null);
           
           // Handle no data case
           if (!data || data.length === 0) {
@@ -203,7 +218,7 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
     return () => {
       isMounted = false;
     };
-  }, [selectedDevice, selectedPlant]);
+  }, [selectedDevice, selectedPlant, presetId]);
   
   // Handle new alarm data from WebSocket - only for new incoming alarms
   const handleNewAlarm = useCallback((alarmData) => {
@@ -227,8 +242,14 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
       return;
     }
     
+    // With a filter preset, keep alarms from the devices it matches
+    if (presetDevicesRef.current) {
+      if (!presetDevicesRef.current.has(alarmDeviceName.toLowerCase())) {
+        console.log(`🚫 Filtering out alarm: Device "${alarmDeviceName}" doesn't match the filter preset`);
+        return;
+      }
     // Further filter by device name if selectedDevice is set - use case-insensitive comparison
-    if (selectedDevice && alarmDeviceName.toLowerCase() !== selectedDevice.toLowerCase()) {
+    } else if (selectedDevice && alarmDeviceName.toLowerCase() !== selectedDevice.toLowerCase()) {
       console.log(`🚫 Filtering out alarm: Device "${alarmDeviceName}" doesn't match selected device "${selectedDevice}"`);
       return;
     }
@@ -462,6 +483,11 @@ const AlarmsTab = ({ selectedDevice, selectedPlant }) => {
               onChange={(e) => setSearchQuery(e.target.value)}
               style={{ padding: '8px', width: '300px' }}
             />
+            <FilterPresetSelect
+              label="Device filter"
+              value={presetId}
+              onChange={(preset) => setPresetId(preset?._id || '')}
+            />
           </Box>
           <Button
             variant="outlined"
@@ -1,5 +1,7 @@
 import { createContext, useState, useEffect, useContext } from "react";
 import { jwtDecode } from 'jwt-decode';
+import socketService from '../services/socketService';
+import { refreshAccessToken, logoutSession, logoutAllSessions } from '../services/apiService';
  // You'll need to install this package
  
 export const AuthContext = createContext();
@@ -17,7 +19,7 @@ export const AuthProvider = ({ children }) => {
   
     // 👇 Only logout if no token is found when app first loads
     if (!storedToken) {
-      handleLogout(); // this will ensure isAuthenticated = false
+      clearSession(); // this will ensure isAuthenticated = false
       return;
     }
   
@@ -26,48 +28,82 @@ export const AuthProvider = ({ children }) => {
       const currentTime = Date.now() / 1000;
   
       if (decodedToken.exp && decodedToken.exp < currentTime) {
-        handleLogout(); // token expired
+        // Access token expired - try the refresh token before giving up
+        refreshAccessToken()
+          .then((newToken) => login(newToken))
+          .catch(() => clearSession());
       } else {
         setToken(storedToken);
         setIsAuthenticated(true);
         setUser({
           email: decodedToken.email || decodedToken.sub,
           id: decodedToken.id || decodedToken.userId,
+          role: decodedToken.role || 'viewer',
         });
       }
     } catch (error) {
       console.error("Invalid token:", error);
-      handleLogout(); // invalid token format
+      clearSession(); // invalid token format
     }
   }, []);
   
  
-  const login = (authToken) => {
+  const login = (authToken, refreshToken) => {
     try {
       // Decode the JWT token to extract user information
       const decodedToken = jwtDecode(authToken);
       // Store token in localStorage
       localStorage.setItem("token", authToken);
+      if (refreshToken) {
+        localStorage.setItem("refreshToken", refreshToken);
+      }
+      // Reconnect the socket so it authenticates as the new user
+      socketService.connect();
       // Update state
       setToken(authToken);
       setIsAuthenticated(true);
       setUser({
         email: decodedToken.email || decodedToken.sub,
         id: decodedToken.id || decodedToken.userId,
+        role: decodedToken.role || 'viewer',
       });
     } catch (error) {
       console.error("Error processing token:", error);
     }
   };
  
-  const handleLogout = () => {
-    // Clear token from localStorage
+  const clearSession = () => {
+    // Clear tokens from localStorage
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    // Drop the authenticated socket along with the session
+    socketService.disconnect();
     // Reset state
     setToken(null);
     setIsAuthenticated(false);
     setUser(null);
   };
+
+  // End the session on the server as well, so its refresh token can't be reused
+  const handleLogout = async () => {
+    try {
+      if (localStorage.getItem("token")) {
+        await logoutSession();
+      }
+    } catch (error) {
+      console.error("Error ending session:", error);
+    }
+    clearSession();
+  };
+
+  const handleLogoutAll = async () => {
+    try {
+      await logoutAllSessions();
+    } catch (error) {
+      console.error("Error signing out all sessions:", error);
+    }
+    clearSession();
+  };
  
   return (
 <AuthContext.Provider 
@@ -76,7 +112,8 @@ export const AuthProvider = ({ children }) => {
         user, 
         token,
         login, 
-        logout: handleLogout 
+        logout: handleLogout,
+        logoutAll: handleLogoutAll
       }}
 >
       {children}
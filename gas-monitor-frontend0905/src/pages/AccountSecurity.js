@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Typography,
+  Paper,
+  TextField,
+  Button,
+  Chip,
+  Box,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import { refreshAccessToken } from "../services/apiService";
+import * as twoFactorService from "../services/twoFactorService";
+import TwoFactorEnrollment from "../components/TwoFactorEnrollment";
+
+const AccountSecurity = () => {
+  const { login } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showError = useCallback((err, fallback) => {
+    setSnackbar({
+      open: true,
+      message: err.response?.data?.message || fallback,
+      severity: 'error'
+    });
+  }, []);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setStatus(await twoFactorService.getTwoFactorStatus());
+    } catch (err) {
+      console.error("Error fetching 2FA status:", err);
+      showError(err, 'Failed to load two-factor status.');
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleEnabled = async () => {
+    setEnrolling(false);
+    try {
+      // The session now counts as 2FA-verified; pick up a token that says so
+      const token = await refreshAccessToken();
+      login(token);
+    } catch (err) {
+      console.error("Error refreshing token after enabling 2FA:", err);
+    }
+    fetchStatus();
+    setSnackbar({ open: true, message: 'Two-factor authentication enabled', severity: 'success' });
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm("Turn off two-factor authentication?")) return;
+    try {
+      // Accept either a 6-digit TOTP code or a recovery code
+      const isTotp = /^\d{6}$/.test(code.trim());
+      await twoFactorService.disableTwoFactor(isTotp ? { code } : { recoveryCode: code });
+      setCode("");
+      setRecoveryCodes([]);
+      fetchStatus();
+      setSnackbar({ open: true, message: 'Two-factor authentication disabled', severity: 'success' });
+    } catch (err) {
+      console.error("Error disabling 2FA:", err);
+      showError(err, 'Failed to disable two-factor authentication.');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const result = await twoFactorService.regenerateRecoveryCodes(code);
+      setRecoveryCodes(result.recoveryCodes);
+      setCode("");
+      fetchStatus();
+    } catch (err) {
+      console.error("Error regenerating recovery codes:", err);
+      showError(err, 'Failed to generate new recovery codes.');
+    }
+  };
+
+  // Handle closing the snackbar
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        Account Security
+      </Typography>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3, maxWidth: 600 }}>
+        <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+          <Typography variant="h6">Two-Factor Authentication</Typography>
+          {status && (
+            <Chip
+              label={status.enabled ? "Enabled" : "Off"}
+              color={status.enabled ? "success" : "default"}
+            />
+          )}
+        </Box>
+
+        {status?.required && !status.enabled && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Your administrator requires two-factor authentication for your role.
+          </Alert>
+        )}
+
+        {status && !status.enabled && !enrolling && (
+          <>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Protect your account with a code from an authenticator app. A verified second factor is required to send commands to devices.
+            </Typography>
+            <Button variant="contained" onClick={() => setEnrolling(true)}>
+              Enable Two-Factor Authentication
+            </Button>
+          </>
+        )}
+
+        {enrolling && <TwoFactorEnrollment onEnabled={handleEnabled} />}
+
+        {status?.enabled && (
+          <>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Recovery codes remaining: <strong>{status.recoveryCodesRemaining}</strong>
+            </Typography>
+            <TextField
+              fullWidth
+              label="Authentication or Recovery Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              margin="normal"
+              autoComplete="one-time-code"
+            />
+            <Box display="flex" gap={2} mt={1}>
+              <Button variant="outlined" onClick={handleRegenerate} disabled={!code}>
+                New Recovery Codes
+              </Button>
+              {!status.required && (
+                <Button variant="outlined" color="error" onClick={handleDisable} disabled={!code}>
+                  Disable 2FA
+                </Button>
+              )}
+            </Box>
+          </>
+        )}
+
+        {recoveryCodes.length > 0 && (
+          <Box mt={3}>
+            <Typography variant="subtitle1" gutterBottom>
+              Your new recovery codes. The old ones no longer work.
+            </Typography>
+            <Paper variant="outlined" sx={{ p: 2 }}>
+              {recoveryCodes.map((recoveryCode) => (
+                <Typography key={recoveryCode} sx={{ fontFamily: "monospace" }}>
+                  {recoveryCode}
+                </Typography>
+              ))}
+            </Paper>
+          </Box>
+        )}
+      </Paper>
+    </>
+  );
+};
+
+export default AccountSecurity;
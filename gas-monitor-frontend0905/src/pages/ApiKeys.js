@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from "react";
+import BlockIcon from "@mui/icons-material/Block";
+import {
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Select,
+  MenuItem,
+  Button,
+  Grid,
+  Chip,
+  FormControl,
+  InputLabel,
+  OutlinedInput,
+  Tooltip,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import * as apiKeyService from "../services/apiKeyService";
+import * as plantService from "../services/plantService";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["telemetry:read"]);
+  const [keyPlants, setKeyPlants] = useState([]);
+  const [expiresAt, setExpiresAt] = useState("");
+  const [newKey, setNewKey] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  useEffect(() => {
+    fetchApiKeys();
+    plantService.getPlants().then(setPlants).catch((err) => console.error("Error fetching plants:", err));
+    apiKeyService.getApiKeyScopes().then(setAvailableScopes).catch((err) => console.error("Error fetching scopes:", err));
+  }, []);
+
+  const fetchApiKeys = async () => {
+    try {
+      setApiKeys(await apiKeyService.getApiKeys());
+    } catch (err) {
+      console.error("Error fetching API keys:", err);
+      setSnackbar({ open: true, message: 'Failed to fetch API keys. Please try again.', severity: 'error' });
+    }
+  };
+
+  const clearForm = () => {
+    setName("");
+    setScopes(["telemetry:read"]);
+    setKeyPlants([]);
+    setExpiresAt("");
+  };
+
+  const addApiKey = async () => {
+    if (!name || scopes.length === 0) {
+      setSnackbar({
+        open: true,
+        message: 'Please enter a name and choose at least one scope',
+        severity: 'warning'
+      });
+      return;
+    }
+
+    try {
+      const created = await apiKeyService.createApiKey({
+        name,
+        scopes,
+        plants: keyPlants,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      });
+      setNewKey(created);
+      clearForm();
+      fetchApiKeys();
+    } catch (err) {
+      console.error("Error creating API key:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || 'Failed to create API key. Please try again.',
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      const result = await apiKeyService.revokeApiKey(apiKey._id);
+      fetchApiKeys();
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+    } catch (err) {
+      console.error("Error revoking API key:", err);
+      setSnackbar({ open: true, message: 'Failed to revoke API key. Please try again.', severity: 'error' });
+    }
+  };
+
+  const keyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return { label: "Revoked", color: "default" };
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date()) return { label: "Expired", color: "warning" };
+    return { label: "Active", color: "success" };
+  };
+
+  // Handle closing the snackbar
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        API Keys
+      </Typography>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      {newKey && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setNewKey(null)}>
+          <Typography variant="subtitle2">
+            API key "{newKey.name}" created. Copy it now; it will not be shown again.
+          </Typography>
+          <Typography sx={{ fontFamily: "monospace", wordBreak: "break-all", mt: 1 }}>
+            {newKey.key}
+          </Typography>
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            Send it in the <code>X-API-Key</code> header.
+          </Typography>
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Create API Key
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              fullWidth
+              label="Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth>
+              <InputLabel>Scopes</InputLabel>
+              <Select
+                multiple
+                value={scopes}
+                onChange={(e) => setScopes(e.target.value)}
+                input={<OutlinedInput label="Scopes" />}
+                renderValue={(selected) => selected.join(', ')}
+              >
+                {availableScopes.map((scope) => (
+                  <MenuItem key={scope} value={scope}>{scope}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth>
+              <InputLabel>Plants</InputLabel>
+              <Select
+                multiple
+                displayEmpty
+                value={keyPlants}
+                onChange={(e) => setKeyPlants(e.target.value)}
+                input={<OutlinedInput label="Plants" notched />}
+                renderValue={(selected) =>
+                  selected.length === 0
+                    ? "All plants"
+                    : selected.map((id) => plants.find((plant) => plant._id === id)?.plantName || id).join(', ')
+                }
+              >
+                {plants.map((plant) => (
+                  <MenuItem key={plant._id} value={plant._id}>{plant.plantName}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField
+              fullWidth
+              label="Expires (optional)"
+              type="date"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={1}>
+            <Button
+              fullWidth
+              variant="contained"
+              onClick={addApiKey}
+              sx={{ height: "100%" }}
+            >
+              Create
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Name</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Key</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Scopes</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Plants</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Created</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Last Used</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Status</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Revoke</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {apiKeys.map((apiKey) => {
+                const status = keyStatus(apiKey);
+                return (
+                  <TableRow key={apiKey._id}>
+                    <TableCell>{apiKey.name}</TableCell>
+                    <TableCell sx={{ fontFamily: "monospace" }}>{apiKey.prefix}…</TableCell>
+                    <TableCell>{apiKey.scopes.join(', ')}</TableCell>
+                    <TableCell>
+                      {apiKey.plants.length === 0
+                        ? "All plants"
+                        : apiKey.plants.map((plant) => plant.plantName || plant).join(', ')}
+                    </TableCell>
+                    <TableCell>
+                      {formatDate(apiKey.createdAt)}
+                      {apiKey.createdBy?.email ? ` by ${apiKey.createdBy.email}` : ""}
+                    </TableCell>
+                    <TableCell>{formatDate(apiKey.lastUsedAt)}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={status.label} color={status.color} />
+                    </TableCell>
+                    <TableCell align="center">
+                      <Tooltip title="Revoke">
+                        <span>
+                          <Button onClick={() => handleRevoke(apiKey)} color="error" disabled={Boolean(apiKey.revokedAt)}>
+                            <BlockIcon />
+                          </Button>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </>
+  );
+};
+
+export default ApiKeys;
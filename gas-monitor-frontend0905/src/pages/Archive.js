@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback } from "react";
+import RestoreIcon from "@mui/icons-material/Restore";
+import {
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Button,
+  Box,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import * as plantService from "../services/plantService";
+import { getArchivedDevices, restoreDevice } from "../services/deviceService";
+import * as settingsService from "../services/settingsService";
+
+const headerCellSx = { color: "white", fontWeight: "bold" };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const daysLeft = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+const Archive = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === "admin";
+  const [archivedPlants, setArchivedPlants] = useState([]);
+  const [archivedDevices, setArchivedDevices] = useState([]);
+  const [plantNames, setPlantNames] = useState({});
+  const [retentionDays, setRetentionDays] = useState("");
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showMessage = useCallback((message, severity = 'success') => setSnackbar({ open: true, message, severity }), []);
+
+  const fetchArchive = useCallback(async () => {
+    try {
+      const [plants, devices, livePlants] = await Promise.all([
+        plantService.getArchivedPlants(),
+        getArchivedDevices(),
+        // The plant list answers 404 when there are no live plants
+        plantService.getPlants().catch(() => [])
+      ]);
+      setArchivedPlants(plants);
+      setArchivedDevices(devices);
+      setPlantNames(
+        [...livePlants, ...plants].reduce((names, plant) => ({ ...names, [plant._id]: plant.plantName }), {})
+      );
+    } catch (err) {
+      console.error("Error fetching archive:", err);
+      showMessage('Failed to load archived plants and devices.', 'error');
+    }
+  }, [showMessage]);
+
+  useEffect(() => {
+    fetchArchive();
+    if (isAdmin) {
+      settingsService.getSettings()
+        .then((settings) => setRetentionDays(settings.archiveRetentionDays))
+        .catch((err) => console.error("Error fetching settings:", err));
+    }
+  }, [fetchArchive, isAdmin]);
+
+  const handleRestorePlant = async (plant) => {
+    try {
+      const result = await plantService.restorePlant(plant._id);
+      showMessage(result.message);
+      fetchArchive();
+    } catch (err) {
+      console.error("Error restoring plant:", err);
+      showMessage(err.response?.data?.message || 'Failed to restore plant.', 'error');
+    }
+  };
+
+  const handleRestoreDevice = async (device) => {
+    try {
+      const result = await restoreDevice(device._id);
+      showMessage(result.message);
+      fetchArchive();
+    } catch (err) {
+      console.error("Error restoring device:", err);
+      showMessage(err.response?.data?.message || 'Failed to restore device.', 'error');
+    }
+  };
+
+  const handleSaveRetention = async () => {
+    const days = parseInt(retentionDays, 10);
+    if (!Number.isInteger(days) || days < 1) {
+      showMessage('Retention must be at least 1 day', 'warning');
+      return;
+    }
+    try {
+      await settingsService.updateSettings({ archiveRetentionDays: days });
+      showMessage(`Archived items are now kept for ${days} day(s)`);
+      fetchArchive();
+    } catch (err) {
+      console.error("Error updating settings:", err);
+      showMessage(err.response?.data?.message || 'Failed to update retention.', 'error');
+    }
+  };
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        Archive
+      </Typography>
+      <Typography variant="body1" color="text.secondary" mb={3}>
+        Archived plants and devices are hidden everywhere else. Restore them before their purge date; after that
+        they are deleted together with their thresholds, tolerances, alarms, notifications and telemetry.
+      </Typography>
+
+      {isAdmin && (
+        <Paper sx={{ p: 2, mb: 3, borderRadius: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Retention
+          </Typography>
+          <Box sx={{ display: "flex", gap: 2, alignItems: "center" }}>
+            <TextField
+              label="Keep archived items for (days)"
+              type="number"
+              size="small"
+              inputProps={{ min: 1 }}
+              value={retentionDays}
+              onChange={(e) => setRetentionDays(e.target.value)}
+            />
+            <Button variant="contained" onClick={handleSaveRetention}>
+              Save
+            </Button>
+          </Box>
+        </Paper>
+      )}
+
+      <Typography variant="h6" gutterBottom>
+        Archived Plants
+      </Typography>
+      <Paper sx={{ borderRadius: 3, mb: 4 }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                <TableCell sx={headerCellSx}>Plant Name</TableCell>
+                <TableCell sx={headerCellSx}>Location</TableCell>
+                <TableCell sx={headerCellSx}>Archived</TableCell>
+                <TableCell sx={headerCellSx}>Purged On</TableCell>
+                {isAdmin && <TableCell sx={{ ...headerCellSx, textAlign: "center" }}>Restore</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {archivedPlants.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5}>No archived plants</TableCell>
+                </TableRow>
+              ) : (
+                archivedPlants.map((plant) => (
+                  <TableRow key={plant._id}>
+                    <TableCell>{plant.plantName}</TableCell>
+                    <TableCell>{plant.location}</TableCell>
+                    <TableCell>{formatDate(plant.archivedAt)}</TableCell>
+                    <TableCell>
+                      {formatDate(plant.purgeAt)} ({daysLeft(plant.purgeAt)} days left)
+                    </TableCell>
+                    {isAdmin && (
+                      <TableCell align="center">
+                        <Button onClick={() => handleRestorePlant(plant)} startIcon={<RestoreIcon />}>
+                          Restore
+                        </Button>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Typography variant="h6" gutterBottom>
+        Archived Devices
+      </Typography>
+      <Paper sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                <TableCell sx={headerCellSx}>Device Name</TableCell>
+                <TableCell sx={headerCellSx}>Plant</TableCell>
+                <TableCell sx={headerCellSx}>Serial Number</TableCell>
+                <TableCell sx={headerCellSx}>Archived</TableCell>
+                <TableCell sx={headerCellSx}>Purged On</TableCell>
+                <TableCell sx={{ ...headerCellSx, textAlign: "center" }}>Restore</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {archivedDevices.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6}>No archived devices</TableCell>
+                </TableRow>
+              ) : (
+                archivedDevices.map((device) => (
+                  <TableRow key={device._id}>
+                    <TableCell>{device.deviceName}</TableCell>
+                    <TableCell>{plantNames[device.plantId] || "—"}</TableCell>
+                    <TableCell>{device.serialNumber}</TableCell>
+                    <TableCell>{formatDate(device.archivedAt)}</TableCell>
+                    <TableCell>
+                      {formatDate(device.purgeAt)} ({daysLeft(device.purgeAt)} days left)
+                    </TableCell>
+                    <TableCell align="center">
+                      <Button onClick={() => handleRestoreDevice(device)} startIcon={<RestoreIcon />}>
+                        Restore
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setSnackbar({ ...snackbar, open: false })} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+export default Archive;
@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  TextField,
+  Select,
+  MenuItem,
+  Grid,
+  FormControl,
+  InputLabel,
+  Button,
+  Snackbar,
+  Alert,
+  Box
+} from "@mui/material";
+import * as auditService from "../services/auditService";
+import * as plantService from "../services/plantService";
+import * as deviceService from "../services/deviceService";
+import * as userService from "../services/userService";
+
+const ACTIONS = [
+  "threshold.create",
+  "threshold.update",
+  "tolerance.create",
+  "tolerance.update",
+  "device.create",
+  "device.update",
+  "device.delete",
+  "device.archive",
+  "device.restore",
+  "device.purge",
+  "device.import",
+  "device.clone",
+  "device.provision",
+  "device.lifecycle",
+  "device.checklist",
+  "device.calibration",
+  "deviceType.create",
+  "deviceType.update",
+  "deviceType.delete",
+  "deviceTemplate.create",
+  "deviceTemplate.update",
+  "deviceTemplate.delete",
+  "attribute.create",
+  "attribute.update",
+  "attribute.delete",
+  "firmware.upload",
+  "firmware.delete",
+  "firmwareCampaign.create",
+  "firmwareCampaign.start",
+  "firmwareCampaign.pause",
+  "firmwareCampaign.cancel",
+  "maintenancePlan.create",
+  "maintenancePlan.update",
+  "maintenancePlan.delete",
+  "workOrder.create",
+  "workOrder.update",
+  "workOrder.start",
+  "workOrder.complete",
+  "workOrder.cancel",
+  "plant.create",
+  "plant.update",
+  "plant.delete",
+  "plant.archive",
+  "plant.restore",
+  "plant.purge",
+  "site.create",
+  "site.update",
+  "site.assign_devices",
+  "site.delete",
+  "user.create",
+  "user.update",
+  "user.deactivate",
+  "user.reactivate",
+  "user.lock",
+  "user.unlock",
+  "user.sso_login",
+  "user.force_password_reset",
+  "user.2fa_enable",
+  "user.2fa_disable",
+  "user.2fa_reset",
+  "settings.update",
+  "apikey.create",
+  "apikey.revoke",
+  "device.command",
+];
+
+const IGNORED_FIELDS = ["_id", "__v", "updatedAt", "createdAt"];
+
+// List the fields that differ between the before and after snapshots
+const describeChanges = (before, after) => {
+  if (!before && !after) return "—";
+  if (!before) return "Created";
+  if (!after) return "Deleted";
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [...keys]
+    .filter((key) => !IGNORED_FIELDS.includes(key))
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map((key) => `${key}: ${JSON.stringify(before[key] ?? null)} → ${JSON.stringify(after[key] ?? null)}`);
+  return changes.length ? changes.join("; ") : "No field changes";
+};
+
+const emptyFilters = { plantId: "", deviceId: "", userId: "", action: "", from: "", to: "" };
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [plants, setPlants] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  useEffect(() => {
+    plantService.getPlants().then(setPlants).catch((err) => console.error("Error fetching plants:", err));
+    // Only admins can list users; other roles filter by plant and device
+    userService.getUsers().then(setUsers).catch(() => setUsers([]));
+  }, []);
+
+  useEffect(() => {
+    if (!filters.plantId) {
+      setDevices([]);
+      return;
+    }
+    deviceService.getDevices(filters.plantId)
+      .then(setDevices)
+      .catch((err) => console.error("Error fetching devices:", err));
+  }, [filters.plantId]);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const result = await auditService.getAuditLogs({
+        ...filters,
+        from: filters.from ? new Date(filters.from).toISOString() : "",
+        to: filters.to ? new Date(filters.to).toISOString() : "",
+        page: page + 1,
+        limit: rowsPerPage,
+      });
+      setEntries(result.entries);
+      setTotal(result.total);
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || 'Failed to fetch audit log. Please try again.',
+        severity: 'error'
+      });
+    }
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleFilterChange = (field) => (e) => {
+    const value = e.target.value;
+    setPage(0);
+    setFilters((prev) => ({
+      ...prev,
+      [field]: value,
+      // A device belongs to one plant, so clear it when the plant changes
+      ...(field === "plantId" && { deviceId: "" }),
+    }));
+  };
+
+  // Handle closing the snackbar
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        Audit Log
+      </Typography>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Filters
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Plant</InputLabel>
+              <Select value={filters.plantId} label="Plant" onChange={handleFilterChange("plantId")}>
+                <MenuItem value="">All plants</MenuItem>
+                {plants.map((plant) => (
+                  <MenuItem key={plant._id} value={plant._id}>{plant.plantName}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <FormControl fullWidth disabled={!filters.plantId}>
+              <InputLabel>Device</InputLabel>
+              <Select value={filters.deviceId} label="Device" onChange={handleFilterChange("deviceId")}>
+                <MenuItem value="">All devices</MenuItem>
+                {devices.map((device) => (
+                  <MenuItem key={device._id} value={device._id}>{device.deviceName}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          {users.length > 0 && (
+            <Grid item xs={12} sm={6} md={2}>
+              <FormControl fullWidth>
+                <InputLabel>User</InputLabel>
+                <Select value={filters.userId} label="User" onChange={handleFilterChange("userId")}>
+                  <MenuItem value="">All users</MenuItem>
+                  {users.map((user) => (
+                    <MenuItem key={user._id} value={user._id}>{user.email}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+          )}
+          <Grid item xs={12} sm={6} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Action</InputLabel>
+              <Select value={filters.action} label="Action" onChange={handleFilterChange("action")}>
+                <MenuItem value="">All actions</MenuItem>
+                {ACTIONS.map((action) => (
+                  <MenuItem key={action} value={action}>{action}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField
+              fullWidth
+              label="From"
+              type="datetime-local"
+              value={filters.from}
+              onChange={handleFilterChange("from")}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <TextField
+              fullWidth
+              label="To"
+              type="datetime-local"
+              value={filters.to}
+              onChange={handleFilterChange("to")}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+        </Grid>
+        <Box mt={2}>
+          <Button variant="text" onClick={() => { setFilters(emptyFilters); setPage(0); }}>
+            Clear Filters
+          </Button>
+        </Box>
+      </Paper>
+
+      <Paper sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Time</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>User</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Action</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Target</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Plant</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Device</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Changes</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map((entry) => (
+                <TableRow key={entry._id}>
+                  <TableCell>{new Date(entry.timestamp).toLocaleString()}</TableCell>
+                  <TableCell>{entry.actor?.email || entry.actor?.name || "—"}</TableCell>
+                  <TableCell>{entry.action}</TableCell>
+                  <TableCell>{entry.targetName || entry.targetId}</TableCell>
+                  <TableCell>{entry.plantName || "—"}</TableCell>
+                  <TableCell>{entry.deviceName || "—"}</TableCell>
+                  <TableCell sx={{ maxWidth: 400, wordBreak: "break-word" }}>
+                    {describeChanges(entry.before, entry.after)}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {entries.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">No audit entries found</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[25, 50, 100]}
+        />
+      </Paper>
+    </>
+  );
+};
+
+export default AuditLog;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
+import { useNavigate } from "react-router-dom";
 import {
   Box,
   Typography,
@@ -20,23 +21,85 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
+  Chip,
+  Tooltip,
 } from "@mui/material";
 import EditIcon from "@mui/icons-material/Edit";
 import DeleteIcon from "@mui/icons-material/Delete";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
 import KeyboardArrowDownIcon from "@mui/icons-material/KeyboardArrowDown";
 import KeyboardArrowUpIcon from "@mui/icons-material/KeyboardArrowUp";
 import Layout from "../components/Layout";
+import ArchiveConfirmDialog from "../components/ArchiveConfirmDialog";
+import DeviceImportDialog from "../components/DeviceImportDialog";
+import DeviceCredentialsDialog from "../components/DeviceCredentialsDialog";
+import DeviceLifecycleDialog, {
+  LIFECYCLE_CHIPS,
+  INITIAL_LIFECYCLE_STATES,
+  lifecycleLabel,
+} from "../components/DeviceLifecycleDialog";
+import CommissioningChecklistSettings from "../components/CommissioningChecklistSettings";
+import CustomAttributeSettings from "../components/CustomAttributeSettings";
+import CustomFieldsEditor, { tagsToRows, rowsToTags } from "../components/CustomFieldsEditor";
+import DeviceFilterBar, { isFilterEmpty } from "../components/DeviceFilterBar";
+import { useAuth } from "../context/AuthContext";
+
 import {
   getDevices,
-  addDevice,
+  provisionDevice,
+  provisionExistingDevice,
   deleteDevice,
+  getDeviceDependencies,
   getParentDevices,
   getChildDevices,
   updateDevice,
   getChildDeviceCount,
+  exportDevices,
 } from "../services/deviceService";
+import { getDeviceTypes, getTypeOfDevice } from "../services/deviceTypeService";
+import { getWorkOrders } from "../services/maintenanceService";
+
+const PROVISIONING_CHIPS = {
+  provisioned: { label: "In IoT Hub", color: "success" },
+  pending: { label: "Provisioning", color: "info" },
+  failed: { label: "Provisioning failed", color: "error" },
+  unprovisioned: { label: "Not in IoT Hub", color: "default" },
+};
+
+const CONNECTIVITY_CHIPS = {
+  online: { label: "Online", color: "success" },
+  stale: { label: "Stale", color: "warning" },
+  offline: { label: "Offline", color: "error" },
+  unknown: { label: "Never seen", color: "default" },
+};
+
+const connectivityChip = (device) => {
+  const connectivity = device.connectivity || { status: "unknown" };
+  const chip = CONNECTIVITY_CHIPS[connectivity.status] || CONNECTIVITY_CHIPS.unknown;
+  const lastSeen = connectivity.lastSeenAt
+    ? `Last seen ${new Date(connectivity.lastSeenAt).toLocaleString()}`
+    : "No telemetry received yet";
+  return (
+    <Tooltip title={`${lastSeen} (stale after ${connectivity.staleAfterMinutes ?? "—"} min, offline after ${connectivity.offlineAfterMinutes ?? "—"} min)`}>
+      <Chip size="small" label={chip.label} color={chip.color} />
+    </Tooltip>
+  );
+};
+
+// Version the device last reported, with when it did
+const firmwareVersion = (device) => {
+  if (!device.firmware?.version) return "—";
+  return (
+    <Tooltip title={`Reported ${new Date(device.firmware.reportedAt).toLocaleString()}`}>
+      <span>{device.firmware.version}</span>
+    </Tooltip>
+  );
+};
 
 const DeviceDashboard = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === "admin";
+  const navigate = useNavigate();
   const [devices, setDevices] = useState([]);
   const [deviceName, setDeviceName] = useState("");
   const [serialNumber, setSerialNumber] = useState("");
@@ -46,14 +109,29 @@ const DeviceDashboard = () => {
   const [selectedPlantId, setSelectedPlantId] = useState("");
 
   const [deviceType, setDeviceType] = useState("Parent");
+  // Catalog type (gas detector, environment monitor, ...) as opposed to the parent/child role above
+  const [deviceTypes, setDeviceTypes] = useState([]);
+  const [deviceTypeId, setDeviceTypeId] = useState("");
   const [parentDeviceId, setParentDeviceId] = useState("");
   const [parentDevices, setParentDevices] = useState([]);
+  const [workOrders, setWorkOrders] = useState([]);
+  const [lifecycleState, setLifecycleState] = useState("in_service");
+  const [tagRows, setTagRows] = useState([]);
+  const [attributes, setAttributes] = useState({});
+  // Tag / attribute conditions; while any are set the table lists every matching device flat
+  const [deviceFilter, setDeviceFilter] = useState({});
  
   // For tracking child devices and UI state
   const [childDevices, setChildDevices] = useState({});
   const [openChildRows, setOpenChildRows] = useState({});
   const [childCounts, setChildCounts] = useState({});
  
+  const [deviceToArchive, setDeviceToArchive] = useState(null);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  // Shown once after provisioning; the server does not keep them
+  const [credentials, setCredentials] = useState(null);
+  const [lifecycleDevice, setLifecycleDevice] = useState(null);
+
   // Edit device state
   const [editDialogOpen, setEditDialogOpen] = useState(false);
   const [editDevice, setEditDevice] = useState(null);
@@ -62,19 +140,35 @@ const DeviceDashboard = () => {
   const [editMacId, setEditMacId] = useState("");
   const [editCommissionedDate, setEditCommissionedDate] = useState("");
   const [editParentDeviceId, setEditParentDeviceId] = useState("");
+  const [editDeviceTypeId, setEditDeviceTypeId] = useState("");
+  // Heartbeat interval overrides in minutes; empty uses the system default
+  const [editStaleMinutes, setEditStaleMinutes] = useState("");
+  const [editOfflineMinutes, setEditOfflineMinutes] = useState("");
+  const [editTagRows, setEditTagRows] = useState([]);
+  const [editAttributes, setEditAttributes] = useState({});
 
   useEffect(() => {
     axios.get("http://localhost:5000/api/plants").then((res) => {
       setPlants(res.data);
     });
+    getDeviceTypes()
+      .then((types) => {
+        setDeviceTypes(types);
+        setDeviceTypeId(getTypeOfDevice(types, null)?._id || "");
+      })
+      .catch((error) => console.error("Error fetching device types:", error));
   }, []);
 
+  const typeName = (device) => getTypeOfDevice(deviceTypes, device)?.name || "—";
+
   const fetchDevices = async () => {
     try {
       if (!selectedPlantId) return;
      
-      // Get parent devices
-      const parentResponse = await getParentDevices(selectedPlantId);
+      // Get parent devices, or every device matching the filter
+      const parentResponse = isFilterEmpty(deviceFilter)
+        ? await getParentDevices(selectedPlantId)
+        : await getDevices(selectedPlantId, deviceFilter);
       setDevices(parentResponse);
      
       // Reset child devices
@@ -88,6 +182,9 @@ const DeviceDashboard = () => {
         counts[device._id] = count;
       }
       setChildCounts(counts);
+
+      // Unfinished work orders, shown per device
+      setWorkOrders(await getWorkOrders({ plantId: selectedPlantId, statuses: ["open", "in_progress"] }));
      
     } catch (error) {
       console.error("Error fetching devices:", error);
@@ -101,7 +198,7 @@ const DeviceDashboard = () => {
       setDevices([]);
       setChildCounts({});
     }
-  }, [selectedPlantId]);
+  }, [selectedPlantId, deviceFilter]);
 
   useEffect(() => {
     const fetchParents = async () => {
@@ -171,20 +268,20 @@ const DeviceDashboard = () => {
     }
 
     try {
-      const azureResponse = await axios.post("http://localhost:5000/api/azure/register-device", {
-        deviceId: serialNumber,
-      });
-
-      console.log("Azure IoT Hub Response:", azureResponse.data);
-
-      await addDevice({
+      // Creates the device and its IoT Hub identity together, or neither
+      const result = await provisionDevice({
         deviceName,
         serialNumber,
         macId,
         commissionedDate,
         plantId: selectedPlantId,
         parentDeviceId: deviceType === "Child" ? parentDeviceId : null,
+        deviceTypeId: deviceTypeId || null,
+        lifecycleState,
+        tags: rowsToTags(tagRows),
+        attributes,
       });
+      setCredentials(result.credentials);
 
       // Reset fields
       setDeviceName("");
@@ -193,6 +290,9 @@ const DeviceDashboard = () => {
       setCommissionedDate("");
       setDeviceType("Parent");
       setParentDeviceId("");
+      setLifecycleState("in_service");
+      setTagRows([]);
+      setAttributes({});
 
       // Refresh device list
       fetchDevices();
@@ -203,17 +303,96 @@ const DeviceDashboard = () => {
       }
     } catch (error) {
       console.error("Error adding device:", error);
-      alert("Failed to add device. Please try again.");
+      alert(error.response?.data?.message || "Failed to add device. Please try again.");
     }
   };
 
-  const handleDeleteDevice = async (id) => {
+  // Register the IoT Hub identity of a device created before provisioning existed, or retry a failed one
+  const handleProvisionExisting = async (device) => {
     try {
-      await deleteDevice(id);
+      const result = await provisionExistingDevice(device._id);
+      setCredentials(result.credentials);
+    } catch (error) {
+      console.error("Error provisioning device:", error);
+      alert(error.response?.data?.message || "Failed to provision device.");
+    }
+    if (device.parentDeviceId) {
+      fetchChildDevices(device.parentDeviceId);
+    } else {
+      fetchDevices();
+    }
+  };
+
+  const provisioningChip = (device) => {
+    const state = device.provisioning?.state || "unprovisioned";
+    const chip = PROVISIONING_CHIPS[state];
+    const canProvision = state === "unprovisioned" || state === "failed";
+    return (
+      <Tooltip title={device.provisioning?.lastError || (canProvision ? "Click to register in IoT Hub" : "")}>
+        <Chip
+          size="small"
+          label={chip.label}
+          color={chip.color}
+          onClick={canProvision ? () => handleProvisionExisting(device) : undefined}
+          sx={{ ml: 1 }}
+        />
+      </Tooltip>
+    );
+  };
+
+  // Opens the lifecycle dialog; alarms of devices not in service are suppressed
+  const lifecycleChip = (device) => {
+    const state = device.lifecycle?.state || "in_service";
+    return (
+      <Chip
+        size="small"
+        label={lifecycleLabel(state)}
+        color={LIFECYCLE_CHIPS[state]?.color || "default"}
+        onClick={() => setLifecycleDevice(device)}
+      />
+    );
+  };
+
+  const tagChips = (device) =>
+    Object.entries(device.tags || {}).map(([key, value]) => (
+      <Chip key={key} size="small" variant="outlined" label={value ? `${key}: ${value}` : key} sx={{ ml: 1 }} />
+    ));
+
+  const workOrderChip = (device) => {
+    const orders = workOrders.filter((order) => order.deviceId === device._id);
+    if (orders.length === 0) return "—";
+    const inProgress = orders.some((order) => order.status === "in_progress");
+    return (
+      <Tooltip title={orders.map((order) => order.title).join(", ")}>
+        <Chip
+          size="small"
+          label={inProgress ? "In progress" : `${orders.length} open`}
+          color={inProgress ? "warning" : "info"}
+          onClick={() => navigate("/maintenance")}
+        />
+      </Tooltip>
+    );
+  };
+
+  const handleLifecycleChanged = () => {
+    fetchDevices();
+    if (lifecycleDevice?.parentDeviceId) {
+      fetchChildDevices(lifecycleDevice.parentDeviceId);
+    }
+  };
+
+  const handleDeleteDevice = async () => {
+    try {
+      await deleteDevice(deviceToArchive._id);
+      // Refresh the parent's children if an archived child device was showing there
+      if (deviceToArchive.parentDeviceId) {
+        fetchChildDevices(deviceToArchive.parentDeviceId);
+      }
+      setDeviceToArchive(null);
       fetchDevices();
     } catch (error) {
-      console.error("Error deleting device:", error);
-      alert("Failed to delete device.");
+      console.error("Error archiving device:", error);
+      alert("Failed to archive device.");
     }
   };
 
@@ -228,6 +407,11 @@ const DeviceDashboard = () => {
     setEditSerialNumber(device.serialNumber);
     setEditMacId(device.macId);
     setEditCommissionedDate(new Date(device.commissionedDate).toISOString().split('T')[0]);
+    setEditDeviceTypeId(getTypeOfDevice(deviceTypes, device)?._id || "");
+    setEditStaleMinutes(device.heartbeat?.staleAfterMinutes ?? "");
+    setEditOfflineMinutes(device.heartbeat?.offlineAfterMinutes ?? "");
+    setEditTagRows(tagsToRows(device.tags));
+    setEditAttributes(device.attributes || {});
    
     if (isChild) {
       setEditParentDeviceId(device.parentDeviceId);
@@ -257,6 +441,13 @@ const DeviceDashboard = () => {
         serialNumber: editSerialNumber,
         macId: editMacId,
         commissionedDate: editCommissionedDate,
+        deviceTypeId: editDeviceTypeId || null,
+        heartbeat: {
+          staleAfterMinutes: editStaleMinutes === "" ? null : Number(editStaleMinutes),
+          offlineAfterMinutes: editOfflineMinutes === "" ? null : Number(editOfflineMinutes),
+        },
+        tags: rowsToTags(editTagRows),
+        attributes: editAttributes,
       };
      
       // If this is a child device, include the parent ID
@@ -277,7 +468,23 @@ const DeviceDashboard = () => {
       handleCloseEditDialog();
     } catch (error) {
       console.error("Error updating device:", error);
-      alert("Failed to update device.");
+      alert(error.response?.data?.message || "Failed to update device.");
+    }
+  };
+
+  // Download the device list of the selected plant (all accessible plants when none is selected)
+  const handleExport = async (format) => {
+    try {
+      const blob = await exportDevices(format, selectedPlantId);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `devices-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error exporting devices:", error);
+      alert("Failed to export devices.");
     }
   };
 
@@ -305,6 +512,32 @@ const DeviceDashboard = () => {
         </Select>
       </Paper>
 
+      {/* Bulk Import / Export */}
+      <Paper sx={{ padding: 2, marginBottom: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Bulk Import / Export
+        </Typography>
+        <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap" }}>
+          <Button variant="contained" onClick={() => setImportDialogOpen(true)}>
+            Import CSV / XLSX
+          </Button>
+          <Button variant="outlined" onClick={() => handleExport("csv")}>
+            Export CSV
+          </Button>
+          <Button variant="outlined" onClick={() => handleExport("xlsx")}>
+            Export XLSX
+          </Button>
+        </Box>
+      </Paper>
+
+      {isAdmin && (
+        <CommissioningChecklistSettings />
+      )}
+
+      {isAdmin && (
+        <CustomAttributeSettings />
+      )}
+
       {/* Add Device Form */}
       <Paper sx={{ padding: 2, marginBottom: 3 }}>
         <Typography variant="h6" gutterBottom>
@@ -342,6 +575,21 @@ const DeviceDashboard = () => {
             </Box>
           )}
 
+          <Select
+            size="small"
+            value={deviceTypeId}
+            onChange={(e) => setDeviceTypeId(e.target.value)}
+            displayEmpty
+            sx={{ minWidth: "180px" }}
+          >
+            <MenuItem value="">Select Device Type</MenuItem>
+            {deviceTypes.map((type) => (
+              <MenuItem key={type._id} value={type._id}>
+                {type.name}
+              </MenuItem>
+            ))}
+          </Select>
+
           <TextField
             label="Device Name"
             variant="outlined"
@@ -372,6 +620,18 @@ const DeviceDashboard = () => {
             value={commissionedDate}
             onChange={(e) => setCommissionedDate(e.target.value)}
           />
+          <Select
+            size="small"
+            value={lifecycleState}
+            onChange={(e) => setLifecycleState(e.target.value)}
+            sx={{ minWidth: "160px" }}
+          >
+            {INITIAL_LIFECYCLE_STATES.map((state) => (
+              <MenuItem key={state} value={state}>
+                {lifecycleLabel(state)}
+              </MenuItem>
+            ))}
+          </Select>
           <Button
             variant="contained"
             color="primary"
@@ -380,8 +640,19 @@ const DeviceDashboard = () => {
             ADD DEVICE
           </Button>
         </Box>
+        <Box sx={{ mt: 2 }}>
+          <CustomFieldsEditor
+            target="device"
+            tagRows={tagRows}
+            attributes={attributes}
+            onTagRowsChange={setTagRows}
+            onAttributesChange={setAttributes}
+          />
+        </Box>
       </Paper>
 
+      <DeviceFilterBar filter={deviceFilter} onChange={setDeviceFilter} />
+
       {/* Device Table */}
       {devices.length > 0 ? (
         <TableContainer component={Paper}>
@@ -389,6 +660,11 @@ const DeviceDashboard = () => {
             <TableHead>
               <TableRow sx={{ backgroundColor: "#0d47a1" }}>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Device Name</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Type</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Status</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Lifecycle</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Work Orders</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Firmware</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Serial Number</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>MAC ID</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Commissioned Date</TableCell>
@@ -401,7 +677,16 @@ const DeviceDashboard = () => {
               {devices.map((device) => (
                 <React.Fragment key={device._id}>
                   <TableRow>
-                    <TableCell>{device.deviceName}</TableCell>
+                    <TableCell>
+                      {device.deviceName}
+                      {provisioningChip(device)}
+                      {tagChips(device)}
+                    </TableCell>
+                    <TableCell>{typeName(device)}</TableCell>
+                    <TableCell>{connectivityChip(device)}</TableCell>
+                    <TableCell>{lifecycleChip(device)}</TableCell>
+                    <TableCell>{workOrderChip(device)}</TableCell>
+                    <TableCell>{firmwareVersion(device)}</TableCell>
                     <TableCell>{device.serialNumber}</TableCell>
                     <TableCell>{device.macId}</TableCell>
                     <TableCell>
@@ -421,11 +706,16 @@ const DeviceDashboard = () => {
                       <IconButton onClick={() => handleOpenEditDialog(device)}>
                         <EditIcon />
                       </IconButton>
+                      <Tooltip title="Save as template">
+                        <IconButton onClick={() => navigate(`/device-templates?fromDevice=${device._id}`)}>
+                          <ContentCopyIcon />
+                        </IconButton>
+                      </Tooltip>
                     </TableCell>
                     <TableCell>
                       <IconButton
                         color="error"
-                        onClick={() => handleDeleteDevice(device._id)}
+                        onClick={() => setDeviceToArchive(device)}
                       >
                         <DeleteIcon />
                       </IconButton>
@@ -435,7 +725,7 @@ const DeviceDashboard = () => {
                   {/* Child Devices Row */}
                   {openChildRows[device._id] && (
                     <TableRow>
-                      <TableCell colSpan={7} style={{ paddingBottom: 0, paddingTop: 0 }}>
+                      <TableCell colSpan={12} style={{ paddingBottom: 0, paddingTop: 0 }}>
                         <Collapse in={openChildRows[device._id]} timeout="auto" unmountOnExit>
                           <Box sx={{ margin: 1 }}>
                             <Typography variant="h6" gutterBottom component="div">
@@ -445,6 +735,11 @@ const DeviceDashboard = () => {
                               <TableHead>
                                 <TableRow>
                                   <TableCell>Device Name</TableCell>
+                                  <TableCell>Type</TableCell>
+                                  <TableCell>Status</TableCell>
+                                  <TableCell>Lifecycle</TableCell>
+                                  <TableCell>Work Orders</TableCell>
+                                  <TableCell>Firmware</TableCell>
                                   <TableCell>Serial Number</TableCell>
                                   <TableCell>MAC ID</TableCell>
                                   <TableCell>Commissioned Date</TableCell>
@@ -456,7 +751,16 @@ const DeviceDashboard = () => {
                                 {childDevices[device._id]?.length > 0 ? (
                                   childDevices[device._id].map((child) => (
                                     <TableRow key={child._id}>
-                                      <TableCell>{child.deviceName}</TableCell>
+                                      <TableCell>
+                                        {child.deviceName}
+                                        {provisioningChip(child)}
+                                        {tagChips(child)}
+                                      </TableCell>
+                                      <TableCell>{typeName(child)}</TableCell>
+                                      <TableCell>{connectivityChip(child)}</TableCell>
+                                      <TableCell>{lifecycleChip(child)}</TableCell>
+                                      <TableCell>{workOrderChip(child)}</TableCell>
+                                      <TableCell>{firmwareVersion(child)}</TableCell>
                                       <TableCell>{child.serialNumber}</TableCell>
                                       <TableCell>{child.macId}</TableCell>
                                       <TableCell>
@@ -466,11 +770,16 @@ const DeviceDashboard = () => {
                                         <IconButton onClick={() => handleOpenEditDialog(child, true)}>
                                           <EditIcon />
                                         </IconButton>
+                                        <Tooltip title="Save as template">
+                                          <IconButton onClick={() => navigate(`/device-templates?fromDevice=${child._id}`)}>
+                                            <ContentCopyIcon />
+                                          </IconButton>
+                                        </Tooltip>
                                       </TableCell>
                                       <TableCell>
                                         <IconButton
                                           color="error"
-                                          onClick={() => handleDeleteDevice(child._id)}
+                                          onClick={() => setDeviceToArchive(child)}
                                         >
                                           <DeleteIcon />
                                         </IconButton>
@@ -479,7 +788,7 @@ const DeviceDashboard = () => {
                                   ))
                                 ) : (
                                   <TableRow>
-                                    <TableCell colSpan={6}>No child devices found</TableCell>
+                                    <TableCell colSpan={11}>No child devices found</TableCell>
                                   </TableRow>
                                 )}
                               </TableBody>
@@ -497,7 +806,7 @@ const DeviceDashboard = () => {
       ) : (
         selectedPlantId && (
           <Typography variant="body1" mt={2}>
-            No devices added for this plant yet.
+            {isFilterEmpty(deviceFilter) ? "No devices added for this plant yet." : "No devices match the filter."}
           </Typography>
         )
       )}
@@ -513,6 +822,19 @@ const DeviceDashboard = () => {
               value={editDeviceName}
               onChange={(e) => setEditDeviceName(e.target.value)}
             />
+            <Select
+              value={editDeviceTypeId}
+              onChange={(e) => setEditDeviceTypeId(e.target.value)}
+              displayEmpty
+              fullWidth
+            >
+              <MenuItem value="">Select Device Type</MenuItem>
+              {deviceTypes.map((type) => (
+                <MenuItem key={type._id} value={type._id}>
+                  {type.name}
+                </MenuItem>
+              ))}
+            </Select>
             <TextField
               label="Serial Number"
               fullWidth
@@ -533,6 +855,31 @@ const DeviceDashboard = () => {
               value={editCommissionedDate}
               onChange={(e) => setEditCommissionedDate(e.target.value)}
             />
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField
+                label="Stale after (min)"
+                type="number"
+                fullWidth
+                value={editStaleMinutes}
+                onChange={(e) => setEditStaleMinutes(e.target.value)}
+                helperText="Empty uses the system default"
+              />
+              <TextField
+                label="Offline after (min)"
+                type="number"
+                fullWidth
+                value={editOfflineMinutes}
+                onChange={(e) => setEditOfflineMinutes(e.target.value)}
+                helperText="Raises a communication-loss alarm"
+              />
+            </Box>
+            <CustomFieldsEditor
+              target="device"
+              tagRows={editTagRows}
+              attributes={editAttributes}
+              onTagRowsChange={setEditTagRows}
+              onAttributesChange={setEditAttributes}
+            />
            
             {/* Parent device selection for child devices */}
             {editDevice?.parentDeviceId && (
@@ -563,6 +910,31 @@ const DeviceDashboard = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <ArchiveConfirmDialog
+        open={Boolean(deviceToArchive)}
+        title="Archive Device"
+        name={deviceToArchive?.deviceName}
+        loadDependencies={() => getDeviceDependencies(deviceToArchive._id)}
+        onConfirm={handleDeleteDevice}
+        onClose={() => setDeviceToArchive(null)}
+      />
+
+      <DeviceLifecycleDialog
+        device={lifecycleDevice}
+        onChanged={handleLifecycleChanged}
+        onClose={() => setLifecycleDevice(null)}
+      />
+
+      <DeviceCredentialsDialog credentials={credentials} onClose={() => setCredentials(null)} />
+
+      <DeviceImportDialog
+        open={importDialogOpen}
+        plantId={selectedPlantId}
+        plantName={plants.find((plant) => plant._id === selectedPlantId)?.plantName}
+        onImported={fetchDevices}
+        onClose={() => setImportDialogOpen(false)}
+      />
     </>
   );
 
@@ -0,0 +1,487 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Button,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Tooltip,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import * as templateService from "../services/deviceTemplateService";
+import { getPlants } from "../services/plantService";
+import { getDevices } from "../services/deviceService";
+import { getDeviceTypes, getTypeOfDevice } from "../services/deviceTypeService";
+import CustomFieldsEditor, { tagsToRows, rowsToTags } from "../components/CustomFieldsEditor";
+import CloneDevicesDialog from "../components/CloneDevicesDialog";
+import { useAuth } from "../context/AuthContext";
+
+const PARENT_MODES = {
+  optional: "Top level or under any device",
+  none: "Top level only",
+  required: "Under a device chosen when cloning",
+  fixed: "Always under one device",
+};
+
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  namePrefix: "",
+  numberDigits: 2,
+  deviceTypeId: "",
+  plantId: "",
+  thresholds: {},
+  tolerances: {},
+  tagRows: [],
+  parentMode: "optional",
+  parentDeviceId: "",
+  parentDeviceTypeId: "",
+};
+
+// Metric settings as { metricKey: "value" } for the form, and back as [{ type, <field> }]
+const settingsToForm = (settings, field) =>
+  Object.fromEntries(settings.map((setting) => [setting.type, String(setting[field])]));
+
+const formToSettings = (values, metrics, field) =>
+  metrics
+    .filter((metric) => values[metric.key] !== undefined && values[metric.key] !== "")
+    .map((metric) => ({ type: metric.key, [field]: Number(values[metric.key]) }));
+
+const templateToForm = (template) => ({
+  name: template.name,
+  description: template.description || "",
+  namePrefix: template.namePrefix,
+  numberDigits: template.numberDigits,
+  deviceTypeId: template.deviceTypeId || "",
+  plantId: template.plantId || "",
+  thresholds: settingsToForm(template.thresholds, "threshold"),
+  tolerances: settingsToForm(template.tolerances, "tolerance"),
+  tagRows: tagsToRows(template.tags),
+  parentMode: template.parentRule.mode,
+  parentDeviceId: template.parentRule.parentDeviceId || "",
+  parentDeviceTypeId: template.parentRule.parentDeviceTypeId || "",
+});
+
+const DeviceTemplates = () => {
+  const { user } = useAuth();
+  const canEdit = ["admin", "engineer"].includes(user?.role);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [templates, setTemplates] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [deviceTypes, setDeviceTypes] = useState([]);
+  const [plantDevices, setPlantDevices] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [cloneTemplate, setCloneTemplate] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showError = (err, fallback) => {
+    setSnackbar({ open: true, message: err.response?.data?.message || fallback, severity: 'error' });
+  };
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setTemplates(await templateService.getDeviceTemplates());
+    } catch (err) {
+      console.error("Error fetching device templates:", err);
+      showError(err, 'Failed to fetch device templates. Please try again.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+    getPlants().then(setPlants).catch((err) => console.error("Error fetching plants:", err));
+    getDeviceTypes().then(setDeviceTypes).catch((err) => console.error("Error fetching device types:", err));
+  }, [fetchTemplates]);
+
+  // "Save as template" on the device list links here with ?fromDevice=<id>
+  useEffect(() => {
+    const deviceId = searchParams.get("fromDevice");
+    if (!deviceId) return;
+    setSearchParams({}, { replace: true });
+    templateService.getTemplateFromDevice(deviceId)
+      .then((draft) => {
+        setEditingTemplate(null);
+        setForm(templateToForm(draft));
+        setDialogOpen(true);
+      })
+      .catch((err) => {
+        console.error("Error building template from device:", err);
+        showError(err, 'Failed to read the device.');
+      });
+  }, [searchParams, setSearchParams]);
+
+  useEffect(() => {
+    if (!dialogOpen || !form.plantId) {
+      setPlantDevices([]);
+      return;
+    }
+    getDevices(form.plantId).then(setPlantDevices).catch((err) => console.error("Error fetching devices:", err));
+  }, [dialogOpen, form.plantId]);
+
+  const typeOf = (deviceTypeId) => getTypeOfDevice(deviceTypes, { deviceTypeId: deviceTypeId || null });
+  const typeName = (deviceTypeId) => typeOf(deviceTypeId)?.name || "—";
+  const plantName = (plantId) => plants.find((plant) => plant._id === plantId)?.plantName || "Any plant";
+  const metrics = typeOf(form.deviceTypeId)?.metrics || [];
+
+  const openDialog = (template = null) => {
+    setEditingTemplate(template);
+    setForm(template ? templateToForm(template) : EMPTY_FORM);
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      name: form.name,
+      description: form.description,
+      namePrefix: form.namePrefix,
+      numberDigits: Number(form.numberDigits),
+      deviceTypeId: form.deviceTypeId || null,
+      plantId: form.plantId || null,
+      thresholds: formToSettings(form.thresholds, metrics, "threshold"),
+      tolerances: formToSettings(form.tolerances, metrics, "tolerance"),
+      tags: rowsToTags(form.tagRows),
+      parentRule: {
+        mode: form.parentMode,
+        parentDeviceId: form.parentMode === "fixed" ? form.parentDeviceId || null : null,
+        parentDeviceTypeId: form.parentMode === "none" ? null : form.parentDeviceTypeId || null,
+      },
+    };
+    try {
+      if (editingTemplate) {
+        await templateService.updateDeviceTemplate(editingTemplate._id, payload);
+      } else {
+        await templateService.createDeviceTemplate(payload);
+      }
+      setDialogOpen(false);
+      setSnackbar({ open: true, message: 'Device template saved', severity: 'success' });
+      fetchTemplates();
+    } catch (err) {
+      console.error("Error saving device template:", err);
+      showError(err, 'Failed to save the device template.');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template ${template.name}? Devices cloned from it are not affected.`)) return;
+    try {
+      await templateService.deleteDeviceTemplate(template._id);
+      fetchTemplates();
+    } catch (err) {
+      console.error("Error deleting device template:", err);
+      showError(err, 'Failed to delete the device template.');
+    }
+  };
+
+  const handleCloned = (result) => {
+    setCloneTemplate(null);
+    setSnackbar({
+      open: true,
+      message: `${result.message}: ${result.devices.map((device) => device.deviceName).join(", ")}`,
+      severity: 'success',
+    });
+  };
+
+  const setMetricValue = (field, key, value) => setForm({ ...form, [field]: { ...form[field], [key]: value } });
+
+  const handleCloseSnackbar = () => setSnackbar({ ...snackbar, open: false });
+
+  return (
+    <Box>
+      <Typography variant="h4" fontWeight="bold" mb={3}>
+        Device Templates
+      </Typography>
+
+      <Snackbar open={snackbar.open} autoHideDuration={6000} onClose={handleCloseSnackbar}>
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      <Paper sx={{ p: 3, borderRadius: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Settings shared by similar devices. Cloning creates numbered devices with the template's type, tags,
+            parent, thresholds and tolerances.
+          </Typography>
+          {canEdit && (
+            <Button startIcon={<AddIcon />} variant="contained" onClick={() => openDialog()}>
+              New Template
+            </Button>
+          )}
+        </Box>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Device Type</TableCell>
+                <TableCell>Plant</TableCell>
+                <TableCell>Device Names</TableCell>
+                <TableCell>Defaults</TableCell>
+                <TableCell>Parent</TableCell>
+                <TableCell>Tags</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {templates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    No device templates yet.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                templates.map((template) => (
+                  <TableRow key={template._id}>
+                    <TableCell>
+                      <Typography fontWeight="bold">{template.name}</Typography>
+                      {template.description && (
+                        <Typography variant="caption" color="text.secondary">
+                          {template.description}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{typeName(template.deviceTypeId)}</TableCell>
+                    <TableCell>{plantName(template.plantId)}</TableCell>
+                    <TableCell>{`${template.namePrefix}-${"1".padStart(template.numberDigits, "0")}`}, …</TableCell>
+                    <TableCell>
+                      {template.thresholds.length} threshold(s), {template.tolerances.length} tolerance(s)
+                    </TableCell>
+                    <TableCell>{PARENT_MODES[template.parentRule.mode]}</TableCell>
+                    <TableCell>
+                      {Object.entries(template.tags || {}).map(([key, value]) => (
+                        <Chip key={key} size="small" label={value ? `${key}: ${value}` : key} sx={{ mr: 0.5, mb: 0.5 }} />
+                      ))}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                      {canEdit && (
+                        <>
+                          <Tooltip title="Clone devices">
+                            <IconButton color="primary" onClick={() => setCloneTemplate(template)}>
+                              <ContentCopyIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <IconButton onClick={() => openDialog(template)}>
+                            <EditIcon />
+                          </IconButton>
+                          <IconButton color="error" onClick={() => handleDelete(template)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>{editingTemplate ? `Edit ${editingTemplate.name}` : "New Device Template"}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mt: 1, mb: 2 }}>
+            <TextField label="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+            <TextField
+              label="Name prefix"
+              value={form.namePrefix}
+              onChange={(e) => setForm({ ...form, namePrefix: e.target.value })}
+              helperText={`Devices are named ${form.namePrefix || "prefix"}-${"1".padStart(form.numberDigits || 1, "0")}, …`}
+              required
+            />
+            <TextField
+              label="Number digits"
+              type="number"
+              value={form.numberDigits}
+              onChange={(e) => setForm({ ...form, numberDigits: e.target.value })}
+              inputProps={{ min: 1, max: 6 }}
+              sx={{ width: 140 }}
+            />
+            <TextField
+              label="Description"
+              fullWidth
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+            />
+            <FormControl sx={{ minWidth: 220 }}>
+              <InputLabel>Device type</InputLabel>
+              <Select label="Device type" value={form.deviceTypeId} onChange={(e) => setForm({ ...form, deviceTypeId: e.target.value })}>
+                <MenuItem value="">Default type</MenuItem>
+                {deviceTypes.map((type) => (
+                  <MenuItem key={type._id} value={type._id}>
+                    {type.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl sx={{ minWidth: 220 }}>
+              <InputLabel>Plant</InputLabel>
+              <Select
+                label="Plant"
+                value={form.plantId}
+                onChange={(e) => setForm({ ...form, plantId: e.target.value, parentDeviceId: "" })}
+              >
+                <MenuItem value="">Any plant (chosen when cloning)</MenuItem>
+                {plants.map((plant) => (
+                  <MenuItem key={plant._id} value={plant._id}>
+                    {plant.plantName}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          <Typography variant="subtitle2" gutterBottom>
+            Parent Rule
+          </Typography>
+          <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mb: 2 }}>
+            <FormControl sx={{ minWidth: 280 }}>
+              <InputLabel>Placement</InputLabel>
+              <Select label="Placement" value={form.parentMode} onChange={(e) => setForm({ ...form, parentMode: e.target.value })}>
+                {Object.entries(PARENT_MODES).map(([mode, label]) => (
+                  <MenuItem key={mode} value={mode}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {form.parentMode === "fixed" && (
+              <FormControl sx={{ minWidth: 220 }} disabled={!form.plantId}>
+                <InputLabel>Parent device</InputLabel>
+                <Select
+                  label="Parent device"
+                  value={form.parentDeviceId}
+                  onChange={(e) => setForm({ ...form, parentDeviceId: e.target.value })}
+                >
+                  {plantDevices.map((device) => (
+                    <MenuItem key={device._id} value={device._id}>
+                      {device.deviceName}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            {form.parentMode !== "none" && (
+              <FormControl sx={{ minWidth: 220 }}>
+                <InputLabel>Parent must be of type</InputLabel>
+                <Select
+                  label="Parent must be of type"
+                  value={form.parentDeviceTypeId}
+                  onChange={(e) => setForm({ ...form, parentDeviceTypeId: e.target.value })}
+                >
+                  <MenuItem value="">Any type</MenuItem>
+                  {deviceTypes.map((type) => (
+                    <MenuItem key={type._id} value={type._id}>
+                      {type.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </Box>
+          {form.parentMode === "fixed" && !form.plantId && (
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+              Choose a plant to pick the parent device from.
+            </Typography>
+          )}
+
+          <Typography variant="subtitle2" gutterBottom>
+            Default Thresholds and Tolerances
+          </Typography>
+          <Table size="small" sx={{ mb: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Metric</TableCell>
+                <TableCell>Threshold</TableCell>
+                <TableCell>Tolerance</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {metrics.map((metric) => (
+                <TableRow key={metric.key}>
+                  <TableCell>
+                    {metric.label}
+                    {metric.unit ? ` (${metric.unit})` : ""}
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      type="number"
+                      placeholder={metric.defaultThreshold !== undefined ? String(metric.defaultThreshold) : ""}
+                      value={form.thresholds[metric.key] ?? ""}
+                      onChange={(e) => setMetricValue("thresholds", metric.key, e.target.value)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      type="number"
+                      placeholder={metric.defaultTolerance !== undefined ? String(metric.defaultTolerance) : ""}
+                      value={form.tolerances[metric.key] ?? ""}
+                      onChange={(e) => setMetricValue("tolerances", metric.key, e.target.value)}
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+            Empty fields keep the device type's default.
+          </Typography>
+
+          <CustomFieldsEditor
+            tagRows={form.tagRows}
+            attributes={{}}
+            onTagRowsChange={(tagRows) => setForm({ ...form, tagRows })}
+            onAttributesChange={() => {}}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={!form.name || !form.namePrefix || (form.parentMode === "fixed" && !form.parentDeviceId)}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <CloneDevicesDialog
+        template={cloneTemplate}
+        plants={plants}
+        onCloned={handleCloned}
+        onClose={() => setCloneTemplate(null)}
+      />
+    </Box>
+  );
+};
+
+export default DeviceTemplates;
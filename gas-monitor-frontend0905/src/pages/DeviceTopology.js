@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Button,
+  IconButton,
+  Chip,
+  Alert,
+  Tooltip,
+  Divider
+} from "@mui/material";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import ZoomInIcon from "@mui/icons-material/ZoomIn";
+import ZoomOutIcon from "@mui/icons-material/ZoomOut";
+import UnfoldMoreIcon from "@mui/icons-material/UnfoldMore";
+import UnfoldLessIcon from "@mui/icons-material/UnfoldLess";
+import { getPlants } from "../services/plantService";
+import { getDeviceTopology } from "../services/deviceService";
+
+const NODE_WIDTH = 190;
+const NODE_HEIGHT = 50;
+const COLUMN_GAP = 70;
+const ROW_GAP = 16;
+const REFRESH_INTERVAL = 30000;
+
+const STATUS_STYLES = {
+  online: { color: "#2e7d32", label: "Online" },
+  stale: { color: "#fbc02d", label: "Stale" },
+  offline: { color: "#757575", label: "Offline" },
+  unknown: { color: "#90a4ae", label: "Never reported" },
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const statusLabel = (node) =>
+  node.unreachableVia ? `Unreachable (${node.unreachableVia} offline)` : STATUS_STYLES[node.status].label;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Left-to-right tree: one column per level, leaves on their own rows and
+// parents centred on their visible children
+const layoutTree = (roots, collapsed) => {
+  const placed = [];
+  const edges = [];
+  let nextRow = 0;
+
+  const place = (node) => {
+    const children = collapsed.has(node.deviceId) ? [] : node.children.map(place);
+    const y = children.length > 0
+      ? (children[0].y + children[children.length - 1].y) / 2
+      : nextRow++ * (NODE_HEIGHT + ROW_GAP);
+    const entry = { node, x: (node.depth - 1) * (NODE_WIDTH + COLUMN_GAP), y };
+    placed.push(entry);
+    children.forEach((child) => edges.push({ from: entry, to: child }));
+    return entry;
+  };
+  roots.forEach(place);
+
+  const width = Math.max(0, ...placed.map((entry) => entry.x)) + NODE_WIDTH;
+  const height = Math.max(1, nextRow) * (NODE_HEIGHT + ROW_GAP);
+  return { placed, edges, width, height };
+};
+
+const findNode = (nodes, deviceId) => {
+  for (const node of nodes) {
+    if (node.deviceId === deviceId) return node;
+    const found = findNode(node.children, deviceId);
+    if (found) return found;
+  }
+  return null;
+};
+
+const collectParents = (nodes, ids = []) => {
+  nodes.forEach((node) => {
+    if (node.children.length > 0) ids.push(node.deviceId);
+    collectParents(node.children, ids);
+  });
+  return ids;
+};
+
+const countDescendants = (node) => node.children.reduce((total, child) => total + 1 + countDescendants(child), 0);
+
+const TopologyNode = ({ entry, selected, collapsed, onSelect, onToggle }) => {
+  const { node, x, y } = entry;
+  const style = STATUS_STYLES[node.effectiveStatus] || STATUS_STYLES.unknown;
+  const hidden = collapsed ? countDescendants(node) : 0;
+
+  return (
+    <g transform={`translate(${x}, ${y})`} style={{ cursor: "pointer" }} onClick={() => onSelect(node.deviceId)}>
+      <title>{`${node.deviceName} — ${statusLabel(node)}`}</title>
+      <rect
+        width={NODE_WIDTH}
+        height={NODE_HEIGHT}
+        rx={6}
+        fill={node.unreachableVia ? "#f5f5f5" : "white"}
+        stroke={selected ? "#1976d2" : style.color}
+        strokeWidth={selected ? 3 : 2}
+        strokeDasharray={node.unreachableVia ? "6 4" : undefined}
+      />
+      <rect x={0} y={0} width={8} height={NODE_HEIGHT} rx={3} fill={style.color} />
+      <text x={16} y={20} fontSize={13} fontWeight="bold" fill={node.unreachableVia ? "#757575" : "#212121"}>
+        {truncate(node.deviceName, 22)}
+      </text>
+      <text x={16} y={38} fontSize={11} fill="#616161">
+        {truncate(statusLabel(node), 28)}
+      </text>
+      {node.children.length > 0 && (
+        <g
+          transform={`translate(${NODE_WIDTH}, ${NODE_HEIGHT / 2})`}
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggle(node.deviceId);
+          }}
+        >
+          <title>{collapsed ? `Show ${hidden} hidden devices` : "Hide child devices"}</title>
+          <circle r={10} fill="white" stroke="#9e9e9e" />
+          <text textAnchor="middle" dy={4} fontSize={collapsed ? 10 : 14} fill="#424242">
+            {collapsed ? `+${hidden}` : "−"}
+          </text>
+        </g>
+      )}
+    </g>
+  );
+};
+
+const DeviceTopology = () => {
+  const [plants, setPlants] = useState([]);
+  const [plantId, setPlantId] = useState("");
+  const [topology, setTopology] = useState(null);
+  const [loadedAt, setLoadedAt] = useState(null);
+  const [error, setError] = useState("");
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [selectedId, setSelectedId] = useState(null);
+  const [zoom, setZoom] = useState(1);
+
+  useEffect(() => {
+    getPlants()
+      .then((list) => {
+        setPlants(list);
+        if (list.length > 0) setPlantId(list[0]._id);
+      })
+      .catch((err) => console.error("Error fetching plants:", err));
+  }, []);
+
+  const fetchTopology = useCallback(async () => {
+    if (!plantId) return;
+    try {
+      setTopology(await getDeviceTopology(plantId));
+      setLoadedAt(new Date());
+      setError("");
+    } catch (err) {
+      console.error("Error fetching device topology:", err);
+      setError(err.response?.data?.message || "Failed to load the device topology.");
+    }
+  }, [plantId]);
+
+  // Connectivity changes with every heartbeat check, so keep the graph fresh
+  useEffect(() => {
+    setCollapsed(new Set());
+    setSelectedId(null);
+    fetchTopology();
+    const interval = setInterval(fetchTopology, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchTopology]);
+
+  const roots = useMemo(() => topology?.roots || [], [topology]);
+  const layout = useMemo(() => layoutTree(roots, collapsed), [roots, collapsed]);
+  const selected = selectedId ? findNode(roots, selectedId) : null;
+
+  const toggle = (deviceId) => {
+    const next = new Set(collapsed);
+    if (next.has(deviceId)) next.delete(deviceId);
+    else next.add(deviceId);
+    setCollapsed(next);
+  };
+
+  const summary = topology?.summary;
+
+  return (
+    <Box>
+      <Typography variant="h4" fontWeight="bold" mb={3}>
+        Device Topology
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3, display: "flex", gap: 2, alignItems: "center", flexWrap: "wrap" }}>
+        <FormControl sx={{ minWidth: 240 }}>
+          <InputLabel>Plant</InputLabel>
+          <Select label="Plant" value={plantId} onChange={(e) => setPlantId(e.target.value)}>
+            {plants.map((plant) => (
+              <MenuItem key={plant._id} value={plant._id}>
+                {plant.plantName}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button startIcon={<RefreshIcon />} onClick={fetchTopology}>
+          Refresh
+        </Button>
+        {loadedAt && (
+          <Typography variant="caption" color="text.secondary">
+            Updated {loadedAt.toLocaleTimeString()}
+          </Typography>
+        )}
+        {summary && (
+          <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap", ml: "auto" }}>
+            {Object.entries(STATUS_STYLES).map(([status, style]) => (
+              <Chip
+                key={status}
+                size="small"
+                label={`${style.label}: ${summary[status]}`}
+                sx={{ backgroundColor: style.color, color: "white" }}
+              />
+            ))}
+            <Chip size="small" variant="outlined" label={`Unreachable behind an offline gateway: ${summary.unreachable}`} />
+          </Box>
+        )}
+      </Paper>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {topology?.issues.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Some parent links are invalid; these devices are shown at the top level:
+          <ul style={{ margin: 0 }}>
+            {topology.issues.map((issue) => (
+              <li key={`${issue.deviceId}-${issue.problem}`}>
+                {issue.deviceName}: {issue.problem}
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+        <Paper sx={{ p: 2, flex: 1, minWidth: 0 }}>
+          <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+            <Typography variant="h6" sx={{ flex: 1 }}>
+              Gateways and Devices
+            </Typography>
+            <Tooltip title="Expand all">
+              <IconButton onClick={() => setCollapsed(new Set())}>
+                <UnfoldMoreIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Collapse all">
+              <IconButton onClick={() => setCollapsed(new Set(collectParents(roots)))}>
+                <UnfoldLessIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Zoom out">
+              <IconButton onClick={() => setZoom(Math.max(0.4, zoom - 0.2))}>
+                <ZoomOutIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Zoom in">
+              <IconButton onClick={() => setZoom(Math.min(2, zoom + 0.2))}>
+                <ZoomInIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+          {roots.length === 0 ? (
+            <Typography color="text.secondary">No devices in this plant.</Typography>
+          ) : (
+            <Box sx={{ overflow: "auto", maxHeight: "70vh" }}>
+              <svg
+                width={(layout.width + 24) * zoom}
+                height={layout.height * zoom}
+                viewBox={`0 0 ${layout.width + 24} ${layout.height}`}
+              >
+                {layout.edges.map(({ from, to }) => (
+                  <path
+                    key={`${from.node.deviceId}-${to.node.deviceId}`}
+                    d={`M ${from.x + NODE_WIDTH} ${from.y + NODE_HEIGHT / 2}
+                        C ${from.x + NODE_WIDTH + COLUMN_GAP / 2} ${from.y + NODE_HEIGHT / 2},
+                          ${to.x - COLUMN_GAP / 2} ${to.y + NODE_HEIGHT / 2},
+                          ${to.x} ${to.y + NODE_HEIGHT / 2}`}
+                    fill="none"
+                    stroke={to.node.unreachableVia ? "#bdbdbd" : "#78909c"}
+                    strokeWidth={1.5}
+                    strokeDasharray={to.node.unreachableVia ? "4 4" : undefined}
+                  />
+                ))}
+                {layout.placed.map((entry) => (
+                  <TopologyNode
+                    key={entry.node.deviceId}
+                    entry={entry}
+                    selected={entry.node.deviceId === selectedId}
+                    collapsed={collapsed.has(entry.node.deviceId)}
+                    onSelect={setSelectedId}
+                    onToggle={toggle}
+                  />
+                ))}
+              </svg>
+            </Box>
+          )}
+          <Typography variant="caption" color="text.secondary">
+            Click a device for details. Devices behind an offline gateway are dashed and counted as offline.
+            Trees can be at most {topology?.maxDepth} levels deep.
+          </Typography>
+        </Paper>
+
+        {selected && (
+          <Paper sx={{ p: 2, width: 300, flexShrink: 0 }}>
+            <Typography variant="h6">{selected.deviceName}</Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Serial {selected.serialNumber}
+            </Typography>
+            <Divider sx={{ my: 1 }} />
+            <Typography variant="body2">
+              Status: <strong>{statusLabel(selected)}</strong>
+            </Typography>
+            {selected.unreachableVia && (
+              <Typography variant="body2" color="text.secondary">
+                Own heartbeat: {STATUS_STYLES[selected.status].label}
+              </Typography>
+            )}
+            <Typography variant="body2">Last seen: {formatDate(selected.lastSeenAt)}</Typography>
+            <Typography variant="body2">Lifecycle: {selected.lifecycleState.replace(/_/g, " ")}</Typography>
+            <Typography variant="body2">Level: {selected.depth}</Typography>
+            <Typography variant="body2">
+              Child devices: {selected.children.length}
+              {countDescendants(selected) > selected.children.length && ` (${countDescendants(selected)} below in total)`}
+            </Typography>
+            <Button size="small" sx={{ mt: 1 }} onClick={() => setSelectedId(null)}>
+              Close
+            </Button>
+          </Paper>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default DeviceTopology;
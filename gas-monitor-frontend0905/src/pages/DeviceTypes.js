@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from "react";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Button,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import * as deviceTypeService from "../services/deviceTypeService";
+
+const EMPTY_METRIC = {
+  key: "",
+  label: "",
+  unit: "",
+  min: "",
+  max: "",
+  precision: 1,
+  defaultThreshold: "",
+  defaultTolerance: "",
+  sourceFields: "",
+  calibrationIntervalDays: "",
+  bumpTestIntervalDays: "",
+};
+
+const EMPTY_FORM = { key: "", name: "", description: "", metrics: [EMPTY_METRIC] };
+
+// Metric rows are edited as strings; convert them back to the API's shape
+const toMetricPayload = (metric) => ({
+  key: metric.key.trim(),
+  label: metric.label.trim(),
+  unit: metric.unit,
+  min: metric.min === "" ? null : Number(metric.min),
+  max: metric.max === "" ? null : Number(metric.max),
+  precision: Number(metric.precision),
+  defaultThreshold: Number(metric.defaultThreshold),
+  defaultTolerance: Number(metric.defaultTolerance),
+  sourceFields: metric.sourceFields.split(",").map((field) => field.trim()).filter(Boolean),
+  calibrationIntervalDays: metric.calibrationIntervalDays === "" ? null : Number(metric.calibrationIntervalDays),
+  bumpTestIntervalDays: metric.bumpTestIntervalDays === "" ? null : Number(metric.bumpTestIntervalDays),
+});
+
+const toMetricRow = (metric) => ({
+  ...metric,
+  min: metric.min ?? "",
+  max: metric.max ?? "",
+  sourceFields: (metric.sourceFields || []).join(", "),
+  calibrationIntervalDays: metric.calibrationIntervalDays ?? "",
+  bumpTestIntervalDays: metric.bumpTestIntervalDays ?? "",
+});
+
+const formatRange = (metric) => {
+  if (metric.min === null && metric.max === null) return "—";
+  return `${metric.min ?? "…"} – ${metric.max ?? "…"} ${metric.unit}`;
+};
+
+const DeviceTypes = () => {
+  const [deviceTypes, setDeviceTypes] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingType, setEditingType] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  useEffect(() => {
+    fetchDeviceTypes();
+  }, []);
+
+  const fetchDeviceTypes = async () => {
+    try {
+      setDeviceTypes(await deviceTypeService.getDeviceTypes());
+    } catch (err) {
+      console.error("Error fetching device types:", err);
+      setSnackbar({ open: true, message: 'Failed to fetch device types. Please try again.', severity: 'error' });
+    }
+  };
+
+  const openCreateDialog = () => {
+    setEditingType(null);
+    setForm(EMPTY_FORM);
+    setDialogOpen(true);
+  };
+
+  const openEditDialog = (deviceType) => {
+    setEditingType(deviceType);
+    setForm({
+      key: deviceType.key,
+      name: deviceType.name,
+      description: deviceType.description || "",
+      metrics: deviceType.metrics.map(toMetricRow),
+    });
+    setDialogOpen(true);
+  };
+
+  const updateMetric = (index, field, value) => {
+    setForm((current) => ({
+      ...current,
+      metrics: current.metrics.map((metric, i) => (i === index ? { ...metric, [field]: value } : metric)),
+    }));
+  };
+
+  const addMetric = () => {
+    setForm((current) => ({ ...current, metrics: [...current.metrics, EMPTY_METRIC] }));
+  };
+
+  const removeMetric = (index) => {
+    setForm((current) => ({ ...current, metrics: current.metrics.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    if (!form.key || !form.name) {
+      setSnackbar({ open: true, message: 'Please enter a key and a name', severity: 'warning' });
+      return;
+    }
+
+    const payload = {
+      name: form.name,
+      description: form.description,
+      metrics: form.metrics.map(toMetricPayload),
+    };
+
+    try {
+      if (editingType) {
+        await deviceTypeService.updateDeviceType(editingType._id, payload);
+      } else {
+        await deviceTypeService.addDeviceType({ ...payload, key: form.key });
+      }
+      setDialogOpen(false);
+      fetchDeviceTypes();
+      setSnackbar({ open: true, message: `Device type "${form.name}" saved`, severity: 'success' });
+    } catch (err) {
+      console.error("Error saving device type:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || 'Failed to save device type. Please try again.',
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleDelete = async (deviceType) => {
+    if (!window.confirm(`Delete the device type "${deviceType.name}"?`)) {
+      return;
+    }
+
+    try {
+      const result = await deviceTypeService.deleteDeviceType(deviceType._id);
+      fetchDeviceTypes();
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+    } catch (err) {
+      console.error("Error deleting device type:", err);
+      setSnackbar({
+        open: true,
+        message: err.response?.data?.message || 'Failed to delete device type. Please try again.',
+        severity: 'error'
+      });
+    }
+  };
+
+  // Handle closing the snackbar
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  return (
+    <>
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+        <Typography variant="h4" fontWeight="bold">
+          Device Types
+        </Typography>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={openCreateDialog}>
+          Add Device Type
+        </Button>
+      </Box>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      <Paper sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Name</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Key</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Metrics</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Edit</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Delete</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {deviceTypes.map((deviceType) => (
+                <TableRow key={deviceType._id}>
+                  <TableCell>
+                    {deviceType.name}
+                    {deviceType.builtIn && <Chip size="small" label="Built-in" sx={{ ml: 1 }} />}
+                    {deviceType.description && (
+                      <Typography variant="body2" color="text.secondary">{deviceType.description}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: "monospace" }}>{deviceType.key}</TableCell>
+                  <TableCell>
+                    {deviceType.metrics.map((metric) => (
+                      <Typography key={metric.key} variant="body2">
+                        {metric.label}: {formatRange(metric)} (threshold {metric.defaultThreshold}, tolerance {metric.defaultTolerance})
+                      </Typography>
+                    ))}
+                  </TableCell>
+                  <TableCell align="center">
+                    <IconButton onClick={() => openEditDialog(deviceType)}>
+                      <EditIcon />
+                    </IconButton>
+                  </TableCell>
+                  <TableCell align="center">
+                    <IconButton onClick={() => handleDelete(deviceType)} color="error" disabled={deviceType.builtIn}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="lg" fullWidth>
+        <DialogTitle>{editingType ? `Edit ${editingType.name}` : "Add Device Type"}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: "flex", gap: 2, mt: 1, mb: 3 }}>
+            <TextField
+              label="Key"
+              value={form.key}
+              onChange={(e) => setForm({ ...form, key: e.target.value })}
+              disabled={Boolean(editingType)}
+              helperText="Lowercase letters, digits and dashes"
+            />
+            <TextField
+              label="Name"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+            />
+            <TextField
+              label="Description"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              sx={{ flex: 1 }}
+            />
+          </Box>
+
+          <Typography variant="h6" gutterBottom>Metrics</Typography>
+          {form.metrics.map((metric, index) => (
+            <Box key={index} sx={{ display: "flex", gap: 1, mb: 2, alignItems: "center" }}>
+              <TextField size="small" label="Key" value={metric.key} onChange={(e) => updateMetric(index, "key", e.target.value)} />
+              <TextField size="small" label="Label" value={metric.label} onChange={(e) => updateMetric(index, "label", e.target.value)} />
+              <TextField size="small" label="Unit" value={metric.unit} onChange={(e) => updateMetric(index, "unit", e.target.value)} sx={{ width: 80 }} />
+              <TextField size="small" label="Min" type="number" value={metric.min} onChange={(e) => updateMetric(index, "min", e.target.value)} sx={{ width: 90 }} />
+              <TextField size="small" label="Max" type="number" value={metric.max} onChange={(e) => updateMetric(index, "max", e.target.value)} sx={{ width: 90 }} />
+              <TextField size="small" label="Decimals" type="number" value={metric.precision} onChange={(e) => updateMetric(index, "precision", e.target.value)} sx={{ width: 90 }} />
+              <TextField size="small" label="Threshold" type="number" value={metric.defaultThreshold} onChange={(e) => updateMetric(index, "defaultThreshold", e.target.value)} sx={{ width: 110 }} />
+              <TextField size="small" label="Tolerance" type="number" value={metric.defaultTolerance} onChange={(e) => updateMetric(index, "defaultTolerance", e.target.value)} sx={{ width: 110 }} />
+              <TextField
+                size="small"
+                label="Telemetry fields"
+                placeholder="CO, co"
+                value={metric.sourceFields}
+                onChange={(e) => updateMetric(index, "sourceFields", e.target.value)}
+              />
+              <TextField
+                size="small"
+                label="Calibrate every (days)"
+                type="number"
+                value={metric.calibrationIntervalDays}
+                onChange={(e) => updateMetric(index, "calibrationIntervalDays", e.target.value)}
+                sx={{ width: 150 }}
+              />
+              <TextField
+                size="small"
+                label="Bump test every (days)"
+                type="number"
+                value={metric.bumpTestIntervalDays}
+                onChange={(e) => updateMetric(index, "bumpTestIntervalDays", e.target.value)}
+                sx={{ width: 150 }}
+              />
+              <IconButton onClick={() => removeMetric(index)} color="error" disabled={form.metrics.length === 1}>
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+          <Button startIcon={<AddIcon />} onClick={addMetric}>
+            Add Metric
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" color="primary">
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default DeviceTypes;
@@ -0,0 +1,577 @@
+import React, { useState, useEffect, useCallback } from "react";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Button,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import * as firmwareService from "../services/firmwareService";
+import { getDeviceTypes } from "../services/deviceTypeService";
+import { getPlants } from "../services/plantService";
+
+// Campaigns are re-read this often while one is running
+const REFRESH_SECONDS = 10;
+
+const CAMPAIGN_CHIPS = {
+  draft: { label: "Draft", color: "default" },
+  running: { label: "Running", color: "info" },
+  paused: { label: "Paused", color: "warning" },
+  completed: { label: "Completed", color: "success" },
+  cancelled: { label: "Cancelled", color: "default" },
+};
+
+const TARGET_CHIPS = {
+  pending: { label: "Pending", color: "default" },
+  sent: { label: "Updating", color: "info" },
+  succeeded: { label: "Updated", color: "success" },
+  failed: { label: "Failed", color: "error" },
+  skipped: { label: "Skipped", color: "default" },
+};
+
+const EMPTY_UPLOAD = { file: null, version: "", deviceTypeId: "", notes: "" };
+
+const EMPTY_CAMPAIGN = {
+  name: "",
+  artifactId: "",
+  plantId: "",
+  deviceTypeId: "",
+  batchSize: 5,
+  maxFailures: 0,
+  timeoutMinutes: 30,
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const Firmware = () => {
+  const [artifacts, setArtifacts] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [deviceTypes, setDeviceTypes] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [uploading, setUploading] = useState(false);
+  const [campaignDialogOpen, setCampaignDialogOpen] = useState(false);
+  const [campaignForm, setCampaignForm] = useState(EMPTY_CAMPAIGN);
+  const [selectedCampaign, setSelectedCampaign] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showError = useCallback((err, fallback) => {
+    setSnackbar({ open: true, message: err.response?.data?.message || fallback, severity: 'error' });
+  }, []);
+
+  const fetchArtifacts = useCallback(async () => {
+    try {
+      setArtifacts(await firmwareService.getArtifacts());
+    } catch (err) {
+      console.error("Error fetching firmware:", err);
+      showError(err, 'Failed to fetch firmware. Please try again.');
+    }
+  }, [showError]);
+
+  const fetchCampaigns = useCallback(async () => {
+    try {
+      setCampaigns(await firmwareService.getCampaigns());
+    } catch (err) {
+      console.error("Error fetching campaigns:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchArtifacts();
+    fetchCampaigns();
+    getDeviceTypes().then(setDeviceTypes).catch((err) => console.error("Error fetching device types:", err));
+    getPlants().then(setPlants).catch((err) => console.error("Error fetching plants:", err));
+  }, [fetchArtifacts, fetchCampaigns]);
+
+  // Follow running campaigns, and the open campaign's devices, as batches complete
+  const anyRunning = campaigns.some((campaign) => campaign.status === "running");
+  const selectedId = selectedCampaign?._id;
+  useEffect(() => {
+    if (!anyRunning) return undefined;
+    const timer = setInterval(() => {
+      fetchCampaigns();
+      if (selectedId) {
+        firmwareService.getCampaign(selectedId).then(setSelectedCampaign).catch(() => {});
+      }
+    }, REFRESH_SECONDS * 1000);
+    return () => clearInterval(timer);
+  }, [anyRunning, selectedId, fetchCampaigns]);
+
+  const typeName = (deviceTypeId) =>
+    deviceTypeId ? deviceTypes.find((type) => type._id === deviceTypeId)?.name || "Unknown type" : null;
+
+  const plantName = (plantId) => (plantId ? plants.find((plant) => plant._id === plantId)?.plantName || "Unknown plant" : null);
+
+  const targetLabel = (campaign) =>
+    [plantName(campaign.target.plantId), typeName(campaign.target.deviceTypeId)].filter(Boolean).join(" · ");
+
+  const handleUpload = async () => {
+    if (!upload.file || !upload.version) {
+      setSnackbar({ open: true, message: 'Choose a file and enter its version', severity: 'warning' });
+      return;
+    }
+    setUploading(true);
+    try {
+      const artifact = await firmwareService.uploadArtifact(upload.file, upload);
+      setUpload(EMPTY_UPLOAD);
+      fetchArtifacts();
+      setSnackbar({ open: true, message: `Firmware ${artifact.version} uploaded`, severity: 'success' });
+    } catch (err) {
+      console.error("Error uploading firmware:", err);
+      showError(err, 'Failed to upload firmware. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDeleteArtifact = async (artifact) => {
+    if (!window.confirm(`Delete firmware ${artifact.version}?`)) {
+      return;
+    }
+    try {
+      const result = await firmwareService.deleteArtifact(artifact._id);
+      fetchArtifacts();
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+    } catch (err) {
+      console.error("Error deleting firmware:", err);
+      showError(err, 'Failed to delete firmware. Please try again.');
+    }
+  };
+
+  const openCampaignDialog = () => {
+    setCampaignForm(EMPTY_CAMPAIGN);
+    setCampaignDialogOpen(true);
+  };
+
+  // An image built for one device type fixes the campaign's type
+  const handleArtifactChange = (artifactId) => {
+    const artifact = artifacts.find((candidate) => candidate._id === artifactId);
+    setCampaignForm({
+      ...campaignForm,
+      artifactId,
+      deviceTypeId: artifact?.deviceTypeId || campaignForm.deviceTypeId,
+      name: campaignForm.name || (artifact ? `Update to ${artifact.version}` : ""),
+    });
+  };
+
+  const handleCreateCampaign = async () => {
+    if (!campaignForm.name || !campaignForm.artifactId) {
+      setSnackbar({ open: true, message: 'Please enter a name and choose the firmware', severity: 'warning' });
+      return;
+    }
+    try {
+      const campaign = await firmwareService.createCampaign({
+        ...campaignForm,
+        plantId: campaignForm.plantId || null,
+        deviceTypeId: campaignForm.deviceTypeId || null,
+        batchSize: Number(campaignForm.batchSize),
+        maxFailures: Number(campaignForm.maxFailures),
+        timeoutMinutes: Number(campaignForm.timeoutMinutes),
+      });
+      setCampaignDialogOpen(false);
+      fetchCampaigns();
+      // Show the draft so the device list can be checked before starting
+      setSelectedCampaign(campaign);
+    } catch (err) {
+      console.error("Error creating campaign:", err);
+      showError(err, 'Failed to create campaign. Please try again.');
+    }
+  };
+
+  const handleCampaignAction = async (campaign, action) => {
+    if (action === "cancel" && !window.confirm(`Cancel the campaign "${campaign.name}"? Devices not yet updated are skipped.`)) {
+      return;
+    }
+    try {
+      const updated = await firmwareService.runCampaignAction(campaign._id, action);
+      fetchCampaigns();
+      if (selectedCampaign?._id === updated._id) setSelectedCampaign(updated);
+    } catch (err) {
+      console.error(`Error running ${action} on campaign:`, err);
+      showError(err, `Failed to ${action} the campaign. Please try again.`);
+    }
+  };
+
+  const openCampaign = async (campaign) => {
+    try {
+      setSelectedCampaign(await firmwareService.getCampaign(campaign._id));
+    } catch (err) {
+      console.error("Error fetching campaign:", err);
+      showError(err, 'Failed to load the campaign. Please try again.');
+    }
+  };
+
+  const campaignActions = (campaign) => (
+    <>
+      {(campaign.status === "draft" || campaign.status === "paused") && (
+        <Button size="small" onClick={() => handleCampaignAction(campaign, "start")}>
+          {campaign.status === "draft" ? "Start" : "Resume"}
+        </Button>
+      )}
+      {campaign.status === "running" && (
+        <Button size="small" onClick={() => handleCampaignAction(campaign, "pause")}>
+          Pause
+        </Button>
+      )}
+      {["draft", "running", "paused"].includes(campaign.status) && (
+        <Button size="small" color="error" onClick={() => handleCampaignAction(campaign, "cancel")}>
+          Cancel
+        </Button>
+      )}
+    </>
+  );
+
+  const progressCell = (campaign) => {
+    const { succeeded, failed, skipped } = campaign.progress;
+    const total = campaign.progress.pending + campaign.progress.sent + succeeded + failed;
+    return (
+      <Box sx={{ minWidth: 180 }}>
+        <LinearProgress
+          variant="determinate"
+          value={total > 0 ? ((succeeded + failed) / total) * 100 : 0}
+          color={failed > 0 ? "warning" : "primary"}
+        />
+        <Typography variant="body2" color="text.secondary">
+          {succeeded} of {total} updated, {failed} failed{skipped > 0 ? `, ${skipped} skipped` : ""}
+        </Typography>
+      </Box>
+    );
+  };
+
+  const chip = (chips, status) => {
+    const entry = chips[status] || { label: status, color: "default" };
+    return <Chip size="small" label={entry.label} color={entry.color} />;
+  };
+
+  // Handle closing the snackbar
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const selectedArtifact = artifacts.find((artifact) => artifact._id === campaignForm.artifactId);
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" mb={2}>
+        Firmware
+      </Typography>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      {/* Firmware images */}
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Firmware Images
+        </Typography>
+        <Box sx={{ display: "flex", gap: 2, alignItems: "center", flexWrap: "wrap", mb: 2 }}>
+          <Button variant="outlined" component="label">
+            Choose File
+            <input
+              type="file"
+              hidden
+              accept=".bin"
+              onChange={(e) => setUpload({ ...upload, file: e.target.files[0] || null })}
+            />
+          </Button>
+          <Typography variant="body2">{upload.file ? upload.file.name : "No file chosen"}</Typography>
+          <TextField
+            size="small"
+            label="Version"
+            value={upload.version}
+            onChange={(e) => setUpload({ ...upload, version: e.target.value })}
+          />
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Device Type</InputLabel>
+            <Select
+              label="Device Type"
+              value={upload.deviceTypeId}
+              onChange={(e) => setUpload({ ...upload, deviceTypeId: e.target.value })}
+            >
+              <MenuItem value="">Any type</MenuItem>
+              {deviceTypes.map((type) => (
+                <MenuItem key={type._id} value={type._id}>{type.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            label="Release Notes"
+            value={upload.notes}
+            onChange={(e) => setUpload({ ...upload, notes: e.target.value })}
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+          <Button variant="contained" onClick={handleUpload} disabled={uploading}>
+            Upload
+          </Button>
+        </Box>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Version</TableCell>
+                <TableCell>Device Type</TableCell>
+                <TableCell>File</TableCell>
+                <TableCell>Size</TableCell>
+                <TableCell>SHA-256</TableCell>
+                <TableCell>Uploaded</TableCell>
+                <TableCell align="center">Delete</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {artifacts.length > 0 ? (
+                artifacts.map((artifact) => (
+                  <TableRow key={artifact._id}>
+                    <TableCell>
+                      {artifact.version}
+                      {artifact.notes && (
+                        <Typography variant="body2" color="text.secondary">{artifact.notes}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{typeName(artifact.deviceTypeId) || "Any type"}</TableCell>
+                    <TableCell>{artifact.fileName}</TableCell>
+                    <TableCell>{formatSize(artifact.size)}</TableCell>
+                    <TableCell sx={{ fontFamily: "monospace" }}>{artifact.sha256.slice(0, 12)}…</TableCell>
+                    <TableCell>
+                      {formatDate(artifact.createdAt)}
+                      {artifact.uploadedBy && (
+                        <Typography variant="body2" color="text.secondary">{artifact.uploadedBy}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="center">
+                      <IconButton onClick={() => handleDeleteArtifact(artifact)} color="error">
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={7}>No firmware uploaded yet</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Update campaigns */}
+      <Paper sx={{ p: 3, borderRadius: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">Update Campaigns</Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openCampaignDialog} disabled={artifacts.length === 0}>
+            New Campaign
+          </Button>
+        </Box>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Version</TableCell>
+                <TableCell>Target</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Batch</TableCell>
+                <TableCell>Progress</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {campaigns.length > 0 ? (
+                campaigns.map((campaign) => (
+                  <TableRow key={campaign._id} hover sx={{ cursor: "pointer" }} onClick={() => openCampaign(campaign)}>
+                    <TableCell>{campaign.name}</TableCell>
+                    <TableCell>{campaign.version}</TableCell>
+                    <TableCell>{targetLabel(campaign)}</TableCell>
+                    <TableCell>
+                      {chip(CAMPAIGN_CHIPS, campaign.status)}
+                      {campaign.pauseReason && (
+                        <Typography variant="body2" color="text.secondary">{campaign.pauseReason}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {campaign.currentBatch > 0 ? `${campaign.currentBatch} of ${campaign.progress.batches}` : `${campaign.progress.batches} planned`}
+                    </TableCell>
+                    <TableCell>{progressCell(campaign)}</TableCell>
+                    <TableCell onClick={(e) => e.stopPropagation()}>{campaignActions(campaign)}</TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={7}>No campaigns yet</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* New campaign */}
+      <Dialog open={campaignDialogOpen} onClose={() => setCampaignDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>New Update Campaign</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Firmware</InputLabel>
+            <Select label="Firmware" value={campaignForm.artifactId} onChange={(e) => handleArtifactChange(e.target.value)}>
+              {artifacts.map((artifact) => (
+                <MenuItem key={artifact._id} value={artifact._id}>
+                  {artifact.version} ({typeName(artifact.deviceTypeId) || "any type"})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Campaign Name"
+            value={campaignForm.name}
+            onChange={(e) => setCampaignForm({ ...campaignForm, name: e.target.value })}
+          />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Plant</InputLabel>
+            <Select
+              label="Plant"
+              value={campaignForm.plantId}
+              onChange={(e) => setCampaignForm({ ...campaignForm, plantId: e.target.value })}
+            >
+              <MenuItem value="">All plants</MenuItem>
+              {plants.map((plant) => (
+                <MenuItem key={plant._id} value={plant._id}>{plant.plantName}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Device Type</InputLabel>
+            <Select
+              label="Device Type"
+              value={campaignForm.deviceTypeId}
+              onChange={(e) => setCampaignForm({ ...campaignForm, deviceTypeId: e.target.value })}
+              disabled={Boolean(selectedArtifact?.deviceTypeId)}
+            >
+              <MenuItem value="">All types</MenuItem>
+              {deviceTypes.map((type) => (
+                <MenuItem key={type._id} value={type._id}>{type.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              margin="normal"
+              type="number"
+              label="Devices per Batch"
+              value={campaignForm.batchSize}
+              onChange={(e) => setCampaignForm({ ...campaignForm, batchSize: e.target.value })}
+              inputProps={{ min: 1 }}
+            />
+            <TextField
+              margin="normal"
+              type="number"
+              label="Failures Allowed"
+              value={campaignForm.maxFailures}
+              onChange={(e) => setCampaignForm({ ...campaignForm, maxFailures: e.target.value })}
+              inputProps={{ min: 0 }}
+              helperText="More failures pause the campaign"
+            />
+            <TextField
+              margin="normal"
+              type="number"
+              label="Timeout (minutes)"
+              value={campaignForm.timeoutMinutes}
+              onChange={(e) => setCampaignForm({ ...campaignForm, timeoutMinutes: e.target.value })}
+              inputProps={{ min: 1 }}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCampaignDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleCreateCampaign} variant="contained">
+            Create Draft
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Campaign devices */}
+      <Dialog open={Boolean(selectedCampaign)} onClose={() => setSelectedCampaign(null)} maxWidth="lg" fullWidth>
+        {selectedCampaign && (
+          <>
+            <DialogTitle>
+              {selectedCampaign.name} {chip(CAMPAIGN_CHIPS, selectedCampaign.status)}
+            </DialogTitle>
+            <DialogContent>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Firmware {selectedCampaign.version} for {targetLabel(selectedCampaign)}, {selectedCampaign.batchSize} device(s) per batch,
+                {" "}{selectedCampaign.maxFailures} failure(s) allowed, {selectedCampaign.timeoutMinutes} minute timeout
+              </Typography>
+              {progressCell(selectedCampaign)}
+              <Table size="small" sx={{ mt: 2 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Batch</TableCell>
+                    <TableCell>Device</TableCell>
+                    <TableCell>Previous Version</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Sent</TableCell>
+                    <TableCell>Finished</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {selectedCampaign.devices.map((target) => (
+                    <TableRow key={target.deviceId}>
+                      <TableCell>{target.batch || "—"}</TableCell>
+                      <TableCell>{target.deviceName}</TableCell>
+                      <TableCell>{target.previousVersion || "—"}</TableCell>
+                      <TableCell>{chip(TARGET_CHIPS, target.status)}</TableCell>
+                      <TableCell>{formatDate(target.sentAt)}</TableCell>
+                      <TableCell>{formatDate(target.finishedAt)}</TableCell>
+                      <TableCell>{target.error || ""}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </DialogContent>
+            <DialogActions>
+              {campaignActions(selectedCampaign)}
+              <Button onClick={() => setSelectedCampaign(null)}>Close</Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </>
+  );
+};
+
+export default Firmware;
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  Container,
+  TextField,
+  Typography,
+  Paper,
+} from "@mui/material";
+import axios from "axios";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState("");
+  const [errorMsg, setErrorMsg] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage("");
+    setErrorMsg("");
+    try {
+      const res = await axios.post("http://localhost:5000/api/auth/forgot-password", {
+        email,
+      });
+      setMessage(res.data.message);
+    } catch (err) {
+      setErrorMsg(err.response?.data?.message || "Could not send reset link. Try again.");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: "100vh",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        background: "linear-gradient(to right, #e0f7fa, #ffffff)",
+      }}
+    >
+      <Container maxWidth="xs">
+        <Paper elevation={6} sx={{ padding: 4, borderRadius: 3 }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Forgot Password
+          </Typography>
+          <Typography variant="body2" align="center" color="text.secondary">
+            Enter your email and we'll send you a link to reset your password.
+          </Typography>
+          <Box component="form" onSubmit={handleSubmit} sx={{ mt: 2 }}>
+            <TextField
+              fullWidth
+              label="Email Address"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              margin="normal"
+              autoComplete="email"
+            />
+            {message && <Alert severity="success" sx={{ mt: 1 }}>{message}</Alert>}
+            {errorMsg && <Alert severity="error" sx={{ mt: 1 }}>{errorMsg}</Alert>}
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              disabled={loading}
+              sx={{ mt: 3, mb: 2, backgroundColor: "#1976d2" }}
+            >
+              Send Reset Link
+            </Button>
+            <Typography variant="body2" align="center">
+              Remembered it? <Link to="/">Back to login</Link>
+            </Typography>
+          </Box>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
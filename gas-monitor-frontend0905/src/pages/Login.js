@@ -1,13 +1,16 @@
-import React, { useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import React, { useEffect, useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import axios from "axios";
 import { useAuth } from "../context/AuthContext";
+import { loginWithTwoFactor } from "../services/twoFactorService";
+import { getSsoConfig, SSO_LOGIN_URL } from "../services/ssoService";
 import {
   Box,
   Button,
   Card,
   CardContent,
   CircularProgress,
+  Divider,
   TextField,
   Typography,
 } from "@mui/material";
@@ -16,14 +19,30 @@ const Login = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [loading, setLoading] = useState(false);
-  const [errorMsg, setErrorMsg] = useState("");
+  const [unverified, setUnverified] = useState(false);
+  const [infoMsg, setInfoMsg] = useState("");
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [sso, setSso] = useState({ enabled: false, label: "" });
+  const [searchParams] = useSearchParams();
+  const [errorMsg, setErrorMsg] = useState(searchParams.get("ssoError") || "");
   const navigate = useNavigate();
   const { login } = useAuth();
 
+  useEffect(() => {
+    // Only offer single sign-on when the server has an identity provider configured
+    getSsoConfig()
+      .then(setSso)
+      .catch(() => setSso({ enabled: false, label: "" }));
+  }, []);
+
   const handleLogin = async (e) => {
     e.preventDefault();
     setLoading(true);
     setErrorMsg("");
+    setInfoMsg("");
+    setUnverified(false);
 
     try {
       const res = await axios.post("http://localhost:5000/api/auth/login", {
@@ -31,16 +50,73 @@ const Login = () => {
         password,
       });
 
-      const token = res.data.token;
-      const userData = { email };
-      login(token, userData);
+      if (res.data.twoFactorRequired) {
+        // Password was right; ask for the authenticator code next
+        setChallengeToken(res.data.challengeToken);
+        return;
+      }
+      if (res.data.twoFactorSetupRequired) {
+        navigate("/two-factor-setup", { state: { challengeToken: res.data.challengeToken } });
+        return;
+      }
+
+      const { token, refreshToken } = res.data;
+      login(token, refreshToken);
+      navigate("/dashboard");
+    } catch (err) {
+      const code = err.response?.data?.code;
+      if (code === "EMAIL_NOT_VERIFIED") {
+        setUnverified(true);
+        setErrorMsg(err.response.data.message);
+      } else if (code === "ACCOUNT_LOCKED" || code === "TOO_MANY_ATTEMPTS") {
+        // Server message already says how long to wait
+        setErrorMsg(err.response.data.message);
+      } else if (code === "PASSWORD_RESET_REQUIRED" || code === "ACCOUNT_DEACTIVATED") {
+        setErrorMsg(err.response.data.message);
+      } else {
+        setErrorMsg("Invalid credentials. Please try again.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMsg("");
+
+    try {
+      const data = await loginWithTwoFactor({
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }),
+      });
+      login(data.token, data.refreshToken);
+      if (useRecoveryCode) {
+        alert(`Recovery code used. You have ${data.recoveryCodesRemaining} left.`);
+      }
       navigate("/dashboard");
     } catch (err) {
-      setErrorMsg("Invalid credentials. Please try again.");
+      if (err.response?.status === 401) {
+        // Challenge expired - start over from the password step
+        setChallengeToken(null);
+      }
+      setErrorMsg(err.response?.data?.message || "Invalid authentication code.");
     } finally {
       setLoading(false);
     }
   };
+
+  const handleResendVerification = async () => {
+    try {
+      const res = await axios.post("http://localhost:5000/api/auth/resend-verification", {
+        email,
+      });
+      setInfoMsg(res.data.message);
+    } catch (err) {
+      setErrorMsg("Could not resend the verification email. Try again.");
+    }
+  };
  
   return (
     <Box
@@ -74,7 +150,57 @@ const Login = () => {
             Oxygen Plant Monitor Login
           </Typography>
 
-          {/* Login form */}
+          {challengeToken ? (
+          /* Second factor form */
+          <form onSubmit={handleTwoFactor}>
+            <Typography variant="body2" textAlign="center" sx={{ mt: 1 }}>
+              {useRecoveryCode
+                ? "Enter one of your recovery codes."
+                : "Enter the 6-digit code from your authenticator app."}
+            </Typography>
+            <TextField
+              label={useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+              variant="outlined"
+              fullWidth
+              margin="normal"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+
+            {errorMsg && (
+              <Typography color="error" variant="body2" sx={{ mt: 1 }}>
+                {errorMsg}
+              </Typography>
+            )}
+
+            <Button
+              size="small"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setTwoFactorCode("");
+              }}
+              sx={{ mt: 1, px: 0 }}
+            >
+              {useRecoveryCode ? "Use authenticator app instead" : "Use a recovery code"}
+            </Button>
+
+            <Box mt={2} mb={1}>
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                sx={{ backgroundColor: "#007acc", "&:hover": { backgroundColor: "#005f99" } }}
+                disabled={loading}
+              >
+                {loading ? <CircularProgress size={24} color="inherit" /> : "Verify"}
+              </Button>
+            </Box>
+          </form>
+          ) : (
+          /* Login form */
           <form onSubmit={handleLogin}>
             <TextField
               label="Email"
@@ -103,6 +229,18 @@ const Login = () => {
               </Typography>
             )}
 
+            {unverified && (
+              <Button size="small" onClick={handleResendVerification} sx={{ mt: 1, px: 0 }}>
+                Resend verification email
+              </Button>
+            )}
+
+            {infoMsg && (
+              <Typography color="primary" variant="body2" sx={{ mt: 1 }}>
+                {infoMsg}
+              </Typography>
+            )}
+
             <Box mt={2} mb={1}>
               <Button
                 type="submit"
@@ -114,9 +252,28 @@ const Login = () => {
                 {loading ? <CircularProgress size={24} color="inherit" /> : "Login"}
               </Button>
             </Box>
+
+            {sso.enabled && (
+              <>
+                <Divider sx={{ my: 2 }}>or</Divider>
+                <Button
+                  variant="outlined"
+                  fullWidth
+                  href={SSO_LOGIN_URL}
+                  sx={{ color: "#007acc", borderColor: "#007acc" }}
+                >
+                  {sso.label}
+                </Button>
+              </>
+            )}
           </form>
+          )}
 
           <Typography variant="body2" textAlign="center" mt={2}>
+            <Link to="/forgot-password">Forgot your password?</Link>
+          </Typography>
+
+          <Typography variant="body2" textAlign="center" mt={1}>
             Don’t have an account? <Link to="/register">Register here</Link>
           </Typography>
         </CardContent>
@@ -17,8 +17,7 @@ import {
   Divider,
   CircularProgress
 } from "@mui/material";
-import { MapContainer, TileLayer } from "react-leaflet";
-import "leaflet/dist/leaflet.css";
+import PlantStatusMap from "../components/PlantStatusMap";
 import Sidebar from "../components/Sidebar";
 import AccountCircleIcon from "@mui/icons-material/AccountCircle";
 import WarningIcon from "@mui/icons-material/Warning";
@@ -64,8 +63,6 @@ const MainDashboard = () => {
   const [alarms, setAlarms] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  const getSelectedLocation = () => [12.9716, 77.5946];
-
   const handleMenu = (event) => {
     setAnchorEl(event.currentTarget);
   };
@@ -164,18 +161,7 @@ const MainDashboard = () => {
           {/* Map Section */}
           <Grid item xs={12}>
             <Paper elevation={3} sx={{ borderRadius: "16px" }}>
-              <div style={{ height: "300px", width: "100%" }}>
-                <MapContainer
-                  center={getSelectedLocation()}
-                  zoom={12}
-                  style={{ height: "100%", width: "100%" }}
-                >
-                  <TileLayer
-                    attribution='&copy; OpenStreetMap contributors'
-                    url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                  />
-                </MapContainer>
-              </div>
+              <PlantStatusMap height={300} />
             </Paper>
           </Grid>
 
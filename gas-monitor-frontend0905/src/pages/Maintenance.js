@@ -0,0 +1,638 @@
+import React, { useState, useEffect, useCallback } from "react";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Button,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Switch,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import * as maintenanceService from "../services/maintenanceService";
+import { getPlants } from "../services/plantService";
+import { getDevices } from "../services/deviceService";
+import { useAuth } from "../context/AuthContext";
+
+const WORK_ORDER_CHIPS = {
+  open: { label: "Open", color: "info" },
+  in_progress: { label: "In progress", color: "warning" },
+  completed: { label: "Completed", color: "success" },
+  cancelled: { label: "Cancelled", color: "default" },
+};
+
+const UNFINISHED = ["open", "in_progress"];
+
+const EMPTY_PLAN = {
+  name: "",
+  description: "",
+  deviceId: "",
+  recurrenceType: "calendar",
+  intervalDays: 30,
+  intervalHours: 500,
+  nextDueAt: "",
+  assignedTo: "",
+  active: true,
+};
+
+const EMPTY_WORK_ORDER = { title: "", description: "", deviceId: "", assignedTo: "", dueAt: "" };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+const recurrenceLabel = ({ recurrence }) =>
+  recurrence.type === "calendar" ? `Every ${recurrence.intervalDays} days` : `Every ${recurrence.intervalHours} runtime hours`;
+
+const Maintenance = () => {
+  const { user } = useAuth();
+  const canPlan = ["admin", "engineer"].includes(user?.role);
+  const canWork = canPlan || user?.role === "operator";
+
+  const [plants, setPlants] = useState([]);
+  const [plantId, setPlantId] = useState("");
+  const [devices, setDevices] = useState([]);
+  const [assignees, setAssignees] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [workOrders, setWorkOrders] = useState([]);
+  const [showFinished, setShowFinished] = useState(false);
+
+  const [planDialogOpen, setPlanDialogOpen] = useState(false);
+  const [editingPlan, setEditingPlan] = useState(null);
+  const [planForm, setPlanForm] = useState(EMPTY_PLAN);
+  const [workOrderDialogOpen, setWorkOrderDialogOpen] = useState(false);
+  const [editingWorkOrder, setEditingWorkOrder] = useState(null);
+  const [workOrderForm, setWorkOrderForm] = useState(EMPTY_WORK_ORDER);
+  const [selectedWorkOrder, setSelectedWorkOrder] = useState(null);
+  const [noteText, setNoteText] = useState("");
+  const [completionNotes, setCompletionNotes] = useState("");
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showError = (err, fallback) => {
+    setSnackbar({ open: true, message: err.response?.data?.message || fallback, severity: 'error' });
+  };
+
+  useEffect(() => {
+    getPlants()
+      .then((list) => {
+        setPlants(list);
+        if (list.length > 0) setPlantId(list[0]._id);
+      })
+      .catch((err) => console.error("Error fetching plants:", err));
+  }, []);
+
+  const fetchData = useCallback(async () => {
+    if (!plantId) return;
+    try {
+      const [planList, orderList] = await Promise.all([
+        maintenanceService.getPlans(plantId),
+        maintenanceService.getWorkOrders({ plantId, statuses: showFinished ? [] : UNFINISHED }),
+      ]);
+      setPlans(planList);
+      setWorkOrders(orderList);
+    } catch (err) {
+      console.error("Error fetching maintenance:", err);
+      showError(err, 'Failed to fetch maintenance. Please try again.');
+    }
+  }, [plantId, showFinished]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  useEffect(() => {
+    if (!plantId) return;
+    getDevices(plantId).then(setDevices).catch((err) => console.error("Error fetching devices:", err));
+    if (canPlan) {
+      maintenanceService.getAssignees(plantId).then(setAssignees).catch((err) => console.error("Error fetching assignees:", err));
+    }
+  }, [plantId, canPlan]);
+
+  const deviceName = (deviceId) => devices.find((device) => device._id === deviceId)?.deviceName;
+
+  const openPlanDialog = (plan = null) => {
+    setEditingPlan(plan);
+    setPlanForm(plan ? {
+      name: plan.name,
+      description: plan.description,
+      deviceId: plan.deviceId?._id || "",
+      recurrenceType: plan.recurrence.type,
+      intervalDays: plan.recurrence.intervalDays || 30,
+      intervalHours: plan.recurrence.intervalHours || 500,
+      nextDueAt: toDateInput(plan.nextDueAt),
+      assignedTo: plan.assignedTo?._id || "",
+      active: plan.active,
+    } : EMPTY_PLAN);
+    setPlanDialogOpen(true);
+  };
+
+  const handleSavePlan = async () => {
+    const payload = {
+      name: planForm.name,
+      description: planForm.description,
+      recurrence: {
+        type: planForm.recurrenceType,
+        intervalDays: Number(planForm.intervalDays),
+        intervalHours: Number(planForm.intervalHours),
+      },
+      nextDueAt: planForm.recurrenceType === "calendar" && planForm.nextDueAt ? planForm.nextDueAt : null,
+      assignedTo: planForm.assignedTo || null,
+      active: planForm.active,
+    };
+    try {
+      if (editingPlan) {
+        await maintenanceService.updatePlan(editingPlan._id, payload);
+      } else {
+        await maintenanceService.createPlan({ ...payload, plantId, deviceId: planForm.deviceId || null });
+      }
+      setPlanDialogOpen(false);
+      fetchData();
+      setSnackbar({ open: true, message: `Maintenance plan ${payload.name} saved`, severity: 'success' });
+    } catch (err) {
+      console.error("Error saving maintenance plan:", err);
+      showError(err, 'Failed to save the plan. Please try again.');
+    }
+  };
+
+  const handleDeletePlan = async (plan) => {
+    if (!window.confirm(`Delete maintenance plan ${plan.name}? Work orders it generated are kept.`)) {
+      return;
+    }
+    try {
+      const result = await maintenanceService.deletePlan(plan._id);
+      fetchData();
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+    } catch (err) {
+      console.error("Error deleting maintenance plan:", err);
+      showError(err, 'Failed to delete the plan. Please try again.');
+    }
+  };
+
+  const openWorkOrderDialog = (order = null) => {
+    setEditingWorkOrder(order);
+    setWorkOrderForm(order ? {
+      title: order.title,
+      description: order.description,
+      deviceId: order.deviceId || "",
+      assignedTo: order.assignedTo || "",
+      dueAt: toDateInput(order.dueAt),
+    } : EMPTY_WORK_ORDER);
+    setWorkOrderDialogOpen(true);
+  };
+
+  const handleSaveWorkOrder = async () => {
+    const payload = {
+      title: workOrderForm.title,
+      description: workOrderForm.description,
+      assignedTo: workOrderForm.assignedTo || null,
+      dueAt: workOrderForm.dueAt || null,
+    };
+    try {
+      if (editingWorkOrder) {
+        await maintenanceService.updateWorkOrder(editingWorkOrder._id, payload);
+      } else {
+        await maintenanceService.createWorkOrder({ ...payload, plantId, deviceId: workOrderForm.deviceId || null });
+      }
+      setWorkOrderDialogOpen(false);
+      fetchData();
+    } catch (err) {
+      console.error("Error saving work order:", err);
+      showError(err, 'Failed to save the work order. Please try again.');
+    }
+  };
+
+  const handleWorkOrderAction = async (order, action) => {
+    if (action === "cancel" && !window.confirm(`Cancel work order ${order.title}?`)) {
+      return;
+    }
+    try {
+      const updated = await maintenanceService.runWorkOrderAction(order._id, action, completionNotes);
+      if (selectedWorkOrder?._id === order._id) setSelectedWorkOrder(updated);
+      setCompletionNotes("");
+      fetchData();
+    } catch (err) {
+      console.error(`Error running ${action} on work order:`, err);
+      showError(err, `Failed to ${action} the work order.`);
+    }
+  };
+
+  const handleAddNote = async () => {
+    try {
+      setSelectedWorkOrder(await maintenanceService.addWorkOrderNote(selectedWorkOrder._id, noteText));
+      setNoteText("");
+    } catch (err) {
+      console.error("Error adding work order note:", err);
+      showError(err, 'Failed to add the note.');
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const assigneeSelect = (value, onChange) => (
+    <FormControl fullWidth>
+      <InputLabel>Assigned to</InputLabel>
+      <Select label="Assigned to" value={value} onChange={(e) => onChange(e.target.value)}>
+        <MenuItem value="">Unassigned</MenuItem>
+        {assignees.map((assignee) => (
+          <MenuItem key={assignee._id} value={assignee._id}>
+            {assignee.name} ({assignee.role})
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  const deviceSelect = (value, onChange, { disabled, required } = {}) => (
+    <FormControl fullWidth disabled={disabled}>
+      <InputLabel>Device</InputLabel>
+      <Select label="Device" value={value} onChange={(e) => onChange(e.target.value)}>
+        {!required && <MenuItem value="">Whole plant</MenuItem>}
+        {devices.map((device) => (
+          <MenuItem key={device._id} value={device._id}>
+            {device.deviceName}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  const selectedUnfinished = selectedWorkOrder && UNFINISHED.includes(selectedWorkOrder.status);
+
+  return (
+    <Box>
+      <Typography variant="h4" fontWeight="bold" mb={3}>
+        Maintenance
+      </Typography>
+
+      <Snackbar open={snackbar.open} autoHideDuration={6000} onClose={handleCloseSnackbar}>
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <FormControl fullWidth>
+          <InputLabel>Plant</InputLabel>
+          <Select label="Plant" value={plantId} onChange={(e) => setPlantId(e.target.value)}>
+            {plants.map((plant) => (
+              <MenuItem key={plant._id} value={plant._id}>
+                {plant.plantName}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Paper>
+
+      {/* Work orders */}
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">Work Orders</Typography>
+          <Box sx={{ display: "flex", gap: 2, alignItems: "center" }}>
+            <FormControlLabel
+              control={<Switch checked={showFinished} onChange={(e) => setShowFinished(e.target.checked)} />}
+              label="Show completed and cancelled"
+            />
+            {canPlan && (
+              <Button variant="contained" startIcon={<AddIcon />} onClick={() => openWorkOrderDialog()} disabled={!plantId}>
+                New Work Order
+              </Button>
+            )}
+          </Box>
+        </Box>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Title</TableCell>
+                <TableCell>Target</TableCell>
+                <TableCell>Assigned to</TableCell>
+                <TableCell>Due</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {workOrders.length > 0 ? (
+                workOrders.map((order) => (
+                  <TableRow key={order._id} hover>
+                    <TableCell>
+                      {order.title}
+                      {order.planId && <Chip size="small" label="Planned" variant="outlined" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{order.deviceName || "Whole plant"}</TableCell>
+                    <TableCell>{order.assignedToName || "—"}</TableCell>
+                    <TableCell>{order.dueAt ? new Date(order.dueAt).toLocaleDateString() : "—"}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={WORK_ORDER_CHIPS[order.status].label} color={WORK_ORDER_CHIPS[order.status].color} />
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: "flex", gap: 1 }}>
+                        <Button size="small" onClick={() => setSelectedWorkOrder(order)}>Details</Button>
+                        {canWork && order.status === "open" && (
+                          <Button size="small" variant="outlined" onClick={() => handleWorkOrderAction(order, "start")}>
+                            Start
+                          </Button>
+                        )}
+                        {canPlan && UNFINISHED.includes(order.status) && (
+                          <IconButton size="small" onClick={() => openWorkOrderDialog(order)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        )}
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={6}>No work orders</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Maintenance plans */}
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6">Maintenance Plans</Typography>
+          {canPlan && (
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => openPlanDialog()} disabled={!plantId}>
+              New Plan
+            </Button>
+          )}
+        </Box>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Target</TableCell>
+                <TableCell>Recurrence</TableCell>
+                <TableCell>Next work order</TableCell>
+                <TableCell>Assigned to</TableCell>
+                <TableCell>Last generated</TableCell>
+                {canPlan && <TableCell>Actions</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {plans.length > 0 ? (
+                plans.map((plan) => (
+                  <TableRow key={plan._id}>
+                    <TableCell>
+                      {plan.name}
+                      {!plan.active && <Chip size="small" label="Paused" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{plan.deviceId?.deviceName || "Whole plant"}</TableCell>
+                    <TableCell>{recurrenceLabel(plan)}</TableCell>
+                    <TableCell>
+                      {plan.recurrence.type === "calendar"
+                        ? formatDate(plan.nextDueAt)
+                        : `At ${Math.round(plan.runtimeHoursAtLastOrder + plan.recurrence.intervalHours)} runtime hours`}
+                    </TableCell>
+                    <TableCell>{plan.assignedTo?.name || "—"}</TableCell>
+                    <TableCell>{formatDate(plan.lastGeneratedAt)}</TableCell>
+                    {canPlan && (
+                      <TableCell>
+                        <IconButton size="small" onClick={() => openPlanDialog(plan)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton size="small" color="error" onClick={() => handleDeletePlan(plan)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={canPlan ? 7 : 6}>No maintenance plans</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Plan dialog */}
+      <Dialog open={planDialogOpen} onClose={() => setPlanDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingPlan ? `Edit ${editingPlan.name}` : "New Maintenance Plan"}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+            <TextField label="Name" fullWidth value={planForm.name} onChange={(e) => setPlanForm({ ...planForm, name: e.target.value })} />
+            <TextField
+              label="Description"
+              fullWidth
+              multiline
+              minRows={2}
+              value={planForm.description}
+              onChange={(e) => setPlanForm({ ...planForm, description: e.target.value })}
+            />
+            {deviceSelect(planForm.deviceId, (deviceId) => setPlanForm({ ...planForm, deviceId }), {
+              disabled: Boolean(editingPlan),
+              required: planForm.recurrenceType === "runtime",
+            })}
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <FormControl fullWidth>
+                <InputLabel>Recurrence</InputLabel>
+                <Select
+                  label="Recurrence"
+                  value={planForm.recurrenceType}
+                  onChange={(e) => setPlanForm({ ...planForm, recurrenceType: e.target.value })}
+                >
+                  <MenuItem value="calendar">Calendar</MenuItem>
+                  <MenuItem value="runtime" disabled={!planForm.deviceId}>Runtime hours (device only)</MenuItem>
+                </Select>
+              </FormControl>
+              {planForm.recurrenceType === "calendar" ? (
+                <TextField
+                  label="Every (days)"
+                  type="number"
+                  fullWidth
+                  value={planForm.intervalDays}
+                  onChange={(e) => setPlanForm({ ...planForm, intervalDays: e.target.value })}
+                />
+              ) : (
+                <TextField
+                  label="Every (runtime hours)"
+                  type="number"
+                  fullWidth
+                  value={planForm.intervalHours}
+                  onChange={(e) => setPlanForm({ ...planForm, intervalHours: e.target.value })}
+                />
+              )}
+            </Box>
+            {planForm.recurrenceType === "calendar" && (
+              <TextField
+                label="First / next work order on"
+                type="date"
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                value={planForm.nextDueAt}
+                onChange={(e) => setPlanForm({ ...planForm, nextDueAt: e.target.value })}
+                helperText="Empty starts one interval from now"
+              />
+            )}
+            {assigneeSelect(planForm.assignedTo, (assignedTo) => setPlanForm({ ...planForm, assignedTo }))}
+            <FormControlLabel
+              control={<Switch checked={planForm.active} onChange={(e) => setPlanForm({ ...planForm, active: e.target.checked })} />}
+              label="Generate work orders"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPlanDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSavePlan} variant="contained" disabled={!planForm.name}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Work order create / edit dialog */}
+      <Dialog open={workOrderDialogOpen} onClose={() => setWorkOrderDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingWorkOrder ? `Edit ${editingWorkOrder.title}` : "New Work Order"}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+            <TextField label="Title" fullWidth value={workOrderForm.title} onChange={(e) => setWorkOrderForm({ ...workOrderForm, title: e.target.value })} />
+            <TextField
+              label="Description"
+              fullWidth
+              multiline
+              minRows={2}
+              value={workOrderForm.description}
+              onChange={(e) => setWorkOrderForm({ ...workOrderForm, description: e.target.value })}
+            />
+            {deviceSelect(workOrderForm.deviceId, (deviceId) => setWorkOrderForm({ ...workOrderForm, deviceId }), {
+              disabled: Boolean(editingWorkOrder),
+            })}
+            {assigneeSelect(workOrderForm.assignedTo, (assignedTo) => setWorkOrderForm({ ...workOrderForm, assignedTo }))}
+            <TextField
+              label="Due"
+              type="date"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={workOrderForm.dueAt}
+              onChange={(e) => setWorkOrderForm({ ...workOrderForm, dueAt: e.target.value })}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setWorkOrderDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSaveWorkOrder} variant="contained" disabled={!workOrderForm.title}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Work order details */}
+      <Dialog open={Boolean(selectedWorkOrder)} onClose={() => setSelectedWorkOrder(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{selectedWorkOrder?.title}</DialogTitle>
+        <DialogContent>
+          {selectedWorkOrder && (
+            <>
+              <Box sx={{ display: "flex", gap: 1, alignItems: "center", mb: 2 }}>
+                <Chip label={WORK_ORDER_CHIPS[selectedWorkOrder.status].label} color={WORK_ORDER_CHIPS[selectedWorkOrder.status].color} />
+                <Typography variant="body2" color="text.secondary">
+                  {selectedWorkOrder.deviceName || deviceName(selectedWorkOrder.deviceId) || "Whole plant"}
+                  {" · "}
+                  {selectedWorkOrder.assignedToName ? `Assigned to ${selectedWorkOrder.assignedToName}` : "Unassigned"}
+                </Typography>
+              </Box>
+              {selectedWorkOrder.status === "in_progress" && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  Alarms from {selectedWorkOrder.deviceName || "this plant's devices"} are suppressed until the work order is completed or cancelled.
+                </Alert>
+              )}
+              {selectedWorkOrder.description && <Typography sx={{ mb: 2 }}>{selectedWorkOrder.description}</Typography>}
+              <Typography variant="body2">Created {formatDate(selectedWorkOrder.createdAt)}{selectedWorkOrder.createdBy ? ` by ${selectedWorkOrder.createdBy}` : " from a maintenance plan"}</Typography>
+              <Typography variant="body2">Started {formatDate(selectedWorkOrder.startedAt)}</Typography>
+              {selectedWorkOrder.completedAt && (
+                <Typography variant="body2">
+                  {WORK_ORDER_CHIPS[selectedWorkOrder.status].label} {formatDate(selectedWorkOrder.completedAt)} by {selectedWorkOrder.completedBy}
+                </Typography>
+              )}
+              {selectedWorkOrder.completionNotes && (
+                <Alert severity="success" sx={{ mt: 2 }}>{selectedWorkOrder.completionNotes}</Alert>
+              )}
+
+              <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>
+                Notes
+              </Typography>
+              {selectedWorkOrder.notes.length > 0 ? (
+                selectedWorkOrder.notes.map((note, index) => (
+                  <Box key={index} sx={{ mb: 1 }}>
+                    <Typography variant="body2">{note.text}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {note.by}, {formatDate(note.at)}
+                    </Typography>
+                  </Box>
+                ))
+              ) : (
+                <Typography variant="body2" color="text.secondary">No notes yet</Typography>
+              )}
+              {canWork && selectedUnfinished && (
+                <Box sx={{ display: "flex", gap: 1, mt: 2 }}>
+                  <TextField size="small" label="Add a note" fullWidth value={noteText} onChange={(e) => setNoteText(e.target.value)} />
+                  <Button onClick={handleAddNote} disabled={!noteText.trim()}>Add</Button>
+                </Box>
+              )}
+
+              {canWork && selectedUnfinished && (
+                <TextField
+                  label="Completion notes"
+                  fullWidth
+                  multiline
+                  minRows={2}
+                  sx={{ mt: 3 }}
+                  value={completionNotes}
+                  onChange={(e) => setCompletionNotes(e.target.value)}
+                  helperText="What was done; required to complete the work order"
+                />
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {canPlan && selectedUnfinished && (
+            <Button color="error" onClick={() => handleWorkOrderAction(selectedWorkOrder, "cancel")}>
+              Cancel Work Order
+            </Button>
+          )}
+          {canWork && selectedWorkOrder?.status === "open" && (
+            <Button onClick={() => handleWorkOrderAction(selectedWorkOrder, "start")}>Start</Button>
+          )}
+          {canWork && selectedUnfinished && (
+            <Button variant="contained" onClick={() => handleWorkOrderAction(selectedWorkOrder, "complete")} disabled={!completionNotes.trim()}>
+              Complete
+            </Button>
+          )}
+          <Button onClick={() => setSelectedWorkOrder(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Maintenance;
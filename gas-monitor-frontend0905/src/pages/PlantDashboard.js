@@ -19,10 +19,13 @@ import {
   Grid,
   IconButton,
   Snackbar,
-  Alert
+  Alert,
+  Chip
 } from "@mui/material";
 import { Edit, Delete } from "@mui/icons-material";
 import Layout from "../components/Layout";
+import ArchiveConfirmDialog from "../components/ArchiveConfirmDialog";
+import CustomFieldsEditor, { tagsToRows, rowsToTags } from "../components/CustomFieldsEditor";
 import { useNotifications } from "../context/notificationContext";
 import { useAlarms } from "../context/alarmContext";
 import * as plantService from "../services/plantService";
@@ -32,10 +35,15 @@ const PlantDashboard = () => {
   const [plantName, setPlantName] = useState("");
   const [location, setLocation] = useState("");
   const [capacity, setCapacity] = useState("");
+  const [latitude, setLatitude] = useState("");
+  const [longitude, setLongitude] = useState("");
   const [isActive, setIsActive] = useState(true);
+  const [tagRows, setTagRows] = useState([]);
+  const [attributes, setAttributes] = useState({});
   const [editMode, setEditMode] = useState(false);
   const [selectedPlant, setSelectedPlant] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [plantToArchive, setPlantToArchive] = useState(null);
   
   // Get notification refresh function to update notifications after adding a plant
   const { refreshData: refreshNotifications } = useNotifications();
@@ -62,6 +70,23 @@ const PlantDashboard = () => {
     }
   };
 
+  // Coordinates are optional, but must be a valid pair when given
+  const coordinatesError = () => {
+    if (latitude === "" && longitude === "") return null;
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) return 'Enter both latitude and longitude, or leave both empty';
+    if (lat < -90 || lat > 90) return 'Latitude must be between -90 and 90';
+    if (lng < -180 || lng > 180) return 'Longitude must be between -180 and 180';
+    return null;
+  };
+
+  const coordinates = () => (
+    latitude === "" && longitude === ""
+      ? { latitude: null, longitude: null }
+      : { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+  );
+
   const addPlant = async () => {
     try {
       // Validate inputs
@@ -74,11 +99,20 @@ const PlantDashboard = () => {
         return;
       }
       
+      const coordsError = coordinatesError();
+      if (coordsError) {
+        setSnackbar({ open: true, message: coordsError, severity: 'warning' });
+        return;
+      }
+
       const newPlant = await plantService.addPlant({
         plantName,
         location,
         capacity: parseInt(capacity),
         isActive,
+        ...coordinates(),
+        tags: rowsToTags(tagRows),
+        attributes,
       });
       
       setPlants([...plants, newPlant]);
@@ -100,7 +134,7 @@ const PlantDashboard = () => {
       console.error("Error adding plant:", err);
       setSnackbar({ 
         open: true, 
-        message: 'Failed to add plant. Please try again.', 
+        message: err.response?.data?.message || 'Failed to add plant. Please try again.', 
         severity: 'error' 
       });
     }
@@ -110,29 +144,32 @@ const PlantDashboard = () => {
     setPlantName("");
     setLocation("");
     setCapacity("");
+    setLatitude("");
+    setLongitude("");
     setIsActive(true);
+    setTagRows([]);
+    setAttributes({});
     setEditMode(false);
     setSelectedPlant(null);
   };
 
-  const handleDelete = async (id) => {
-    if (window.confirm("Are you sure you want to delete this plant?")) {
-      try {
-        await plantService.deletePlant(id);
-        fetchPlants();
-        setSnackbar({ 
-          open: true, 
-          message: 'Plant deleted successfully', 
-          severity: 'success' 
-        });
-      } catch (err) {
-        console.error("Error deleting plant:", err);
-        setSnackbar({ 
-          open: true, 
-          message: 'Failed to delete plant. Please try again.', 
-          severity: 'error' 
-        });
-      }
+  const handleDelete = async () => {
+    try {
+      const result = await plantService.deletePlant(plantToArchive._id);
+      setPlantToArchive(null);
+      fetchPlants();
+      setSnackbar({ 
+        open: true, 
+        message: `${result.message}. It can be restored until ${new Date(result.purgeAt).toLocaleDateString()}.`, 
+        severity: 'success' 
+      });
+    } catch (err) {
+      console.error("Error archiving plant:", err);
+      setSnackbar({ 
+        open: true, 
+        message: 'Failed to archive plant. Please try again.', 
+        severity: 'error' 
+      });
     }
   };
 
@@ -142,7 +179,11 @@ const PlantDashboard = () => {
     setPlantName(plant.plantName);
     setLocation(plant.location);
     setCapacity(plant.capacity);
+    setLatitude(plant.latitude ?? "");
+    setLongitude(plant.longitude ?? "");
     setIsActive(plant.isActive);
+    setTagRows(tagsToRows(plant.tags));
+    setAttributes(plant.attributes || {});
   };
 
   const updatePlant = async () => {
@@ -157,11 +198,20 @@ const PlantDashboard = () => {
         return;
       }
       
+      const coordsError = coordinatesError();
+      if (coordsError) {
+        setSnackbar({ open: true, message: coordsError, severity: 'warning' });
+        return;
+      }
+
       await plantService.updatePlant(selectedPlant._id, {
         plantName,
         location,
         capacity: parseInt(capacity),
         isActive,
+        ...coordinates(),
+        tags: rowsToTags(tagRows),
+        attributes,
       });
       
       fetchPlants();
@@ -176,7 +226,7 @@ const PlantDashboard = () => {
       console.error("Error updating plant:", err);
       setSnackbar({ 
         open: true, 
-        message: 'Failed to update plant. Please try again.', 
+        message: err.response?.data?.message || 'Failed to update plant. Please try again.', 
         severity: 'error' 
       });
     }
@@ -236,6 +286,26 @@ const PlantDashboard = () => {
               onChange={(e) => setCapacity(e.target.value)}
             />
           </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              fullWidth
+              label="Latitude"
+              type="number"
+              inputProps={{ step: "any", min: -90, max: 90 }}
+              value={latitude}
+              onChange={(e) => setLatitude(e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              fullWidth
+              label="Longitude"
+              type="number"
+              inputProps={{ step: "any", min: -180, max: 180 }}
+              value={longitude}
+              onChange={(e) => setLongitude(e.target.value)}
+            />
+          </Grid>
           <Grid item xs={12} sm={6} md={2}>
             <Select
               fullWidth
@@ -274,6 +344,15 @@ const PlantDashboard = () => {
               </Button>
             )}
           </Grid>
+          <Grid item xs={12}>
+            <CustomFieldsEditor
+              target="plant"
+              tagRows={tagRows}
+              attributes={attributes}
+              onTagRowsChange={setTagRows}
+              onAttributesChange={setAttributes}
+            />
+          </Grid>
         </Grid>
       </Paper>
 
@@ -285,6 +364,7 @@ const PlantDashboard = () => {
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Plant Name</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Location</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Capacity</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Coordinates</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold" }}>Status</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Edit</TableCell>
                 <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Delete</TableCell>
@@ -293,9 +373,19 @@ const PlantDashboard = () => {
             <TableBody>
   {plants.map((plant) => (
     <TableRow key={plant._id}>
-      <TableCell>{plant.plantName}</TableCell>
+      <TableCell>
+        {plant.plantName}
+        {Object.entries(plant.tags || {}).map(([key, value]) => (
+          <Chip key={key} size="small" variant="outlined" label={value ? `${key}: ${value}` : key} sx={{ ml: 1 }} />
+        ))}
+      </TableCell>
       <TableCell>{plant.location}</TableCell>
       <TableCell>{plant.capacity}</TableCell>
+      <TableCell>
+        {typeof plant.latitude === "number" && typeof plant.longitude === "number"
+          ? `${plant.latitude.toFixed(4)}, ${plant.longitude.toFixed(4)}`
+          : "—"}
+      </TableCell>
       <TableCell>{plant.isActive ? "Active" : "Inactive"}</TableCell>
       <TableCell align="center">
         <Button onClick={() => handleEdit(plant)} color="primary">
@@ -303,7 +393,7 @@ const PlantDashboard = () => {
         </Button>
       </TableCell>
       <TableCell align="center">
-        <Button onClick={() => handleDelete(plant._id)} color="error">
+        <Button onClick={() => setPlantToArchive(plant)} color="error">
           <DeleteIcon />
         </Button>
       </TableCell>
@@ -314,6 +404,15 @@ const PlantDashboard = () => {
           </Table>
         </TableContainer>
       </Paper>
+
+      <ArchiveConfirmDialog
+        open={Boolean(plantToArchive)}
+        title="Archive Plant"
+        name={plantToArchive?.plantName}
+        loadDependencies={() => plantService.getPlantDependencies(plantToArchive._id)}
+        onConfirm={handleDelete}
+        onClose={() => setPlantToArchive(null)}
+      />
     </>
   );
 };
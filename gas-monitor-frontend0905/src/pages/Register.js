@@ -24,7 +24,7 @@ const Register = () => {
         email,
         password,
       });
-      alert("Registration successful! You can now log in.");
+      alert("Registration successful! Check your email for a link to verify your account.");
       navigate("/");
     } catch (err) {
       alert("Registration failed. Try again.");
@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  Container,
+  TextField,
+  Typography,
+  Paper,
+} from "@mui/material";
+import axios from "axios";
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+    if (password !== confirmPassword) {
+      setErrorMsg("Passwords do not match.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await axios.post("http://localhost:5000/api/auth/reset-password", {
+        token,
+        password,
+      });
+      alert("Password reset successful! You can now log in.");
+      navigate("/");
+    } catch (err) {
+      setErrorMsg(err.response?.data?.message || "Password reset failed. Try again.");
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: "100vh",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        background: "linear-gradient(to right, #e0f7fa, #ffffff)",
+      }}
+    >
+      <Container maxWidth="xs">
+        <Paper elevation={6} sx={{ padding: 4, borderRadius: 3 }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Reset Password
+          </Typography>
+          {!token ? (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              This reset link is missing its token. <Link to="/forgot-password">Request a new one</Link>.
+            </Alert>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 2 }}>
+              <TextField
+                fullWidth
+                label="New Password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                margin="normal"
+                autoComplete="new-password"
+              />
+              <TextField
+                fullWidth
+                label="Confirm New Password"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                margin="normal"
+                autoComplete="new-password"
+              />
+              {errorMsg && <Alert severity="error" sx={{ mt: 1 }}>{errorMsg}</Alert>}
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                disabled={loading}
+                sx={{ mt: 3, mb: 2, backgroundColor: "#1976d2" }}
+              >
+                Reset Password
+              </Button>
+              <Typography variant="body2" align="center">
+                <Link to="/">Back to login</Link>
+              </Typography>
+            </Box>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,501 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Typography,
+  Paper,
+  Box,
+  Select,
+  MenuItem,
+  Button,
+  IconButton,
+  Chip,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Collapse,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Tooltip,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import AddIcon from "@mui/icons-material/Add";
+import DevicesIcon from "@mui/icons-material/Devices";
+import ExpandLess from "@mui/icons-material/ExpandLess";
+import ExpandMore from "@mui/icons-material/ExpandMore";
+import * as plantService from "../services/plantService";
+import { getDevices, updateDevice } from "../services/deviceService";
+import * as siteNodeService from "../services/siteNodeService";
+import { getDeviceTypes, findMetric, formatMetricValue } from "../services/deviceTypeService";
+import { PLANT_STATUS_STYLES } from "../components/PlantStatusMap";
+
+const NODE_TYPES = ["building", "area", "zone"];
+
+// Types that may sit directly under a node of the given type (null = plant root)
+const childTypes = (parentType) =>
+  parentType ? NODE_TYPES.slice(NODE_TYPES.indexOf(parentType) + 1) : NODE_TYPES;
+
+const EMPTY_NODE_FORM = { _id: null, name: "", type: "building", description: "", parentId: "" };
+
+// "Temperature 24.5°C · Humidity 51.0%" from the per-metric averages
+const formatAverages = (telemetry, deviceTypes) => {
+  const averages = Object.entries(telemetry)
+    .filter(([, summary]) => summary)
+    .map(([key, summary]) => {
+      const metric = findMetric(deviceTypes, key);
+      return `${metric.label} ${formatMetricValue(metric, summary.avg)}`;
+    });
+  return averages.length > 0 ? averages.join(" · ") : "no readings";
+};
+
+const RollupChips = ({ rollup, deviceTypes }) => {
+  const style = PLANT_STATUS_STYLES[rollup.status] || PLANT_STATUS_STYLES.normal;
+  return (
+    <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap", alignItems: "center" }}>
+      <Chip size="small" label={style.label} sx={{ backgroundColor: style.color, color: "white" }} />
+      <Chip size="small" label={`${rollup.onlineCount}/${rollup.deviceCount} online`} />
+      <Chip
+        size="small"
+        color={rollup.activeAlarmCount > 0 ? "error" : "default"}
+        label={`${rollup.activeAlarmCount} active alarms`}
+      />
+      <Typography variant="caption" color="text.secondary">
+        Avg {formatAverages(rollup.telemetry, deviceTypes)}
+      </Typography>
+    </Box>
+  );
+};
+
+const DeviceLine = ({ device }) => (
+  <Typography variant="body2" color={device.online ? "inherit" : "text.disabled"}>
+    {device.deviceName} {device.online ? "" : "(offline)"}
+    {device.activeAlarmCount > 0 && ` — ${device.activeAlarmCount} active alarms`}
+  </Typography>
+);
+
+const SiteNodeItem = ({ node, depth, deviceTypes, expanded, onToggle, onAddChild, onEdit, onDelete, onAssign }) => {
+  const open = Boolean(expanded[node._id]);
+  const canHaveChildren = childTypes(node.type).length > 0;
+
+  return (
+    <>
+      <ListItem
+        disablePadding
+        sx={{ pl: depth * 3 }}
+        secondaryAction={
+          <Box>
+            {canHaveChildren && (
+              <Tooltip title="Add child node">
+                <IconButton onClick={() => onAddChild(node)}>
+                  <AddIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            <Tooltip title="Assign devices">
+              <IconButton onClick={() => onAssign(node)}>
+                <DevicesIcon />
+              </IconButton>
+            </Tooltip>
+            <IconButton onClick={() => onEdit(node)}>
+              <EditIcon />
+            </IconButton>
+            <IconButton color="error" onClick={() => onDelete(node)}>
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+        }
+      >
+        <ListItemButton onClick={() => onToggle(node._id)} sx={{ pr: 24 }}>
+          {open ? <ExpandLess sx={{ mr: 1 }} /> : <ExpandMore sx={{ mr: 1 }} />}
+          <ListItemText
+            primary={
+              <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+                <Typography fontWeight="bold">{node.name}</Typography>
+                <Chip size="small" variant="outlined" label={node.type} />
+              </Box>
+            }
+            secondary={<RollupChips rollup={node.rollup} deviceTypes={deviceTypes} />}
+            secondaryTypographyProps={{ component: "div" }}
+          />
+        </ListItemButton>
+      </ListItem>
+      <Collapse in={open} timeout="auto" unmountOnExit>
+        <Box sx={{ pl: depth * 3 + 7, py: 1 }}>
+          {node.description && (
+            <Typography variant="caption" color="text.secondary" display="block" mb={1}>
+              {node.description}
+            </Typography>
+          )}
+          {node.devices.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No devices assigned directly
+            </Typography>
+          ) : (
+            node.devices.map((device) => <DeviceLine key={device.deviceId} device={device} />)
+          )}
+        </Box>
+        {node.children.map((child) => (
+          <SiteNodeItem
+            key={child._id}
+            node={child}
+            depth={depth + 1}
+            deviceTypes={deviceTypes}
+            expanded={expanded}
+            onToggle={onToggle}
+            onAddChild={onAddChild}
+            onEdit={onEdit}
+            onDelete={onDelete}
+            onAssign={onAssign}
+          />
+        ))}
+      </Collapse>
+    </>
+  );
+};
+
+const SiteHierarchy = () => {
+  const [plants, setPlants] = useState([]);
+  const [selectedPlantId, setSelectedPlantId] = useState("");
+  const [tree, setTree] = useState(null);
+  const [flatNodes, setFlatNodes] = useState([]);
+  const [plantDevices, setPlantDevices] = useState([]);
+  const [deviceTypes, setDeviceTypes] = useState([]);
+  const [expanded, setExpanded] = useState({});
+  const [nodeDialogOpen, setNodeDialogOpen] = useState(false);
+  const [nodeForm, setNodeForm] = useState(EMPTY_NODE_FORM);
+  const [assignNode, setAssignNode] = useState(null);
+  const [assignDeviceIds, setAssignDeviceIds] = useState([]);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showMessage = (message, severity = 'success') => setSnackbar({ open: true, message, severity });
+
+  useEffect(() => {
+    const fetchPlants = async () => {
+      try {
+        const plants = await plantService.getPlants();
+        setPlants(plants);
+        if (plants.length > 0) setSelectedPlantId(plants[0]._id);
+      } catch (err) {
+        console.error("Error fetching plants:", err);
+        showMessage('Failed to fetch plants. Please try again.', 'error');
+      }
+    };
+    fetchPlants();
+    getDeviceTypes()
+      .then(setDeviceTypes)
+      .catch((err) => console.error("Error fetching device types:", err));
+  }, []);
+
+  const fetchTree = useCallback(async () => {
+    if (!selectedPlantId) return;
+    try {
+      const [tree, nodes, devices] = await Promise.all([
+        siteNodeService.getSiteTree(selectedPlantId),
+        siteNodeService.getSiteNodes(selectedPlantId),
+        getDevices(selectedPlantId)
+      ]);
+      setTree(tree);
+      setFlatNodes(nodes);
+      setPlantDevices(devices);
+    } catch (err) {
+      console.error("Error fetching site hierarchy:", err);
+      showMessage('Failed to load the site hierarchy.', 'error');
+    }
+  }, [selectedPlantId]);
+
+  useEffect(() => {
+    setTree(null);
+    setExpanded({});
+    fetchTree();
+  }, [fetchTree]);
+
+  const toggleNode = (id) => setExpanded(prev => ({ ...prev, [id]: !prev[id] }));
+
+  const openAddDialog = (parent = null) => {
+    setNodeForm({
+      ...EMPTY_NODE_FORM,
+      type: childTypes(parent?.type)[0],
+      parentId: parent ? parent._id : ""
+    });
+    setNodeDialogOpen(true);
+  };
+
+  const openEditDialog = (node) => {
+    setNodeForm({
+      _id: node._id,
+      name: node.name,
+      type: node.type,
+      description: node.description || "",
+      parentId: node.parentId || ""
+    });
+    setNodeDialogOpen(true);
+  };
+
+  // A node can't be moved under itself or anything below it
+  const parentOptions = () => {
+    const parentTypes = NODE_TYPES.slice(0, NODE_TYPES.indexOf(nodeForm.type));
+    return flatNodes.filter(node =>
+      parentTypes.includes(node.type) &&
+      (!nodeForm._id || (node._id !== nodeForm._id && !node.ancestors.includes(nodeForm._id)))
+    );
+  };
+
+  const handleSaveNode = async () => {
+    if (!nodeForm.name.trim()) {
+      showMessage('Please enter a name', 'warning');
+      return;
+    }
+    const payload = {
+      name: nodeForm.name.trim(),
+      type: nodeForm.type,
+      description: nodeForm.description,
+      parentId: nodeForm.parentId || null
+    };
+    try {
+      if (nodeForm._id) {
+        await siteNodeService.updateSiteNode(nodeForm._id, payload);
+        showMessage(`${payload.name} updated`);
+      } else {
+        await siteNodeService.addSiteNode({ ...payload, plantId: selectedPlantId });
+        if (payload.parentId) setExpanded(prev => ({ ...prev, [payload.parentId]: true }));
+        showMessage(`${payload.name} added`);
+      }
+      setNodeDialogOpen(false);
+      fetchTree();
+    } catch (err) {
+      console.error("Error saving site node:", err);
+      showMessage(err.response?.data?.message || 'Failed to save site node.', 'error');
+    }
+  };
+
+  const handleDeleteNode = async (node) => {
+    if (!window.confirm(`Delete ${node.type} "${node.name}"?`)) return;
+    try {
+      await siteNodeService.deleteSiteNode(node._id);
+      showMessage(`${node.name} deleted`);
+      fetchTree();
+    } catch (err) {
+      console.error("Error deleting site node:", err);
+      showMessage(err.response?.data?.message || 'Failed to delete site node.', 'error');
+    }
+  };
+
+  const openAssignDialog = (node) => {
+    setAssignNode(node);
+    setAssignDeviceIds(node.devices.map(device => device.deviceId));
+  };
+
+  const handleAssignDevices = async () => {
+    // Devices deselected here go back to unassigned
+    const removedIds = assignNode.devices
+      .map(device => device.deviceId)
+      .filter(id => !assignDeviceIds.includes(id));
+    try {
+      await Promise.all(removedIds.map(id => updateDevice(id, { siteNodeId: null })));
+      if (assignDeviceIds.length > 0) {
+        await siteNodeService.assignDevicesToNode(assignNode._id, assignDeviceIds);
+      }
+      showMessage(`Devices in ${assignNode.name} updated`);
+      setAssignNode(null);
+      fetchTree();
+    } catch (err) {
+      console.error("Error assigning devices:", err);
+      showMessage(err.response?.data?.message || 'Failed to assign devices.', 'error');
+    }
+  };
+
+  const nodeNameById = (id) => flatNodes.find(node => node._id === id)?.name;
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" mb={3}>
+        Site Hierarchy
+      </Typography>
+
+      <Paper sx={{ padding: 2, marginBottom: 3 }}>
+        <Typography variant="h6">Select Plant</Typography>
+        <Select
+          fullWidth
+          value={selectedPlantId}
+          onChange={(e) => setSelectedPlantId(e.target.value)}
+          displayEmpty
+        >
+          <MenuItem value="">-- Select Plant --</MenuItem>
+          {plants.map((plant) => (
+            <MenuItem key={plant._id} value={plant._id}>
+              {plant.plantName}
+            </MenuItem>
+          ))}
+        </Select>
+      </Paper>
+
+      {tree && (
+        <>
+          <Paper sx={{ padding: 2, marginBottom: 3 }}>
+            <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 1 }}>
+              <Typography variant="h6">{tree.plant.plantName}</Typography>
+              <Button variant="contained" startIcon={<AddIcon />} onClick={() => openAddDialog()}>
+                Add Building
+              </Button>
+            </Box>
+            <RollupChips rollup={tree.plant.rollup} deviceTypes={deviceTypes} />
+          </Paper>
+
+          <Paper sx={{ marginBottom: 3 }}>
+            {tree.nodes.length === 0 ? (
+              <Typography variant="body1" sx={{ p: 2 }}>
+                No buildings, areas or zones defined for this plant yet.
+              </Typography>
+            ) : (
+              <List>
+                {tree.nodes.map((node) => (
+                  <SiteNodeItem
+                    key={node._id}
+                    node={node}
+                    depth={0}
+                    deviceTypes={deviceTypes}
+                    expanded={expanded}
+                    onToggle={toggleNode}
+                    onAddChild={openAddDialog}
+                    onEdit={openEditDialog}
+                    onDelete={handleDeleteNode}
+                    onAssign={openAssignDialog}
+                  />
+                ))}
+              </List>
+            )}
+          </Paper>
+
+          <Paper sx={{ padding: 2 }}>
+            <Typography variant="h6" gutterBottom>
+              Unassigned Devices ({tree.unassignedDevices.length})
+            </Typography>
+            {tree.unassignedDevices.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Every device is placed in the hierarchy.
+              </Typography>
+            ) : (
+              tree.unassignedDevices.map((device) => <DeviceLine key={device.deviceId} device={device} />)
+            )}
+          </Paper>
+        </>
+      )}
+
+      {/* Add / Edit Node Dialog */}
+      <Dialog open={nodeDialogOpen} onClose={() => setNodeDialogOpen(false)}>
+        <DialogTitle>{nodeForm._id ? "Edit Site Node" : "Add Site Node"}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1, minWidth: "400px" }}>
+            <TextField
+              label="Name"
+              fullWidth
+              value={nodeForm.name}
+              onChange={(e) => setNodeForm({ ...nodeForm, name: e.target.value })}
+            />
+            <FormControl fullWidth>
+              <InputLabel>Type</InputLabel>
+              <Select
+                label="Type"
+                value={nodeForm.type}
+                onChange={(e) => setNodeForm({ ...nodeForm, type: e.target.value, parentId: "" })}
+              >
+                {NODE_TYPES.map((type) => (
+                  <MenuItem key={type} value={type}>{type}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl fullWidth>
+              <InputLabel shrink>Parent</InputLabel>
+              <Select
+                label="Parent"
+                notched
+                displayEmpty
+                value={nodeForm.parentId}
+                onChange={(e) => setNodeForm({ ...nodeForm, parentId: e.target.value })}
+                renderValue={(value) => (value ? nodeNameById(value) : "Plant (top level)")}
+              >
+                <MenuItem value="">Plant (top level)</MenuItem>
+                {parentOptions().map((node) => (
+                  <MenuItem key={node._id} value={node._id}>
+                    {node.name} ({node.type})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Description"
+              fullWidth
+              multiline
+              minRows={2}
+              value={nodeForm.description}
+              onChange={(e) => setNodeForm({ ...nodeForm, description: e.target.value })}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNodeDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSaveNode} variant="contained" color="primary">
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Assign Devices Dialog */}
+      <Dialog open={Boolean(assignNode)} onClose={() => setAssignNode(null)}>
+        <DialogTitle>Assign Devices to {assignNode?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" mb={2}>
+            Selected devices move here from wherever they are currently placed; deselected ones become unassigned.
+          </Typography>
+          <FormControl fullWidth sx={{ minWidth: "400px" }}>
+            <InputLabel>Devices</InputLabel>
+            <Select
+              multiple
+              label="Devices"
+              value={assignDeviceIds}
+              onChange={(e) => setAssignDeviceIds(e.target.value)}
+              renderValue={(ids) => plantDevices.filter(device => ids.includes(device._id)).map(device => device.deviceName).join(", ")}
+            >
+              {plantDevices.map((device) => (
+                <MenuItem key={device._id} value={device._id}>
+                  {device.deviceName}
+                  {device.siteNodeId && device.siteNodeId !== assignNode?._id && (
+                    <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                      (in {nodeNameById(device.siteNodeId) || "another node"})
+                    </Typography>
+                  )}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAssignNode(null)}>Cancel</Button>
+          <Button onClick={handleAssignDevices} variant="contained" color="primary">
+            Assign
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={() => setSnackbar({ ...snackbar, open: false })} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+export default SiteHierarchy;
@@ -0,0 +1,72 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  CircularProgress,
+  Container,
+  Typography,
+  Paper,
+} from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import { exchangeSsoCode } from "../services/ssoService";
+
+const SsoCallback = () => {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get("code");
+  const [errorMsg, setErrorMsg] = useState(code ? "" : "This sign-in link is missing its code.");
+  const requested = useRef(false);
+  const navigate = useNavigate();
+  const { login } = useAuth();
+
+  useEffect(() => {
+    // Codes are single-use, so don't send it twice under StrictMode
+    if (!code || requested.current) return;
+    requested.current = true;
+
+    exchangeSsoCode(code)
+      .then((data) => {
+        login(data.token, data.refreshToken);
+        navigate("/dashboard", { replace: true });
+      })
+      .catch((err) => {
+        setErrorMsg(err.response?.data?.message || "Single sign-on failed.");
+      });
+  }, [code, login, navigate]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: "100vh",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        background: "linear-gradient(to right, #e0f7fa, #ffffff)",
+      }}
+    >
+      <Container maxWidth="xs">
+        <Paper elevation={6} sx={{ padding: 4, borderRadius: 3 }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Single Sign-On
+          </Typography>
+          {errorMsg ? (
+            <>
+              <Alert severity="error" sx={{ mt: 2 }}>
+                {errorMsg}
+              </Alert>
+              <Typography variant="body2" align="center" mt={2}>
+                <Link to="/login">Back to login</Link>
+              </Typography>
+            </>
+          ) : (
+            <Box display="flex" justifyContent="center" mt={2}>
+              <CircularProgress />
+            </Box>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default SsoCallback;
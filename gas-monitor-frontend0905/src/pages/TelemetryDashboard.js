@@ -1,12 +1,15 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { getPlants } from "../services/plantService";
 import { getDevices } from "../services/deviceService";
+import { getDeviceTypes, getTypeOfDevice, readingValue, formatMetricValue } from "../services/deviceTypeService";
 import { getThresholdValue, updateThresholdValue, getToleranceValue, updateToleranceValue } from '../services/telemetryService';
 import { fetchLatestTelemetry, fetchTelemetryData, fetchRealtimeTelemetry } from '../services/telemetryService';
 import socketService from '../services/socketService';
 import axios from 'axios';
 import Layout from "../components/Layout";
 import AlarmsTab from '../components/siteView/AlarmsTab';
+import CalibrationTab from '../components/CalibrationTab';
+import FilterPresetSelect from '../components/FilterPresetSelect';
 import { useLocation, useNavigate } from 'react-router-dom';
 
 import {
@@ -18,6 +21,7 @@ import {
 } from "../services/telemetryService";
 import { Line } from "react-chartjs-2";
 import TextField from '@mui/material/TextField';
+import Alert from '@mui/material/Alert';
 
 import {
   Chart as ChartJS,
@@ -92,8 +96,13 @@ function TabPanel(props) {
   );
 }
 
+// Colors for metric circles and charts, in the order the device type lists its metrics
+const METRIC_COLORS = ['#ff9800', '#2196f3', '#4caf50', '#9c27b0', '#795548', '#009688'];
+
+const metricColor = (index) => METRIC_COLORS[index % METRIC_COLORS.length];
+
 // Custom circular progress visualization component that matches the reference UI
-const MetricCircle = ({ value, label, color, size = 100, thickness = 5 }) => {
+const MetricCircle = ({ value, label, unit = '', color, size = 100, thickness = 5 }) => {
   const theme = useTheme();
   const displayValue = value || 0;
   
@@ -136,7 +145,7 @@ const MetricCircle = ({ value, label, color, size = 100, thickness = 5 }) => {
         >
           <Typography variant="h5" component="div" fontWeight="bold">
             {displayValue}
-            {label === 'Temperature' ? '°C' : label === 'Humidity' || label === 'Oil Level' ? '%' : ''}
+            {unit}
           </Typography>
         </Box>
       </Box>
@@ -167,6 +176,9 @@ const TelemetryDashboard = () => {
   const [devices, setDevices] = useState([]);
   const [selectedPlant, setSelectedPlant] = useState("");
   const [selectedDevice, setSelectedDevice] = useState('');
+  // Saved filter preset narrowing the device picker
+  const [devicePresetId, setDevicePresetId] = useState('');
+  const [deviceTypes, setDeviceTypes] = useState([]);
   const [dataPeriod, setDataPeriod] = useState('1h');
   const [telemetryData, setTelemetryData] = useState([]);
   const [realtimeData, setRealtimeData] = useState([]);
@@ -193,6 +205,23 @@ const TelemetryDashboard = () => {
   // This mapping ensures we subscribe to the right WebSocket channels
   const [deviceIdMap, setDeviceIdMap] = useState({});
 
+  // Metrics of the selected device's type drive the selects, circles, charts and table
+  const currentDeviceType = getTypeOfDevice(deviceTypes, devices.find(d => d._id === selectedDevice));
+  const metrics = currentDeviceType ? currentDeviceType.metrics : [];
+  const metricByKey = (key) => metrics.find(metric => metric.key === key) || { key, label: key, unit: '', precision: 1 };
+
+  // Message for a threshold outside the metric's range, or null
+  const outOfRange = (metric, value) => {
+    if (metric.min !== null && metric.min !== undefined && value < metric.min) return `${metric.label} threshold must be at least ${metric.min}${metric.unit}`;
+    if (metric.max !== null && metric.max !== undefined && value > metric.max) return `${metric.label} threshold must be at most ${metric.max}${metric.unit}`;
+    return null;
+  };
+
+  const rangeHint = (metric) =>
+    metric.min !== null && metric.min !== undefined && metric.max !== null && metric.max !== undefined
+      ? `Range ${metric.min} – ${metric.max} ${metric.unit}`
+      : metric.unit;
+
   // Get tab from URL or use default
   const tabFromURL = new URLSearchParams(location.search).get('tab');
   const [activeTab, setActiveTab] = useState('status'); // default is 'status'
@@ -288,14 +317,11 @@ const TelemetryDashboard = () => {
     
     // When switching back to status tab, ensure we maintain data
     if (newValue === 'status') {
-      // If we have deviceData but latestEntry is null, restore it
-      if (deviceData && (!latestEntry || !latestEntry.temperature)) {
+      // If we have deviceData but latestEntry has no readings, restore it
+      const hasReadings = latestEntry && metrics.some(metric => readingValue(latestEntry[metric.key]) !== null);
+      if (deviceData && !hasReadings) {
         console.log(' Restoring device data after tab switch');
-        setLatestEntry({
-          temperature: deviceData.temperature || 0,
-          humidity: deviceData.humidity || 0,
-          oilLevel: deviceData.oilLevel || 0
-        });
+        setLatestEntry(metrics.reduce((entry, metric) => ({ ...entry, [metric.key]: deviceData[metric.key] }), {}));
       }
     }
   };
@@ -324,15 +350,14 @@ const TelemetryDashboard = () => {
     }
   };
   
+  // The dashboard map links here with ?plantId= to open a specific plant
+  const requestedPlant = new URLSearchParams(location.search).get('plantId');
+
   useEffect(() => {
     const fetchPlants = async () => {
       try {
         setLoading(true);
-        const plantData = await getPlants();
-        setPlants(plantData);
-        if (plantData.length > 0) {
-          setSelectedPlant(plantData[0]._id);
-        }
+        setPlants(await getPlants());
       } catch (error) {
         console.error(" Error fetching plants:", error);
         setError("Failed to load plants. Please try again.");
@@ -341,7 +366,22 @@ const TelemetryDashboard = () => {
       }
     };
     fetchPlants();
-  }, []);  // Function to fetch alarm count (defined at component scope level so it can be used by WebSocket handlers)
+    getDeviceTypes()
+      .then(setDeviceTypes)
+      .catch(error => console.error(" Error fetching device types:", error));
+  }, []);
+
+  // Open the requested plant, also when a link changes ?plantId= while the page is open;
+  // otherwise start with the first plant
+  useEffect(() => {
+    if (requestedPlant && plants.some(plant => plant._id === requestedPlant)) {
+      setSelectedPlant(requestedPlant);
+    } else if (plants.length > 0) {
+      setSelectedPlant(current => current || plants[0]._id);
+    }
+  }, [requestedPlant, plants]);
+
+  // Function to fetch alarm count (defined at component scope level so it can be used by WebSocket handlers)
   const fetchAlarmCount = useCallback(async () => {
     if (!selectedDevice) return;
     
@@ -378,21 +418,10 @@ const TelemetryDashboard = () => {
       const data = await getLatestTelemetryEntry(selectedDevice);
       console.log("Latest telemetry entry:", data);
       if (data) {
-        // Properly normalize the data structure
+        // Readings are already keyed by the device type's metric keys
         const normalized = {
-          alerts: Array.isArray(data.alerts) ? data.alerts : [],
-          temperature: typeof data.temperature === 'object' ? 
-            data.temperature.value : 
-            typeof data.temperature === 'number' ? 
-              data.temperature : 0,
-          humidity: typeof data.humidity === 'object' ? 
-            data.humidity.value : 
-            typeof data.humidity === 'number' ? 
-              data.humidity : 0,
-          oilLevel: typeof data.oilLevel === 'object' ? 
-            data.oilLevel.value : 
-            typeof data.oilLevel === 'number' ? 
-              data.oilLevel : 0
+          ...data,
+          alerts: Array.isArray(data.alerts) ? data.alerts : []
         };
 
         console.log("Normalized latest entry:", normalized);
@@ -432,14 +461,7 @@ const TelemetryDashboard = () => {
     try {
       const data = await getTelemetryData(selectedDevice);
       if (data?.length > 0) {
-        const processedData = data.map(entry => ({
-          ...entry,
-          temperature: entry.temperature?.value || entry.temperature || 0,
-          oilLevel: entry.oilLevel?.value || entry.oilLevel || 0,
-          timestamp: entry.timestamp
-        }));
-        
-        setTelemetryData(processedData.slice(0, 20));
+        setTelemetryData(data.slice(0, 20));
         setError(null);
       }
     } catch (error) {
@@ -596,28 +618,19 @@ const TelemetryDashboard = () => {
     
     // Update UI state with the new data
     if (data) {
-      // Format the data for UI components
+      // Format the data for UI components; the server adds the readings under the device type's metric keys
       const formattedData = {
+        ...data,
         timestamp: new Date(data.receivedTimestamp || data.timestamp || new Date()).toISOString(),
-        temperature: data.temperature || 0,
-        humidity: data.humidity || 0,
-        distance: data.distance || 0,
-        alcoholLevel: data.alcoholLevel || data.alcohol || 0,
-        oilLevel: data.oilLevel || 0,
         deviceId: data.deviceId || data.device,
         plantName: data.plantName
       };
       
       // Log important values for monitoring
-      console.log(`📊 WebSocket data - Temp: ${formattedData.temperature}°C | Humidity: ${formattedData.humidity}% | Time: ${formattedData.timestamp}`);
+      console.log(`📊 WebSocket data (${formattedData.deviceType || 'unknown type'}) - Time: ${formattedData.timestamp}`);
       
       // 1. Update latest telemetry entry (for metric circles)
-      setLatestEntry(prev => ({
-        ...prev,
-        temperature: formattedData.temperature,
-        humidity: formattedData.humidity,
-        oilLevel: formattedData.oilLevel
-      }));
+      setLatestEntry(prev => ({ ...prev, ...formattedData }));
       
       // 2. Update device data (for dashboard header)
       setDeviceData(prevData => ({ ...prevData, ...formattedData }));
@@ -718,7 +731,7 @@ const TelemetryDashboard = () => {
 
       try {
         setLoading(true);
-        const data = await getDevices(selectedPlant);
+        const data = await getDevices(selectedPlant, devicePresetId ? { presetId: devicePresetId } : {});
         
         if (data && data.length > 0) {
           setDevices(data);
@@ -745,12 +758,13 @@ const TelemetryDashboard = () => {
           console.log('Created device ID mapping:', mapping);
           setDeviceIdMap(mapping);
           
-          // Default to first device if none selected
-          if (!selectedDevice && data.length > 0) {
+          // Default to first device if none selected, or the selected one was filtered out
+          if (!data.some(device => device._id === selectedDevice)) {
             setSelectedDevice(data[0]._id);
           }
         } else {
           setDevices([]);
+          setSelectedDevice('');
         }
       } catch (error) {
         console.error('Error fetching devices:', error);
@@ -761,7 +775,7 @@ const TelemetryDashboard = () => {
     };
     
     fetchDevices();
-  }, [selectedPlant, selectedDevice]);
+  }, [selectedPlant, selectedDevice, devicePresetId]);
   
   useEffect(() => {
     const fetchThreshold = async () => {
@@ -778,12 +792,18 @@ const TelemetryDashboard = () => {
       alert("Please select a metric and enter a valid number");
       return;
     }
+    const metric = metricByKey(selectedMetric);
+    const rangeError = outOfRange(metric, parseFloat(newThreshold));
+    if (rangeError) {
+      alert(rangeError);
+      return;
+    }
     
     try {
       const success = await updateThresholdValue(selectedDevice, selectedMetric, parseFloat(newThreshold));
       
       if (success) {
-        alert(`${selectedMetric.charAt(0).toUpperCase() + selectedMetric.slice(1)} threshold updated successfully!`);
+        alert(`${metric.label} threshold updated successfully!`);
         setCurrentThreshold(newThreshold);
         setNewThreshold('');
         // Reset the dropdown selection to allow selecting other parameters
@@ -817,7 +837,11 @@ const TelemetryDashboard = () => {
         }
       } catch (error) {
         console.error("Error restarting device:", error);
-        alert("Failed to restart device. Try again.");
+        if (error.response?.data?.code === 'TWO_FACTOR_REQUIRED') {
+          alert("Sending commands requires two-factor authentication. Enable it under Account security and log in again.");
+        } else {
+          alert("Failed to restart device. Try again.");
+        }
       }
     }
   };
@@ -906,34 +930,11 @@ const TelemetryDashboard = () => {
       activeDeviceRef.current = null;
     }
     
-    // Subscribe to plant data on WebSocket
+    // Subscribe to plant data on WebSocket (rooms are keyed by the plant's MongoDB ID)
     if (plantId && socketService.isConnected()) {
-      // Map plant MongoDB ID to numeric ID expected by backend
-      // The backend expects plantId as 1 (Plant C) or 2 (Plant D)
-      let numericPlantId;
-      
-      try {
-        // Look at the plant name to determine the correct numeric ID
-        const selectedPlantObj = plants.find(p => p._id === plantId);
-        if (selectedPlantObj) {
-          if (selectedPlantObj.plantName.includes('D')) {
-            numericPlantId = 2; // Plant D
-          } else {
-            numericPlantId = 1; // Plant C or other
-          }
-          console.log(`Mapped plant ${selectedPlantObj.plantName} (${plantId}) to numeric ID: ${numericPlantId}`);
-        } else {
-          console.warn(`Could not find plant with ID: ${plantId}`);
-          numericPlantId = plantId; // Fallback to original ID
-        }
-      } catch (err) {
-        console.error('Error mapping plant ID:', err);
-        numericPlantId = plantId; // Fallback to original ID
-      }
-      
-      console.log(`Subscribing to plant: ${numericPlantId}`);
-      socketService.subscribeToPlant(numericPlantId);
-      activePlantRef.current = numericPlantId;
+      console.log(`Subscribing to plant: ${plantId}`);
+      socketService.subscribeToPlant(plantId);
+      activePlantRef.current = plantId;
     } else {
       activePlantRef.current = null;
     }
@@ -955,6 +956,10 @@ const TelemetryDashboard = () => {
     setLatestEntry(null);
     setError(null);
     
+    // The new device may be of another type with different metrics
+    setSelectedMetric('');
+    setSelectedToleranceMetric('');
+    
     // IMPORTANT: Clear the alarm cache when changing devices
     socketService.clearAlarmCache();
     setLocalAlarmCount(0); // Reset the alarm count
@@ -1083,7 +1088,7 @@ const TelemetryDashboard = () => {
       if (success) {
         setCurrentTolerance(newTolerance);
         setNewTolerance('');
-        alert(`${selectedToleranceMetric.charAt(0).toUpperCase() + selectedToleranceMetric.slice(1)} tolerance updated successfully!`);
+        alert(`${metricByKey(selectedToleranceMetric).label} tolerance updated successfully!`);
         // Reset the dropdown selection to allow selecting other parameters
         setTimeout(() => {
           // Brief delay to prevent React state update conflicts
@@ -1115,9 +1120,9 @@ const TelemetryDashboard = () => {
           onChange={(e) => setSelectedMetric(e.target.value)}
           label="Select Metric for Threshold"
         >
-          <MenuItem value="temperature">Temperature</MenuItem>
-          <MenuItem value="humidity">Humidity</MenuItem>
-          <MenuItem value="oilLevel">Oil Level</MenuItem>
+          {metrics.map(metric => (
+            <MenuItem key={metric.key} value={metric.key}>{metric.label}</MenuItem>
+          ))}
         </Select>
       </FormControl>
 
@@ -1125,7 +1130,7 @@ const TelemetryDashboard = () => {
       {currentThreshold !== null && selectedMetric && (
         <Box sx={{ mb: 2 }}>
           <Typography variant="subtitle1">
-            Current Threshold for {selectedMetric.charAt(0).toUpperCase() + selectedMetric.slice(1)}: <strong>{currentThreshold}</strong>
+            Current Threshold for {metricByKey(selectedMetric).label}: <strong>{currentThreshold} {metricByKey(selectedMetric).unit}</strong>
           </Typography>
         </Box>
       )}
@@ -1136,9 +1141,10 @@ const TelemetryDashboard = () => {
         variant="outlined"
         fullWidth
         value={newThreshold}
+        helperText={selectedMetric ? rangeHint(metricByKey(selectedMetric)) : ''}
         onChange={(e) => {
           const value = e.target.value;
-          if (/^\d*\.?\d*$/.test(value)) {
+          if (/^-?\d*\.?\d*$/.test(value)) {
             setNewThreshold(value); // Only numbers allowed
           }
         }}
@@ -1170,9 +1176,9 @@ const TelemetryDashboard = () => {
           onChange={(e) => setSelectedToleranceMetric(e.target.value)}
           label="Select Metric for Tolerance"
         >
-          <MenuItem value="temperature">Temperature</MenuItem>
-          <MenuItem value="humidity">Humidity</MenuItem>
-          <MenuItem value="oilLevel">Oil Level</MenuItem>
+          {metrics.map(metric => (
+            <MenuItem key={metric.key} value={metric.key}>{metric.label}</MenuItem>
+          ))}
         </Select>
       </FormControl>
       
@@ -1180,7 +1186,7 @@ const TelemetryDashboard = () => {
       {currentTolerance !== null && selectedToleranceMetric && (
         <Box sx={{ mb: 2 }}>
           <Typography variant="subtitle1">
-            Current Tolerance for {selectedToleranceMetric.charAt(0).toUpperCase() + selectedToleranceMetric.slice(1)}: <strong>{currentTolerance}</strong>
+            Current Tolerance for {metricByKey(selectedToleranceMetric).label}: <strong>{currentTolerance} {metricByKey(selectedToleranceMetric).unit}</strong>
           </Typography>
         </Box>
       )}
@@ -1237,11 +1243,21 @@ const TelemetryDashboard = () => {
       );
     }
 
+    // The circles keep the last values a silent device sent; say how old they are
+    const connectivity = devices.find(d => d._id === selectedDevice)?.connectivity;
+    const silent = connectivity && (connectivity.status === 'stale' || connectivity.status === 'offline');
+
     return (
       <Box sx={{ mt: 3 }}>
         <Typography variant="h6" fontWeight="bold" mb={2}>
           Device Metrics
         </Typography>
+        {silent && (
+          <Alert severity={connectivity.status === 'offline' ? 'error' : 'warning'} sx={{ mb: 2 }}>
+            {connectivity.status === 'offline' ? 'Device offline' : 'Device not reporting'} - readings below are from{' '}
+            {new Date(connectivity.lastSeenAt).toLocaleString()}
+          </Alert>
+        )}
         <Box sx={{ 
           display: 'flex', 
           justifyContent: 'space-around', 
@@ -1253,55 +1269,33 @@ const TelemetryDashboard = () => {
             label="Open Alerts" 
             color="#f44336"
           />
-          <MetricCircle 
-            value={Number(latestEntry.temperature).toFixed(1)}
-            label="Temperature" 
-            color="#ff9800"
-          />
-          <MetricCircle 
-            value={Number(latestEntry.humidity).toFixed(1)}
-            label="Humidity" 
-            color="#2196f3"
-          />
-          <MetricCircle 
-            value={Number(latestEntry.oilLevel).toFixed(1)}
-            label="Oil Level" 
-            color="#4caf50"
-          />
+          {metrics.map((metric, index) => {
+            const value = readingValue(latestEntry[metric.key]);
+            return (
+              <MetricCircle 
+                key={metric.key}
+                value={value === null ? '—' : value.toFixed(metric.precision ?? 1)}
+                label={metric.label}
+                unit={value === null ? '' : metric.unit}
+                color={metricColor(index)}
+              />
+            );
+          })}
         </Box>
       </Box>
     );
   };
 
-  const temperatureChartData = {
-    labels: telemetryData?.map(entry => new Date(entry.timestamp).toLocaleTimeString()) || [],
-    datasets: [{
-      label: 'Temperature',
-      data: telemetryData?.map(entry => {
-        if (typeof entry.temperature === 'object') {
-          return entry.temperature.value || 0;
-        }
-        return entry.temperature || 0;
-      }) || [],
-      borderColor: '#ff9800',
-      tension: 0.1
-    }]
-  };
-  
-  const oilLevelChartData = {
+  // One line chart per metric; gaps where a reading is missing
+  const metricChartData = (metric, index) => ({
     labels: telemetryData?.map(entry => new Date(entry.timestamp).toLocaleTimeString()) || [],
     datasets: [{
-      label: 'Oil Level',
-      data: telemetryData?.map(entry => {
-        if (typeof entry.oilLevel === 'object') {
-          return entry.oilLevel.value || 0;
-        }
-        return entry.oilLevel || 0;
-      }) || [],
-      borderColor: '#4caf50',
+      label: metric.label,
+      data: telemetryData?.map(entry => readingValue(entry[metric.key])) || [],
+      borderColor: metricColor(index),
       tension: 0.1
     }]
-  };
+  });
 
   // Update the table rendering section in renderCharts
   const renderCharts = () => {
@@ -1321,19 +1315,14 @@ const TelemetryDashboard = () => {
     return (
       <>
         <Grid container spacing={3} sx={{ mt: 2 }}>
-          <Grid item xs={12} md={6}>
-            <Typography variant="h6" mb={1}>Temperature Over Time</Typography>
-            <Paper sx={{ p: 2, height: 250 }}>
-              <Line data={temperatureChartData} options={chartOptions} />
-            </Paper>
-          </Grid>
-          
-          <Grid item xs={12} md={6}>
-            <Typography variant="h6" mb={1}>Oil Level Over Time</Typography>
-            <Paper sx={{ p: 2, height: 250 }}>
-              <Line data={oilLevelChartData} options={chartOptions} />
-            </Paper>
-          </Grid>
+          {metrics.map((metric, index) => (
+            <Grid item xs={12} md={6} key={metric.key}>
+              <Typography variant="h6" mb={1}>{metric.label} Over Time</Typography>
+              <Paper sx={{ p: 2, height: 250 }}>
+                <Line data={metricChartData(metric, index)} options={chartOptions} />
+              </Paper>
+            </Grid>
+          ))}
         </Grid>
 
         <Box sx={{ mt: 4 }}>
@@ -1343,8 +1332,11 @@ const TelemetryDashboard = () => {
               <TableHead>
                 <TableRow>
                   <TableCell>Timestamp</TableCell>
-                  <TableCell>Temperature (°C)</TableCell>
-                  <TableCell>Oil Level (%)</TableCell>
+                  {metrics.map(metric => (
+                    <TableCell key={metric.key}>
+                      {metric.label}{metric.unit ? ` (${metric.unit})` : ''}
+                    </TableCell>
+                  ))}
                 </TableRow>
               </TableHead>
               <TableBody>
@@ -1354,25 +1346,16 @@ const TelemetryDashboard = () => {
                       <TableCell>
                         {new Date(item.timestamp).toLocaleString()}
                       </TableCell>
-                      <TableCell>
-                        {typeof item.temperature === 'object' && item.temperature.value !== undefined
-                          ? item.temperature.value
-                          : typeof item.temperature === 'number'
-                          ? item.temperature
-                          : '0'}
-                      </TableCell>
-                      <TableCell>
-                        {typeof item.oilLevel === 'object' && item.oilLevel.value !== undefined
-                          ? item.oilLevel.value
-                          : typeof item.oilLevel === 'number'
-                          ? item.oilLevel
-                          : '0'}
-                      </TableCell>
+                      {metrics.map(metric => (
+                        <TableCell key={metric.key}>
+                          {formatMetricValue({ ...metric, unit: '' }, item[metric.key])}
+                        </TableCell>
+                      ))}
                     </TableRow>
                   ))
                 ) : (
                   <TableRow>
-                    <TableCell colSpan={3} align="center">No data available</TableCell>
+                    <TableCell colSpan={metrics.length + 1} align="center">No data available</TableCell>
                   </TableRow>
                 )}
               </TableBody>
@@ -1412,7 +1395,16 @@ const TelemetryDashboard = () => {
           </FormControl>
         </Grid>
         
-        <Grid item xs={12} md={6}>
+        <Grid item xs={12} md={2}>
+          <FilterPresetSelect
+            value={devicePresetId}
+            onChange={(preset) => setDevicePresetId(preset?._id || '')}
+            size="medium"
+            sx={{ width: '100%', minWidth: 0, mb: 2 }}
+          />
+        </Grid>
+        
+        <Grid item xs={12} md={4}>
           <FormControl fullWidth sx={{ mb: 2 }} disabled={!selectedPlant || loading}>
             <InputLabel id="device-select-label">Select Device</InputLabel>
             <Select
@@ -1474,6 +1466,7 @@ const TelemetryDashboard = () => {
                 } 
                 value="alarms" 
               />
+              <Tab label="Calibration" value="calibration" />
               <Tab label="Command Center" value="cmd" />
             </Tabs>
           </Paper>
@@ -1503,6 +1496,8 @@ const TelemetryDashboard = () => {
             )}
             
             {activeTab === "alarms" && renderAlarmsTab()}
+
+            {activeTab === "calibration" && <CalibrationTab deviceId={selectedDevice} metrics={metrics} />}
             
             {activeTab === "cmd" && renderCommandCenterTab()}
           </Box>
@@ -0,0 +1,58 @@
+import React from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Container,
+  Typography,
+  Paper,
+} from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import TwoFactorEnrollment from "../components/TwoFactorEnrollment";
+
+// Shown after login when the user's role requires 2FA and they haven't enrolled yet
+const TwoFactorSetup = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { login } = useAuth();
+  const challengeToken = location.state?.challengeToken;
+
+  const handleEnabled = (result) => {
+    login(result.token, result.refreshToken);
+    navigate("/dashboard");
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: "100vh",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        background: "linear-gradient(to right, #e0f7fa, #ffffff)",
+      }}
+    >
+      <Container maxWidth="xs">
+        <Paper elevation={6} sx={{ padding: 4, borderRadius: 3 }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Set Up Two-Factor Authentication
+          </Typography>
+          {challengeToken ? (
+            <>
+              <Typography variant="body2" align="center" color="text.secondary" sx={{ mb: 2 }}>
+                Your administrator requires two-factor authentication for your role.
+              </Typography>
+              <TwoFactorEnrollment challengeToken={challengeToken} onEnabled={handleEnabled} />
+            </>
+          ) : (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              This setup session has expired. <Link to="/">Log in again</Link> to continue.
+            </Alert>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,452 @@
+import React, { useState, useEffect, useCallback } from "react";
+import EditIcon from "@mui/icons-material/Edit";
+import BlockIcon from "@mui/icons-material/Block";
+import CheckCircleIcon from "@mui/icons-material/CheckCircle";
+import LockResetIcon from "@mui/icons-material/LockReset";
+import PhonelinkEraseIcon from "@mui/icons-material/PhonelinkErase";
+import LockOpenIcon from "@mui/icons-material/LockOpen";
+import {
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  TextField,
+  Select,
+  MenuItem,
+  Button,
+  Grid,
+  Chip,
+  FormControl,
+  InputLabel,
+  OutlinedInput,
+  Tooltip,
+  Switch,
+  FormControlLabel,
+  Snackbar,
+  Alert
+} from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import * as userService from "../services/userService";
+import * as plantService from "../services/plantService";
+import * as settingsService from "../services/settingsService";
+
+const ROLES = ["admin", "engineer", "operator", "viewer"];
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [assignedPlants, setAssignedPlants] = useState([]);
+  const [editMode, setEditMode] = useState(false);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [twoFactorRequired, setTwoFactorRequired] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showError = useCallback((err, fallback) => {
+    setSnackbar({
+      open: true,
+      message: err.response?.data?.message || fallback,
+      severity: 'error'
+    });
+  }, []);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const users = await userService.getUsers();
+      setUsers(users);
+    } catch (err) {
+      console.error("Error fetching users:", err);
+      showError(err, 'Failed to fetch users. Please try again.');
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    fetchUsers();
+    plantService.getPlants().then(setPlants).catch((err) => console.error("Error fetching plants:", err));
+    settingsService.getSettings()
+      .then((settings) => setTwoFactorRequired(Boolean(settings.twoFactorRequired)))
+      .catch((err) => console.error("Error fetching settings:", err));
+  }, [fetchUsers]);
+
+  const handleTwoFactorRequiredChange = async (e) => {
+    const required = e.target.checked;
+    try {
+      await settingsService.updateSettings({ twoFactorRequired: required });
+      setTwoFactorRequired(required);
+      setSnackbar({
+        open: true,
+        message: required
+          ? 'Admins and engineers must now use two-factor authentication'
+          : 'Two-factor authentication is now optional for all roles',
+        severity: 'success'
+      });
+    } catch (err) {
+      console.error("Error updating settings:", err);
+      showError(err, 'Failed to update the two-factor setting. Please try again.');
+    }
+  };
+
+  const clearForm = () => {
+    setName("");
+    setEmail("");
+    setRole("viewer");
+    setAssignedPlants([]);
+    setEditMode(false);
+    setSelectedUser(null);
+  };
+
+  const addUser = async () => {
+    if (!name || !email) {
+      setSnackbar({
+        open: true,
+        message: 'Please fill in all required fields',
+        severity: 'warning'
+      });
+      return;
+    }
+
+    try {
+      await userService.createUser({ name, email, role, plants: assignedPlants });
+      fetchUsers();
+      clearForm();
+      setSnackbar({
+        open: true,
+        message: `User "${name}" created. A link to set their password was emailed to ${email}.`,
+        severity: 'success'
+      });
+    } catch (err) {
+      console.error("Error creating user:", err);
+      showError(err, 'Failed to create user. Please try again.');
+    }
+  };
+
+  const handleEdit = (user) => {
+    setEditMode(true);
+    setSelectedUser(user);
+    setName(user.name);
+    setEmail(user.email);
+    setRole(user.role);
+    setAssignedPlants((user.plants || []).map((plant) => plant._id || plant));
+  };
+
+  const updateUser = async () => {
+    if (!name) {
+      setSnackbar({
+        open: true,
+        message: 'Please fill in all required fields',
+        severity: 'warning'
+      });
+      return;
+    }
+
+    try {
+      await userService.updateUser(selectedUser._id, { name, role, plants: assignedPlants });
+      fetchUsers();
+      clearForm();
+      setSnackbar({
+        open: true,
+        message: 'User updated successfully',
+        severity: 'success'
+      });
+    } catch (err) {
+      console.error("Error updating user:", err);
+      showError(err, 'Failed to update user. Please try again.');
+    }
+  };
+
+  const handleToggleActive = async (user) => {
+    const deactivate = user.isActive !== false;
+    if (deactivate && !window.confirm(`Deactivate ${user.email}? They will be signed out of every session.`)) {
+      return;
+    }
+
+    try {
+      if (deactivate) {
+        await userService.deactivateUser(user._id);
+      } else {
+        await userService.reactivateUser(user._id);
+      }
+      fetchUsers();
+      setSnackbar({
+        open: true,
+        message: deactivate ? 'User deactivated' : 'User reactivated',
+        severity: 'success'
+      });
+    } catch (err) {
+      console.error("Error changing user status:", err);
+      showError(err, 'Failed to change user status. Please try again.');
+    }
+  };
+
+  const handleForceReset = async (user) => {
+    if (!window.confirm(`Force a password reset for ${user.email}? They will be signed out until they set a new password.`)) {
+      return;
+    }
+
+    try {
+      const result = await userService.forcePasswordReset(user._id);
+      fetchUsers();
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+    } catch (err) {
+      console.error("Error forcing password reset:", err);
+      showError(err, 'Failed to force password reset. Please try again.');
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      const result = await userService.unlockUser(user._id);
+      fetchUsers();
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+    } catch (err) {
+      console.error("Error unlocking user:", err);
+      showError(err, 'Failed to unlock user. Please try again.');
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.email}? They will be signed out and must enroll again.`)) {
+      return;
+    }
+
+    try {
+      const result = await userService.resetTwoFactor(user._id);
+      fetchUsers();
+      setSnackbar({ open: true, message: result.message, severity: 'success' });
+    } catch (err) {
+      console.error("Error resetting 2FA:", err);
+      showError(err, 'Failed to reset two-factor authentication. Please try again.');
+    }
+  };
+
+  const plantNames = (user) => {
+    if (user.role === 'admin') return 'All plants';
+    if (!user.plants || user.plants.length === 0) return '—';
+    return user.plants.map((plant) => plant.plantName || plant).join(', ');
+  };
+
+  // Handle closing the snackbar
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  return (
+    <>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        User Management
+      </Typography>
+
+      {/* Notification Snackbar */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Security Settings
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={twoFactorRequired} onChange={handleTwoFactorRequiredChange} />}
+          label="Require two-factor authentication for admins and engineers"
+        />
+      </Paper>
+
+      <Paper sx={{ p: 3, mb: 4, borderRadius: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          {editMode ? "Edit User" : "Add New User"}
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              fullWidth
+              label="Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              fullWidth
+              label="Email"
+              type="email"
+              value={email}
+              disabled={editMode}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Role</InputLabel>
+              <Select
+                value={role}
+                label="Role"
+                onChange={(e) => setRole(e.target.value)}
+              >
+                {ROLES.map((r) => (
+                  <MenuItem key={r} value={r}>{r}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth disabled={role === 'admin'}>
+              <InputLabel>Plants</InputLabel>
+              <Select
+                multiple
+                value={assignedPlants}
+                onChange={(e) => setAssignedPlants(e.target.value)}
+                input={<OutlinedInput label="Plants" />}
+                renderValue={(selected) =>
+                  selected
+                    .map((id) => plants.find((plant) => plant._id === id)?.plantName || id)
+                    .join(', ')
+                }
+              >
+                {plants.map((plant) => (
+                  <MenuItem key={plant._id} value={plant._id}>{plant.plantName}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={1}>
+            {editMode ? (
+              <>
+                <Button fullWidth variant="contained" onClick={updateUser}>
+                  Update
+                </Button>
+                <Button
+                  fullWidth
+                  variant="text"
+                  onClick={clearForm}
+                  sx={{ mt: 1 }}
+                >
+                  Cancel
+                </Button>
+              </>
+            ) : (
+              <Button
+                fullWidth
+                variant="contained"
+                onClick={addUser}
+                sx={{ height: "100%" }}
+              >
+                Add
+              </Button>
+            )}
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow sx={{ backgroundColor: "#0d47a1" }}>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Name</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Email</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Role</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Plants</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>Status</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold" }}>2FA</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Edit</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Reset Password</TableCell>
+                <TableCell sx={{ color: "white", fontWeight: "bold", textAlign: "center" }}>Activate / Deactivate</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => {
+                const isSelf = user._id === currentUser?.id;
+                const active = user.isActive !== false;
+                return (
+                  <TableRow key={user._id}>
+                    <TableCell>{user.name}</TableCell>
+                    <TableCell>{user.email}</TableCell>
+                    <TableCell>{user.role}</TableCell>
+                    <TableCell>{plantNames(user)}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={!active ? "Deactivated" : user.passwordResetRequired ? "Reset pending" : "Active"}
+                        color={!active ? "default" : user.passwordResetRequired ? "warning" : "success"}
+                      />
+                      {user.lockedUntil && (
+                        <>
+                          <Tooltip title={`Locked after failed logins until ${new Date(user.lockedUntil).toLocaleTimeString()}`}>
+                            <Chip size="small" label="Locked" color="error" sx={{ ml: 1 }} />
+                          </Tooltip>
+                          <Tooltip title="Unlock">
+                            <Button onClick={() => handleUnlock(user)} color="warning" size="small">
+                              <LockOpenIcon fontSize="small" />
+                            </Button>
+                          </Tooltip>
+                        </>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={user.twoFactorEnabled ? "Enabled" : "Off"}
+                        color={user.twoFactorEnabled ? "success" : "default"}
+                      />
+                      {user.twoFactorEnabled && (
+                        <Tooltip title="Reset 2FA">
+                          <Button onClick={() => handleResetTwoFactor(user)} color="warning" size="small">
+                            <PhonelinkEraseIcon fontSize="small" />
+                          </Button>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                    <TableCell align="center">
+                      <Button onClick={() => handleEdit(user)} color="primary">
+                        <EditIcon />
+                      </Button>
+                    </TableCell>
+                    <TableCell align="center">
+                      <Tooltip title="Force password reset">
+                        <span>
+                          <Button onClick={() => handleForceReset(user)} color="warning" disabled={!active}>
+                            <LockResetIcon />
+                          </Button>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell align="center">
+                      <Tooltip title={active ? "Deactivate" : "Reactivate"}>
+                        <span>
+                          <Button
+                            onClick={() => handleToggleActive(user)}
+                            color={active ? "error" : "success"}
+                            disabled={isSelf}
+                          >
+                            {active ? <BlockIcon /> : <CheckCircleIcon />}
+                          </Button>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </>
+  );
+};
+
+export default UserManagement;
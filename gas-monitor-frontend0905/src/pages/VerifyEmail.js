@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  CircularProgress,
+  Container,
+  Typography,
+  Paper,
+} from "@mui/material";
+import axios from "axios";
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [status, setStatus] = useState(token ? "verifying" : "error");
+  const [message, setMessage] = useState(token ? "" : "This verification link is missing its token.");
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't send it twice under StrictMode
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    axios
+      .post("http://localhost:5000/api/auth/verify-email", { token })
+      .then((res) => {
+        setStatus("success");
+        setMessage(res.data.message);
+      })
+      .catch((err) => {
+        setStatus("error");
+        setMessage(err.response?.data?.message || "Email verification failed.");
+      });
+  }, [token]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: "100vh",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        background: "linear-gradient(to right, #e0f7fa, #ffffff)",
+      }}
+    >
+      <Container maxWidth="xs">
+        <Paper elevation={6} sx={{ padding: 4, borderRadius: 3 }}>
+          <Typography component="h1" variant="h5" align="center" gutterBottom>
+            Email Verification
+          </Typography>
+          {status === "verifying" ? (
+            <Box display="flex" justifyContent="center" mt={2}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <Alert severity={status === "success" ? "success" : "error"} sx={{ mt: 2 }}>
+              {message}
+            </Alert>
+          )}
+          <Typography variant="body2" align="center" mt={2}>
+            <Link to="/">Go to login</Link>
+          </Typography>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyEmail;
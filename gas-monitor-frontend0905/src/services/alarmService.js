@@ -82,7 +82,8 @@ export const getAlarmsByDevice = async (deviceId) => {
 };
 
 // Fetch alarms filtered by plant name and device name (if provided)
-export const getAlarmsByPlantAndDevice = async (plantName, deviceName = null) => {
+// presetId limits the alarms to the devices a saved filter preset matches
+export const getAlarmsByPlantAndDevice = async (plantName, deviceName = null, presetId = null) => {
   if (!plantName) {
     console.warn('No plantName provided to getAlarmsByPlantAndDevice');
     return [];
@@ -94,6 +95,7 @@ export const getAlarmsByPlantAndDevice = async (plantName, deviceName = null) =>
     // Build query parameters
     const params = { plantName };
     if (deviceName) params.deviceName = deviceName;
+    if (presetId) params.presetId = presetId;
     
     // Use retry helper for more reliable API calls
     const response = await apiCallWithRetry(() => api.get('/alarms/filter', { params }));
@@ -0,0 +1,24 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/api-keys';
+
+export const getApiKeys = async () => {
+  const response = await axios.get(API_URL);
+  return response.data;
+};
+
+export const getApiKeyScopes = async () => {
+  const response = await axios.get(`${API_URL}/scopes`);
+  return response.data;
+};
+
+// The response includes the plain key, which is never returned again
+export const createApiKey = async (keyData) => {
+  const response = await axios.post(API_URL, keyData);
+  return response.data;
+};
+
+export const revokeApiKey = async (id) => {
+  const response = await axios.delete(`${API_URL}/${id}`);
+  return response.data;
+};
@@ -8,30 +8,79 @@ const api = axios.create({
   timeout: 15000, // Increase timeout to 15 seconds to handle slower database connections
 });
  
+// Include the JWT token in request headers
+export const attachAuthToken = config => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers['Authorization'] = `Bearer ${token}`;
+  }
+  return config;
+};
+
 // Add request interceptor to include JWT token in headers
-api.interceptors.request.use(
-  config => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers['Authorization'] = `Bearer ${token}`;
-    }
-    return config;
-  },
-  error => Promise.reject(error)
-);
+api.interceptors.request.use(attachAuthToken, error => Promise.reject(error));
+
+// Many services still call the global axios instance directly, and every
+// backend route now requires a token, so attach it there as well
+axios.interceptors.request.use(attachAuthToken, error => Promise.reject(error));
  
-// Handle token expiration
-api.interceptors.response.use(
-  response => response,
-  error => {
-    if (error.response && error.response.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      window.location.href = '/';
-    }
+// Separate instance for token refresh so it bypasses the interceptors below
+const authClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 15000,
+});
+
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new token pair.
+// Concurrent 401s share a single refresh request.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    const request = refreshToken
+      ? authClient.post('/auth/refresh', { refreshToken })
+      : Promise.reject(new Error('No refresh token available'));
+
+    refreshPromise = request
+      .then(response => {
+        localStorage.setItem('token', response.data.token);
+        // No refresh token when another tab rotated it moments ago; keep the one it stored
+        if (response.data.refreshToken) {
+          localStorage.setItem('refreshToken', response.data.refreshToken);
+        }
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Handle token expiration: refresh silently and retry the request once,
+// and only send the user back to login when the refresh token is rejected too
+export const retryWithRefresh = client => async error => {
+  const { config, response } = error;
+  if (!response || response.status !== 401 || !config || config._authRetried || config.url?.includes('/auth/')) {
+    return Promise.reject(error);
+  }
+
+  config._authRetried = true;
+  try {
+    const token = await refreshAccessToken();
+    config.headers['Authorization'] = `Bearer ${token}`;
+    return client(config);
+  } catch (refreshError) {
+    // Refresh token expired or revoked
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    window.location.href = '/';
     return Promise.reject(error);
   }
-);
+};
+
+api.interceptors.response.use(response => response, retryWithRefresh(api));
+axios.interceptors.response.use(response => response, retryWithRefresh(axios));
  
 export const getSiteData = async (siteName) => {
   try {
@@ -93,4 +142,24 @@ export const loginUser = async (userData) => {
   }
 };
 
+export const logoutSession = async () => {
+  const response = await api.post('/auth/logout');
+  return response.data;
+};
+
+export const logoutAllSessions = async () => {
+  const response = await api.post('/auth/logout-all');
+  return response.data;
+};
+
+export const getSessions = async (userId) => {
+  const response = await api.get('/auth/sessions', { params: userId ? { userId } : {} });
+  return response.data;
+};
+
+export const revokeSession = async (sessionId) => {
+  const response = await api.delete(`/auth/sessions/${sessionId}`);
+  return response.data;
+};
+
 export default api;
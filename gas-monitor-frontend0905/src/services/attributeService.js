@@ -0,0 +1,25 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/attributes';
+
+// appliesTo is 'device' or 'plant'; leave it out for both
+export const getAttributes = async (appliesTo) => {
+  const response = await axios.get(API_URL, { params: { appliesTo: appliesTo || undefined } });
+  return response.data;
+};
+
+export const createAttribute = async (attributeData) => {
+  const response = await axios.post(API_URL, attributeData);
+  return response.data;
+};
+
+export const updateAttribute = async (id, attributeData) => {
+  const response = await axios.put(`${API_URL}/${id}`, attributeData);
+  return response.data;
+};
+
+// Also removes the attribute's values from every device or plant
+export const deleteAttribute = async (id) => {
+  const response = await axios.delete(`${API_URL}/${id}`);
+  return response.data;
+};
@@ -0,0 +1,12 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/audit';
+
+// filters: { plantId, deviceId, userId, action, targetType, from, to, page, limit }
+export const getAuditLogs = async (filters = {}) => {
+  const params = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+  const response = await axios.get(API_URL, { params });
+  return response.data;
+};
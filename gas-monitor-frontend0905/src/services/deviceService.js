@@ -5,9 +5,11 @@ import axios from 'axios';
 
 const API_URL = 'http://localhost:5000/api/devices';
 
-export const getDevices = async (plantId) => {
+// filter narrows the list on the server: { tags, attributes, plantTags, plantAttributes, deviceTypeId, lifecycleState }
 
-  const response = await axios.get(`${API_URL}?plantId=${plantId}`);
+export const getDevices = async (plantId, filter = {}) => {
+
+  const response = await axios.get(API_URL, { params: { ...filter, plantId: plantId || undefined } });
 
   return response.data;
 
@@ -21,9 +23,125 @@ export const addDevice = async (deviceData) => {
 
 };
 
+// Archives the device and its child devices; they can be restored until purged
+
 export const deleteDevice = async (id) => {
 
-  await axios.delete(`${API_URL}/${id}`);
+  const response = await axios.delete(`${API_URL}/${id}`);
+
+  return response.data;
+
+};
+
+export const getDeviceDependencies = async (id) => {
+
+  const response = await axios.get(`${API_URL}/${id}/dependencies`);
+
+  return response.data;
+
+};
+
+export const getArchivedDevices = async (plantId) => {
+
+  const response = await axios.get(`${API_URL}/archived`, { params: { plantId } });
+
+  return response.data;
+
+};
+
+export const restoreDevice = async (id) => {
+
+  const response = await axios.post(`${API_URL}/${id}/restore`);
+
+  return response.data;
+
+};
+
+// Create a device and its IoT Hub identity; the response holds the connection credentials once
+
+export const provisionDevice = async (deviceData) => {
+
+  const response = await axios.post(`${API_URL}/provision`, deviceData);
+
+  return response.data;
+
+};
+
+// Register the IoT Hub identity of a device created without one
+
+export const provisionExistingDevice = async (id) => {
+
+  const response = await axios.post(`${API_URL}/${id}/provision`);
+
+  return response.data;
+
+};
+
+// Lifecycle state, commissioning checklist, allowed transitions and history
+
+export const getDeviceLifecycle = async (id) => {
+
+  const response = await axios.get(`${API_URL}/${id}/lifecycle`);
+
+  return response.data;
+
+};
+
+export const changeDeviceLifecycle = async (id, state, note) => {
+
+  const response = await axios.post(`${API_URL}/${id}/lifecycle`, { state, note });
+
+  return response.data;
+
+};
+
+export const updateChecklistItem = async (id, key, done) => {
+
+  const response = await axios.put(`${API_URL}/${id}/lifecycle/checklist/${encodeURIComponent(key)}`, { done });
+
+  return response.data;
+
+};
+
+// Calibration and bump-test records with the due dates of the device's sensors
+
+export const getDeviceCalibrations = async (id) => {
+
+  const response = await axios.get(`${API_URL}/${id}/calibrations`);
+
+  return response.data;
+
+};
+
+export const addCalibrationRecord = async (id, record) => {
+
+  const response = await axios.post(`${API_URL}/${id}/calibrations`, record);
+
+  return response.data;
+
+};
+
+// Validate (dryRun) or import a CSV/XLSX file; the response is a row-level report
+
+export const importDevices = async (file, { plantId, lifecycleState, dryRun }) => {
+
+  const response = await axios.post(`${API_URL}/import`, file, {
+    params: { plantId: plantId || undefined, lifecycleState: lifecycleState || undefined, dryRun },
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+  });
+
+  return response.data;
+
+};
+
+export const exportDevices = async (format, plantId) => {
+
+  const response = await axios.get(`${API_URL}/export`, {
+    params: { format, plantId: plantId || undefined },
+    responseType: 'blob',
+  });
+
+  return response.data;
 
 };
 
@@ -35,6 +153,17 @@ export const getParentDevices = async (plantId) => {
 
 };
 
+// A plant's gateway trees; each node has its own status and an effectiveStatus that is
+// offline when a gateway above it is offline
+
+export const getDeviceTopology = async (plantId) => {
+
+  const response = await axios.get(`${API_URL}/topology`, { params: { plantId } });
+
+  return response.data;
+
+};
+
 export const getChildDevices = async (parentId) => {
 
   const response = await axios.get(`${API_URL}/${parentId}/children`);
@@ -0,0 +1,41 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/device-templates';
+
+export const getDeviceTemplates = async () => {
+  const response = await axios.get(API_URL);
+  return response.data;
+};
+
+// Unsaved template filled in from an existing device, to edit and save
+export const getTemplateFromDevice = async (deviceId) => {
+  const response = await axios.get(`${API_URL}/from-device/${deviceId}`);
+  return response.data;
+};
+
+export const createDeviceTemplate = async (templateData) => {
+  const response = await axios.post(API_URL, templateData);
+  return response.data;
+};
+
+export const updateDeviceTemplate = async (id, templateData) => {
+  const response = await axios.put(`${API_URL}/${id}`, templateData);
+  return response.data;
+};
+
+export const deleteDeviceTemplate = async (id) => {
+  const response = await axios.delete(`${API_URL}/${id}`);
+  return response.data;
+};
+
+// Names the next count devices cloned would get; numbers are shared by all plants
+export const getNextDeviceNames = async (id, { count, namePrefix }) => {
+  const response = await axios.get(`${API_URL}/${id}/next-names`, { params: { count, namePrefix: namePrefix || undefined } });
+  return response.data;
+};
+
+// cloneData is { units: [{ serialNumber, macId }], plantId, parentDeviceId, namePrefix, commissionedDate, lifecycleState }
+export const cloneDevices = async (id, cloneData) => {
+  const response = await axios.post(`${API_URL}/${id}/clone`, cloneData);
+  return response.data;
+};
@@ -0,0 +1,58 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/device-types';
+
+// Devices without a type use this one, as on the server
+export const DEFAULT_DEVICE_TYPE_KEY = 'environment-monitor';
+
+export const getDeviceTypes = async () => {
+  const response = await axios.get(API_URL);
+  return response.data;
+};
+
+export const addDeviceType = async (typeData) => {
+  const response = await axios.post(API_URL, typeData);
+  return response.data;
+};
+
+export const updateDeviceType = async (id, typeData) => {
+  const response = await axios.put(`${API_URL}/${id}`, typeData);
+  return response.data;
+};
+
+export const deleteDeviceType = async (id) => {
+  const response = await axios.delete(`${API_URL}/${id}`);
+  return response.data;
+};
+
+// The type of a device from the loaded catalog
+export const getTypeOfDevice = (deviceTypes, device) =>
+  deviceTypes.find((type) => type._id === device?.deviceTypeId) ||
+  deviceTypes.find((type) => type.key === DEFAULT_DEVICE_TYPE_KEY) ||
+  deviceTypes[0] ||
+  null;
+
+// Definition of a metric key from whichever type declares it; readings in
+// rollups and map popups only carry the key
+export const findMetric = (deviceTypes, key) => {
+  for (const type of deviceTypes) {
+    const metric = type.metrics.find((candidate) => candidate.key === key);
+    if (metric) return metric;
+  }
+  return { key, label: key, unit: '', precision: 1 };
+};
+
+// Reading value as a number; older payloads wrap it as { value }
+export const readingValue = (reading) => {
+  const value = reading !== null && typeof reading === 'object' ? reading.value : reading;
+  return value === undefined || value === null || value === '' || isNaN(value) ? null : Number(value);
+};
+
+// "20.9%", "35 ppm", "—" when there is no reading
+export const formatMetricValue = (metric, reading) => {
+  const value = readingValue(reading);
+  if (value === null) return '—';
+  const unit = metric.unit || '';
+  const separator = unit === '%' || unit.startsWith('°') || unit === '' ? '' : ' ';
+  return `${value.toFixed(metric.precision ?? 1)}${separator}${unit}`;
+};
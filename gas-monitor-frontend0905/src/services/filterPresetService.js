@@ -0,0 +1,25 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/filter-presets';
+
+// The user's own presets first, then those shared by others
+export const getFilterPresets = async () => {
+  const response = await axios.get(API_URL);
+  return response.data;
+};
+
+// presetData is { name, filter, shared }; filter takes the device list's query fields
+export const createFilterPreset = async (presetData) => {
+  const response = await axios.post(API_URL, presetData);
+  return response.data;
+};
+
+export const updateFilterPreset = async (id, presetData) => {
+  const response = await axios.put(`${API_URL}/${id}`, presetData);
+  return response.data;
+};
+
+export const deleteFilterPreset = async (id) => {
+  const response = await axios.delete(`${API_URL}/${id}`);
+  return response.data;
+};
@@ -0,0 +1,43 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/firmware';
+
+export const getArtifacts = async () => {
+  const response = await axios.get(`${API_URL}/artifacts`);
+  return response.data;
+};
+
+// The image is sent as the request body; its details go in the query string
+export const uploadArtifact = async (file, { version, deviceTypeId, notes }) => {
+  const response = await axios.post(`${API_URL}/artifacts`, file, {
+    params: { version, deviceTypeId: deviceTypeId || undefined, notes: notes || undefined, fileName: file.name },
+    headers: { 'Content-Type': 'application/octet-stream' },
+  });
+  return response.data;
+};
+
+export const deleteArtifact = async (id) => {
+  const response = await axios.delete(`${API_URL}/artifacts/${id}`);
+  return response.data;
+};
+
+export const getCampaigns = async () => {
+  const response = await axios.get(`${API_URL}/campaigns`);
+  return response.data;
+};
+
+export const getCampaign = async (id) => {
+  const response = await axios.get(`${API_URL}/campaigns/${id}`);
+  return response.data;
+};
+
+export const createCampaign = async (campaignData) => {
+  const response = await axios.post(`${API_URL}/campaigns`, campaignData);
+  return response.data;
+};
+
+// action is 'start', 'pause' or 'cancel'
+export const runCampaignAction = async (id, action) => {
+  const response = await axios.post(`${API_URL}/campaigns/${id}/${action}`);
+  return response.data;
+};
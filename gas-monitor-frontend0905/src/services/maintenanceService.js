@@ -0,0 +1,62 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/maintenance';
+
+// Users that can be assigned work in a plant
+export const getAssignees = async (plantId) => {
+  const response = await axios.get(`${API_URL}/assignees`, { params: { plantId } });
+  return response.data;
+};
+
+export const getPlans = async (plantId) => {
+  const response = await axios.get(`${API_URL}/plans`, { params: { plantId: plantId || undefined } });
+  return response.data;
+};
+
+export const createPlan = async (planData) => {
+  const response = await axios.post(`${API_URL}/plans`, planData);
+  return response.data;
+};
+
+export const updatePlan = async (id, planData) => {
+  const response = await axios.put(`${API_URL}/plans/${id}`, planData);
+  return response.data;
+};
+
+export const deletePlan = async (id) => {
+  const response = await axios.delete(`${API_URL}/plans/${id}`);
+  return response.data;
+};
+
+// statuses is a list such as ['open', 'in_progress']
+export const getWorkOrders = async ({ plantId, deviceId, statuses } = {}) => {
+  const response = await axios.get(`${API_URL}/work-orders`, {
+    params: {
+      plantId: plantId || undefined,
+      deviceId: deviceId || undefined,
+      status: statuses && statuses.length > 0 ? statuses.join(',') : undefined,
+    },
+  });
+  return response.data;
+};
+
+export const createWorkOrder = async (workOrderData) => {
+  const response = await axios.post(`${API_URL}/work-orders`, workOrderData);
+  return response.data;
+};
+
+export const updateWorkOrder = async (id, workOrderData) => {
+  const response = await axios.put(`${API_URL}/work-orders/${id}`, workOrderData);
+  return response.data;
+};
+
+// action is 'start', 'complete' or 'cancel'; completing needs completionNotes
+export const runWorkOrderAction = async (id, action, completionNotes) => {
+  const response = await axios.post(`${API_URL}/work-orders/${id}/${action}`, { completionNotes });
+  return response.data;
+};
+
+export const addWorkOrderNote = async (id, text) => {
+  const response = await axios.post(`${API_URL}/work-orders/${id}/notes`, { text });
+  return response.data;
+};
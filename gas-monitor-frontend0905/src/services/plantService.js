@@ -7,16 +7,39 @@ export const getPlants = async () => {
   return response.data;
 };
 
+// Per-plant coordinates, online ratio, worst active alarm and latest readings
+export const getPlantMapStatus = async () => {
+  const response = await axios.get(`${API_URL}/map-status`);
+  return response.data;
+};
+
 export const addPlant = async (plantData) => {
   const response = await axios.post(API_URL, plantData);
   return response.data;
 };
 
+// Archives the plant and its devices; they can be restored until purged
 export const deletePlant = async (id) => {
   const response = await axios.delete(`${API_URL}/${id}`);
   return response.data;
 };
 
+// Devices, site nodes, settings, alarms and telemetry an archive would take with it
+export const getPlantDependencies = async (id) => {
+  const response = await axios.get(`${API_URL}/${id}/dependencies`);
+  return response.data;
+};
+
+export const getArchivedPlants = async () => {
+  const response = await axios.get(`${API_URL}/archived`);
+  return response.data;
+};
+
+export const restorePlant = async (id) => {
+  const response = await axios.post(`${API_URL}/${id}/restore`);
+  return response.data;
+};
+
 export const updatePlant = async (id, plantData) => {
   const response = await axios.put(`${API_URL}/${id}`, plantData);
   return response.data;
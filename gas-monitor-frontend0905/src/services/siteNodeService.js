@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/site-nodes';
+
+export const getSiteNodes = async (plantId) => {
+  const response = await axios.get(API_URL, { params: { plantId } });
+  return response.data;
+};
+
+// Nested building / area / zone tree with rollups on every node
+export const getSiteTree = async (plantId) => {
+  const response = await axios.get(`${API_URL}/tree`, { params: { plantId } });
+  return response.data;
+};
+
+export const addSiteNode = async (nodeData) => {
+  const response = await axios.post(API_URL, nodeData);
+  return response.data;
+};
+
+export const updateSiteNode = async (id, nodeData) => {
+  const response = await axios.put(`${API_URL}/${id}`, nodeData);
+  return response.data;
+};
+
+export const deleteSiteNode = async (id) => {
+  const response = await axios.delete(`${API_URL}/${id}`);
+  return response.data;
+};
+
+export const assignDevicesToNode = async (id, deviceIds) => {
+  const response = await axios.put(`${API_URL}/${id}/devices`, { deviceIds });
+  return response.data;
+};
+
+// Devices in a node and everything below it
+export const getNodeDevices = async (id) => {
+  const response = await axios.get(`${API_URL}/${id}/devices`);
+  return response.data;
+};
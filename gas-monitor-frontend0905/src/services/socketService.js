@@ -1,5 +1,6 @@
 import { io } from 'socket.io-client';
 import eventBus from './eventBusService';
+import { refreshAccessToken } from './apiService';
 
 class SocketService {
   constructor() {
@@ -9,6 +10,7 @@ class SocketService {
     this.activeListeners = new Map(); // Track active listeners to prevent duplicates
     this.pendingSubscriptions = new Set(); // Track device subscriptions that need to be processed on connect
     this.connectionAttempts = 0;
+    this.tokenRefreshAttempted = false; // One token refresh per failed handshake, so a bad token can't loop
     this.connectionCallbacks = [];
     this.disconnectionCallbacks = [];
     
@@ -78,6 +80,8 @@ class SocketService {
       withCredentials: false,  // Important for cross-origin requests
       reconnection: true,      // Enable auto-reconnection
       autoConnect: true,       // Connect on instantiation
+      // Authenticate with the same JWT the REST API uses; read lazily so reconnects pick up a fresh token
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
       extraHeaders: {
         "Access-Control-Allow-Origin": "*"
       }
@@ -99,6 +103,7 @@ class SocketService {
     this.socket.on('connect', () => {
       console.log('🌐 Connected to WebSocket server');
       this.connected = true;
+      this.tokenRefreshAttempted = false;
       
       // Process any pending subscriptions
       if (this.pendingSubscriptions && this.pendingSubscriptions.size > 0) {
@@ -150,12 +155,33 @@ class SocketService {
       console.log(`Disconnected from WebSocket server: ${reason}`);
       this.connected = false;
       this.disconnectionCallbacks.forEach(callback => callback(reason));
+      // The server drops sockets when a user's role or plants change; reconnect to rejoin the right rooms.
+      // A revoked session fails the handshake, so this doesn't loop.
+      if (reason === 'io server disconnect' && localStorage.getItem('token')) {
+        this.socket.connect();
+      }
     });
 
     // Handle connection error
     this.socket.on('connect_error', (error) => {
       console.error('WebSocket connection error:', error);
       this.connected = false;
+      // Socket.IO gives up after a handshake refused by the server; refresh the
+      // short-lived access token the same way the REST client does, then retry
+      if (error.message === 'Token expired' && !this.tokenRefreshAttempted) {
+        this.tokenRefreshAttempted = true;
+        const socket = this.socket;
+        refreshAccessToken()
+          .then(() => {
+            if (this.socket === socket) socket.connect();
+          })
+          .catch((refreshError) => console.warn('⛔ Could not refresh the token for WebSocket:', refreshError.message));
+      }
+    });
+
+    // The server refuses rooms for devices and plants the user cannot access
+    this.socket.on('subscription-error', (error) => {
+      console.warn('⛔ WebSocket subscription rejected:', error);
     });
   }
 
@@ -777,13 +803,15 @@ class SocketService {
 // Create a singleton instance
 const socketService = new SocketService();
 
-// Auto-connect when the service is imported
-socketService.connect();
+// Auto-connect when the service is imported (the server rejects the handshake until a user is logged in)
+if (localStorage.getItem('token')) {
+  socketService.connect();
+}
 
 // Setup auto-reconnect on window focus
 if (typeof window !== 'undefined') {
   window.addEventListener('focus', () => {
-    if (!socketService.isConnected()) {
+    if (!socketService.isConnected() && localStorage.getItem('token')) {
       console.log('Window focused - reconnecting socket if needed');
       socketService.connect();
     }
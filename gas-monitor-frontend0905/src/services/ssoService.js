@@ -0,0 +1,17 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/auth/oidc';
+
+// Full-page navigation target that starts the identity provider login
+export const SSO_LOGIN_URL = `${API_URL}/login`;
+
+export const getSsoConfig = async () => {
+  const response = await axios.get(`${API_URL}/config`);
+  return response.data;
+};
+
+// Swap the one-time code from the SSO redirect for tokens
+export const exchangeSsoCode = async (code) => {
+  const response = await axios.post(`${API_URL}/exchange`, { code });
+  return response.data;
+};
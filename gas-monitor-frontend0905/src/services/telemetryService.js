@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { attachAuthToken, retryWithRefresh } from './apiService';
  
 const BASE_URL = process.env.REACT_APP_API_BASE_URL || "http://localhost:5000/api";
  
@@ -9,6 +10,8 @@ axios.defaults.retryDelay = 1000;
  
 // Create axios instance with retry logic
 const axiosInstance = axios.create();
+axiosInstance.interceptors.request.use(attachAuthToken);
+axiosInstance.interceptors.response.use(null, retryWithRefresh(axiosInstance));
 axiosInstance.interceptors.response.use(null, async (error) => {
   const { config } = error;
   if (!config || !config.retry) {
@@ -221,6 +224,10 @@ export const restartDevice = async (deviceId) => {
     return response.status === 200;
   } catch (error) {
     console.error("❌ Error restarting device:", error);
+    // Let the caller tell the user they need to log in with 2FA
+    if (error.response?.data?.code === 'TWO_FACTOR_REQUIRED') {
+      throw error;
+    }
     return false;
   }
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/auth';
+
+// Second login step - send either code or recoveryCode
+export const loginWithTwoFactor = async ({ challengeToken, code, recoveryCode }) => {
+  const response = await axios.post(`${API_URL}/login/2fa`, { challengeToken, code, recoveryCode });
+  return response.data;
+};
+
+export const getTwoFactorStatus = async () => {
+  const response = await axios.get(`${API_URL}/2fa/status`);
+  return response.data;
+};
+
+// challengeToken is only needed when enrolling from the login screen
+export const setupTwoFactor = async (challengeToken) => {
+  const response = await axios.post(`${API_URL}/2fa/setup`, { challengeToken });
+  return response.data;
+};
+
+export const enableTwoFactor = async (code, challengeToken) => {
+  const response = await axios.post(`${API_URL}/2fa/enable`, { code, challengeToken });
+  return response.data;
+};
+
+export const disableTwoFactor = async ({ code, recoveryCode }) => {
+  const response = await axios.post(`${API_URL}/2fa/disable`, { code, recoveryCode });
+  return response.data;
+};
+
+export const regenerateRecoveryCodes = async (code) => {
+  const response = await axios.post(`${API_URL}/2fa/recovery-codes`, { code });
+  return response.data;
+};
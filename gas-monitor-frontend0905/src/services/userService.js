@@ -0,0 +1,43 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/users';
+
+export const getUsers = async (params = {}) => {
+  const response = await axios.get(API_URL, { params });
+  return response.data;
+};
+
+export const createUser = async (userData) => {
+  const response = await axios.post(API_URL, userData);
+  return response.data;
+};
+
+export const updateUser = async (id, userData) => {
+  const response = await axios.put(`${API_URL}/${id}`, userData);
+  return response.data;
+};
+
+export const deactivateUser = async (id) => {
+  const response = await axios.put(`${API_URL}/${id}/deactivate`);
+  return response.data;
+};
+
+export const reactivateUser = async (id) => {
+  const response = await axios.put(`${API_URL}/${id}/reactivate`);
+  return response.data;
+};
+
+export const forcePasswordReset = async (id) => {
+  const response = await axios.post(`${API_URL}/${id}/force-password-reset`);
+  return response.data;
+};
+
+export const unlockUser = async (id) => {
+  const response = await axios.post(`${API_URL}/${id}/unlock`);
+  return response.data;
+};
+
+export const resetTwoFactor = async (id) => {
+  const response = await axios.post(`${API_URL}/${id}/reset-2fa`);
+  return response.data;
+};